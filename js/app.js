@@ -28,6 +28,7 @@ import * as suggestedActionsManager from './ui/suggestedActionsManager.js';
 import * as dashboardManager from './ui/dashboardManager.js';
 import * as characterPanelManager from './ui/characterPanelManager.js';
 import * as worldShardsModalManager from './ui/worldShardsModalManager.js';
+import * as timelineModalManager from './ui/timelineModalManager.js';
 import * as billingManager from './ui/billingManager.js';
 import * as tooltipManager from './ui/tooltipManager.js';
 
@@ -99,7 +100,7 @@ async function _handleUrlChangeOrInitialLoad() {
     const dataLoaded = await themeService.ensureThemeDataLoaded(themeToResume);
     if (dataLoaded) {
       await themeService.getAllPromptsForTheme(themeToResume);
-      await gameController.resumeGameSession(themeToResume);
+      await gameController.resumeGameSession(themeToResume, state.getCurrentSaveSlotId());
     } else {
       log(LOG_LEVEL_ERROR, `Failed to load data for theme ${themeToResume}. Switching to landing page.`);
       await gameController.switchToLanding();
@@ -153,6 +154,7 @@ async function _initializeApp() {
   languageManager.initLanguageManager({ storyLogManager, landingPageManager, dashboardManager });
   authUiManager.initAuthUiManager({ authService, modalManager, gameController, userThemeControlsManager, landingPageManager, languageManager, billingManager });
   worldShardsModalManager.initWorldShardsModalManager({ landingPageManager });
+  timelineModalManager.initTimelineModalManager({ gameController });
   billingManager.initBillingManager({ authUiManager, landingPageManager });
   characterPanelManager.initCharacterPanelManager({ landingPageManager, userThemeControlsManager, gameController });
   suggestedActionsManager.initSuggestedActionsManager({ gameController });
@@ -171,13 +173,24 @@ async function _initializeApp() {
     dom.newGameButton.addEventListener('click', async () => {
       const currentThemeId = state.getCurrentTheme() || state.getCurrentLandingGridSelection();
       if (currentThemeId) {
-        await gameController.initiateNewGameSessionFlow(currentThemeId);
+        // In a game, the current run restarts; from the landing page, the new run gets its own save slot.
+        await gameController.initiateNewGameSessionFlow(currentThemeId, false, !state.getCurrentTheme());
       } else {
         log(LOG_LEVEL_WARN, 'New Game button clicked but no theme is selected.');
         modalManager.showCustomModal({ type: 'alert', titleKey: 'alert_title_notice', messageKey: 'alert_select_theme_first' });
       }
     });
   }
+  if (dom.timelineButton) {
+    dom.timelineButton.addEventListener('click', () => {
+      const currentThemeId = state.getCurrentTheme();
+      if (currentThemeId) gameController.showTimelineModal(currentThemeId);
+    });
+  }
+  if (dom.regenerateTurnButton) {
+    tooltipManager.attachTooltip(dom.regenerateTurnButton, 'tooltip_regenerate_turn', {}, { viewContext: 'global' });
+    dom.regenerateTurnButton.addEventListener('click', () => gameController.regenerateLastTurn());
+  }
   if (dom.forceRollToggleButton) {
     uiUtils.updateForceRollToggleButton();
     dom.forceRollToggleButton.addEventListener('click', uiUtils.handleForceRollToggle);
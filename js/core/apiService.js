@@ -2,7 +2,7 @@
  * @file Handles all communication with the backend API.
  * Encapsulates fetch logic, error handling, and token management for API calls.
  */
-import { PROXY_API_URL } from './config.js';
+import { PROXY_API_URL, PROXY_STREAM_API_URL } from './config.js';
 import { log, LOG_LEVEL_DEBUG, LOG_LEVEL_ERROR, LOG_LEVEL_INFO, LOG_LEVEL_WARN } from './logger.js';
 
 // --- Private Helper ---
@@ -168,29 +168,140 @@ export const changePassword = (token, currentPassword, newPassword) => _callApi(
  */
 export const saveGameState = (token, gameStatePayload) => _callApi('/api/v1/gamestates', 'POST', gameStatePayload, token);
 
+/**
+ * Builds the query string that selects a save slot.
+ * @param {string|null} slotId - The save slot ID, if any.
+ * @returns {string}
+ * @private
+ */
+const _slotQuery = (slotId) => (slotId ? `?slot_id=${encodeURIComponent(slotId)}` : '');
+
 /**
  * Loads the game state for a specific theme.
  * @param {string} token - The user's JWT.
  * @param {string} themeId - The ID of the theme whose state is to be loaded.
+ * @param {string|null} [slotId=null] - The save slot to load; without one, the most recently played slot.
  * @returns {Promise<object>} The loaded game state object.
  */
-export const loadGameState = (token, themeId) => _callApi(`/api/v1/gamestates/${themeId}`, 'GET', null, token);
+export const loadGameState = (token, themeId, slotId = null) => _callApi(`/api/v1/gamestates/${themeId}${_slotQuery(slotId)}`, 'GET', null, token);
 
 /**
  * Deletes the game state for a specific theme.
  * @param {string} token - The user's JWT.
  * @param {string} themeId - The ID of the theme whose state is to be deleted.
+ * @param {string|null} [slotId=null] - The save slot to delete; without one, the most recently played slot.
  * @returns {Promise<object>} A confirmation message.
  */
-export const deleteGameState = (token, themeId) => _callApi(`/api/v1/gamestates/${themeId}`, 'DELETE', null, token);
+export const deleteGameState = (token, themeId, slotId = null) => _callApi(`/api/v1/gamestates/${themeId}${_slotQuery(slotId)}`, 'DELETE', null, token);
 
 /**
  * Starts a new game session, clearing session-specific data but preserving persistent lore.
  * @param {string} token - The user's JWT.
  * @param {string} themeId - The ID of the theme to start a new session for.
+ * @param {string|null} [slotId=null] - The save slot to restart; without one, the most recently played slot.
  * @returns {Promise<object>} The API response, potentially including preserved lore/summary.
  */
-export const startNewGameSession = (token, themeId) => _callApi(`/api/v1/gamestates/${themeId}/new-session`, 'POST', null, token);
+export const startNewGameSession = (token, themeId, slotId = null) => _callApi(`/api/v1/gamestates/${themeId}/new-session`, 'POST', slotId ? { slot_id: slotId } : null, token);
+
+/**
+ * Fetches the user's save slots for a theme, most recently played first.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @returns {Promise<{slots: Array<object>, max_slots: number}>}
+ */
+export const fetchSaveSlots = (token, themeId) => _callApi(`/api/v1/gamestates/${themeId}/slots`, 'GET', null, token);
+
+/**
+ * Creates an empty save slot for a new run of a theme.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @param {string|null} [slotName=null] - The slot's name; the server names unnamed slots "Slot N".
+ * @returns {Promise<{slot: object}>} The created slot.
+ */
+export const createSaveSlot = (token, themeId, slotName = null) => _callApi(`/api/v1/gamestates/${themeId}/slots`, 'POST', slotName ? { slot_name: slotName } : {}, token);
+
+/**
+ * Renames a save slot.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @param {string} slotId - The save slot ID.
+ * @param {string} slotName - The new name.
+ * @returns {Promise<{slot: object}>} The renamed slot.
+ */
+export const renameSaveSlot = (token, themeId, slotId, slotName) => _callApi(`/api/v1/gamestates/${themeId}/slots/${slotId}`, 'PUT', { slot_name: slotName }, token);
+
+/**
+ * Deletes a save slot. Character progression and World Shards are kept.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @param {string} slotId - The save slot ID.
+ * @returns {Promise<object>} A confirmation message.
+ */
+export const deleteSaveSlot = (token, themeId, slotId) => _callApi(`/api/v1/gamestates/${themeId}/slots/${slotId}`, 'DELETE', null, token);
+
+/**
+ * Fetches the turn checkpoints of a save slot, marking the active branch and the ends of abandoned branches.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @param {string|null} [slotId=null] - The save slot; without one, the most recently played slot.
+ * @returns {Promise<{slot_id: string, head_checkpoint_id: string|null, checkpoints: Array<object>}>}
+ */
+export const fetchCheckpoints = (token, themeId, slotId = null) => _callApi(`/api/v1/gamestates/${themeId}/checkpoints${_slotQuery(slotId)}`, 'GET', null, token);
+
+/**
+ * Fetches the session history of the branch ending at a checkpoint.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @param {string} checkpointId - The last checkpoint of the branch.
+ * @returns {Promise<{checkpoint_id: string, history: Array<object>}>}
+ */
+export const fetchCheckpointHistory = (token, themeId, checkpointId) => _callApi(`/api/v1/gamestates/${themeId}/checkpoints/${checkpointId}/history`, 'GET', null, token);
+
+/**
+ * Rewinds a save slot to a checkpoint; the next turn branches from it.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @param {string} checkpointId - The checkpoint to rewind to.
+ * @returns {Promise<{slot_id: string, checkpoint_id: string, turn_number: number}>}
+ */
+export const rewindToCheckpoint = (token, themeId, checkpointId) => _callApi(`/api/v1/gamestates/${themeId}/checkpoints/${checkpointId}/rewind`, 'POST', null, token);
+
+/**
+ * Discards the last turn of a save slot so its player action can be sent again.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @param {string|null} slotId - The save slot; without one, the most recently played slot.
+ * @param {string|null} [hint=null] - How the player wants the new reply to go.
+ * @returns {Promise<{slot_id: string, checkpoint_id: string, turn_number: number, player_action: string}>}
+ */
+export const regenerateLastTurn = (token, themeId, slotId, hint = null) => _callApi(`/api/v1/gamestates/${themeId}/regenerate`, 'POST', { slot_id: slotId, hint }, token);
+
+/**
+ * Fetches the status of a background job of a save slot, e.g. a World Shard being woven into the lore.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @param {string} jobId - The job ID from a save response.
+ * @returns {Promise<{job: {id: string, type: string, status: string, attempts: number, result: object|null}}>}
+ */
+export const fetchBackgroundJob = (token, themeId, jobId) => _callApi(`/api/v1/gamestates/${themeId}/jobs/${jobId}`, 'GET', null, token);
+
+/**
+ * Fetches the theme store of a save slot: the items on sale, the backpack and the currency balance.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @param {string|null} [slotId=null] - The save slot; without one, the most recently played slot.
+ * @returns {Promise<{slot_id: string, revision: number, level: number, currency: {dashboard_id: string, balance: number}, stock: Array<object>, inventory: Array<object>}>}
+ */
+export const fetchStore = (token, themeId, slotId = null) => _callApi(`/api/v1/gamestates/${themeId}/store${_slotQuery(slotId)}`, 'GET', null, token);
+
+/**
+ * Buys an item from the theme store or sells one from the backpack.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The ID of the theme.
+ * @param {{action: 'buy'|'sell', item_id: string, slot_id: string|null, base_revision: number|null}} transaction - The transaction.
+ * @returns {Promise<{slot_id: string, revision: number, item: object, price: number, currency: {dashboard_id: string, balance: number}, inventory: Array<object>}>}
+ */
+export const executeStoreTransaction = (token, themeId, transaction) => _callApi(`/api/v1/gamestates/${themeId}/store/transactions`, 'POST', transaction, token);
 
 // --- Theme Interaction Endpoints ---
 
@@ -279,6 +390,23 @@ export const resetCharacterProgress = (token, themeId) => _callApi(`/api/v1/user
  */
 export const applyBoonSelection = (token, themeId, boonPayload) => _callApi(`/api/v1/users/me/themes/${themeId}/boon`, 'POST', boonPayload, token);
 
+/**
+ * Retires a level-capped character into a legacy and restarts the theme's progress at the next prestige rank.
+ * @param {string} token - The JWT for authentication.
+ * @param {string} themeId - The ID of the theme.
+ * @param {object} prestigePayload - `{ legacy_name, heirloom_trait_key }` or `{ legacy_name, heirloom_shard_id }`.
+ * @returns {Promise<object>} The API response containing the new legacy and the restarted UserThemeProgress.
+ */
+export const retireCharacter = (token, themeId, prestigePayload) => _callApi(`/api/v1/users/me/themes/${themeId}/prestige`, 'POST', prestigePayload, token);
+
+/**
+ * Fetches the user's retired characters (legacies) for a specific theme.
+ * @param {string} token - The JWT for authentication.
+ * @param {string} themeId - The ID of the theme.
+ * @returns {Promise<object>} The API response containing the legacies, newest first.
+ */
+export const fetchCharacterLegacies = (token, themeId) => _callApi(`/api/v1/users/me/themes/${themeId}/legacies`, 'GET', null, token);
+
 /**
  * Updates a user's persistent progress for a specific theme (e.g., character name).
  * @param {string} token - The JWT for authentication.
@@ -330,3 +458,81 @@ export const fetchModelConfiguration = () => _callApi('/api/v1/config/models', '
  * @returns {Promise<object>} The JSON response from the AI proxy.
  */
 export const callGeminiProxy = (payload, token) => _callApi(PROXY_API_URL, 'POST', payload, token);
+
+/**
+ * Calls the streaming variant of the AI proxy (Server-Sent Events over a POST request).
+ * Resolves with the same response object as callGeminiProxy once the 'complete' event arrives.
+ * @param {object} payload - The payload to send to the AI proxy.
+ * @param {string|null} token - The JWT for authentication. Can be null for anonymous calls if allowed by backend.
+ * @param {object} [handlers={}] - Callbacks for intermediate events.
+ * @param {function(Array<object>): void} [handlers.onDiceResults] - Called with dice roll results before the narrative streams.
+ * @param {function(string): void} [handlers.onNarrativeDelta] - Called with each decoded chunk of the narrative.
+ * @returns {Promise<object>} The final JSON response from the AI proxy.
+ * @throws {Error} An error with `status`/`code`, like _callApi, if the request or the stream fails.
+ */
+export async function streamGeminiProxy(payload, token, handlers = {}) {
+  const headers = { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' };
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  log(LOG_LEVEL_DEBUG, `Calling streaming API: POST ${PROXY_STREAM_API_URL}`, `with body (keys: ${Object.keys(payload).join(', ')})`);
+
+  let response;
+  try {
+    response = await fetch(PROXY_STREAM_API_URL, { method: 'POST', headers, body: JSON.stringify(payload) });
+  } catch (error) {
+    log(LOG_LEVEL_ERROR, `Network error opening AI stream:`, error.message);
+    const networkError = new Error(`Network error or server unavailable: ${error.message}`);
+    networkError.isNetworkError = true;
+    networkError.code = 'NETWORK_ERROR';
+    throw networkError;
+  }
+
+  const buildError = (status, errorBody) => {
+    const error = new Error(errorBody?.error?.message || `API Error (Status: ${status})`);
+    error.status = status;
+    error.code = errorBody?.error?.code || `HTTP_${status}`;
+    error.details = errorBody?.error?.details || errorBody;
+    return error;
+  };
+
+  if (!response.ok || !response.headers.get('Content-Type')?.includes('text/event-stream')) {
+    const responseData = await response.json().catch(() => null);
+    if (!response.ok) {
+      log(LOG_LEVEL_WARN, `API Error (${response.status}) for streaming proxy:`, responseData);
+      throw buildError(response.status, responseData);
+    }
+    return responseData;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let separatorIndex;
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, separatorIndex);
+      buffer = buffer.slice(separatorIndex + 2);
+      const eventName = rawEvent.match(/^event: (.*)$/m)?.[1];
+      const dataLine = rawEvent.match(/^data: (.*)$/m)?.[1];
+      if (!eventName || dataLine === undefined) continue;
+      const data = JSON.parse(dataLine);
+      if (eventName === 'dice') {
+        handlers.onDiceResults?.(data);
+      } else if (eventName === 'narrative') {
+        handlers.onNarrativeDelta?.(data.delta);
+      } else if (eventName === 'complete') {
+        log(LOG_LEVEL_DEBUG, 'AI stream completed.');
+        reader.cancel().catch(() => {});
+        return data;
+      } else if (eventName === 'error') {
+        log(LOG_LEVEL_WARN, 'AI stream reported an error:', data);
+        throw buildError(data?.error?.status || 502, data);
+      }
+    }
+  }
+  throw buildError(502, { error: { message: 'AI stream ended before the turn completed.', code: 'AI_STREAM_INCOMPLETE' } });
+}
@@ -5,6 +5,9 @@
 
 // --- API ---
 export const PROXY_API_URL = '/api/v1/gemini/generate';
+export const PROXY_STREAM_API_URL = '/api/v1/gemini/generate-stream';
+/** Whether GM turns are requested over the streaming endpoint so the narrative renders as it is written. */
+export const STREAM_AI_RESPONSES = true;
 
 // --- Application Defaults ---
 export const DEFAULT_LANGUAGE = 'cs';
@@ -21,6 +24,7 @@ export const MODEL_PREFERENCE_STORAGE_KEY = 'lorelicModelPreference';
 export const LANGUAGE_PREFERENCE_STORAGE_KEY = 'preferredAppLanguage';
 export const NARRATIVE_LANGUAGE_PREFERENCE_STORAGE_KEY = 'preferredNarrativeLanguage';
 export const CURRENT_THEME_STORAGE_KEY = 'lorelicCurrentTheme';
+export const CURRENT_SAVE_SLOT_STORAGE_KEY = 'lorelicCurrentSaveSlot';
 export const LANDING_SELECTED_GRID_THEME_KEY = 'lorelicLandingSelectedGridTheme';
 export const LOG_LEVEL_STORAGE_KEY = 'lorelicLogLevel';
 
@@ -72,7 +76,7 @@ export function setModelConfiguration(config) {
 /**
  * Defines the total cumulative XP required to reach each level.
  * The index corresponds to the target level (e.g., XP_LEVELS[1] is XP for level 2).
- * Level 1 requires 0 XP.
+ * Level 1 requires 0 XP. The server applies the same curve (server/utils/progression.js).
  * @type {number[]}
  */
 export const XP_LEVELS = [
@@ -94,6 +98,7 @@ export const MAX_PLAYER_LEVEL = XP_LEVELS.length;
 /**
  * Defines the available boons (level-up rewards).
  * `value` is the numerical bonus, and `descriptionKey` points to a localization string.
+ * The server only accepts these values (server/utils/progression.js).
  */
 export const BOON_DEFINITIONS = {
   MAX_INTEGRITY_INCREASE: { value: 10, descriptionKey: 'boon_desc_max_integrity' },
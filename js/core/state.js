@@ -9,12 +9,14 @@ import * as config from './config.js';
 // --- Module State ---
 // Core Application State
 let _currentTheme = localStorage.getItem(config.CURRENT_THEME_STORAGE_KEY) || null;
+let _currentSaveSlotId = localStorage.getItem(config.CURRENT_SAVE_SLOT_STORAGE_KEY) || null;
+let _currentSaveRevision = null; // The save slot's revision this client's state is based on; not persisted.
 let _currentAppLanguage = localStorage.getItem(config.LANGUAGE_PREFERENCE_STORAGE_KEY) || config.DEFAULT_LANGUAGE;
 let _currentNarrativeLanguage = localStorage.getItem(config.NARRATIVE_LANGUAGE_PREFERENCE_STORAGE_KEY) || _currentAppLanguage;
 let _currentModelName = localStorage.getItem(config.MODEL_PREFERENCE_STORAGE_KEY) || null;
 // User & Session State
 let _currentUser = null; // Holds the authenticated user object, including the token.
-let _currentUserApiUsage = null; // Holds { hourly: { count, limit }, daily: { count, limit } }
+let _currentUserApiUsage = null; // Holds { [modelName]: { daily: { count, limit }, dailyTokens: { count, limit } } }
 let _playingThemes = []; // Array of theme IDs the user is currently playing.
 let _likedThemes = []; // Array of theme IDs the user has liked.
 let _shapedThemeData = new Map(); // Map<themeId, { hasShards: boolean, activeShardCount: number }>
@@ -51,6 +53,7 @@ let _currentAiPlaceholder = '';
 let _currentLandingGridSelection = localStorage.getItem(config.LANDING_SELECTED_GRID_THEME_KEY) || null;
 let _landingSelectedThemeProgress = null; // Progress for the theme selected on the landing page.
 let _landingSelectedThemeEvolvedLore = null; // Evolved lore for the theme selected on the landing page.
+let _landingSelectedThemeSlots = { slots: [], maxSlots: 0 }; // Save slots of the theme selected on the landing page.
 let _dashboardItemMeta = {}; // UI-specific metadata for dashboard items (e.g., { hasRecentUpdate: true }).
 let _pendingShardForFinalization = null; // Holds shard data between discovery and finalization.
 let _currentNewGameSettings = null; // Stores settings for a new game (e.g., { useEvolvedWorld: boolean }).
@@ -66,6 +69,22 @@ export const setCurrentTheme = (themeId) => {
     localStorage.removeItem(config.CURRENT_THEME_STORAGE_KEY);
   }
 };
+/** @returns {string | null} The ID of the save slot being played, or null before its first save. */
+export const getCurrentSaveSlotId = () => _currentSaveSlotId;
+export const setCurrentSaveSlotId = (slotId) => {
+  if ((slotId || null) !== _currentSaveSlotId) _currentSaveRevision = null;
+  _currentSaveSlotId = slotId || null;
+  if (slotId) {
+    localStorage.setItem(config.CURRENT_SAVE_SLOT_STORAGE_KEY, slotId);
+  } else {
+    localStorage.removeItem(config.CURRENT_SAVE_SLOT_STORAGE_KEY);
+  }
+};
+/** @returns {number | null} The revision of the save slot the local state is based on, or null if unknown. */
+export const getCurrentSaveRevision = () => _currentSaveRevision;
+export const setCurrentSaveRevision = (revision) => {
+  _currentSaveRevision = Number.isInteger(revision) ? revision : null;
+};
 /** @returns {string} The current application language code (e.g., 'en', 'cs'). */
 export const getCurrentAppLanguage = () => _currentAppLanguage;
 export const setCurrentAppLanguage = (lang) => {
@@ -234,16 +253,27 @@ export const getPlayerLevel = () => _currentUserThemeProgress?.level || 1;
 export const getEffectiveMaxIntegrity = () => (_currentUserThemeProgress?.maxIntegrityBonus || 0) + (getThemeConfig(getCurrentTheme())?.base_attributes?.integrity || 100);
 /** @returns {number} The character's maximum Willpower, including bonuses. */
 export const getEffectiveMaxWillpower = () => (_currentUserThemeProgress?.maxWillpowerBonus || 0) + (getThemeConfig(getCurrentTheme())?.base_attributes?.willpower || 50);
-/** @returns {number} The character's Aptitude score, including bonuses. */
-export const getEffectiveAptitude = () => (_currentUserThemeProgress?.aptitudeBonus || 0) + (getThemeConfig(getCurrentTheme())?.base_attributes?.aptitude || 10);
-/** @returns {number} The character's Resilience score, including bonuses. */
-export const getEffectiveResilience = () => (_currentUserThemeProgress?.resilienceBonus || 0) + (getThemeConfig(getCurrentTheme())?.base_attributes?.resilience || 10);
+/**
+ * Sums an attribute's changes from the active conditions, as the server applies them.
+ * @param {string} attribute - 'aptitude' or 'resilience'.
+ * @returns {number}
+ * @private
+ */
+const _conditionModifier = (attribute) => getActiveConditions()
+  .reduce((sum, condition) => sum + (condition?.attributes?.[attribute] || 0) * (condition?.stacks || 1), 0);
+/** @returns {number} The character's Aptitude score, including bonuses and conditions. */
+export const getEffectiveAptitude = () => Math.max(0, (_currentUserThemeProgress?.aptitudeBonus || 0) + (getThemeConfig(getCurrentTheme())?.base_attributes?.aptitude || 10) + _conditionModifier('aptitude'));
+/** @returns {number} The character's Resilience score, including bonuses and conditions. */
+export const getEffectiveResilience = () => Math.max(0, (_currentUserThemeProgress?.resilienceBonus || 0) + (getThemeConfig(getCurrentTheme())?.base_attributes?.resilience || 10) + _conditionModifier('resilience'));
 /** @returns {string[]} An array of keys for all acquired traits. */
 export const getAcquiredTraitKeys = () => (Array.isArray(_currentUserThemeProgress?.acquiredTraitKeys) ? _currentUserThemeProgress.acquiredTraitKeys : []);
 /** @returns {number} The character's current strain level. */
 export const getCurrentStrainLevel = () => _currentRunStats.strainLevel || 1;
-/** @returns {string[]} An array of active condition strings. */
-export const getActiveConditions = () => _currentRunStats.conditions || [];
+/**
+ * @returns {object[]} The active conditions as the server last sent them ({ id, name, description, stacks,
+ *   remainingTurns, duration, attributes, rolls }).
+ */
+export const getActiveConditions = () => (Array.isArray(_currentRunStats.conditions) ? _currentRunStats.conditions : []);
 /** @returns {boolean} True if the user has toggled the "force roll" button on. */
 export const getIsForceRollToggled = () => _isForceRollToggled;
 export const setIsForceRollToggled = (isToggled) => {
@@ -310,6 +340,11 @@ export const setLandingSelectedThemeEvolvedLore = (lore) => {
     }
     _landingSelectedThemeEvolvedLore = lore || null;
 };
+/** @returns {{slots: Array<object>, maxSlots: number}} The save slots of the theme selected on the landing page. */
+export const getLandingSelectedThemeSlots = () => _landingSelectedThemeSlots;
+export const setLandingSelectedThemeSlots = (slots, maxSlots) => {
+  _landingSelectedThemeSlots = { slots: Array.isArray(slots) ? slots : [], maxSlots: maxSlots || 0 };
+};
 /** @returns {object} An object containing UI metadata for dashboard items (e.g., update dots). */
 export const getDashboardItemMeta = () => _dashboardItemMeta;
 export const setDashboardItemMeta = (meta) => {
@@ -384,6 +419,7 @@ export const clearVolatileGameState = () => {
   _dashboardItemMeta = {};
   _landingSelectedThemeProgress = null;
   _landingSelectedThemeEvolvedLore = null;
+  _landingSelectedThemeSlots = { slots: [], maxSlots: 0 };
   _pendingShardForFinalization = null;
   clearCurrentNewGameSettings();
 };
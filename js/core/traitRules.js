@@ -0,0 +1,91 @@
+/**
+ * @file Trait prerequisites, exclusions and tiers, as declared in a theme's traits.json (`tier`, `requires` and
+ * `excludes`, see server/utils/traitRules.js). The server enforces the same rules when a trait is chosen; the client
+ * uses them to offer only eligible traits and to draw the trait tree.
+ */
+
+/** The progress field holding the character's bonus to each attribute. */
+export const ATTRIBUTE_BONUS_FIELDS = {
+  integrity: 'maxIntegrityBonus',
+  willpower: 'maxWillpowerBonus',
+  aptitude: 'aptitudeBonus',
+  resilience: 'resilienceBonus',
+};
+
+/**
+ * Reads a trait's tier.
+ * @param {object} trait - The trait's definition.
+ * @returns {number} The tier, at least 1.
+ */
+export function getTraitTier(trait) {
+  return Number.isInteger(trait?.tier) && trait.tier > 0 ? trait.tier : 1;
+}
+
+/**
+ * Reads the traits a character has, including an heirloom trait.
+ * @param {object|null} progress - The UserThemeProgress.
+ * @returns {string[]}
+ */
+export function getOwnedTraitKeys(progress) {
+  const traitKeys = Array.isArray(progress?.acquiredTraitKeys) ? progress.acquiredTraitKeys : [];
+  return progress?.heirloomTraitKey && !traitKeys.includes(progress.heirloomTraitKey)
+    ? [...traitKeys, progress.heirloomTraitKey]
+    : traitKeys;
+}
+
+/**
+ * Computes a character's effective attributes.
+ * @param {object} baseAttributes - The theme's `base_attributes`.
+ * @param {object|null} progress - The UserThemeProgress.
+ * @returns {Object<string, number>} The attributes by name.
+ */
+export function getEffectiveAttributes(baseAttributes, progress) {
+  return Object.fromEntries(Object.entries(ATTRIBUTE_BONUS_FIELDS)
+    .map(([attribute, bonusField]) => [attribute, (baseAttributes?.[attribute] || 0) + (progress?.[bonusField] || 0)]));
+}
+
+/**
+ * Lists what keeps a character from acquiring a trait.
+ * @param {object} themeTraits - The theme's trait definitions.
+ * @param {string} traitKey - The trait.
+ * @param {object} character
+ * @param {number} character.level - The level the trait would be acquired at.
+ * @param {string[]} character.traitKeys - The traits the character has, from `getOwnedTraitKeys`.
+ * @param {Object<string, number>} character.attributes - The effective attributes, from `getEffectiveAttributes`.
+ * @returns {Array<{type: string, key?: string, value?: number}>} The unmet rules, empty if the trait is eligible:
+ *   `{ type: 'acquired' }`, `{ type: 'level', value }`, `{ type: 'trait', key }`, `{ type: 'attribute', key, value }`
+ *   or `{ type: 'excluded', key }`.
+ */
+export function getTraitBlockers(themeTraits, traitKey, { level, traitKeys, attributes }) {
+  const trait = themeTraits[traitKey];
+  if (traitKeys.includes(traitKey)) return [{ type: 'acquired' }];
+  const blockers = [];
+  const requires = trait?.requires || {};
+  if (Number.isInteger(requires.level) && level < requires.level) {
+    blockers.push({ type: 'level', value: requires.level });
+  }
+  (Array.isArray(requires.traits) ? requires.traits : [])
+    .filter(key => !traitKeys.includes(key))
+    .forEach(key => blockers.push({ type: 'trait', key }));
+  Object.entries(requires.attributes || {})
+    .filter(([attribute, value]) => (attributes[attribute] ?? 0) < value)
+    .forEach(([attribute, value]) => blockers.push({ type: 'attribute', key: attribute, value }));
+  const excludes = Array.isArray(trait?.excludes) ? trait.excludes : [];
+  traitKeys
+    .filter(key => excludes.includes(key) || (Array.isArray(themeTraits[key]?.excludes) && themeTraits[key].excludes.includes(traitKey)))
+    .forEach(key => blockers.push({ type: 'excluded', key }));
+  return blockers;
+}
+
+/**
+ * Lists the traits a character can acquire at a given level.
+ * @param {object} themeTraits - The theme's trait definitions.
+ * @param {object|null} progress - The UserThemeProgress.
+ * @param {object} baseAttributes - The theme's `base_attributes`.
+ * @param {number} level - The level the trait would be acquired at.
+ * @returns {string[]} The eligible trait keys.
+ */
+export function getEligibleTraitKeys(themeTraits, progress, baseAttributes, level) {
+  const character = { level, traitKeys: getOwnedTraitKeys(progress), attributes: getEffectiveAttributes(baseAttributes, progress) };
+  return Object.keys(themeTraits).filter(key => getTraitBlockers(themeTraits, key, character).length === 0);
+}
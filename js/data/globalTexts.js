@@ -78,12 +78,46 @@ export const globalTextData = {
       "confirm_new_game_title_theme": "Begin a New Chronicle in {THEME_NAME}?",
       "confirm_new_game_message_theme": "Starting a new journey will erase all progress for this character in {THEME_NAME}. This action cannot be undone. Are you sure you wish to start anew?",
       "confirm_new_game_generic": "Start a new journey in {THEME_NAME}? Your current progress in this world will be lost.",
+      "alert_save_slot_limit_reached": "All save slots of this world are taken. Delete a saved run on the landing page to begin another.",
+      "prompt_rename_save_slot_title": "Rename Saved Run",
+      "prompt_rename_save_slot_message": "Choose a new name for this run.",
+      "placeholder_save_slot_name": "Name of the run",
+      "confirm_delete_save_slot_title": "Delete Saved Run?",
+      "confirm_delete_save_slot_message": "The run \"{SLOT_NAME}\" will be deleted. Your character's progress and World Fragments are kept. This action cannot be undone.",
+      "button_timeline": "Timeline",
+      "aria_label_timeline": "Rewind this chronicle to an earlier turn",
+      "modal_title_timeline": "Timeline",
+      "timeline_none_found": "This chronicle has no saved turns yet.",
+      "timeline_active_branch_title": "Your Path",
+      "timeline_abandoned_branches_title": "Abandoned Paths",
+      "timeline_turn_label": "Turn {TURN}",
+      "timeline_current_marker": "(now)",
+      "timeline_branch_title": "Abandoned path, up to turn {TURN}",
+      "button_timeline_rewind": "Rewind Here",
+      "button_timeline_view_branch": "Read",
+      "button_timeline_back": "Back",
+      "confirm_rewind_title": "Rewind to Turn {TURN}?",
+      "confirm_rewind_message": "The story returns to turn {TURN} and continues from there. The turns after it are kept as an abandoned path you can read or return to. Character progress and World Fragments are not rewound.",
+      "system_rewound_to_turn": "Time folds back upon itself. The story resumes at turn {TURN}.",
+      "prompt_regenerate_turn_title": "Retell the Last Turn?",
+      "prompt_regenerate_turn_message": "The Game Master's last reply is discarded and your action is sent again. You may describe how the new reply should go. A retold turn counts toward your daily limit and awards no XP.",
+      "placeholder_regeneration_hint": "e.g. darker, more dialogue (optional)",
+      "button_regenerate_turn": "Retell",
+      "alert_regenerate_login_required": "Log in to retell a turn.",
+      "system_regenerating_turn": "The Game Master gathers the threads and tells it anew...",
+      "save_conflict_title": "This Run Was Continued Elsewhere",
+      "save_conflict_message": "This run was played on in another tab or on another device after it was loaded here, so the turns played here since then could not be saved. Load the latest state of the run to continue from there; the unsaved turns from here are discarded.",
+      "save_conflict_last_played": "Last played: {TIME}",
+      "save_conflict_last_action": "Last action there: \"{ACTION}\"",
+      "button_save_conflict_load_latest": "Load the Latest",
+      "button_save_conflict_leave": "Leave This Run",
       "tooltip_theme_playing": "Continue your adventure in {THEME_NAME}.",
       "tooltip_theme_liked": "Venture into the world of {THEME_NAME}.",
       "label_toggle_model": "Storyteller",
       "aria_label_toggle_model_specific": "Switch to {NEXT_MODEL_NAME} Storyteller",
       "aria_label_no_other_models_available": "Current Storyteller: {CURRENT_MODEL}. No other models with remaining calls are available.",
       "tooltip_model_toggle_usage": "Daily Usage: {ARIA_LABEL}",
+      "tooltip_model_usage_tokens": "{COUNT}/{LIMIT} tokens",
       "tooltip_model_toggle_anon_base": "Unlock more powerful Storytellers and save your progress. Register for a free account to begin.",
       "tooltip_model_toggle_usage_anon": "{BASE_TEXT}\nYour current usage: {DAILY_COUNT}/{DAILY_LIMIT} daily.",
       "system_model_switched": "System: Storyteller changed to {MODEL_NAME}.",
@@ -245,15 +279,47 @@ export const globalTextData = {
       "label_char_progress_resilience": "Base Resilience",
       "label_char_progress_traits": "Acquired Traits",
       "label_char_progress_no_traits": "No traits acquired yet.",
+      "label_trait_tree": "Trait Tree",
+      "label_trait_tree_hint": "Select a trait to see its requirements. Use the arrow keys to move through the tree.",
+      "label_trait_tier": "Tier {TIER}",
+      "trait_state_acquired": "Acquired",
+      "trait_state_available": "Available at next level-up",
+      "trait_state_locked": "Locked",
+      "trait_state_excluded": "Excluded",
+      "label_trait_requirements": "Requirements:",
+      "label_trait_no_requirements": "No requirements.",
+      "trait_requirement_level": "Level {LEVEL}",
+      "trait_requirement_trait": "Trait:",
+      "trait_requirement_attribute": "{ATTRIBUTE} {VALUE} or higher",
+      "trait_requirement_excludes": "Cannot be combined with:",
       "title_danger_zone": "Danger Zone",
       "button_reset_character": "Reset Character",
       "tooltip_reset_character": "Permanently erases all level progress, stats, and unlocked fragments for this character, allowing you to start fresh.",
       "confirm_reset_character_title": "Reset Character Progress?",
       "confirm_reset_character_message": "Are you sure? This will permanently erase all level progress, experience, and unlocked World Fragments for your character in {THEME_NAME}. This action cannot be undone.",
       "alert_character_reset_success_message": "Character progress for {THEME_NAME} has been reset.",
+      "label_char_progress_prestige_rank": "Prestige Rank",
+      "label_char_progress_legacies": "Legacies",
+      "label_char_progress_no_legacies": "No character has retired into a legacy yet.",
+      "label_heirloom_trait_tag": "Heirloom",
+      "label_legacy_entry": "{NAME} (Rank {RANK})",
+      "label_legacy_details": "Retired at level {LEVEL} on {DATE}. Heirloom: {HEIRLOOM}",
+      "button_retire_character": "Retire into Legacy",
+      "tooltip_retire_character": "Your character has reached the level cap. Retire them into a named legacy, pass one trait or World Fragment on as an heirloom, and start again at level 1 with a permanent bonus.",
+      "modal_title_prestige": "Retire into Legacy: {THEME_NAME}",
+      "modal_message_prestige": "Your character becomes a legacy of prestige rank {RANK}. Their next life starts at level 1 with a permanent bonus, keeping only the heirloom you choose. Their saved games and all other World Fragments of this world are removed.",
+      "label_legacy_name": "Legacy name",
+      "placeholder_legacy_name": "Leave empty to use the character's name",
+      "label_heirloom": "Heirloom",
+      "option_heirloom_trait": "Trait: {NAME}",
+      "option_heirloom_shard": "World Fragment: {NAME}",
+      "button_confirm_prestige": "Retire Character",
+      "alert_prestige_no_heirloom": "Your character has no trait or World Fragment to pass on as an heirloom yet.",
+      "alert_prestige_success_message": "{LEGACY_NAME} has retired at prestige rank {RANK}. A new life begins at level 1.",
       "char_panel_unnamed_protagonist": "Protagonist",
       "char_panel_placeholder_level": "Level 1",
       "char_panel_label_level": "Level",
+      "label_condition_turns_left": "Turns left: {TURNS}",
       "char_panel_label_integrity": "Integrity",
       "char_panel_label_willpower": "Willpower",
       "char_panel_label_aptitude": "Aptitude",
@@ -278,7 +344,17 @@ export const globalTextData = {
       "tooltip_store_button": "Visit the Store",
       "tooltip_store_locked_level": "The Store unlocks once your character reaches Level {MIN_LEVEL}.",
       "modal_title_store": "The Store",
-      "store_not_implemented_message": "The Store will be available in a future update. Keep adventuring!",
+      "store_balance_label": "{CURRENCY}: {BALANCE}",
+      "store_section_stock": "For Sale",
+      "store_stock_empty": "Nothing is on sale for your level yet.",
+      "store_item_level": "Level {LEVEL}",
+      "label_buy_price": "Price",
+      "button_buy": "Buy",
+      "button_sell": "Sell",
+      "store_message_bought": "Bought {ITEM} for {PRICE}.",
+      "store_message_sold": "Sold {ITEM} for {PRICE}.",
+      "store_error_conflict": "This run was changed elsewhere. Reload it before trading.",
+      "store_error_no_run": "Start a game in this world to visit its Store.",
       "xp_bar_label_xp": "XP:",
       "xp_bar_default_text": "XP: 0/100",
       "xp_bar_max_level": "MAX LEVEL",
@@ -327,6 +403,8 @@ export const globalTextData = {
       "alert_upgrade_failed_title": "Upgrade Failed",
       "alert_upgrade_failed_message": "There was an issue processing your upgrade. Please try again or contact support.",
       "tooltip_force_roll_toggle": "Force a dice roll for this action.",
+      "tooltip_regenerate_turn": "Ask the Game Master to retell the last turn.",
+      "aria_label_regenerate_turn": "Regenerate the last turn",
       "aria_label_force_roll_toggle": "Toggle Force Dice Roll",
       "tooltip_manage_subscription": "View and manage your subscription tier."
     },
@@ -399,12 +477,46 @@ export const globalTextData = {
       "confirm_new_game_title_theme": "Započít novou kroniku ve světě {THEME_NAME}?",
       "confirm_new_game_message_theme": "Zahájení nové cesty smaže veškerý postup pro tuto postavu ve světě {THEME_NAME}. Tuto akci nelze vrátit. Jsi si jist, že si přeješ začít znovu?",
       "confirm_new_game_generic": "Začít novou cestu ve světě {THEME_NAME}? Tvůj současný postup v tomto světě bude ztracen.",
+      "alert_save_slot_limit_reached": "Všechny ukládací pozice tohoto světa jsou obsazené. Pro začátek další cesty smaž uloženou hru na úvodní stránce.",
+      "prompt_rename_save_slot_title": "Přejmenovat Uloženou Hru",
+      "prompt_rename_save_slot_message": "Zvol nový název této hry.",
+      "placeholder_save_slot_name": "Název hry",
+      "confirm_delete_save_slot_title": "Smazat Uloženou Hru?",
+      "confirm_delete_save_slot_message": "Hra \"{SLOT_NAME}\" bude smazána. Postup tvé postavy a Fragmenty Světa zůstanou zachovány. Tuto akci nelze vrátit.",
+      "button_timeline": "Časová Osa",
+      "aria_label_timeline": "Vrátit tuto kroniku do dřívějšího tahu",
+      "modal_title_timeline": "Časová Osa",
+      "timeline_none_found": "Tato kronika zatím nemá žádné uložené tahy.",
+      "timeline_active_branch_title": "Tvá Cesta",
+      "timeline_abandoned_branches_title": "Opuštěné Cesty",
+      "timeline_turn_label": "Tah {TURN}",
+      "timeline_current_marker": "(nyní)",
+      "timeline_branch_title": "Opuštěná cesta, až do tahu {TURN}",
+      "button_timeline_rewind": "Vrátit Sem",
+      "button_timeline_view_branch": "Číst",
+      "button_timeline_back": "Zpět",
+      "confirm_rewind_title": "Vrátit se do tahu {TURN}?",
+      "confirm_rewind_message": "Příběh se vrátí do tahu {TURN} a bude pokračovat odtud. Pozdější tahy zůstanou jako opuštěná cesta, kterou si můžeš přečíst nebo se na ni vrátit. Postup postavy a Fragmenty Světa se nevracejí.",
+      "system_rewound_to_turn": "Čas se ohýbá sám do sebe. Příběh pokračuje od tahu {TURN}.",
+      "prompt_regenerate_turn_title": "Vyprávět Poslední Tah Znovu?",
+      "prompt_regenerate_turn_message": "Poslední odpověď Vypravěče bude zahozena a tvá akce odeslána znovu. Můžeš popsat, jak má nová odpověď vyznít. Znovu vyprávěný tah se započítává do denního limitu a nepřináší žádné XP.",
+      "placeholder_regeneration_hint": "např. temněji, více dialogů (nepovinné)",
+      "button_regenerate_turn": "Vyprávět Znovu",
+      "alert_regenerate_login_required": "Pro opětovné vyprávění tahu se přihlas.",
+      "system_regenerating_turn": "Vypravěč sbírá nitky a vypráví znovu...",
+      "save_conflict_title": "Tento Příběh Pokračoval Jinde",
+      "save_conflict_message": "V tomto příběhu se po jeho načtení zde hrálo v jiné záložce nebo na jiném zařízení, takže tahy odehrané zde od té doby nebylo možné uložit. Načti nejnovější stav příběhu a pokračuj odtud; neuložené tahy odsud budou zahozeny.",
+      "save_conflict_last_played": "Naposledy hráno: {TIME}",
+      "save_conflict_last_action": "Poslední akce tam: \"{ACTION}\"",
+      "button_save_conflict_load_latest": "Načíst Nejnovější",
+      "button_save_conflict_leave": "Opustit Příběh",
       "tooltip_theme_playing": "Pokračovat v cestě v {THEME_NAME}.",
       "tooltip_theme_liked": "Vydat se do světa {THEME_NAME}.",
       "label_toggle_model": "Vypravěč",
       "aria_label_toggle_model_specific": "Přepnout na Vypravěče {NEXT_MODEL_NAME}",
       "aria_label_no_other_models_available": "Současný Vypravěč: {CURRENT_MODEL}. Nejsou k dispozici žádné další modely se zbývajícími voláními.",
       "tooltip_model_toggle_usage": "Denní Využití: {ARIA_LABEL}",
+      "tooltip_model_usage_tokens": "{COUNT}/{LIMIT} tokenů",
       "tooltip_model_toggle_anon_base": "Odemkni si mocnější Vypravěče a ukládej svůj postup. Zaregistruj se zdarma a začni.",
       "tooltip_model_toggle_usage_anon": "{BASE_TEXT}\nTvé současné využití: {DAILY_COUNT}/{DAILY_LIMIT} denně, {HOURLY_COUNT}/{HOURLY_LIMIT} za hodinu.",
       "system_model_switched": "Systém: Vypravěč změněn na {MODEL_NAME}.",
@@ -568,15 +680,47 @@ export const globalTextData = {
       "label_char_progress_resilience": "Základní Odolnost",
       "label_char_progress_traits": "Získané Rysy",
       "label_char_progress_no_traits": "Zatím nebyly získány žádné rysy.",
+      "label_trait_tree": "Strom Rysů",
+      "label_trait_tree_hint": "Vyber rys a zobrazí se jeho požadavky. Stromem se pohybuješ šipkami.",
+      "label_trait_tier": "Stupeň {TIER}",
+      "trait_state_acquired": "Získaný",
+      "trait_state_available": "Dostupný při dalším postupu na vyšší úroveň",
+      "trait_state_locked": "Uzamčený",
+      "trait_state_excluded": "Vyloučený",
+      "label_trait_requirements": "Požadavky:",
+      "label_trait_no_requirements": "Žádné požadavky.",
+      "trait_requirement_level": "Úroveň {LEVEL}",
+      "trait_requirement_trait": "Rys:",
+      "trait_requirement_attribute": "{ATTRIBUTE} alespoň {VALUE}",
+      "trait_requirement_excludes": "Nelze kombinovat s:",
       "title_danger_zone": "Nebezpečná Zóna",
       "button_reset_character": "Resetovat Postavu",
       "tooltip_reset_character": "Trvale smaže veškerý postup, statistiky a odemčené fragmenty pro tuto postavu, což ti umožní začít znovu.",
       "confirm_reset_character_title": "Resetovat Postup Postavy?",
       "confirm_reset_character_message": "Jsi si jistý/á? Tímto trvale smažeš veškerý postup, úrovně, statistiky, zkušenosti a odemčené Fragmenty Světa pro tvou postavu v {THEME_NAME}. Tuto akci nelze vrátit.",
       "alert_character_reset_success_message": "Postup postavy pro {THEME_NAME} byl resetován.",
+      "label_char_progress_prestige_rank": "Prestižní Hodnost",
+      "label_char_progress_legacies": "Odkazy",
+      "label_char_progress_no_legacies": "Zatím žádná postava neodešla na odpočinek jako odkaz.",
+      "label_heirloom_trait_tag": "Dědictví",
+      "label_legacy_entry": "{NAME} (Hodnost {RANK})",
+      "label_legacy_details": "Odešla na odpočinek na úrovni {LEVEL} dne {DATE}. Dědictví: {HEIRLOOM}",
+      "button_retire_character": "Odejít jako Odkaz",
+      "tooltip_retire_character": "Tvá postava dosáhla maximální úrovně. Pošli ji na odpočinek jako pojmenovaný odkaz, předej jeden rys nebo Fragment Světa jako dědictví a začni znovu na úrovni 1 s trvalým bonusem.",
+      "modal_title_prestige": "Odejít jako Odkaz: {THEME_NAME}",
+      "modal_message_prestige": "Tvá postava se stane odkazem prestižní hodnosti {RANK}. Její další život začne na úrovni 1 s trvalým bonusem a zachová si jen dědictví, které zvolíš. Její uložené hry a všechny ostatní Fragmenty Světa tohoto světa budou odstraněny.",
+      "label_legacy_name": "Jméno odkazu",
+      "placeholder_legacy_name": "Ponech prázdné pro jméno postavy",
+      "label_heirloom": "Dědictví",
+      "option_heirloom_trait": "Rys: {NAME}",
+      "option_heirloom_shard": "Fragment Světa: {NAME}",
+      "button_confirm_prestige": "Poslat na Odpočinek",
+      "alert_prestige_no_heirloom": "Tvá postava zatím nemá žádný rys ani Fragment Světa, který by mohla předat jako dědictví.",
+      "alert_prestige_success_message": "{LEGACY_NAME} odchází na odpočinek v prestižní hodnosti {RANK}. Nový život začíná na úrovni 1.",
       "char_panel_unnamed_protagonist": "Protagonista",
       "char_panel_placeholder_level": "Úroveň 1",
       "char_panel_label_level": "Úroveň",
+      "label_condition_turns_left": "Zbývající tahy: {TURNS}",
       "char_panel_label_integrity": "Integrita",
       "char_panel_label_willpower": "Vůle",
       "char_panel_label_aptitude": "Schopnosti",
@@ -601,7 +745,17 @@ export const globalTextData = {
       "tooltip_store_button": "Navštívit Obchod",
       "tooltip_store_locked_level": "Obchod se odemkne, jakmile tvá postava dosáhne Úrovně {MIN_LEVEL}.",
       "modal_title_store": "Obchod",
-      "store_not_implemented_message": "Obchod bude dostupný v některé z budoucích aktualizací. Pokračuj v dobrodružství!",
+      "store_balance_label": "{CURRENCY}: {BALANCE}",
+      "store_section_stock": "Na prodej",
+      "store_stock_empty": "Pro tvou úroveň zatím není nic na prodej.",
+      "store_item_level": "Úroveň {LEVEL}",
+      "label_buy_price": "Cena",
+      "button_buy": "Koupit",
+      "button_sell": "Prodat",
+      "store_message_bought": "Koupeno: {ITEM} za {PRICE}.",
+      "store_message_sold": "Prodáno: {ITEM} za {PRICE}.",
+      "store_error_conflict": "Tento běh byl mezitím změněn jinde. Před obchodováním ho znovu načti.",
+      "store_error_no_run": "Pro návštěvu Obchodu začni v tomto světě hru.",
       "xp_bar_label_xp": "ZK:",
       "xp_bar_default_text": "ZK: 0/100",
       "xp_bar_max_level": "MAX. ÚROVEŇ",
@@ -650,6 +804,8 @@ export const globalTextData = {
       "alert_upgrade_failed_title": "Upgrade Selhal",
       "alert_upgrade_failed_message": "Během procesu upgradu se něco pokazilo. Zkus to prosím znovu nebo kontaktuj podporu.",
       "tooltip_force_roll_toggle": "Vynutit hod kostkou pro tuto akci.",
+      "tooltip_regenerate_turn": "Požádat Vypravěče, aby poslední tah vyprávěl znovu.",
+      "aria_label_regenerate_turn": "Znovu vygenerovat poslední tah",
       "aria_label_force_roll_toggle": "Přepnout Vynucení Hodu Kostkou",
       "tooltip_manage_subscription": "Zobrazit a spravovat úroveň tvého předplatného."
     }
@@ -667,6 +823,11 @@ export const globalTextData = {
       "landing_theme_concept_label": "Premise",
       "landing_choose_theme_button": "Begin Journey",
       "alert_select_theme_first": "Please select a scenario from the grid to begin.",
+      "landing_save_slots_title": "Saved Runs ({COUNT}/{MAX})",
+      "landing_save_slot_last_played": "Last played {DATE}",
+      "tooltip_save_slot_resume": "Continue the run \"{SLOT_NAME}\".",
+      "tooltip_save_slot_rename": "Rename this run",
+      "tooltip_save_slot_delete": "Delete this run",
       "aria_label_like_theme": "Add this world to your favorites",
       "aria_label_unlike_theme": "Remove this world from your favorites"
     },
@@ -682,6 +843,11 @@ export const globalTextData = {
       "landing_theme_concept_label": "Premisa",
       "landing_choose_theme_button": "Začít Cestu",
       "alert_select_theme_first": "Prosím, nejprve vyber scénář z mřížky.",
+      "landing_save_slots_title": "Uložené Hry ({COUNT}/{MAX})",
+      "landing_save_slot_last_played": "Naposledy hráno {DATE}",
+      "tooltip_save_slot_resume": "Pokračovat ve hře \"{SLOT_NAME}\".",
+      "tooltip_save_slot_rename": "Přejmenovat tuto hru",
+      "tooltip_save_slot_delete": "Smazat tuto hru",
       "aria_label_like_theme": "Přidat tento svět do oblíbených",
       "aria_label_unlike_theme": "Odebrat tento svět z oblíbených"
     }
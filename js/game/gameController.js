@@ -6,9 +6,10 @@
 // --- Core Application Logic & Services ---
 import * as state from '../core/state.js';
 import { log, LOG_LEVEL_INFO, LOG_LEVEL_ERROR, LOG_LEVEL_WARN, LOG_LEVEL_DEBUG } from '../core/logger.js';
-import { MAX_PLAYER_LEVEL, BOON_DEFINITIONS, MIN_LEVEL_FOR_STORE, XP_LEVELS } from '../core/config.js';
+import { MAX_PLAYER_LEVEL, BOON_DEFINITIONS, MIN_LEVEL_FOR_STORE, XP_LEVELS, STREAM_AI_RESPONSES } from '../core/config.js';
 // --- Business Logic Services ---
 import * as apiService from '../core/apiService.js';
+import { getEligibleTraitKeys } from '../core/traitRules.js';
 import * as authService from '../services/authService.js';
 import * as themeService from '../services/themeService.js';
 import * as aiService from '../services/aiService.js';
@@ -22,6 +23,7 @@ import * as landingPageManager from '../ui/landingPageManager.js';
 import * as dashboardManager from '../ui/dashboardManager.js';
 import * as characterPanelManager from '../ui/characterPanelManager.js';
 import * as worldShardsModalManager from '../ui/worldShardsModalManager.js';
+import * as timelineModalManager from '../ui/timelineModalManager.js';
 import * as suggestedActionsManager from '../ui/suggestedActionsManager.js';
 import * as modelToggleManager from '../ui/modelToggleManager.js';
 let _deferredInitialActionText = null;
@@ -59,6 +61,8 @@ async function _loadOrCreateUserThemeProgress(themeId) {
             aptitudeBonus: 0,
             resilienceBonus: 0,
             acquiredTraitKeys: [],
+            prestigeRank: 0,
+            heirloomTraitKey: null,
         };
     }
     state.setCurrentUserThemeProgress(progressData);
@@ -157,6 +161,8 @@ function _showAnimatedShardUnlock(title) {
 // =================================================================================================
 /**
  * Handles XP gain and checks for level-ups, triggering the boon selection flow if necessary.
+ * For signed-in players the server grants the XP with the save that records the turn, and the progress it returns
+ * then replaces the local one (see authService.saveCurrentGameState).
  * @param {number} xpAwarded - The amount of XP awarded this turn.
  * @private
  */
@@ -224,14 +230,16 @@ function _presentSecondaryBoonChoices(type) {
         _boonSelectionContext.step = 'secondary_trait';
         const themeId = state.getCurrentTheme();
         const allThemeTraits = themeService.getThemeTraits(themeId);
-        const acquiredTraitKeys = state.getAcquiredTraitKeys();
         if (!allThemeTraits) {
             log(LOG_LEVEL_ERROR, `Cannot offer trait boon: No traits defined for theme ${themeId}.`);
             storyLogManager.addMessageToLog("SYSTEM ERROR: Trait definitions for this theme are missing. Please choose another Boon.", "system-error");
             _presentPrimaryBoonChoices();
             return;
         }
-        const availableTraitKeys = Object.keys(allThemeTraits).filter(key => !acquiredTraitKeys.includes(key));
+        // Only traits whose prerequisites are met at the level this Boon reaches are offered.
+        const progress = state.getCurrentUserThemeProgress();
+        const baseAttributes = themeService.getThemeConfig(themeId)?.base_attributes;
+        const availableTraitKeys = getEligibleTraitKeys(allThemeTraits, progress, baseAttributes, (progress?.level || 1) + 1);
         if (availableTraitKeys.length === 0) {
             storyLogManager.addMessageToLog("No new traits available. Please choose another Boon.", "system-error");
             _presentPrimaryBoonChoices();
@@ -286,6 +294,24 @@ async function _handleBoonSelection(boonId, boonDisplayText) {
         return _applyBoonAndFinalize({ boonType: "NEW_TRAIT", value: traitKey });
     }
 }
+/**
+ * Leaves the Boon selection and restores the suggested actions it replaced.
+ * @private
+ */
+async function _endBoonSelection() {
+    state.setIsBoonSelectionPending(false);
+    _boonSelectionContext.step = 'none';
+    await _initializeCurrentRunStats();
+    characterPanelManager.updateCharacterPanel();
+    const restoredActions = state.getLastAiSuggestedActions();
+    state.setCurrentSuggestedActions(restoredActions || []);
+    suggestedActionsManager.displaySuggestedActions(state.getCurrentSuggestedActions());
+    uiUtils.setPlayerInputEnabled(true);
+    if (dom.playerActionInput) {
+        dom.playerActionInput.placeholder = state.getCurrentAiPlaceholder() || localizationService.getUIText("placeholder_command");
+        dom.playerActionInput.focus();
+    }
+}
 /**
  * Finalizes the boon application by calling the API and updating the UI after an animation frame.
  * @param {object} payload - The boon payload for the API.
@@ -304,23 +330,19 @@ function _applyBoonAndFinalize(payload) {
                 if (!currentUser?.token || !themeId) throw new Error("User or theme context lost during Boon finalization.");
                 const response = await apiService.applyBoonSelection(currentUser.token, themeId, payload);
                 state.setCurrentUserThemeProgress(response.userThemeProgress);
-                state.setIsBoonSelectionPending(false);
-                _boonSelectionContext.step = 'none';
-                await _initializeCurrentRunStats();
-                characterPanelManager.updateCharacterPanel();
-                const restoredActions = state.getLastAiSuggestedActions();
-                state.setCurrentSuggestedActions(restoredActions || []);
-                suggestedActionsManager.displaySuggestedActions(state.getCurrentSuggestedActions());
-                uiUtils.setPlayerInputEnabled(true);
-                if (dom.playerActionInput) {
-                    dom.playerActionInput.placeholder = state.getCurrentAiPlaceholder() || localizationService.getUIText("placeholder_command");
-                    dom.playerActionInput.focus();
-                }
+                await _endBoonSelection();
                 await authService.saveCurrentGameState(true);
             } catch (error) {
                 log(LOG_LEVEL_ERROR, "Error applying Boon:", error);
                 storyLogManager.addMessageToLog(localizationService.getUIText("error_api_call_failed", { ERROR_MSG: error.message || "Failed to apply Boon." }), "system system-error");
-                _presentPrimaryBoonChoices();
+                if (error.code === 'NO_BOON_PENDING') {
+                    // The server has no level-up to apply (e.g. it was applied elsewhere); continue with its progress.
+                    await _loadOrCreateUserThemeProgress(state.getCurrentTheme());
+                    await _endBoonSelection();
+                    await authService.saveCurrentGameState(true).catch(() => {});
+                } else {
+                    _presentPrimaryBoonChoices();
+                }
             } finally {
                 uiUtils.setGMActivityIndicator(false);
                 storyLogManager.removeLoadingIndicator();
@@ -342,7 +364,9 @@ function _presentInitialTraitChoices() {
         return;
     }
     const lang = state.getCurrentAppLanguage();
-    const traitKeys = Object.keys(allTraits);
+    // Only traits open to a level 1 character are offered; an heirloom trait counts as already acquired.
+    const baseAttributes = themeService.getThemeConfig(themeId)?.base_attributes;
+    const traitKeys = getEligibleTraitKeys(allTraits, state.getCurrentUserThemeProgress(), baseAttributes, 1);
     const traitsToOffer = traitKeys.sort(() => 0.5 - Math.random()).slice(0, 3);
     const traitChoices = traitsToOffer.map(key => {
         const localizedTrait = allTraits[key]?.[lang] || allTraits[key]?.['en'];
@@ -611,8 +635,62 @@ async function _handleUnequipItem(slotKey) {
 export function initGameController(dependencies) {
     _userThemeControlsManagerRef = dependencies.userThemeControlsManager;
     document.addEventListener('equipmentSlotClicked', () => showInventoryModal());
+    authService.setSaveConflictHandler(_handleSaveConflict);
     log(LOG_LEVEL_INFO, "GameController initialized.");
 }
+/**
+ * Lets the player resolve a save that was rejected because the run was continued in another tab or on another
+ * device: load the latest state of the run, discarding the turns played here, or leave the run.
+ * @param {object|null} serverState - The server's state of the run from the conflict response.
+ * @private
+ */
+function _handleSaveConflict(serverState) {
+    const themeId = state.getCurrentTheme();
+    if (!themeId) return;
+    log(LOG_LEVEL_WARN, `Save for theme ${themeId} rejected: the run was continued elsewhere (server revision ${serverState?.revision}).`);
+    const content = document.createElement('div');
+    const explanation = document.createElement('p');
+    explanation.textContent = localizationService.getUIText("save_conflict_message");
+    content.appendChild(explanation);
+    if (serverState?.last_played_at) {
+        const lastPlayed = document.createElement('p');
+        lastPlayed.textContent = localizationService.getUIText("save_conflict_last_played", { TIME: new Date(serverState.last_played_at).toLocaleString() });
+        content.appendChild(lastPlayed);
+    }
+    const lastPlayerTurn = [...(serverState?.recent_history || [])].reverse().find(entry => entry?.role === 'user');
+    const lastAction = lastPlayerTurn?.parts?.[0]?.text;
+    if (typeof lastAction === 'string' && lastAction.trim()) {
+        const lastActionP = document.createElement('p');
+        lastActionP.textContent = localizationService.getUIText("save_conflict_last_action", { ACTION: lastAction.trim() });
+        content.appendChild(lastActionP);
+    }
+    modalManager.showCustomModal({
+        type: 'custom',
+        titleKey: 'save_conflict_title',
+        htmlContent: content,
+        customActions: [
+            {
+                textKey: 'button_save_conflict_load_latest',
+                className: 'ui-button primary',
+                onClick: async () => {
+                    modalManager.hideCustomModal();
+                    state.clearVolatileGameState();
+                    await resumeGameSession(themeId, serverState?.slot_id || state.getCurrentSaveSlotId());
+                }
+            },
+            {
+                textKey: 'button_save_conflict_leave',
+                className: 'ui-button',
+                onClick: async () => {
+                    modalManager.hideCustomModal();
+                    // Nothing is left to save, so the run is left as it is on the server.
+                    state.clearVolatileGameState();
+                    await switchToLanding();
+                }
+            }
+        ]
+    });
+}
 /**
  * Handles the character's defeat when integrity reaches zero.
  * @private
@@ -636,18 +714,23 @@ async function _handleCharacterDefeat() {
         newGameText = localizationService.getUIText('button_new_game');
     }
     suggestedActionsManager.displaySuggestedActions([{ text: newGameText, isDefeatAction: true }]);
-    if (_userThemeControlsManagerRef) {
-        await _userThemeControlsManagerRef.setThemeAsNotPlaying(themeId);
-    }
     const currentUser = state.getCurrentUser();
+    let hasOtherSaveSlots = false;
     if (currentUser?.token) {
+        // Only the defeated run's save slot is lost; the theme's other runs stay playable.
         try {
-            await apiService.deleteGameState(currentUser.token, themeId);
+            await apiService.deleteGameState(currentUser.token, themeId, state.getCurrentSaveSlotId());
             log(LOG_LEVEL_INFO, `Game state for theme ${themeId} deleted from backend after defeat.`);
+            const slotsResponse = await apiService.fetchSaveSlots(currentUser.token, themeId);
+            hasOtherSaveSlots = (slotsResponse?.slots?.length || 0) > 0;
         } catch (error) {
             log(LOG_LEVEL_WARN, `Failed to delete game state for theme ${themeId} after defeat.`, error);
         }
     }
+    state.setCurrentSaveSlotId(null);
+    if (_userThemeControlsManagerRef && !hasOtherSaveSlots) {
+        await _userThemeControlsManagerRef.setThemeAsNotPlaying(themeId);
+    }
 }
 /**
  * Sets up the UI and state for a new game session.
@@ -747,25 +830,7 @@ export async function processPlayerAction(actionText, isGameStartingAction = fal
         return;
     }
 
-    let worldShardsPayload = "[]";
-    if (isGameStartingAction && state.getCurrentNewGameSettings()?.useEvolvedWorld) {
-        const currentUser = state.getCurrentUser();
-        const currentThemeId = state.getCurrentTheme();
-        if (currentUser?.token && currentThemeId) {
-            try {
-                const response = await apiService.fetchWorldShards(currentUser.token, currentThemeId);
-                const activeShards = response?.worldShards?.filter(s => s.isActiveForNewGames).map(s => ({
-                    loreFragmentKey: s.loreFragmentKey,
-                    loreFragmentTitle: s.loreFragmentTitle,
-                    loreFragmentContent: s.loreFragmentContent,
-                    unlockConditionDescription: s.unlockConditionDescription
-                })) || [];
-                if (activeShards.length > 0) worldShardsPayload = JSON.stringify(activeShards);
-            } catch (error) {
-                log(LOG_LEVEL_ERROR, "Failed to fetch world shards for initial turn:", error);
-            }
-        }
-    }
+    const useEvolvedWorld = isGameStartingAction && !!state.getCurrentNewGameSettings()?.useEvolvedWorld;
 
     if (!isGameStartingAction) {
         storyLogManager.renderMessage(actionText, "player");
@@ -782,9 +847,30 @@ export async function processPlayerAction(actionText, isGameStartingAction = fal
     storyLogManager.showLoadingIndicator();
 
     let wasMullOverTriggered = false;
+    // When streaming, dice and narrative chunks arrive before the turn completes. They are chained so the
+    // narrative only starts rendering once the dice animation has settled, as in the buffered flow.
+    let streamedNarrative = null;
+    let streamedDiceRendered = false;
+    let streamRenderQueue = Promise.resolve();
+    const streamHandlers = STREAM_AI_RESPONSES ? {
+        onDiceResults: (results) => {
+            streamedDiceRendered = true;
+            streamRenderQueue = streamRenderQueue.then(() => storyLogManager.renderDiceRoll(results));
+        },
+        onNarrativeDelta: (delta) => {
+            streamRenderQueue = streamRenderQueue.then(() => {
+                if (!streamedNarrative) {
+                    storyLogManager.removeLoadingIndicator();
+                    streamedNarrative = storyLogManager.beginStreamingMessage("gm");
+                }
+                streamedNarrative?.append(delta);
+            });
+        },
+    } : null;
 
     try {
-        const fullAiResponse = await aiService.processAiTurn(actionText, worldShardsPayload);
+        const fullAiResponse = await aiService.processAiTurn(actionText, useEvolvedWorld, streamHandlers);
+        await streamRenderQueue;
         storyLogManager.removeLoadingIndicator();
         if (fullAiResponse) {
             // Check for the special mull-over trigger first. This bypasses the normal turn rendering.
@@ -792,6 +878,7 @@ export async function processPlayerAction(actionText, isGameStartingAction = fal
                 if (fullAiResponse.new_persistent_lore_unlock) {
                     log(LOG_LEVEL_INFO, "Received 'trigger_mull_over' flag. Initiating shard reflection flow immediately.");
                     wasMullOverTriggered = true;
+                    streamedNarrative?.discard();
                     // This function now manages the entire sub-flow: AI call for deep dive, rendering, and showing implication choices.
                     await aiService.handleMullOverShardAction(fullAiResponse.new_persistent_lore_unlock);
                     return; // Stop processing this turn; the mull over flow takes over.
@@ -799,7 +886,7 @@ export async function processPlayerAction(actionText, isGameStartingAction = fal
                 log(LOG_LEVEL_WARN, "'trigger_mull_over' was true, but no shard data was provided. Proceeding normally.");
             }
             // If not a mull-over trigger, process as a normal turn.
-            if (fullAiResponse.dice_roll_results) {
+            if (fullAiResponse.dice_roll_results && !streamedDiceRendered) {
                 await storyLogManager.renderDiceRoll(fullAiResponse.dice_roll_results);
             }
             const updatesFromAI = fullAiResponse.dashboard_updates || {};
@@ -823,7 +910,11 @@ export async function processPlayerAction(actionText, isGameStartingAction = fal
             // This is the finalization turn. Set the unlock data to be saved to the backend.
             state.setCurrentTurnUnlockData(fullAiResponse.new_persistent_lore_unlock || null);
             // Render UI for the turn
-            storyLogManager.renderMessage(fullAiResponse.narrative, "gm");
+            if (streamedNarrative) {
+                streamedNarrative.finalize(fullAiResponse.narrative);
+            } else {
+                storyLogManager.renderMessage(fullAiResponse.narrative, "gm");
+            }
             dashboardManager.updateDashboard(updatesFromAI);
             characterPanelManager.updateCharacterPanel();
             modelToggleManager.updateModelToggleButtonAppearance();
@@ -849,6 +940,8 @@ export async function processPlayerAction(actionText, isGameStartingAction = fal
         }
     } catch (error) {
         log(LOG_LEVEL_ERROR, "Error during AI turn processing:", error);
+        await streamRenderQueue.catch(() => {});
+        streamedNarrative?.discard();
         storyLogManager.removeLoadingIndicator();
         if (!error.isHandled) {
             storyLogManager.addMessageToLog(localizationService.getUIText("error_api_call_failed", { ERROR_MSG: error.message }), "system system-error");
@@ -901,8 +994,9 @@ export async function handleIdentifierSubmission(identifier) {
 /**
  * Resumes an existing game session for the given theme, or starts a new one if none exists.
  * @param {string} themeId - The ID of the theme to resume.
+ * @param {string|null} [slotId=null] - The save slot to resume; without one, the most recently played slot.
  */
-export async function resumeGameSession(themeId) {
+export async function resumeGameSession(themeId, slotId = null) {
     log(LOG_LEVEL_INFO, `Resuming game session for theme: ${themeId}.`);
     state.setCurrentTheme(themeId);
     const dataLoaded = await themeService.ensureThemeDataLoaded(themeId);
@@ -925,11 +1019,14 @@ export async function resumeGameSession(themeId) {
         return initiateNewGameSessionFlow(themeId, true);
     }
     try {
-        const loadedData = await apiService.loadGameState(currentUser.token, themeId);
+        const loadedData = await apiService.loadGameState(currentUser.token, themeId, slotId);
         // Rehydrate State
+        state.setCurrentSaveSlotId(loadedData.id);
+        state.setCurrentSaveRevision(loadedData.revision);
         state.setCurrentUserThemeProgress(loadedData.userThemeProgress || null);
         await _loadOrCreateUserThemeProgress(themeId);
         await _initializeCurrentRunStats();
+        if (loadedData.run_stats) state.setCurrentRunStats(loadedData.run_stats);
         dashboardManager.updateDashboard(loadedData.last_dashboard_updates || {}, false);
         state.setPlayerIdentifier(loadedData.userThemeProgress?.characterName || loadedData.player_identifier || currentUser.email);
         state.setEquippedItems(loadedData.equipped_items || {});
@@ -995,10 +1092,10 @@ export async function resumeGameSession(themeId) {
     } catch (error) {
         if (error.code === 'GAME_STATE_NOT_FOUND') {
             log(LOG_LEVEL_INFO, `No saved game for theme '${themeId}'. Starting new game.`);
-            await initiateNewGameSessionFlow(themeId, true);
+            await initiateNewGameSessionFlow(themeId, true, true);
         } else {
             log(LOG_LEVEL_ERROR, `Error loading game state for ${themeId}:`, error);
-            await initiateNewGameSessionFlow(themeId, true);
+            await initiateNewGameSessionFlow(themeId, true, true);
         }
     }
 }
@@ -1006,11 +1103,13 @@ export async function resumeGameSession(themeId) {
  * Changes the active game theme, saving the current one if necessary.
  * @param {string} newThemeId - The ID of the theme to switch to.
  * @param {boolean} [forceNewGame=false] - If true, forces a new game start.
+ * @param {string|null} [slotId=null] - The save slot to resume; without one, the most recently played slot.
  */
-export async function changeActiveTheme(newThemeId, forceNewGame = false) {
+export async function changeActiveTheme(newThemeId, forceNewGame = false, slotId = null) {
     log(LOG_LEVEL_INFO, `Changing active theme to: ${newThemeId}`);
     const currentThemeId = state.getCurrentTheme();
-    if (currentThemeId === newThemeId && !forceNewGame) {
+    const isSameSlot = !slotId || slotId === state.getCurrentSaveSlotId();
+    if (currentThemeId === newThemeId && !forceNewGame && isSameSlot) {
         log(LOG_LEVEL_INFO, `Theme ${newThemeId} is already active. Ensuring game view.`);
         landingPageManager.switchToGameView(newThemeId);
         return;
@@ -1026,7 +1125,7 @@ export async function changeActiveTheme(newThemeId, forceNewGame = false) {
         if (forceNewGame) {
             await initiateNewGameSessionFlow(newThemeId, true);
         } else {
-            await resumeGameSession(newThemeId);
+            await resumeGameSession(newThemeId, slotId);
         }
     } catch (error) {
         log(LOG_LEVEL_ERROR, `Error in changeActiveTheme for ${newThemeId}:`, error);
@@ -1044,12 +1143,14 @@ export async function changeActiveTheme(newThemeId, forceNewGame = false) {
  * Initiates a new game session after user confirmation and world type choice.
  * @param {string} themeId - The ID of the theme to start.
  * @param {boolean} [skipConfirmation=false] - If true, skips the confirmation dialog.
+ * @param {boolean} [inNewSaveSlot=false] - If true, a signed-in player's new run gets its own save slot and the
+ *   theme's other runs are kept; otherwise the current save slot is restarted.
  */
-export async function initiateNewGameSessionFlow(themeId, skipConfirmation = false) {
-    log(LOG_LEVEL_INFO, `New game flow for theme: ${themeId}. Skip confirmation: ${skipConfirmation}`);
+export async function initiateNewGameSessionFlow(themeId, skipConfirmation = false, inNewSaveSlot = false) {
+    log(LOG_LEVEL_INFO, `New game flow for theme: ${themeId}. Skip confirmation: ${skipConfirmation}. New save slot: ${inNewSaveSlot}`);
     const currentUser = state.getCurrentUser();
     const themeIsActive = currentUser ? state.getPlayingThemes().includes(themeId) : (state.getCurrentTheme() === themeId && state.getGameHistory().length > 0);
-    if (!skipConfirmation && themeIsActive) {
+    if (!skipConfirmation && !(inNewSaveSlot && currentUser?.token) && themeIsActive) {
         const themeConfig = themeService.getThemeConfig(themeId);
         const themeDisplayName = themeConfig ? localizationService.getUIText(themeConfig.name_key, {}, { explicitThemeContext: themeId }) : themeId;
         const confirmed = await modalManager.showGenericConfirmModal({
@@ -1065,10 +1166,27 @@ export async function initiateNewGameSessionFlow(themeId, skipConfirmation = fal
     }
     let preservedLore = '';
     let preservedSummary = '';
-    if (currentUser?.token) {
+    if (currentUser?.token && inNewSaveSlot) {
+        try {
+            const slotResponse = await apiService.createSaveSlot(currentUser.token, themeId);
+            state.setCurrentSaveSlotId(slotResponse.slot.id);
+            state.setCurrentSaveRevision(slotResponse.slot.revision);
+            log(LOG_LEVEL_INFO, `New save slot '${slotResponse.slot.slot_name}' created for theme ${themeId}.`);
+        } catch (error) {
+            if (error.code === 'SAVE_SLOT_LIMIT_REACHED') {
+                modalManager.showCustomModal({ type: "alert", titleKey: "alert_title_notice", messageKey: "alert_save_slot_limit_reached" });
+                return;
+            }
+            log(LOG_LEVEL_ERROR, `Could not create a save slot for theme ${themeId}. Will proceed with a fresh local state.`, error.message);
+            state.setCurrentSaveSlotId(null);
+        }
+    } else if (currentUser?.token) {
         try {
             // Instead of deleting the whole state, start a new session which preserves lore/summary on the backend.
-            const sessionResponse = await apiService.startNewGameSession(currentUser.token, themeId);
+            const currentSlotId = state.getCurrentTheme() === themeId ? state.getCurrentSaveSlotId() : null;
+            const sessionResponse = await apiService.startNewGameSession(currentUser.token, themeId, currentSlotId);
+            state.setCurrentSaveSlotId(sessionResponse?.slot_id || null);
+            state.setCurrentSaveRevision(sessionResponse?.revision);
             preservedLore = sessionResponse?.game_history_lore || '';
             preservedSummary = sessionResponse?.game_history_summary || '';
             log(LOG_LEVEL_INFO, 'New session started on backend. Preserved lore/summary retrieved.');
@@ -1136,6 +1254,178 @@ export async function initiateCharacterResetFlow(themeId) {
         modalManager.showCustomModal({ type: "alert", titleKey: "alert_title_error", messageKey: "error_api_call_failed", replacements: { ERROR_MSG: error.message } });
     }
 }
+/**
+ * Initiates the flow for retiring a level-capped character into a legacy. The player names the legacy and picks one
+ * heirloom, a trait or a World Shard, to pass on; the character then restarts at level 1 of the next prestige rank.
+ * @param {string} themeId - The ID of the theme.
+ */
+export async function initiatePrestigeFlow(themeId) {
+    log(LOG_LEVEL_INFO, `Initiating prestige for theme: ${themeId}.`);
+    const currentUser = state.getCurrentUser();
+    if (!currentUser?.token) {
+        modalManager.showCustomModal({ type: "alert", titleKey: "alert_title_error", messageKey: "error_api_call_failed", replacements: { ERROR_MSG: "You must be logged in." } });
+        return;
+    }
+    const progress = state.getCurrentTheme() === themeId ? state.getCurrentUserThemeProgress() : state.getLandingSelectedThemeProgress();
+    const themeNameKey = themeService.getThemeConfig(themeId)?.name_key || themeId;
+    const localizedThemeName = localizationService.getUIText(themeNameKey, {}, { explicitThemeContext: themeId });
+    const allThemeTraits = themeService.getThemeTraits(themeId) || {};
+    const lang = state.getCurrentAppLanguage();
+    const traitKeys = [...new Set([...(progress?.acquiredTraitKeys || []), ...(progress?.heirloomTraitKey ? [progress.heirloomTraitKey] : [])])];
+    const heirloomOptions = traitKeys.map(traitKey => {
+        const localizedTrait = allThemeTraits[traitKey]?.[lang] || allThemeTraits[traitKey]?.['en'];
+        return {
+            value: `trait:${traitKey}`,
+            textKey: localizationService.getUIText("option_heirloom_trait", { NAME: localizedTrait?.name || traitKey }),
+            descriptionKey: localizedTrait?.description,
+        };
+    });
+    try {
+        const shardsResponse = await apiService.fetchWorldShards(currentUser.token, themeId);
+        (shardsResponse.worldShards || []).forEach(shard => {
+            heirloomOptions.push({
+                value: `shard:${shard.id}`,
+                textKey: localizationService.getUIText("option_heirloom_shard", { NAME: shard.loreFragmentTitle }),
+                descriptionKey: shard.unlockConditionDescription,
+            });
+        });
+    } catch (error) {
+        log(LOG_LEVEL_WARN, `Could not load World Shards as heirloom options for theme ${themeId}:`, error.message);
+    }
+    if (heirloomOptions.length === 0) {
+        modalManager.showCustomModal({ type: "alert", titleKey: "alert_title_notice", messageKey: "alert_prestige_no_heirloom" });
+        return;
+    }
+    modalManager.hideCustomModal();
+    const result = await modalManager.showCustomModal({
+        type: "form",
+        titleKey: "modal_title_prestige",
+        messageKey: "modal_message_prestige",
+        replacements: { THEME_NAME: localizedThemeName, RANK: (progress?.prestigeRank || 0) + 1 },
+        explicitThemeContext: themeId,
+        formFields: [
+            { id: "prestigeLegacyName", type: "text", labelKey: "label_legacy_name", placeholderKey: "placeholder_legacy_name", value: progress?.characterName || "" },
+            { id: "prestigeHeirloom", type: "select", labelKey: "label_heirloom", options: heirloomOptions },
+        ],
+        confirmTextKey: "button_confirm_prestige",
+        onSubmit: async (formData) => {
+            const [heirloomType, ...heirloomIdParts] = formData.prestigeHeirloom.split(":");
+            const heirloomId = heirloomIdParts.join(":");
+            const response = await apiService.retireCharacter(currentUser.token, themeId, {
+                legacy_name: formData.prestigeLegacyName.trim() || undefined,
+                ...(heirloomType === "trait" ? { heirloom_trait_key: heirloomId } : { heirloom_shard_id: heirloomId }),
+            });
+            return { success: true, data: response };
+        },
+    });
+    if (!result?.success) {
+        log(LOG_LEVEL_INFO, "User cancelled prestige.");
+        return;
+    }
+    const { legacy, userThemeProgress } = result.data;
+    log(LOG_LEVEL_INFO, `Character of theme ${themeId} retired into legacy '${legacy.name}' (rank ${legacy.rank}).`);
+    // The retired character's runs were removed with it.
+    if (state.getCurrentTheme() === themeId) {
+        state.setCurrentTheme(null);
+        await switchToLanding();
+    }
+    state.setLandingSelectedThemeProgress(userThemeProgress);
+    state.setPlayingThemes(state.getPlayingThemes().filter(id => id !== themeId));
+    _userThemeControlsManagerRef.updateTopbarThemeIcons();
+    await landingPageManager.fetchShapedWorldStatusAndUpdateGrid();
+    if (state.getCurrentLandingGridSelection() === themeId) {
+        await landingPageManager.handleThemeGridSelection(themeId, false);
+    }
+    modalManager.showCustomModal({
+        type: "alert",
+        titleKey: "alert_title_notice",
+        messageKey: "alert_prestige_success_message",
+        replacements: { LEGACY_NAME: legacy.name, RANK: legacy.rank },
+    });
+}
+/**
+ * Rewinds the current run to an earlier turn checkpoint and reloads it. The turns after the checkpoint are kept as
+ * an abandoned branch, and the next action branches from the checkpoint.
+ * @param {string} checkpointId - The checkpoint to rewind to.
+ * @param {number} turnNumber - The checkpoint's turn number, for the confirmation dialog.
+ */
+export async function rewindToCheckpoint(checkpointId, turnNumber) {
+    const themeId = state.getCurrentTheme();
+    const currentUser = state.getCurrentUser();
+    if (!themeId || !currentUser?.token) return;
+    const confirmed = await modalManager.showGenericConfirmModal({
+        titleKey: "confirm_rewind_title",
+        messageKey: "confirm_rewind_message",
+        replacements: { TURN: turnNumber },
+    });
+    if (!confirmed) {
+        log(LOG_LEVEL_INFO, "User cancelled rewind.");
+        return;
+    }
+    modalManager.hideCustomModal();
+    uiUtils.setGMActivityIndicator(true);
+    try {
+        // Unsaved turns become part of the branch being left.
+        await authService.saveCurrentGameState();
+        const response = await apiService.rewindToCheckpoint(currentUser.token, themeId, checkpointId);
+        log(LOG_LEVEL_INFO, `Rewound theme ${themeId} to checkpoint ${checkpointId} (turn ${response.turn_number}).`);
+        state.clearVolatileGameState();
+        await resumeGameSession(themeId, response.slot_id);
+        storyLogManager.addMessageToLog(localizationService.getUIText("system_rewound_to_turn", { TURN: response.turn_number }), "system");
+    } catch (error) {
+        log(LOG_LEVEL_ERROR, `Failed to rewind to checkpoint ${checkpointId}:`, error);
+        if (!error.isHandled) {
+            modalManager.showCustomModal({ type: "alert", titleKey: "alert_title_error", messageKey: "error_api_call_failed", replacements: { ERROR_MSG: error.message } });
+        }
+    } finally {
+        uiUtils.setGMActivityIndicator(false);
+    }
+}
+/**
+ * Regenerates the last turn of the current run: the server discards it and restores the state before it, and the
+ * same player action is sent again, optionally with a steering hint. The new reply awards no XP.
+ */
+export async function regenerateLastTurn() {
+    const themeId = state.getCurrentTheme();
+    const currentUser = state.getCurrentUser();
+    if (!themeId) return;
+    if (!currentUser?.token) {
+        modalManager.showCustomModal({ type: "alert", titleKey: "alert_title_notice", messageKey: "alert_regenerate_login_required" });
+        return;
+    }
+    const hint = await modalManager.showCustomModal({
+        type: "prompt",
+        titleKey: "prompt_regenerate_turn_title",
+        messageKey: "prompt_regenerate_turn_message",
+        inputPlaceholderKey: "placeholder_regeneration_hint",
+        confirmTextKey: "button_regenerate_turn",
+    });
+    if (hint === null) {
+        log(LOG_LEVEL_INFO, "User cancelled turn regeneration.");
+        return;
+    }
+    uiUtils.setGMActivityIndicator(true);
+    let regeneration;
+    try {
+        await authService.saveCurrentGameState();
+        regeneration = await apiService.regenerateLastTurn(currentUser.token, themeId, state.getCurrentSaveSlotId(), hint.trim() || null);
+    } catch (error) {
+        log(LOG_LEVEL_ERROR, "Failed to discard the last turn for regeneration:", error);
+        if (!error.isHandled) {
+            modalManager.showCustomModal({ type: "alert", titleKey: "alert_title_error", messageKey: "error_api_call_failed", replacements: { ERROR_MSG: error.message } });
+        }
+        uiUtils.setGMActivityIndicator(false);
+        return;
+    }
+    log(LOG_LEVEL_INFO, `Last turn of theme ${themeId} discarded; regenerating from turn ${regeneration.turn_number}.`);
+    state.clearVolatileGameState();
+    await resumeGameSession(themeId, regeneration.slot_id);
+    // A resent suggested action keeps its dice roll.
+    const suggestedAction = state.getCurrentSuggestedActions().find(action => (action?.text ?? action) === regeneration.player_action);
+    if (suggestedAction) state.setSelectedSuggestedAction(suggestedAction);
+    storyLogManager.addMessageToLog(localizationService.getUIText("system_regenerating_turn"), "system");
+    await processPlayerAction(regeneration.player_action);
+}
 /**
  * Switches the UI to the landing page view, saving state if necessary.
  */
@@ -1147,6 +1437,7 @@ export async function switchToLanding() {
     state.clearVolatileGameState();
     storyLogManager.clearStoryLogDOM();
     state.setCurrentTheme(null);
+    state.setCurrentSaveSlotId(null);
     state.setIsInitialGameLoad(true);
     state.setIsBoonSelectionPending(false);
     state.setIsRunActive(true); // Default to active for landing page
@@ -1211,13 +1502,158 @@ export function handleGameStateIndicatorsChange(newIndicators, isInitialBoot = f
     });
 }
 /**
- * Shows the Store modal for the current theme.
+ * Creates a Store entry for an item on sale or in the backpack, with its price and a Buy or Sell button.
+ * The entry expands to the item's description and effect.
+ * @param {object} item - The item definition.
+ * @param {'buy'|'sell'} action - The transaction the button makes.
+ * @param {number} balance - The currency balance, which disables unaffordable purchases.
+ * @param {Function} onAction - Called with the action and the item ID when the button is clicked.
+ * @returns {HTMLLIElement}
+ * @private
  */
-export function showStoreModal() {
-    const themeId = state.getCurrentTheme();
-    if (!themeId) return;
-    log(LOG_LEVEL_INFO, `Showing placeholder Store modal for theme: ${themeId}`);
-    modalManager.showCustomModal({ type: 'alert', titleKey: 'modal_title_store', messageKey: 'store_not_implemented_message' });
+function _createStoreItemElement(item, action, balance, onAction) {
+    const lang = localizationService.getApplicationLanguage();
+    const price = action === 'buy' ? item.buyPrice : item.sellPrice;
+    const listItem = document.createElement('li');
+    listItem.className = 'inventory-item-detailed store-item';
+    listItem.addEventListener('click', (e) => {
+        if (e.target.closest('button')) return;
+        listItem.classList.toggle('is-expanded');
+    });
+    const itemHeader = document.createElement('div');
+    itemHeader.className = 'inventory-slot-header';
+    const levelLabel = document.createElement('span');
+    levelLabel.className = 'inventory-item-slot-label';
+    levelLabel.textContent = localizationService.getUIText('store_item_level', { LEVEL: item.level || 1 });
+    const itemName = document.createElement('span');
+    itemName.className = 'inventory-item-name';
+    itemName.textContent = item.name?.[lang] || item.name?.['en'] || item.id;
+    const actions = document.createElement('span');
+    actions.className = 'store-item-actions';
+    const priceLabel = document.createElement('span');
+    priceLabel.className = 'store-item-price';
+    priceLabel.textContent = localizationService.getUIText(action === 'buy' ? 'label_buy_price' : 'label_sell_price') + `: ${price ?? '—'}`;
+    const actionButton = document.createElement('button');
+    actionButton.className = 'ui-button small inventory-action-button';
+    actionButton.textContent = localizationService.getUIText(action === 'buy' ? 'button_buy' : 'button_sell');
+    actionButton.disabled = !price || (action === 'buy' && price > balance);
+    actionButton.addEventListener('click', () => onAction(action, item.id));
+    actions.append(priceLabel, actionButton);
+    itemHeader.append(levelLabel, itemName, actions);
+    listItem.appendChild(itemHeader);
+    const details = document.createElement('div');
+    details.className = 'inventory-item-details';
+    [item.description, item.itemEffectDescription].forEach(text => {
+        const localizedText = text?.[lang] || text?.['en'];
+        if (!localizedText) return;
+        const paragraph = document.createElement('p');
+        paragraph.className = 'inventory-item-description';
+        paragraph.textContent = localizedText;
+        details.appendChild(paragraph);
+    });
+    if (details.hasChildNodes()) listItem.appendChild(details);
+    return listItem;
+}
+/**
+ * Builds the content of the Store modal: the balance, the stock and the backpack.
+ * @param {string} themeId - The theme ID.
+ * @param {object} store - The store from `apiService.fetchStore`, updated by transactions.
+ * @param {{text: string, isError: boolean}|null} notice - The outcome of the last transaction, if any.
+ * @param {Function} onAction - Called with the action and the item ID when a Buy or Sell button is clicked.
+ * @returns {HTMLElement}
+ * @private
+ */
+function _buildStoreModalContent(themeId, store, notice, onAction) {
+    const themeConfig = themeService.getThemeConfig(themeId);
+    const dashboardItems = [...(themeConfig?.dashboard_config?.left_panel || []), ...(themeConfig?.dashboard_config?.right_panel || [])].flatMap(p => p.items || []);
+    const currencyConfig = dashboardItems.find(i => i.id === store.currency.dashboard_id);
+    const currencyName = currencyConfig ? localizationService.getUIText(currencyConfig.label_key, {}, { explicitThemeContext: themeId }) : store.currency.dashboard_id;
+    const modalContent = document.createElement('div');
+    modalContent.className = 'inventory-modal-content store-modal-content';
+    const balance = document.createElement('p');
+    balance.className = 'store-balance';
+    balance.textContent = localizationService.getUIText('store_balance_label', { CURRENCY: currencyName, BALANCE: store.currency.balance });
+    modalContent.appendChild(balance);
+    if (notice) {
+        const noticeElement = document.createElement('p');
+        noticeElement.className = notice.isError ? 'store-notice error' : 'store-notice';
+        noticeElement.setAttribute('role', 'status');
+        noticeElement.textContent = notice.text;
+        modalContent.appendChild(noticeElement);
+    }
+    const createSection = (titleKey, items, action, emptyKey) => {
+        const section = document.createElement('div');
+        section.className = 'inventory-section';
+        const title = document.createElement('h4');
+        title.textContent = localizationService.getUIText(titleKey);
+        section.appendChild(title);
+        if (items.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'inventory-list detailed';
+            items.forEach(item => list.appendChild(_createStoreItemElement(item, action, store.currency.balance, onAction)));
+            section.appendChild(list);
+        } else {
+            const emptyMessage = document.createElement('p');
+            emptyMessage.textContent = localizationService.getUIText(emptyKey);
+            section.appendChild(emptyMessage);
+        }
+        return section;
+    };
+    modalContent.appendChild(createSection('store_section_stock', store.stock, 'buy', 'store_stock_empty'));
+    modalContent.appendChild(createSection('modal_title_backpack', store.inventory, 'sell', 'inventory_backpack_empty'));
+    return modalContent;
+}
+/**
+ * Shows the Store of a theme. Items on sale up to the character's level can be bought into the backpack and items
+ * in the backpack sold, against the theme's currency; the server validates and records every transaction. When the
+ * Store belongs to the run being played, the run's backpack, currency and save revision follow each transaction.
+ * @param {string} [themeId] - The theme ID; defaults to the current theme.
+ */
+export async function showStoreModal(themeId = state.getCurrentTheme()) {
+    const currentUser = state.getCurrentUser();
+    if (!themeId || !currentUser?.token) return;
+    const isCurrentRun = state.getCurrentTheme() === themeId;
+    let store;
+    try {
+        store = await apiService.fetchStore(currentUser.token, themeId, isCurrentRun ? state.getCurrentSaveSlotId() : null);
+    } catch (error) {
+        log(LOG_LEVEL_ERROR, `Failed to load the store for theme ${themeId}:`, error);
+        const messageKey = { STORE_LOCKED: 'tooltip_store_locked_level', GAME_STATE_NOT_FOUND: 'store_error_no_run' }[error.code] || 'error_api_call_failed';
+        modalManager.showCustomModal({ type: 'alert', titleKey: 'modal_title_store', messageKey, replacements: { MIN_LEVEL: MIN_LEVEL_FOR_STORE, ERROR_MSG: error.message } });
+        return;
+    }
+    log(LOG_LEVEL_INFO, `Showing the store of theme ${themeId} (slot ${store.slot_id}, ${store.stock.length} items on sale).`);
+    const lang = localizationService.getApplicationLanguage();
+    const render = (notice = null) => {
+        if (!dom.customModalMessage) return;
+        dom.customModalMessage.innerHTML = '';
+        dom.customModalMessage.appendChild(_buildStoreModalContent(themeId, store, notice, handleTransaction));
+    };
+    const handleTransaction = async (action, itemId) => {
+        // The run being played may have been saved since the store was opened.
+        const baseRevision = isCurrentRun && state.getCurrentSaveSlotId() === store.slot_id ? state.getCurrentSaveRevision() : store.revision;
+        try {
+            const result = await apiService.executeStoreTransaction(currentUser.token, themeId, { action, item_id: itemId, slot_id: store.slot_id, base_revision: baseRevision });
+            store = { ...store, revision: result.revision, currency: result.currency, inventory: result.inventory };
+            if (isCurrentRun && state.getCurrentTheme() === themeId) {
+                state.setCurrentInventory(result.inventory);
+                state.setCurrentSaveRevision(result.revision);
+                state.setLastKnownDashboardUpdates({ [result.currency.dashboard_id]: String(result.currency.balance) });
+                dashboardManager.updateDashboardItem(result.currency.dashboard_id, String(result.currency.balance), true);
+            }
+            const itemName = result.item.name?.[lang] || result.item.name?.['en'] || result.item.id;
+            render({ text: localizationService.getUIText(action === 'buy' ? 'store_message_bought' : 'store_message_sold', { ITEM: itemName, PRICE: result.price }), isError: false });
+        } catch (error) {
+            log(LOG_LEVEL_WARN, `Store transaction '${action}' of item ${itemId} failed:`, error.message);
+            render({ text: error.code === 'GAME_STATE_CONFLICT' ? localizationService.getUIText('store_error_conflict') : error.message, isError: true });
+        }
+    };
+    modalManager.showCustomModal({
+        type: 'custom',
+        titleKey: 'modal_title_store',
+        htmlContent: _buildStoreModalContent(themeId, store, null, handleTransaction),
+        customActions: [{ textKey: 'modal_ok_button', className: 'ui-button primary', onClick: () => modalManager.hideCustomModal() }]
+    });
 }
 /**
  * Shows the Inventory modal.
@@ -1249,3 +1685,10 @@ export function showConfigureShardsModal(themeId) {
 export function showCharacterProgressModal(themeId) {
     characterPanelManager.showCharacterProgressModal(themeId);
 }
+/**
+ * Shows the Timeline modal of the current run.
+ * @param {string} themeId - The theme ID for which to show the modal.
+ */
+export function showTimelineModal(themeId) {
+    timelineModalManager.showTimelineModal(themeId);
+}
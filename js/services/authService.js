@@ -9,6 +9,22 @@ import * as config from '../core/config.js';
 import { log, LOG_LEVEL_INFO, LOG_LEVEL_ERROR, LOG_LEVEL_WARN, LOG_LEVEL_DEBUG } from '../core/logger.js';
 import { getUIText } from './localizationService.js';
 
+// Called with the server's state of the run when a save is rejected because the run was continued elsewhere.
+let _saveConflictHandler = null;
+
+const LORE_JOB_POLL_INTERVAL_MS = 5000;
+const LORE_JOB_MAX_POLLS = 36;
+
+/**
+ * Registers the function that resolves save conflicts, i.e. saves rejected because another tab or device
+ * continued the run since this client loaded it, or because the client did not hold the slot's revision.
+ * @param {Function|null} handler - Receives the server's `{ slot_id, slot_name, revision, last_played_at,
+ *   recent_history }`, or null if it could not be loaded.
+ */
+export function setSaveConflictHandler(handler) {
+  _saveConflictHandler = handler;
+}
+
 /**
  * Returns a map defining which models are available for each user tier,
  * using the latest model names from the config.
@@ -118,6 +134,39 @@ export async function handleLogin(email, password) {
   }
 }
 
+/**
+ * Follows the background job that weaves a newly unlocked World Shard into the lore, and updates the local lore
+ * once it is done. The job is retried on the server if it fails; if it takes longer than this follows it, the new
+ * lore arrives with the next load of the run.
+ * @param {string} token - The user's JWT.
+ * @param {string} themeId - The theme of the saved run.
+ * @param {string} jobId - The job ID from the save response.
+ * @private
+ */
+async function _followLoreJob(token, themeId, jobId) {
+  for (let poll = 0; poll < LORE_JOB_MAX_POLLS; poll++) {
+    await new Promise(resolve => setTimeout(resolve, LORE_JOB_POLL_INTERVAL_MS));
+    if (state.getCurrentTheme() !== themeId) return;
+    try {
+      const { job } = await apiService.fetchBackgroundJob(token, themeId, jobId);
+      if (job.status === 'succeeded') {
+        if (job.result?.lore && state.getCurrentTheme() === themeId) {
+          log(LOG_LEVEL_INFO, 'World Shard woven into the lore. Updating local state.');
+          state.setLastKnownEvolvedWorldLore(job.result.lore);
+        }
+        return;
+      }
+      if (job.status === 'failed') {
+        log(LOG_LEVEL_WARN, `Weaving the World Shard into the lore failed: ${job.last_error}`);
+        return;
+      }
+    } catch (error) {
+      log(LOG_LEVEL_WARN, 'Could not check the lore integration job:', error.message);
+      return;
+    }
+  }
+}
+
 /**
  * Handles user logout by clearing credentials and resetting state to anonymous defaults.
  */
@@ -137,6 +186,7 @@ export function handleLogout() {
   localStorage.removeItem(config.CURRENT_THEME_STORAGE_KEY);
   localStorage.removeItem(config.LANDING_SELECTED_GRID_THEME_KEY);
   state.setCurrentTheme(null);
+  state.setCurrentSaveSlotId(null);
   state.setCurrentLandingGridSelection(null);
   state.clearVolatileGameState();
   // Reset theme interactions
@@ -444,13 +494,12 @@ export async function saveCurrentGameState(forceSave = false) {
     return;
   }
   log(LOG_LEVEL_INFO, `Saving game state for theme '${currentThemeId}'. Delta: ${historyDelta.length} turns.`);
-  const userThemeProgress = state.getCurrentUserThemeProgress() || {};
-  // Ensure acquiredTraitKeys is always an array in the payload.
-  if (userThemeProgress && !Array.isArray(userThemeProgress.acquiredTraitKeys)) {
-    userThemeProgress.acquiredTraitKeys = [];
-  }
+  // The server owns level and XP; the traits are sent so that a new character's first trait is stored.
+  const acquiredTraitKeys = state.getCurrentUserThemeProgress()?.acquiredTraitKeys;
   const gameStatePayload = {
     theme_id: currentThemeId,
+    slot_id: state.getCurrentSaveSlotId(),
+    base_revision: state.getCurrentSaveRevision(),
     player_identifier: state.getPlayerIdentifier() || 'Protagonist',
     game_history_delta: historyDelta,
     last_dashboard_updates: state.getLastKnownDashboardUpdates(),
@@ -463,25 +512,40 @@ export async function saveCurrentGameState(forceSave = false) {
     model_name_used: state.getCurrentModelName(),
     new_persistent_lore_unlock: state.getCurrentTurnUnlockData(),
     dashboard_item_meta: state.getDashboardItemMeta(),
-    user_theme_progress: userThemeProgress,
+    user_theme_progress: { acquiredTraitKeys: Array.isArray(acquiredTraitKeys) ? acquiredTraitKeys : [] },
     is_boon_selection_pending: state.getIsBoonSelectionPending(),
     session_inventory: state.getCurrentInventory(),
     equipped_items: state.getEquippedItems(),
+    run_stats: state.getCurrentRunStats(),
   };
   // The unlock data is a one-time signal; reset it after including it in the payload.
   state.setCurrentTurnUnlockData(null);
   try {
     const response = await apiService.saveGameState(currentUser.token, gameStatePayload);
     log(LOG_LEVEL_INFO, 'Game state delta saved successfully to backend.');
-    // If the save operation resulted in lore evolution, update the local state immediately.
-    if (response?.evolved_lore) {
-      log(LOG_LEVEL_INFO, 'Received updated evolved lore from backend. Updating local state.');
-      state.setLastKnownEvolvedWorldLore(response.evolved_lore);
+    // The first save of a run creates its slot; later saves go to the same slot.
+    if (response?.slot_id) {
+      state.setCurrentSaveSlotId(response.slot_id);
+      state.setCurrentSaveRevision(response.revision);
+    }
+    // The server grants the XP of the turn this save recorded; its progress replaces the local estimate.
+    if (response?.user_theme_progress) {
+      state.setCurrentUserThemeProgress(response.user_theme_progress);
+    }
+    // An unlocked World Shard is woven into the lore in the background.
+    const loreJob = response?.jobs?.find(job => job.type === 'integrate_shard');
+    if (loreJob) {
+      _followLoreJob(currentUser.token, currentThemeId, loreJob.id);
     }
     // On successful save, clear the delta buffer.
     state.clearUnsavedHistoryDelta();
   } catch (error) {
     log(LOG_LEVEL_ERROR, 'Error saving game state delta to backend:', error.message, error.code);
+    // A save without the slot's revision is rejected like a stale one: the player loads the latest state first.
+    if ((error.code === 'GAME_STATE_CONFLICT' || error.code === 'BASE_REVISION_REQUIRED') && _saveConflictHandler) {
+      error.isHandled = true;
+      _saveConflictHandler(error.details?.server_state || null);
+    }
     // DO NOT clear the delta on error. The unsaved turns will be retried on the next save attempt.
     throw error;
   }
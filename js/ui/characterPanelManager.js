@@ -14,6 +14,7 @@ import { getUIText, getApplicationLanguage } from '../services/localizationServi
 import { XP_LEVELS, MAX_PLAYER_LEVEL, MIN_LEVEL_FOR_STORE } from '../core/config.js';
 import { log, LOG_LEVEL_DEBUG, LOG_LEVEL_INFO, LOG_LEVEL_WARN, LOG_LEVEL_ERROR } from '../core/logger.js';
 import { attachTooltip, hideCurrentTooltip } from './tooltipManager.js';
+import { getTraitTier, getTraitBlockers, getOwnedTraitKeys, getEffectiveAttributes } from '../core/traitRules.js';
 
 // --- DESTRUCTURED DOM ELEMENTS ---
 const {
@@ -49,6 +50,9 @@ function _createBasePanelStructure() {
         <div id="character-attributes-grid" class="character-attributes-grid">
             <!-- Attribute items will be dynamically inserted here -->
         </div>
+        <div id="char-panel-conditions" class="char-panel-conditions" aria-live="polite">
+            <!-- Active conditions will be dynamically inserted here -->
+        </div>
         <div class="character-info-right">
             <!-- Icon buttons will be dynamically inserted here -->
         </div>
@@ -72,6 +76,46 @@ function _createBasePanelStructure() {
     }
 }
 
+/**
+ * Renders the active conditions as chips with their stacks and the turns they have left.
+ * @param {boolean} highlight - If true, the chips flash when the conditions changed.
+ * @private
+ */
+function _renderConditions(highlight) {
+    const container = document.getElementById('char-panel-conditions');
+    if (!container) return;
+    const lang = getApplicationLanguage();
+    const conditions = state.getActiveConditions().filter(condition => condition && typeof condition === 'object');
+    const signature = JSON.stringify(conditions.map(({ id, stacks, remainingTurns }) => [id, stacks, remainingTurns]));
+    if (container.dataset.signature === signature && container.dataset.lang === lang) return;
+    container.dataset.signature = signature;
+    container.dataset.lang = lang;
+    container.innerHTML = '';
+    container.style.display = conditions.length > 0 ? '' : 'none';
+
+    conditions.forEach(condition => {
+        const name = condition.name?.[lang] || condition.name?.en || condition.id;
+        const chip = document.createElement('div');
+        chip.className = 'condition-chip';
+        chip.tabIndex = 0;
+        const nameEl = document.createElement('span');
+        nameEl.className = 'condition-name';
+        nameEl.textContent = condition.stacks > 1 ? `${name} ×${condition.stacks}` : name;
+        const turnsEl = document.createElement('span');
+        turnsEl.className = 'condition-turns';
+        if (condition.remainingTurns <= 1) turnsEl.classList.add('expiring');
+        turnsEl.textContent = String(condition.remainingTurns);
+        chip.append(nameEl, turnsEl);
+
+        const turnsText = getUIText('label_condition_turns_left', { TURNS: condition.remainingTurns });
+        const description = condition.description?.[lang] || condition.description?.en || '';
+        chip.setAttribute('aria-label', `${nameEl.textContent}, ${turnsText}`);
+        attachTooltip(chip, null, {}, { rawText: [`${nameEl.textContent} (${turnsText})`, description].filter(Boolean).join(' — ') });
+        container.appendChild(chip);
+    });
+    if (highlight && conditions.length > 0) uiUtils.flashElement(container);
+}
+
 /**
  * Creates the icon buttons for Inventory, Character Progress, Lore, and Store.
  * @param {HTMLElement} container - The container to append the buttons to.
@@ -134,6 +178,217 @@ function _createIconButtons(container) {
     });
 }
 
+/**
+ * Builds the trait tree of the character progress modal: the theme's traits by tier, each marked as acquired,
+ * available at the next level-up, locked by unmet prerequisites, or excluded by a trait the character has. Selecting
+ * a trait shows its requirements, whose traits can be selected in turn; the arrow keys move through the tree.
+ * @param {object} allThemeTraits - The theme's trait definitions.
+ * @param {object} progress - The UserThemeProgress.
+ * @param {object} baseAttributes - The theme's `base_attributes`.
+ * @param {string} lang - The current language.
+ * @returns {HTMLElement}
+ * @private
+ */
+function _buildTraitTree(allThemeTraits, progress, baseAttributes, lang) {
+    const character = {
+        level: Math.min((progress.level || 1) + 1, MAX_PLAYER_LEVEL),
+        traitKeys: getOwnedTraitKeys(progress),
+        attributes: getEffectiveAttributes(baseAttributes, progress),
+    };
+    const traitName = (traitKey) => {
+        const traitDefinition = allThemeTraits[traitKey];
+        return (traitDefinition?.[lang] || traitDefinition?.['en'])?.name || traitKey;
+    };
+    const traitState = (blockers) => {
+        if (blockers.length === 0) return 'available';
+        if (blockers[0].type === 'acquired') return 'acquired';
+        return blockers.some(blocker => blocker.type === 'excluded') ? 'excluded' : 'locked';
+    };
+
+    const tree = document.createElement('div');
+    tree.className = 'trait-tree';
+    const hint = document.createElement('p');
+    hint.className = 'trait-tree-hint';
+    hint.textContent = getUIText('label_trait_tree_hint');
+    const details = document.createElement('div');
+    details.className = 'trait-tree-details';
+    details.setAttribute('aria-live', 'polite');
+
+    const tiers = new Map();
+    Object.keys(allThemeTraits).forEach(traitKey => {
+        const tier = getTraitTier(allThemeTraits[traitKey]);
+        if (!tiers.has(tier)) tiers.set(tier, []);
+        tiers.get(tier).push(traitKey);
+    });
+    const sortedTiers = [...tiers.keys()].sort((a, b) => a - b);
+    const nodeRows = [];
+    const nodesByKey = new Map();
+
+    const showDetails = (traitKey) => {
+        const traitDefinition = allThemeTraits[traitKey];
+        const localizedTrait = traitDefinition?.[lang] || traitDefinition?.['en'];
+        const blockers = getTraitBlockers(allThemeTraits, traitKey, character);
+        const unmet = (type, key) => blockers.some(blocker => blocker.type === type && blocker.key === key);
+        nodesByKey.forEach((node, key) => node.classList.toggle('selected', key === traitKey));
+        details.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'trait-name';
+        title.textContent = localizedTrait?.name || traitKey;
+        const stateLabel = document.createElement('span');
+        stateLabel.className = `trait-tree-state ${traitState(blockers)}`;
+        stateLabel.textContent = getUIText(`trait_state_${traitState(blockers)}`);
+        title.appendChild(stateLabel);
+        const description = document.createElement('div');
+        description.className = 'trait-description';
+        description.textContent = localizedTrait?.description || '';
+        details.append(title, description);
+
+        const requirements = [];
+        const requires = traitDefinition?.requires || {};
+        if (Number.isInteger(requires.level)) {
+            requirements.push({ text: getUIText('trait_requirement_level', { LEVEL: requires.level }), met: !blockers.some(blocker => blocker.type === 'level') });
+        }
+        (Array.isArray(requires.traits) ? requires.traits : []).forEach(key => {
+            requirements.push({ text: getUIText('trait_requirement_trait'), traitKey: key, met: !unmet('trait', key) });
+        });
+        Object.entries(requires.attributes || {}).forEach(([attribute, value]) => {
+            requirements.push({
+                text: getUIText('trait_requirement_attribute', { ATTRIBUTE: getUIText(`char_panel_label_${attribute}`), VALUE: value }),
+                met: !unmet('attribute', attribute),
+            });
+        });
+        const excludedKeys = new Set(Array.isArray(traitDefinition?.excludes) ? traitDefinition.excludes : []);
+        Object.keys(allThemeTraits)
+            .filter(key => Array.isArray(allThemeTraits[key]?.excludes) && allThemeTraits[key].excludes.includes(traitKey))
+            .forEach(key => excludedKeys.add(key));
+        excludedKeys.forEach(key => {
+            requirements.push({ text: getUIText('trait_requirement_excludes'), traitKey: key, met: !unmet('excluded', key) });
+        });
+
+        const requirementsTitle = document.createElement('div');
+        requirementsTitle.className = 'trait-tree-requirements-title';
+        requirementsTitle.textContent = getUIText(requirements.length > 0 ? 'label_trait_requirements' : 'label_trait_no_requirements');
+        details.appendChild(requirementsTitle);
+        if (requirements.length === 0) return;
+        const list = document.createElement('ul');
+        list.className = 'trait-tree-requirements';
+        requirements.forEach(requirement => {
+            const item = document.createElement('li');
+            item.className = requirement.met ? 'met' : 'unmet';
+            item.textContent = requirement.text;
+            if (requirement.traitKey && allThemeTraits[requirement.traitKey]) {
+                const link = document.createElement('button');
+                link.type = 'button';
+                link.className = 'trait-tree-link';
+                link.textContent = traitName(requirement.traitKey);
+                link.addEventListener('click', () => {
+                    showDetails(requirement.traitKey);
+                    nodesByKey.get(requirement.traitKey)?.focus();
+                });
+                item.append(' ', link);
+            }
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+    };
+
+    const moveFocus = (rowIndex, columnIndex) => {
+        const row = nodeRows[Math.max(0, Math.min(rowIndex, nodeRows.length - 1))];
+        const node = row[Math.max(0, Math.min(columnIndex, row.length - 1))];
+        node.focus();
+        showDetails(node.dataset.traitKey);
+    };
+
+    sortedTiers.forEach((tier, rowIndex) => {
+        const tierRow = document.createElement('div');
+        tierRow.className = 'trait-tree-tier';
+        const tierLabel = document.createElement('div');
+        tierLabel.className = 'trait-tree-tier-label';
+        tierLabel.textContent = getUIText('label_trait_tier', { TIER: tier });
+        const nodesContainer = document.createElement('div');
+        nodesContainer.className = 'trait-tree-nodes';
+        const row = [];
+        tiers.get(tier).forEach((traitKey, columnIndex) => {
+            const nodeState = traitState(getTraitBlockers(allThemeTraits, traitKey, character));
+            const node = document.createElement('button');
+            node.type = 'button';
+            node.className = `trait-tree-node ${nodeState}`;
+            node.dataset.traitKey = traitKey;
+            node.textContent = traitName(traitKey);
+            if (traitKey === progress.heirloomTraitKey) node.classList.add('heirloom');
+            node.setAttribute('aria-label', `${traitName(traitKey)}: ${getUIText(`trait_state_${nodeState}`)}`);
+            node.addEventListener('click', () => showDetails(traitKey));
+            node.addEventListener('keydown', (event) => {
+                const moves = { ArrowLeft: [0, -1], ArrowRight: [0, 1], ArrowUp: [-1, 0], ArrowDown: [1, 0] };
+                if (!moves[event.key]) return;
+                event.preventDefault();
+                const [rowStep, columnStep] = moves[event.key];
+                moveFocus(rowIndex + rowStep, columnIndex + columnStep);
+            });
+            row.push(node);
+            nodesByKey.set(traitKey, node);
+            nodesContainer.appendChild(node);
+        });
+        nodeRows.push(row);
+        tierRow.append(tierLabel, nodesContainer);
+        tree.appendChild(tierRow);
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.append(hint, tree, details);
+    showDetails(nodeRows[0][0].dataset.traitKey);
+    return wrapper;
+}
+
+/**
+ * Fetches the theme's legacies (retired characters) and lists them in the character progress modal.
+ * @param {HTMLElement} container - The legacies section of the modal.
+ * @param {string} themeId - The ID of the theme.
+ * @param {object|null} allThemeTraits - The theme's trait definitions.
+ * @param {string} lang - The current language.
+ * @private
+ */
+async function _renderLegacies(container, themeId, allThemeTraits, lang) {
+    const currentUser = state.getCurrentUser();
+    const placeholder = document.createElement('p');
+    placeholder.textContent = getUIText('system_processing_short');
+    container.appendChild(placeholder);
+    let legacies = [];
+    try {
+        const response = await apiService.fetchCharacterLegacies(currentUser.token, themeId);
+        legacies = response.legacies || [];
+    } catch (error) {
+        log(LOG_LEVEL_ERROR, `Failed to fetch legacies for theme ${themeId}`, error);
+    }
+    if (legacies.length === 0) {
+        placeholder.textContent = getUIText('label_char_progress_no_legacies');
+        return;
+    }
+    placeholder.remove();
+    const list = document.createElement('ul');
+    list.className = 'traits-list';
+    legacies.forEach(legacy => {
+        const heirloomTrait = legacy.heirloomTraitKey ? allThemeTraits?.[legacy.heirloomTraitKey] : null;
+        const heirloomName = (heirloomTrait?.[lang] || heirloomTrait?.['en'])?.name || legacy.heirloomShardTitle || legacy.heirloomTraitKey;
+        const listItem = document.createElement('li');
+        listItem.className = 'trait-item legacy-item';
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'trait-name';
+        nameSpan.textContent = getUIText('label_legacy_entry', { NAME: legacy.name, RANK: legacy.rank });
+        const detailsSpan = document.createElement('span');
+        detailsSpan.className = 'trait-description';
+        detailsSpan.textContent = getUIText('label_legacy_details', {
+            LEVEL: legacy.level,
+            HEIRLOOM: heirloomName || '-',
+            DATE: new Date(legacy.retiredAt).toLocaleDateString(lang),
+        });
+        listItem.append(nameSpan, detailsSpan);
+        list.appendChild(listItem);
+    });
+    container.appendChild(list);
+}
+
 /**
  * Shows a modal with details about the character's current strain level.
  * @private
@@ -449,6 +704,7 @@ export async function showCharacterProgressModal(themeId) {
     };
     const xpForNextLevel = progress.level < XP_LEVELS.length ? XP_LEVELS[progress.level] : 'MAX';
     createStatItem('label_char_progress_level', progress.level || 1);
+    createStatItem('label_char_progress_prestige_rank', progress.prestigeRank || 0);
     createStatItem('label_char_progress_xp', `${progress.currentXP || 0} / ${xpForNextLevel}`);
     createStatItem('label_char_progress_integrity', `${themeConfig.base_attributes.integrity} (+${progress.maxIntegrityBonus || 0})`);
     createStatItem('label_char_progress_willpower', `${themeConfig.base_attributes.willpower} (+${progress.maxWillpowerBonus || 0})`);
@@ -462,7 +718,10 @@ export async function showCharacterProgressModal(themeId) {
     const traitsTitle = document.createElement('h4');
     traitsTitle.textContent = getUIText('label_char_progress_traits');
     traitsSection.appendChild(traitsTitle);
-    const acquiredTraits = Array.isArray(progress.acquiredTraitKeys) ? progress.acquiredTraitKeys : [];
+    const acquiredTraits = Array.isArray(progress.acquiredTraitKeys) ? [...progress.acquiredTraitKeys] : [];
+    if (progress.heirloomTraitKey && !acquiredTraits.includes(progress.heirloomTraitKey)) {
+        acquiredTraits.unshift(progress.heirloomTraitKey);
+    }
     if (acquiredTraits.length > 0 && allThemeTraits) {
         const list = document.createElement('ul');
         list.className = 'traits-list';
@@ -473,6 +732,13 @@ export async function showCharacterProgressModal(themeId) {
                 const listItem = document.createElement('li');
                 listItem.className = 'trait-item';
                 listItem.innerHTML = `<span class="trait-name">${localizedTrait.name}</span><span class="trait-description">${localizedTrait.description}</span>`;
+                if (traitKey === progress.heirloomTraitKey) {
+                    listItem.classList.add('heirloom');
+                    const heirloomTag = document.createElement('span');
+                    heirloomTag.className = 'heirloom-tag';
+                    heirloomTag.textContent = getUIText('label_heirloom_trait_tag');
+                    listItem.querySelector('.trait-name').appendChild(heirloomTag);
+                }
                 list.appendChild(listItem);
             } else {
                 log(LOG_LEVEL_WARN, `Data for acquired trait key '${traitKey}' not found.`);
@@ -486,6 +752,43 @@ export async function showCharacterProgressModal(themeId) {
     }
     content.appendChild(traitsSection);
 
+    // Trait Tree
+    if (allThemeTraits && Object.keys(allThemeTraits).length > 0) {
+        const treeSection = document.createElement('div');
+        treeSection.className = 'progress-traits-section';
+        const treeTitle = document.createElement('h4');
+        treeTitle.textContent = getUIText('label_trait_tree');
+        treeSection.append(treeTitle, _buildTraitTree(allThemeTraits, progress, themeConfig.base_attributes, lang));
+        content.appendChild(treeSection);
+    }
+
+    // Legacies (retired characters), filled in once fetched
+    const legaciesSection = document.createElement('div');
+    legaciesSection.className = 'progress-traits-section progress-legacies-section';
+    const legaciesTitle = document.createElement('h4');
+    legaciesTitle.textContent = getUIText('label_char_progress_legacies');
+    legaciesSection.appendChild(legaciesTitle);
+    content.appendChild(legaciesSection);
+    _renderLegacies(legaciesSection, themeId, allThemeTraits, lang);
+
+    // Prestige
+    if ((progress.level || 1) >= MAX_PLAYER_LEVEL) {
+        const prestigeSection = document.createElement('div');
+        prestigeSection.className = 'prestige-section';
+        const prestigeButton = document.createElement('button');
+        prestigeButton.className = 'ui-button primary';
+        prestigeButton.textContent = getUIText('button_retire_character');
+        attachTooltip(prestigeButton, 'tooltip_retire_character');
+        prestigeButton.addEventListener('click', () => {
+            hideCurrentTooltip();
+            if (_gameControllerRef) {
+                _gameControllerRef.initiatePrestigeFlow(themeId);
+            }
+        });
+        prestigeSection.appendChild(prestigeButton);
+        content.appendChild(prestigeSection);
+    }
+
     // Danger Zone
     const dangerZone = document.createElement('div');
     dangerZone.className = 'danger-zone';
@@ -682,6 +985,8 @@ export function updateCharacterPanel(highlight = true) {
         }
     });
 
+    _renderConditions(highlight);
+
     // Update XP Bar
     const userProgress = state.getCurrentUserThemeProgress();
     if (xpBarContainer && xpBarFill && xpBarText && userProgress) {
@@ -717,6 +1022,7 @@ export function retranslateCharacterPanelLabels() {
 
     const levelEl = document.getElementById('char-panel-level');
     if (levelEl) levelEl.textContent = `${getUIText("char_panel_label_level")} ${state.getPlayerLevel()}`;
+    _renderConditions(false);
 
     const themeConfig = themeService.getThemeConfig(themeId);
     const topPanelConfig = themeConfig?.dashboard_config?.top_panel || [];
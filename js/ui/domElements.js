@@ -22,6 +22,7 @@ export const gmSpecificActivityIndicator = document.getElementById("gm-activity-
 export const userProfileButton = document.getElementById("user-profile-button");
 export const loginButton = document.getElementById("login-button");
 export const newGameButton = document.getElementById("new-game-button");
+export const timelineButton = document.getElementById("timeline-button");
 export const modelToggleButton = document.getElementById("model-toggle-button");
 export const languageToggleButton = document.getElementById("language-toggle-button");
 
@@ -57,6 +58,7 @@ export const playerActionInput = document.getElementById("player-action-input");
 export const sendActionButton = document.getElementById("send-action-button");
 export const playerActionCharCounter = document.getElementById("player-action-char-counter");
 export const forceRollToggleButton = document.getElementById("force-roll-toggle-button");
+export const regenerateTurnButton = document.getElementById("regenerate-turn-button");
 
 // --- Modals ---
 export const customModalOverlay = document.getElementById("custom-modal-overlay");
@@ -37,6 +37,9 @@ import {
   getLandingSelectedThemeProgress,
   setLandingSelectedThemeEvolvedLore,
   getLandingSelectedThemeEvolvedLore,
+  setLandingSelectedThemeSlots,
+  getLandingSelectedThemeSlots,
+  getCurrentAppLanguage,
 } from '../core/state.js';
 import * as apiService from '../core/apiService.js';
 import * as themeService from '../services/themeService.js';
@@ -47,6 +50,7 @@ import { log, LOG_LEVEL_INFO, LOG_LEVEL_ERROR, LOG_LEVEL_WARN, LOG_LEVEL_DEBUG }
 import { formatDynamicText, setGMActivityIndicator, activateShardTooltips } from './uiUtils.js';
 import { attachTooltip } from './tooltipManager.js';
 import { showLoginModal } from './authUiManager.js';
+import { showCustomModal, showGenericConfirmModal } from './modalManager.js';
 import { animatePanelExpansion } from './dashboardManager.js';
 
 // --- MODULE-LEVEL DEPENDENCIES ---
@@ -69,7 +73,7 @@ export function initLandingPageManager(gameController, userThemeControlsManager)
 // --- DATA FETCHING & STATE MANAGEMENT ---
 
 /**
- * Fetches all necessary data (progress, evolved lore) for a selected theme on the landing page.
+ * Fetches all necessary data (progress, evolved lore, save slots) for a selected theme on the landing page.
  * @param {string} themeId - The ID of the theme to fetch data for.
  * @private
  */
@@ -78,13 +82,15 @@ async function _prepareDataForLandingThemeSelection(themeId) {
   // Reset state before fetching
   setLandingSelectedThemeProgress(null);
   setLandingSelectedThemeEvolvedLore(null);
+  setLandingSelectedThemeSlots([], 0);
 
   if (currentUser?.token) {
     try {
-      // Fetch both progress and game state in parallel
-      const [progressResponse, gameStateResponse] = await Promise.all([
+      // Fetch progress, game state and save slots in parallel
+      const [progressResponse, gameStateResponse, slotsResponse] = await Promise.all([
         apiService.fetchUserThemeProgress(currentUser.token, themeId).catch(e => e),
-        apiService.loadGameState(currentUser.token, themeId).catch(e => e)
+        apiService.loadGameState(currentUser.token, themeId).catch(e => e),
+        apiService.fetchSaveSlots(currentUser.token, themeId).catch(e => e)
       ]);
 
       // Handle Progress Response
@@ -108,6 +114,13 @@ async function _prepareDataForLandingThemeSelection(themeId) {
           // Other error fetching GameState
           log(LOG_LEVEL_WARN, `Could not fetch game state for landing selection ${themeId}.`, gameStateResponse?.message);
       }
+
+      // Handle Save Slots Response
+      if (slotsResponse && !slotsResponse.code) {
+          setLandingSelectedThemeSlots(slotsResponse.slots, slotsResponse.max_slots);
+      } else {
+          log(LOG_LEVEL_WARN, `Could not fetch save slots for landing selection ${themeId}.`, slotsResponse?.message);
+      }
     } catch (error) {
       log(LOG_LEVEL_ERROR, `Unhandled error fetching data for landing selection ${themeId}.`, error);
     }
@@ -417,6 +430,10 @@ export function renderLandingPageActionButtons(themeId) {
     }
     topActionRow.appendChild(characterProgressButton);
     landingThemeActions.appendChild(topActionRow);
+    const { slots, maxSlots } = getLandingSelectedThemeSlots();
+    if (currentUser && slots.length > 0) {
+      landingThemeActions.appendChild(_createSaveSlotList(themeId, slots, maxSlots));
+    }
   }
   // New Game, Like, Store, Shards Buttons
   const standardActionsRow = document.createElement('div');
@@ -434,7 +451,8 @@ export function renderLandingPageActionButtons(themeId) {
     } else {
       const newGameButtonTextKey = themeConfig.new_game_button_text_key || 'landing_choose_theme_button';
       newGameButton.textContent = getUIText(newGameButtonTextKey, {}, { explicitThemeContext: themeId, viewContext: 'landing' });
-      newGameButton.addEventListener('click', () => _gameControllerRef?.initiateNewGameSessionFlow(themeId));
+      // A signed-in player's new run gets its own save slot, so the theme's other runs are kept.
+      newGameButton.addEventListener('click', () => _gameControllerRef?.initiateNewGameSessionFlow(themeId, false, true));
     }
   } else {
     newGameButton.textContent = getUIText('coming_soon_button', {}, { viewContext: 'landing' });
@@ -515,8 +533,114 @@ export function renderLandingPageActionButtons(themeId) {
   landingThemeActions.appendChild(standardActionsRow);
 }
 
+/**
+ * Creates the list of a theme's save slots, with buttons to resume, rename and delete each slot.
+ * @param {string} themeId - The ID of the selected theme.
+ * @param {Array<object>} slots - The save slots, most recently played first.
+ * @param {number} maxSlots - The maximum number of save slots per theme.
+ * @returns {HTMLElement} The list element.
+ * @private
+ */
+function _createSaveSlotList(themeId, slots, maxSlots) {
+  const slotList = document.createElement('div');
+  slotList.className = 'save-slot-list';
+  const heading = document.createElement('div');
+  heading.className = 'save-slot-list-title';
+  heading.textContent = getUIText('landing_save_slots_title', { COUNT: slots.length, MAX: maxSlots }, { viewContext: 'landing' });
+  slotList.appendChild(heading);
+  slots.forEach((slot) => {
+    const slotRow = document.createElement('div');
+    slotRow.className = 'landing-actions-row save-slot-row';
+    const resumeButton = document.createElement('button');
+    resumeButton.classList.add('ui-button', 'save-slot-resume-button');
+    const nameElement = document.createElement('span');
+    nameElement.className = 'save-slot-name';
+    nameElement.textContent = slot.slot_name;
+    const metaElement = document.createElement('span');
+    metaElement.className = 'save-slot-meta';
+    const lastPlayed = new Date(slot.last_played_at).toLocaleString(getCurrentAppLanguage(), { dateStyle: 'medium', timeStyle: 'short' });
+    metaElement.textContent = getUIText('landing_save_slot_last_played', { DATE: lastPlayed }, { viewContext: 'landing' });
+    resumeButton.append(nameElement, metaElement);
+    attachTooltip(resumeButton, 'tooltip_save_slot_resume', { SLOT_NAME: slot.slot_name }, { viewContext: 'landing' });
+    resumeButton.addEventListener('click', () => _gameControllerRef?.changeActiveTheme(themeId, false, slot.id));
+    const renameButton = document.createElement('button');
+    renameButton.classList.add('ui-button', 'icon-button', 'save-slot-rename-button');
+    renameButton.textContent = '✎';
+    renameButton.setAttribute('aria-label', getUIText('tooltip_save_slot_rename', {}, { viewContext: 'landing' }));
+    attachTooltip(renameButton, 'tooltip_save_slot_rename', {}, { viewContext: 'landing' });
+    renameButton.addEventListener('click', () => _handleRenameSaveSlot(themeId, slot));
+    const deleteButton = document.createElement('button');
+    deleteButton.classList.add('ui-button', 'icon-button', 'save-slot-delete-button');
+    deleteButton.textContent = '✕';
+    deleteButton.setAttribute('aria-label', getUIText('tooltip_save_slot_delete', {}, { viewContext: 'landing' }));
+    attachTooltip(deleteButton, 'tooltip_save_slot_delete', {}, { viewContext: 'landing' });
+    deleteButton.addEventListener('click', () => _handleDeleteSaveSlot(themeId, slot));
+    slotRow.append(resumeButton, renameButton, deleteButton);
+    slotList.appendChild(slotRow);
+  });
+  return slotList;
+}
+
 // --- EVENT HANDLERS ---
 
+/**
+ * Asks for a new name for a save slot and renames it.
+ * @param {string} themeId - The ID of the slot's theme.
+ * @param {object} slot - The save slot.
+ * @private
+ */
+async function _handleRenameSaveSlot(themeId, slot) {
+  const currentUser = getCurrentUser();
+  if (!currentUser?.token) return;
+  const newName = await showCustomModal({
+    type: 'prompt',
+    titleKey: 'prompt_rename_save_slot_title',
+    messageKey: 'prompt_rename_save_slot_message',
+    defaultValue: slot.slot_name,
+    inputPlaceholderKey: 'placeholder_save_slot_name',
+  });
+  if (!newName || !newName.trim() || newName.trim() === slot.slot_name) return;
+  try {
+    await apiService.renameSaveSlot(currentUser.token, themeId, slot.id, newName.trim());
+    log(LOG_LEVEL_INFO, `Save slot ${slot.id} of theme ${themeId} renamed.`);
+  } catch (error) {
+    log(LOG_LEVEL_ERROR, `Failed to rename save slot ${slot.id} of theme ${themeId}.`, error);
+    showCustomModal({ type: 'alert', titleKey: 'alert_title_error', messageKey: 'error_api_call_failed', replacements: { ERROR_MSG: error.message } });
+  }
+  await _prepareDataForLandingThemeSelection(themeId);
+  renderLandingPageActionButtons(themeId);
+}
+
+/**
+ * Confirms and deletes a save slot. Deleting the theme's last slot marks the theme as no longer being played.
+ * @param {string} themeId - The ID of the slot's theme.
+ * @param {object} slot - The save slot.
+ * @private
+ */
+async function _handleDeleteSaveSlot(themeId, slot) {
+  const currentUser = getCurrentUser();
+  if (!currentUser?.token) return;
+  const confirmed = await showGenericConfirmModal({
+    titleKey: 'confirm_delete_save_slot_title',
+    messageKey: 'confirm_delete_save_slot_message',
+    replacements: { SLOT_NAME: slot.slot_name },
+  });
+  if (!confirmed) return;
+  try {
+    await apiService.deleteSaveSlot(currentUser.token, themeId, slot.id);
+    log(LOG_LEVEL_INFO, `Save slot ${slot.id} of theme ${themeId} deleted.`);
+  } catch (error) {
+    log(LOG_LEVEL_ERROR, `Failed to delete save slot ${slot.id} of theme ${themeId}.`, error);
+    showCustomModal({ type: 'alert', titleKey: 'alert_title_error', messageKey: 'error_api_call_failed', replacements: { ERROR_MSG: error.message } });
+  }
+  await _prepareDataForLandingThemeSelection(themeId);
+  if (getLandingSelectedThemeSlots().slots.length === 0 && _userThemeControlsManagerRef) {
+    // The server has already marked the theme as not playing; this updates the local state and the top bar.
+    await _userThemeControlsManagerRef.setThemeAsNotPlaying(themeId);
+  }
+  renderLandingPageActionButtons(themeId);
+}
+
 /**
  * Handles the selection of a theme from the grid.
  * Updates the "active" state in the grid and refreshes the side panel content.
@@ -39,6 +39,18 @@ function _getModelsByTier() {
     anonymous: [{ model: config.FREE_MODEL_NAME, nameKey: 'option_model_free' }],
   };
 }
+/**
+ * Checks whether a model still has daily calls and (if the tier sets a token budget) tokens left.
+ * @param {object} usage - The model's entry from the API usage object.
+ * @returns {boolean}
+ * @private
+ */
+function _hasUsageLeft(usage) {
+  // If a limit is not a number (e.g., 'N/A' or no token budget), assume it's available.
+  const hasCallsLeft = typeof usage.daily.limit !== 'number' || (usage.daily.limit - usage.daily.count) > 0;
+  const hasTokensLeft = typeof usage.dailyTokens?.limit !== 'number' || (usage.dailyTokens.limit - usage.dailyTokens.count) > 0;
+  return hasCallsLeft && hasTokensLeft;
+}
 // --- INITIALIZATION ---
 /**
  * Initializes the ModelToggleManager with optional dependencies.
@@ -89,7 +101,10 @@ export function updateModelToggleButtonAppearance() {
   const usageLines = availableModels.map(m => {
     const usage = apiUsage[m.model] || { daily: { count: 0, limit: 0 } };
     const limitText = typeof usage.daily.limit === 'number' ? usage.daily.limit : getUIText('not_available_short');
-    return `${getUIText(m.nameKey)}: ${usage.daily.count}/${limitText}`;
+    const tokenText = typeof usage.dailyTokens?.limit === 'number'
+      ? ` (${getUIText('tooltip_model_usage_tokens', { COUNT: usage.dailyTokens.count, LIMIT: usage.dailyTokens.limit })})`
+      : '';
+    return `${getUIText(m.nameKey)}: ${usage.daily.count}/${limitText}${tokenText}`;
   });
   const usageString = `Daily Usage: ${usageLines.join(' | ')}`;
   if (availableModels.length <= 1) {
@@ -123,8 +138,7 @@ export function updateModelToggleButtonAppearance() {
     const potentialIndex = (currentIndex + i) % availableModels.length;
     const modelToCheck = availableModels[potentialIndex];
     const usage = apiUsage[modelToCheck.model] || { daily: { count: 0, limit: 0 } };
-    const hasCallsLeft = typeof usage.daily.limit !== 'number' || (usage.daily.limit - usage.daily.count) > 0;
-    if (potentialIndex !== currentIndex && hasCallsLeft) {
+    if (potentialIndex !== currentIndex && _hasUsageLeft(usage)) {
       nextAvailableIndex = potentialIndex;
       break;
     }
@@ -171,14 +185,7 @@ export async function handleModelToggle() {
     const potentialIndex = (currentIndex + i) % availableModels.length;
     const modelToCheck = availableModels[potentialIndex];
     const usage = apiUsage[modelToCheck.model] || { daily: { count: 0, limit: 0 } };
-    let hasCallsLeft = false;
-    // If limit is not a number (e.g., 'N/A'), assume it's available.
-    if (typeof usage.daily.limit !== 'number') {
-      hasCallsLeft = true;
-    } else {
-      hasCallsLeft = (usage.daily.limit - usage.daily.count) > 0;
-    }
-    if (hasCallsLeft) {
+    if (_hasUsageLeft(usage)) {
       nextAvailableIndex = potentialIndex;
       break; // Found a usable model
     }
@@ -13,6 +13,13 @@ import { attachTooltip } from './tooltipManager.js';
 
 // --- CONSTANTS ---
 const LOADING_INDICATOR_ID = 'story-log-loading-indicator';
+const ROLL_OUTCOME_LABELS = {
+    critical_success: 'Critical success',
+    success: 'Success',
+    partial_success: 'Partial success',
+    failure: 'Failure',
+    critical_failure: 'Critical failure',
+};
 
 // --- MODULE STATE ---
 let userHasManuallyScrolledLog = false;
@@ -35,6 +42,123 @@ function _adjustPlayerMessageWidthForDice(playerMessageElement, diceContainerEle
     }
 }
 
+/**
+ * Flattens a roll result into the dice to display. Results with a per-term breakdown mark dropped,
+ * exploded and rerolled dice and pool successes; older results (e.g. from saved history) only list values.
+ * Constant terms are returned as modifiers. Opposed rolls show the opponent's dice after a 'vs' separator,
+ * and group checks show one die per member, marked as passed or failed.
+ * @param {object} roll - A result from the dice roller.
+ * @returns {Array<{value?: number, sides?: number, classes?: string[], modifier?: boolean, separator?: string}>}
+ * @private
+ */
+function _diceToDisplay(roll) {
+    if (roll.group) {
+        return roll.group.members.map(member => ({
+            value: member.result,
+            sides: roll.sides,
+            classes: [member.success ? 'pool-success' : 'pool-failure'],
+        }));
+    }
+    if (!Array.isArray(roll.terms)) {
+        return roll.rolls.map(value => ({ value, sides: roll.sides, classes: [] }));
+    }
+    const actorDice = _termsToDisplay(roll.terms);
+    if (!roll.contest) return actorDice;
+    const opponentDice = _termsToDisplay(roll.contest.opponent.terms || [])
+        .map(die => (die.modifier ? die : { ...die, classes: [...die.classes, 'opponent'] }));
+    return [...actorDice, { separator: 'vs' }, ...opponentDice];
+}
+
+/**
+ * Flattens rolled terms into the dice to display, with constant terms as modifiers.
+ * @param {Array<object>} terms - The per-term breakdown of a roll.
+ * @returns {Array<{value: number, sides?: number, classes?: string[], modifier?: boolean}>}
+ * @private
+ */
+function _termsToDisplay(terms) {
+    return terms.flatMap(term => {
+        if (term.type !== 'dice') {
+            return [{ value: term.value, modifier: true }];
+        }
+        return term.dice.map(die => ({
+            value: die.value,
+            sides: term.sides,
+            classes: [
+                !die.kept && 'dropped',
+                die.exploded && 'exploded',
+                die.rerolledFrom !== undefined && 'rerolled',
+                die.success === true && 'pool-success',
+                die.success === false && 'pool-failure',
+            ].filter(Boolean),
+        }));
+    });
+}
+
+/**
+ * Builds the tooltip text of a roll: the check and, for results with a breakdown, each term's dice.
+ * Dropped dice are shown in parentheses, exploded dice with '!', and rerolls as 'old→new'.
+ * Character modifiers (attribute bonus, Strain, gear, conditions) are listed under the modifier. Opposed rolls and
+ * group checks lead with their summary.
+ * @param {object} roll - A result from the dice roller.
+ * @returns {string}
+ * @private
+ */
+function _buildRollTooltip(roll) {
+    const summary = (typeof roll.target === 'number')
+        ? `${roll.notation} ${roll.comparison} ${roll.target} → Rolled: ${roll.result} `
+        : `${roll.notation} → Rolled: ${roll.result}`;
+    if (roll.group) {
+        const memberLines = roll.group.members.map(member => `${member.label} (${member.notation}): ${member.result} ${member.success ? '✓' : '✗'}`);
+        return [roll.summary, ...memberLines].join('\n');
+    }
+    if (!Array.isArray(roll.terms)) return summary;
+    const termLines = roll.terms.filter(term => term.type === 'dice').map(term => {
+        const dice = term.dice.map(die => {
+            const text = `${die.rerolledFrom !== undefined ? `${die.rerolledFrom}→` : ''}${die.value}${die.exploded ? '!' : ''}`;
+            return die.kept ? text : `(${text})`;
+        });
+        const total = typeof term.successes === 'number' ? `${term.successes} successes` : term.subtotal;
+        return `${term.sign < 0 ? '-' : ''}${term.notation}: [${dice.join(', ')}] = ${total}`;
+    });
+    const modifier = roll.modifier ? [`Modifier: ${roll.modifier > 0 ? '+' : ''}${roll.modifier}`] : [];
+    const characterModifiers = (Array.isArray(roll.modifiers) ? roll.modifiers : []).map(entry => (entry.effect
+        ? `  ${entry.label}: ${entry.effect}`
+        : `  ${entry.label}: ${entry.value > 0 ? '+' : ''}${entry.value}`));
+    if (roll.rollMode && roll.rollMode !== 'normal') characterModifiers.push(`  Rolled with ${roll.rollMode}`);
+    const outcome = ROLL_OUTCOME_LABELS[roll.outcome]
+        ? [`${ROLL_OUTCOME_LABELS[roll.outcome]}${typeof roll.margin === 'number' ? ` (margin ${roll.margin > 0 ? '+' : ''}${roll.margin})` : ''}`]
+        : [];
+    const contest = roll.contest ? [`vs ${roll.contest.opponent.label}: ${roll.contest.opponent.notation} = ${roll.contest.opponent.result}`] : [];
+    return [roll.summary || summary, ...termLines, ...modifier, ...characterModifiers, ...contest, ...outcome].join('\n');
+}
+
+/**
+ * Returns the classes that color a settled roll by its outcome: 'success', 'partial' or 'failure',
+ * plus 'critical' for critical successes and failures.
+ * @param {object} roll - A result from the dice roller.
+ * @returns {string[]}
+ * @private
+ */
+function _outcomeClasses(roll) {
+    const classes = [roll.success ? 'success' : (roll.outcome === 'partial_success' ? 'partial' : 'failure')];
+    if (roll.outcome === 'critical_success' || roll.outcome === 'critical_failure') classes.push('critical');
+    return classes;
+}
+
+/**
+ * Creates the element for a constant modifier shown after the dice (e.g. '+3'), or for the separator
+ * between the two sides of an opposed roll.
+ * @param {{value?: number, separator?: string}} die - A modifier or separator entry from `_diceToDisplay`.
+ * @returns {HTMLDivElement}
+ * @private
+ */
+function _createModifierElement(die) {
+    const modifierEl = document.createElement('div');
+    modifierEl.className = die.separator ? 'dice-separator' : 'dice-modifier';
+    modifierEl.textContent = die.separator || `${die.value > 0 ? '+' : ''}${die.value}`;
+    return modifierEl;
+}
+
 // --- RENDERING ---
 
 /**
@@ -75,18 +199,21 @@ export function renderDiceRoll(rollResults, skipAnimation = false) {
                 instance.className = 'dice-roll-instance';
 
                 // Tooltip
-                const tooltipText = (typeof roll.target === 'number')
-                    ? `${roll.notation} ${roll.comparison} ${roll.target} → Rolled: ${roll.result} `
-                    : `${roll.notation} → Rolled: ${roll.result}`;
-                attachTooltip(instance, null, {}, { rawText: tooltipText });
+                attachTooltip(instance, null, {}, { rawText: _buildRollTooltip(roll) });
+                const diceToDisplay = _diceToDisplay(roll);
 
                 // Instant render for history
                 if (skipAnimation) {
-                    instance.classList.add(roll.success ? 'success' : 'failure', 'settled');
-                    roll.rolls.forEach(dieValue => {
+                    instance.classList.add(..._outcomeClasses(roll), 'settled');
+                    diceToDisplay.forEach(die => {
+                        if (die.modifier || die.separator) {
+                            instance.appendChild(_createModifierElement(die));
+                            return;
+                        }
                         const diceEl = document.createElement('div');
                         diceEl.className = 'dice';
-                        diceEl.textContent = dieValue;
+                        diceEl.classList.add(...die.classes);
+                        diceEl.textContent = die.value;
                         instance.appendChild(diceEl);
                     });
                     mainContainer.appendChild(instance);
@@ -97,8 +224,13 @@ export function renderDiceRoll(rollResults, skipAnimation = false) {
                 // Animated render
                 mainContainer.appendChild(instance);
 
-                const individualDiePromises = roll.rolls.map(dieValue => {
+                const individualDiePromises = diceToDisplay.map(die => {
                     return new Promise(dieResolve => {
+                        if (die.modifier || die.separator) {
+                            instance.appendChild(_createModifierElement(die));
+                            dieResolve();
+                            return;
+                        }
                         const diceEl = document.createElement('div');
                         diceEl.className = 'dice is-rolling';
                         diceEl.textContent = '?';
@@ -109,13 +241,14 @@ export function renderDiceRoll(rollResults, skipAnimation = false) {
                         const animationDuration = 1500;
 
                         const intervalId = setInterval(() => {
-                            const randomFlicker = Math.floor(Math.random() * (roll.sides || 20)) + 1;
+                            const randomFlicker = Math.floor(Math.random() * (die.sides || 20)) + 1;
                             diceEl.textContent = randomFlicker;
                             elapsed += updateInterval;
                             if (elapsed >= animationDuration) {
                                 clearInterval(intervalId);
-                                diceEl.textContent = dieValue;
+                                diceEl.textContent = die.value;
                                 diceEl.classList.remove('is-rolling');
+                                diceEl.classList.add(...die.classes);
                                 dieResolve();
                             }
                         }, updateInterval);
@@ -124,7 +257,7 @@ export function renderDiceRoll(rollResults, skipAnimation = false) {
 
                 Promise.all(individualDiePromises).then(() => {
                     setTimeout(() => {
-                        instance.classList.add(roll.success ? 'success' : 'failure');
+                        instance.classList.add(..._outcomeClasses(roll));
                         setTimeout(() => {
                             instance.classList.add('settled');
                             rollInstanceResolve();
@@ -148,18 +281,12 @@ export function renderDiceRoll(rollResults, skipAnimation = false) {
 }
 
 /**
- * Renders a message to the story log DOM.
- * This function does NOT modify game state/history. It's the core display
- * logic used for both new messages and re-populating from history.
- * @param {string} text - The message text. Can contain simple markdown.
- * @param {string} senderTypes - A space-separated string of sender types (e.g., "gm", "player", "system system-emphasized").
+ * Creates an empty message element with the CSS classes for the given sender types.
+ * @param {string} senderTypes - A space-separated string of sender types.
+ * @returns {HTMLDivElement} The message element.
+ * @private
  */
-export function renderMessage(text, senderTypes) {
-  if (!storyLog) {
-    log(LOG_LEVEL_WARN, `Story log element not found. Message not rendered: (${senderTypes}) "${text.substring(0, 50)}..."`);
-    return;
-  }
-
+function _createMessageElement(senderTypes) {
   const msgDiv = document.createElement('div');
   msgDiv.classList.add('message');
 
@@ -171,7 +298,17 @@ export function renderMessage(text, senderTypes) {
       msgDiv.classList.add(type);
     }
   });
+  return msgDiv;
+}
 
+/**
+ * Replaces a message element's content with formatted paragraphs for the given text.
+ * @param {HTMLElement} msgDiv - The message element.
+ * @param {string} text - The message text. Can contain simple markdown.
+ * @private
+ */
+function _setMessageContent(msgDiv, text) {
+  msgDiv.innerHTML = '';
   // Format text for markdown and handle multiline paragraphs.
   const formattedHtml = formatDynamicText(text);
   const paragraphs = formattedHtml.split(/\n\s*\n/).filter(p => p.trim() !== '');
@@ -188,8 +325,14 @@ export function renderMessage(text, senderTypes) {
       msgDiv.appendChild(pElement);
     });
   }
+}
 
-  // Auto-scroll logic.
+/**
+ * Scrolls the story log to the bottom unless the player has scrolled away from it.
+ * @param {function(): void} mutateDom - Callback that changes the log's DOM; called before scrolling.
+ * @private
+ */
+function _withAutoScroll(mutateDom) {
   const viewport = storyLogViewport;
   let shouldScroll = false;
   if (viewport && viewport.style.display !== 'none') {
@@ -204,7 +347,7 @@ export function renderMessage(text, senderTypes) {
     }
   }
 
-  storyLog.appendChild(msgDiv);
+  mutateDom();
 
   if (shouldScroll && viewport) {
     requestAnimationFrame(() => {
@@ -213,6 +356,65 @@ export function renderMessage(text, senderTypes) {
   }
 }
 
+/**
+ * Renders a message to the story log DOM.
+ * This function does NOT modify game state/history. It's the core display
+ * logic used for both new messages and re-populating from history.
+ * @param {string} text - The message text. Can contain simple markdown.
+ * @param {string} senderTypes - A space-separated string of sender types (e.g., "gm", "player", "system system-emphasized").
+ */
+export function renderMessage(text, senderTypes) {
+  if (!storyLog) {
+    log(LOG_LEVEL_WARN, `Story log element not found. Message not rendered: (${senderTypes}) "${text.substring(0, 50)}..."`);
+    return;
+  }
+
+  const msgDiv = _createMessageElement(senderTypes);
+  _setMessageContent(msgDiv, text);
+  _withAutoScroll(() => storyLog.appendChild(msgDiv));
+}
+
+/**
+ * Starts a message whose text arrives incrementally (e.g. a streamed GM narrative).
+ * Like renderMessage, this does NOT modify game state/history.
+ * @param {string} senderTypes - A space-separated string of sender types (e.g., "gm").
+ * @returns {{append: function(string): void, finalize: function(string): void, discard: function(): void}|null}
+ *   A handle to grow the message, replace it with the authoritative final text, or remove it; null if the log is missing.
+ */
+export function beginStreamingMessage(senderTypes) {
+  if (!storyLog) {
+    log(LOG_LEVEL_WARN, `Story log element not found. Streaming message not started: (${senderTypes}).`);
+    return null;
+  }
+  const msgDiv = _createMessageElement(senderTypes);
+  msgDiv.classList.add('is-streaming');
+  let streamedText = '';
+  let renderScheduled = false;
+  _withAutoScroll(() => storyLog.appendChild(msgDiv));
+
+  return {
+    append(delta) {
+      streamedText += delta;
+      if (renderScheduled) return;
+      renderScheduled = true;
+      requestAnimationFrame(() => {
+        renderScheduled = false;
+        if (msgDiv.classList.contains('is-streaming')) {
+          _withAutoScroll(() => _setMessageContent(msgDiv, streamedText));
+        }
+      });
+    },
+    finalize(finalText) {
+      msgDiv.classList.remove('is-streaming');
+      _withAutoScroll(() => _setMessageContent(msgDiv, finalText ?? streamedText));
+    },
+    discard() {
+      msgDiv.classList.remove('is-streaming');
+      msgDiv.remove();
+    },
+  };
+}
+
 /**
  * Shows a loading indicator in the story log.
  * Removes any existing indicator before adding a new one.
@@ -129,7 +129,7 @@ export function displaySuggestedActions(actions, options = {}) {
         if (isDefeatAction) {
           const themeId = getCurrentTheme();
           if (_gameControllerRef && themeId) {
-            _gameControllerRef.initiateNewGameSessionFlow(themeId, true); // Force new game
+            _gameControllerRef.initiateNewGameSessionFlow(themeId, true, true); // Force new game in a new save slot
           } else {
             log(LOG_LEVEL_ERROR, 'Cannot start new game from defeat action: GameController or themeId not available.');
           }
@@ -0,0 +1,217 @@
+/**
+ * @file Manages the Timeline modal, which lists the turn checkpoints of the current run.
+ * The player can rewind to an earlier turn, branching the story from there, and read the
+ * branches they abandoned by rewinding.
+ */
+
+import * as apiService from '../core/apiService.js';
+import { getCurrentUser, getCurrentSaveSlotId } from '../core/state.js';
+import { getUIText } from '../services/localizationService.js';
+import { showCustomModal, hideCustomModal, displayModalError } from './modalManager.js';
+import { log, LOG_LEVEL_INFO, LOG_LEVEL_ERROR } from '../core/logger.js';
+
+// --- MODULE-LEVEL DEPENDENCIES ---
+let _gameControllerRef = null;
+
+// --- INITIALIZATION ---
+
+/**
+ * Initializes the TimelineModalManager with necessary dependencies.
+ * @param {object} [dependencies={}] - An object containing optional dependencies.
+ * @param {object} [dependencies.gameController] - Reference to the gameController for rewinding.
+ */
+export function initTimelineModalManager(dependencies = {}) {
+  if (dependencies.gameController) {
+    _gameControllerRef = dependencies.gameController;
+  }
+}
+
+// --- PRIVATE HELPERS ---
+
+/**
+ * Creates a list row for a checkpoint.
+ * @private
+ * @param {object} checkpoint - The checkpoint from the API.
+ * @param {Array<{textKey: string, className: string, onClick: Function}>} actions - The row's buttons.
+ * @param {boolean} [isCurrent=false] - True if the run is at this checkpoint.
+ * @returns {HTMLLIElement}
+ */
+function _createCheckpointItem(checkpoint, actions, isCurrent = false) {
+  const listItem = document.createElement('li');
+  listItem.className = 'timeline-item';
+  listItem.dataset.checkpointId = checkpoint.id;
+  if (isCurrent) listItem.classList.add('current');
+
+  const titleDiv = document.createElement('div');
+  titleDiv.className = 'timeline-turn';
+  titleDiv.textContent = getUIText('timeline_turn_label', { TURN: checkpoint.turn_number });
+  if (isCurrent) titleDiv.textContent += ` ${getUIText('timeline_current_marker')}`;
+  listItem.appendChild(titleDiv);
+
+  if (checkpoint.label) {
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'timeline-action';
+    labelDiv.textContent = checkpoint.label;
+    listItem.appendChild(labelDiv);
+  }
+
+  if (actions.length > 0) {
+    const controls = document.createElement('div');
+    controls.className = 'timeline-controls';
+    actions.forEach(({ textKey, className, onClick }) => {
+      const button = document.createElement('button');
+      button.className = className;
+      button.textContent = getUIText(textKey);
+      button.addEventListener('click', onClick);
+      controls.appendChild(button);
+    });
+    listItem.appendChild(controls);
+  }
+  return listItem;
+}
+
+/**
+ * Renders the story of a branch as plain paragraphs.
+ * @private
+ * @param {Array<object>} history - The branch's session history entries.
+ * @returns {HTMLDivElement}
+ */
+function _createBranchStoryElement(history) {
+  const story = document.createElement('div');
+  story.className = 'timeline-branch-story';
+  history.forEach((entry) => {
+    const text = entry?.parts?.[0]?.text;
+    if (typeof text !== 'string') return;
+    const paragraph = document.createElement('p');
+    if (entry.role === 'user') {
+      paragraph.className = 'timeline-branch-player';
+      paragraph.textContent = text;
+    } else if (entry.role === 'model') {
+      try {
+        paragraph.textContent = JSON.parse(text).narrative || '';
+      } catch (e) {
+        paragraph.textContent = text;
+      }
+    } else {
+      paragraph.className = 'timeline-branch-system';
+      paragraph.textContent = text;
+    }
+    if (paragraph.textContent) story.appendChild(paragraph);
+  });
+  return story;
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Fetches and displays the Timeline modal of the current run.
+ * @param {string} themeId - The ID of the theme being played.
+ */
+export async function showTimelineModal(themeId) {
+  const currentUser = getCurrentUser();
+  if (!currentUser?.token) {
+    log(LOG_LEVEL_ERROR, 'Cannot show timeline modal: User not logged in.');
+    showCustomModal({
+      type: 'alert',
+      titleKey: 'alert_title_error',
+      messageKey: 'error_api_call_failed',
+      replacements: { ERROR_MSG: 'You must be logged in to rewind your story.' },
+    });
+    return;
+  }
+
+  const modalContentContainer = document.createElement('div');
+  modalContentContainer.className = 'timeline-modal-content';
+  let checkpoints = [];
+  let headCheckpointId = null;
+
+  const rewindAction = checkpoint => ({
+    textKey: 'button_timeline_rewind',
+    className: 'ui-button',
+    onClick: () => _gameControllerRef?.rewindToCheckpoint(checkpoint.id, checkpoint.turn_number),
+  });
+
+  const renderTimeline = () => {
+    modalContentContainer.innerHTML = '';
+    if (checkpoints.length === 0) {
+      const noCheckpointsP = document.createElement('p');
+      noCheckpointsP.textContent = getUIText('timeline_none_found');
+      modalContentContainer.appendChild(noCheckpointsP);
+      return;
+    }
+
+    const activeTitle = document.createElement('h4');
+    activeTitle.textContent = getUIText('timeline_active_branch_title');
+    modalContentContainer.appendChild(activeTitle);
+    const activeList = document.createElement('ul');
+    activeList.className = 'timeline-list';
+    checkpoints
+      .filter(checkpoint => checkpoint.on_active_branch)
+      .sort((a, b) => b.turn_number - a.turn_number)
+      .forEach((checkpoint) => {
+        const isCurrent = checkpoint.id === headCheckpointId;
+        activeList.appendChild(_createCheckpointItem(checkpoint, isCurrent ? [] : [rewindAction(checkpoint)], isCurrent));
+      });
+    modalContentContainer.appendChild(activeList);
+
+    const abandonedLeaves = checkpoints.filter(checkpoint => checkpoint.is_leaf && !checkpoint.on_active_branch);
+    if (abandonedLeaves.length === 0) return;
+    const abandonedTitle = document.createElement('h4');
+    abandonedTitle.textContent = getUIText('timeline_abandoned_branches_title');
+    modalContentContainer.appendChild(abandonedTitle);
+    const abandonedList = document.createElement('ul');
+    abandonedList.className = 'timeline-list abandoned';
+    abandonedLeaves
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .forEach((checkpoint) => {
+        abandonedList.appendChild(_createCheckpointItem(checkpoint, [
+          { textKey: 'button_timeline_view_branch', className: 'ui-button', onClick: () => renderBranch(checkpoint) },
+          rewindAction(checkpoint),
+        ]));
+      });
+    modalContentContainer.appendChild(abandonedList);
+  };
+
+  const renderBranch = async (checkpoint) => {
+    try {
+      const response = await apiService.fetchCheckpointHistory(currentUser.token, themeId, checkpoint.id);
+      modalContentContainer.innerHTML = '';
+      const branchTitle = document.createElement('h4');
+      branchTitle.textContent = getUIText('timeline_branch_title', { TURN: checkpoint.turn_number });
+      modalContentContainer.appendChild(branchTitle);
+      modalContentContainer.appendChild(_createBranchStoryElement(response.history || []));
+      const backButton = document.createElement('button');
+      backButton.className = 'ui-button';
+      backButton.textContent = getUIText('button_timeline_back');
+      backButton.addEventListener('click', renderTimeline);
+      modalContentContainer.appendChild(backButton);
+      modalContentContainer.scrollTop = 0;
+    } catch (error) {
+      log(LOG_LEVEL_ERROR, `Failed to fetch history of checkpoint ${checkpoint.id}:`, error);
+      displayModalError(getUIText('error_api_call_failed', { ERROR_MSG: error.message }), modalContentContainer);
+    }
+  };
+
+  showCustomModal({
+    type: 'custom',
+    titleKey: 'modal_title_timeline',
+    htmlContent: modalContentContainer,
+    customActions: [{ textKey: 'modal_ok_button', className: 'ui-button primary', onClick: () => hideCustomModal() }],
+  });
+
+  try {
+    const response = await apiService.fetchCheckpoints(currentUser.token, themeId, getCurrentSaveSlotId());
+    checkpoints = response.checkpoints || [];
+    headCheckpointId = response.head_checkpoint_id;
+    log(LOG_LEVEL_INFO, `Loaded ${checkpoints.length} checkpoints for theme ${themeId}.`);
+    renderTimeline();
+  } catch (error) {
+    // A run that has not been saved yet has no checkpoints.
+    if (error.code === 'GAME_STATE_NOT_FOUND') {
+      renderTimeline();
+      return;
+    }
+    log(LOG_LEVEL_ERROR, 'Failed to fetch checkpoints for timeline modal:', error);
+    displayModalError(getUIText('error_api_call_failed', { ERROR_MSG: error.message }), modalContentContainer);
+  }
+}
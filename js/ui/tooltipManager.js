@@ -50,6 +50,7 @@ function _createTooltipElement() {
 
   // Typography
   tooltipElement.style.fontSize = 'var(--font-size-xs, 0.75rem)';
+  tooltipElement.style.whiteSpace = 'pre-line'; // Multi-line texts (e.g. dice breakdowns) keep their line breaks.
 
   // Behavior
   tooltipElement.style.opacity = '0';
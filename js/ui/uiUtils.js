@@ -24,6 +24,7 @@ import {
   actionInputSection,
   playerActionCharCounter,
   forceRollToggleButton,
+  regenerateTurnButton,
 } from './domElements.js';
 import { attachTooltip } from './tooltipManager.js';
 import { log, LOG_LEVEL_DEBUG } from '../core/logger.js';
@@ -272,6 +273,7 @@ export function setGMActivityIndicator(isProcessing) {
   if (playerActionInput) playerActionInput.disabled = shouldBeDisabled;
   if (sendActionButton) sendActionButton.disabled = shouldBeDisabled;
   if (forceRollToggleButton) forceRollToggleButton.disabled = shouldBeDisabled;
+  if (regenerateTurnButton) regenerateTurnButton.disabled = shouldBeDisabled;
   if (inputGroup) {
     inputGroup.classList.toggle('input-group-disabled', shouldBeDisabled);
   }
@@ -57,3 +57,112 @@ export const FREE_MODEL_NAME = process.env.FREE_MODEL_NAME || 'gemini-2.5-flash-
  * Default model name for paid/pro users.
  */
 export const PAID_MODEL_NAME = process.env.PAID_MODEL_NAME || 'gemini-2.5-flash';
+
+/**
+ * Retry policy for AI turn requests that fail with a transient status.
+ * - maxAttempts: attempts per model (including the first) before moving on to the tier's next fallback model.
+ * - baseDelayMs / maxDelayMs: exponential backoff bounds; each delay is jittered between half and the full value.
+ * - retryableStatuses: provider HTTP statuses that are worth retrying.
+ */
+export const AI_RETRY_POLICY = {
+  maxAttempts: parseInt(process.env.AI_RETRY_MAX_ATTEMPTS, 10) || 3,
+  baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS, 10) || 500,
+  maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS, 10) || 4000,
+  retryableStatuses: [429, 500, 503],
+};
+
+/**
+ * Policy of the background job worker (see utils/jobQueue.js).
+ * - maxAttempts: attempts per job (including the first) before it is marked failed.
+ * - baseDelayMs / maxDelayMs: exponential backoff bounds between attempts, jittered like AI retries.
+ * - pollIntervalMs: how often the worker looks for due jobs.
+ * - lockTimeoutMs: how long an attempt may run before the job counts as abandoned and is retried.
+ */
+export const BACKGROUND_JOB_POLICY = {
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5,
+  baseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10) || 30000,
+  maxDelayMs: parseInt(process.env.JOB_RETRY_MAX_DELAY_MS, 10) || 30 * 60 * 1000,
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000,
+  lockTimeoutMs: parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+};
+
+/**
+ * Parses a comma-separated `key=provider` list from an environment variable.
+ * '=' is used as the separator because local model tags (e.g. 'llama3.1:8b') contain colons.
+ * @param {string|undefined} rawValue - The raw environment variable value.
+ * @returns {Object<string, string>} Map of key to provider id.
+ */
+function parseProviderMap(rawValue) {
+  const map = {};
+  if (!rawValue) return map;
+  for (const entry of rawValue.split(',')) {
+    const separatorIndex = entry.lastIndexOf('=');
+    if (separatorIndex <= 0) continue;
+    const key = entry.slice(0, separatorIndex).trim();
+    const providerId = entry.slice(separatorIndex + 1).trim();
+    if (key && providerId) map[key] = providerId;
+  }
+  return map;
+}
+
+/**
+ * Connection settings for every AI provider the proxy can talk to.
+ * - type: the adapter used to translate requests ('gemini', 'openai' or 'ollama').
+ * - requiresApiKey: whether a request may be sent without `apiKey` being set.
+ * llama.cpp's server speaks the OpenAI chat completions dialect, so it reuses that adapter.
+ */
+export const AI_PROVIDERS = {
+  gemini: {
+    type: 'gemini',
+    baseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+    apiKey: process.env.GEMINI_API_KEY,
+    requiresApiKey: true,
+  },
+  openai: {
+    type: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    requiresApiKey: true,
+  },
+  ollama: {
+    type: 'ollama',
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    apiKey: null,
+    requiresApiKey: false,
+  },
+  llamacpp: {
+    type: 'openai',
+    baseUrl: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+    apiKey: process.env.LLAMACPP_API_KEY,
+    requiresApiKey: false,
+  },
+  mock: {
+    type: 'mock',
+    fixturesDir: process.env.MOCK_AI_FIXTURES_DIR,
+    requiresApiKey: false,
+  },
+};
+
+/**
+ * Model name that is always served by the offline mock provider.
+ */
+export const MOCK_MODEL_NAME = 'mock';
+
+/**
+ * Provider used when neither the model name nor the user's tier has an explicit mapping.
+ */
+export const DEFAULT_AI_PROVIDER = process.env.AI_PROVIDER_DEFAULT || 'gemini';
+
+/**
+ * Explicit model name → provider mapping, e.g. AI_PROVIDER_BY_MODEL="llama3.1:8b=ollama,gpt-4o-mini=openai".
+ * Takes precedence over the tier mapping.
+ */
+export const AI_PROVIDER_BY_MODEL = {
+  [MOCK_MODEL_NAME]: 'mock',
+  ...parseProviderMap(process.env.AI_PROVIDER_BY_MODEL),
+};
+
+/**
+ * User tier → provider mapping, e.g. AI_PROVIDER_BY_TIER="anonymous=ollama,free=ollama".
+ */
+export const AI_PROVIDER_BY_TIER = parseProviderMap(process.env.AI_PROVIDER_BY_TIER);
@@ -10,41 +10,106 @@ const anonymousUsage = new Map();
 export const MODEL_FREE = process.env.MODEL_NAME_FREE || 'gemini-2.5-flash';
 export const MODEL_PRO = process.env.MODEL_NAME_PRO || 'gemini-2.5-flash';
 export const MODEL_ULTRA = process.env.MODEL_NAME_ULTRA || 'gemini-2.5-flash';
+
+/**
+ * Reads an optional daily token budget from an environment variable.
+ * @param {string} variableName - The environment variable.
+ * @returns {number|null} The budget, or null for no token budget.
+ * @private
+ */
+function _tokenBudget(variableName) {
+  const budget = parseInt(process.env[variableName], 10);
+  return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
 /**
  * Defines API limits and allowed models for each user tier.
  * Reads model names from environment variables for easy configuration.
+ * Each allowed model has a daily call limit and an optional daily token budget (`dailyTokenLimit`, null for none),
+ * counted from the `usageMetadata` of the proxy's AI calls.
+ * `fallbackModels` is the ordered chain the turn proxy falls back along when a model keeps failing;
+ * a turn only falls back to models listed after the requested one.
  * @constant {object}
  */
 export const USER_TIERS = {
   anonymous: {
     allowedModels: {
-      [MODEL_FREE]: { dailyLimit: 25 },
+      [MODEL_FREE]: { dailyLimit: 25, dailyTokenLimit: _tokenBudget('TOKEN_LIMIT_ANON_DAILY') },
     },
+    fallbackModels: [MODEL_FREE],
     narrativeCharLimit: 500,
   },
   free: {
     allowedModels: {
-      [MODEL_FREE]: { dailyLimit: 100 },
+      [MODEL_FREE]: { dailyLimit: 100, dailyTokenLimit: _tokenBudget('TOKEN_LIMIT_FREE_DAILY') },
     },
+    fallbackModels: [MODEL_FREE],
     narrativeCharLimit: 500,
   },
   pro: {
     allowedModels: {
-      [MODEL_FREE]: { dailyLimit: 100 },
-      [MODEL_PRO]: { dailyLimit: 200 },
+      [MODEL_FREE]: { dailyLimit: 100, dailyTokenLimit: _tokenBudget('TOKEN_LIMIT_PRO_DAILY') },
+      [MODEL_PRO]: { dailyLimit: 200, dailyTokenLimit: _tokenBudget('TOKEN_LIMIT_PRO_DAILY') },
     },
+    fallbackModels: [MODEL_PRO, MODEL_FREE],
     narrativeCharLimit: 1000,
   },
   ultra: {
     allowedModels: {
-      [MODEL_FREE]: { dailyLimit: 100 },
-      [MODEL_PRO]: { dailyLimit: 200 },
-      [MODEL_ULTRA]: { dailyLimit: 200 },
+      [MODEL_FREE]: { dailyLimit: 100, dailyTokenLimit: _tokenBudget('TOKEN_LIMIT_ULTRA_DAILY') },
+      [MODEL_PRO]: { dailyLimit: 200, dailyTokenLimit: _tokenBudget('TOKEN_LIMIT_ULTRA_DAILY') },
+      [MODEL_ULTRA]: { dailyLimit: 200, dailyTokenLimit: _tokenBudget('TOKEN_LIMIT_ULTRA_DAILY') },
     },
+    fallbackModels: [MODEL_ULTRA, MODEL_PRO, MODEL_FREE],
     narrativeCharLimit: 1500,
   },
 };
 
+/**
+ * Reads a model's stored usage for the current daily window.
+ * @param {object|undefined} modelUsage - Stored `{ daily, dailyTokens, lastDailyReset }`, if any.
+ * @param {Date} twentyFourHoursAgo - Start of the current daily window.
+ * @returns {{daily: number, dailyTokens: number}} Zeros once the window has passed.
+ * @private
+ */
+function _currentModelUsage(modelUsage, twentyFourHoursAgo) {
+  if (!modelUsage || new Date(modelUsage.lastDailyReset) < twentyFourHoursAgo) {
+    return { daily: 0, dailyTokens: 0 };
+  }
+  return { daily: modelUsage.daily || 0, dailyTokens: modelUsage.dailyTokens || 0 };
+}
+
+/**
+ * Adds one call and its tokens to a model's stored usage, starting a new daily window if the last one has passed.
+ * @param {object|undefined} modelUsage - Stored `{ daily, dailyTokens, lastDailyReset }`, if any.
+ * @param {number} tokens - Total tokens of the call.
+ * @param {Date} now - The current time.
+ * @param {Date} twentyFourHoursAgo - Start of the current daily window.
+ * @returns {{daily: number, dailyTokens: number, lastDailyReset: Date}}
+ * @private
+ */
+function _addModelUsage(modelUsage, tokens, now, twentyFourHoursAgo) {
+  const current = _currentModelUsage(modelUsage, twentyFourHoursAgo);
+  const windowExpired = !modelUsage || new Date(modelUsage.lastDailyReset) < twentyFourHoursAgo;
+  return {
+    daily: current.daily + 1,
+    dailyTokens: current.dailyTokens + tokens,
+    lastDailyReset: windowExpired ? now : modelUsage.lastDailyReset,
+  };
+}
+
+/**
+ * Checks whether a model's daily call limit or token budget is used up.
+ * @param {object} modelLimits - `{ dailyLimit, dailyTokenLimit }` from USER_TIERS.
+ * @param {{daily: number, dailyTokens: number}} currentUsage - From `_currentModelUsage`.
+ * @returns {'calls'|'tokens'|null} The exhausted budget, or null if the model can still be used.
+ * @private
+ */
+function _exhaustedBudget(modelLimits, currentUsage) {
+  if (currentUsage.daily >= modelLimits.dailyLimit) return 'calls';
+  if (modelLimits.dailyTokenLimit && currentUsage.dailyTokens >= modelLimits.dailyTokenLimit) return 'tokens';
+  return null;
+}
+
 /**
  * Helper function to construct the API usage object for the client.
  * @param {object} user - The user object from the database.
@@ -60,38 +125,69 @@ export function constructApiUsageResponse(user) {
     for (const modelName in tierConfig.allowedModels) {
         if (Object.prototype.hasOwnProperty.call(tierConfig.allowedModels, modelName)) {
             const modelLimits = tierConfig.allowedModels[modelName];
-            const modelUsage = userApiUsage[modelName] || { daily: 0, lastDailyReset: new Date(0) };
-            const currentDaily = new Date(modelUsage.lastDailyReset) < twentyFourHoursAgo ? 0 : modelUsage.daily;
+            const currentUsage = _currentModelUsage(userApiUsage[modelName], twentyFourHoursAgo);
             constructedApiUsage[modelName] = {
-                daily: { count: currentDaily, limit: modelLimits.dailyLimit },
+                daily: { count: currentUsage.daily, limit: modelLimits.dailyLimit },
+                dailyTokens: { count: currentUsage.dailyTokens, limit: modelLimits.dailyTokenLimit ?? null },
             };
         }
     }
     return constructedApiUsage;
 }
 
+/**
+ * Resolves the tier a user is effectively on, treating an active trial as 'pro'.
+ * @param {object|null|undefined} user - The user object from the request, or null/undefined for anonymous users.
+ * @returns {string} The effective tier key (e.g. 'anonymous', 'free', 'pro', 'ultra').
+ */
+export function getEffectiveTier(user) {
+    if (!user) return 'anonymous';
+    const tier = user.tier || 'free';
+    if (tier === 'free' && user.trial_expires_at && new Date(user.trial_expires_at) > new Date()) {
+        return 'pro';
+    }
+    return tier;
+}
+
 /**
  * Gets the character limit for the narrative response based on the user's effective tier.
  * @param {object|null|undefined} user - The user object from the request, or null/undefined for anonymous users.
  * @returns {number} The character limit.
  */
 export function getTierCharacterLimit(user) {
-    let tier = 'anonymous';
-    let onTrial = false;
-    if (user) {
-        tier = user.tier || 'free';
-        if (tier === 'free' && user.trial_expires_at && new Date(user.trial_expires_at) > new Date()) {
-            onTrial = true;
-        }
-    }
-    const effectiveTier = onTrial ? 'pro' : tier;
+    const effectiveTier = getEffectiveTier(user);
     return USER_TIERS[effectiveTier]?.narrativeCharLimit || USER_TIERS.anonymous.narrativeCharLimit;
 }
 
+/**
+ * Lists the models a request may fall back to: the tier's chain after the requested model
+ * (or the whole chain if the requested model is not in it), skipping models
+ * whose daily call limit or token budget is used up.
+ * @param {object} tierConfig - The tier configuration from USER_TIERS.
+ * @param {string} modelName - The requested model.
+ * @param {object} usageByModel - Stored usage keyed by model name.
+ * @param {Date} twentyFourHoursAgo - Start of the current daily window.
+ * @returns {string[]} Fallback model names, in order.
+ * @private
+ */
+function _availableFallbackModels(tierConfig, modelName, usageByModel, twentyFourHoursAgo) {
+  const chain = [...new Set(tierConfig.fallbackModels || [])];
+  const requestedIndex = chain.indexOf(modelName);
+  return chain
+    .slice(requestedIndex + 1)
+    .filter(fallbackModel => {
+      const modelLimits = tierConfig.allowedModels[fallbackModel];
+      if (!modelLimits || fallbackModel === modelName) return false;
+      return !_exhaustedBudget(modelLimits, _currentModelUsage(usageByModel[fallbackModel], twentyFourHoursAgo));
+    });
+}
+
 /**
  * Checks if a user's API call is within their tier's limits for the requested model.
- * Attaches an `incrementUsage` function to the request object to be called on successful API response.
- * The `incrementUsage` function will return the new usage counts for the specific model used.
+ * Attaches an `incrementUsage` function to the request object to be called on successful API response,
+ * and `fallbackModels` (see `_availableFallbackModels`) for the turn proxy.
+ * The `incrementUsage` function takes the model that actually answered (defaulting to the requested one) and the
+ * turn's total tokens, charges only that model and returns the new usage counts.
  * @param {import('express').Request} req - The Express request object.
  * @param {import('express').Response} res - The Express response object.
  * @param {import('express').NextFunction} next - The Express next middleware function.
@@ -116,27 +212,30 @@ export const limitApiUsage = async (req, res, next) => {
       });
     }
     const apiUsage = typeof user.apiUsage === 'object' && user.apiUsage !== null ? user.apiUsage : {};
-    const modelUsage = apiUsage[modelName] || { daily: 0, lastDailyReset: new Date(0) };
-    const currentDaily = new Date(modelUsage.lastDailyReset) < twentyFourHoursAgo ? 0 : modelUsage.daily;
-    if (currentDaily >= modelLimits.dailyLimit) {
+    const currentUsage = _currentModelUsage(apiUsage[modelName], twentyFourHoursAgo);
+    const exhaustedBudget = _exhaustedBudget(modelLimits, currentUsage);
+    if (exhaustedBudget === 'calls') {
       const message = `You have exceeded your daily API call limit for the '${modelName}' model.`;
-      logger.warn(`Daily API limit for model ${modelName} exceeded for user ${user.id}. Daily: ${currentDaily}/${modelLimits.dailyLimit}`);
+      logger.warn(`Daily API limit for model ${modelName} exceeded for user ${user.id}. Daily: ${currentUsage.daily}/${modelLimits.dailyLimit}`);
       return res.status(429).json({
         error: { message, code: 'DAILY_API_LIMIT_EXCEEDED' },
       });
     }
-    req.incrementUsage = async () => {
+    if (exhaustedBudget === 'tokens') {
+      const message = `You have used up your daily token budget for the '${modelName}' model.`;
+      logger.warn(`Daily token budget for model ${modelName} exceeded for user ${user.id}. Tokens: ${currentUsage.dailyTokens}/${modelLimits.dailyTokenLimit}`);
+      return res.status(429).json({
+        error: { message, code: 'DAILY_TOKEN_LIMIT_EXCEEDED' },
+      });
+    }
+    req.fallbackModels = _availableFallbackModels(tierConfig, modelName, apiUsage, twentyFourHoursAgo);
+    req.incrementUsage = async (usedModelName = modelName, tokens = 0) => {
       // Re-fetch user to get the absolute latest apiUsage to prevent race conditions
       const freshUser = await prisma.user.findUnique({ where: { id: user.id }, select: { apiUsage: true } });
       const freshApiUsage = typeof freshUser.apiUsage === 'object' && freshUser.apiUsage !== null ? freshUser.apiUsage : {};
-      const usageForModel = freshApiUsage[modelName] || { daily: 0, lastDailyReset: new Date(0) };
-      const newDailyCount = new Date(usageForModel.lastDailyReset) < twentyFourHoursAgo ? 1 : usageForModel.daily + 1;
       const updatedApiUsage = {
         ...freshApiUsage,
-        [modelName]: {
-          daily: newDailyCount,
-          lastDailyReset: new Date(usageForModel.lastDailyReset) < twentyFourHoursAgo ? now : usageForModel.lastDailyReset,
-        },
+        [usedModelName]: _addModelUsage(freshApiUsage[usedModelName], tokens, now, twentyFourHoursAgo),
       };
       await prisma.user.update({
         where: { id: user.id },
@@ -163,23 +262,21 @@ export const limitApiUsage = async (req, res, next) => {
       });
     }
     const ipRecord = anonymousUsage.get(ip) || {};
-    const modelUsage = ipRecord[modelName] || { daily: 0, lastDailyReset: new Date(0) };
-    const currentDaily = new Date(modelUsage.lastDailyReset) < twentyFourHoursAgo ? 0 : modelUsage.daily;
-    if (currentDaily >= modelLimits.dailyLimit) {
-      const message = 'You have exceeded your daily API call limit. Please register for more calls.';
-      logger.warn(`Daily API limit for model ${modelName} exceeded for anonymous IP ${ip}. Daily: ${currentDaily}/${modelLimits.dailyLimit}`);
+    const currentUsage = _currentModelUsage(ipRecord[modelName], twentyFourHoursAgo);
+    const exhaustedBudget = _exhaustedBudget(modelLimits, currentUsage);
+    if (exhaustedBudget) {
+      const message = exhaustedBudget === 'tokens'
+        ? 'You have used up your daily token budget. Please register for more.'
+        : 'You have exceeded your daily API call limit. Please register for more calls.';
+      logger.warn(`Daily ${exhaustedBudget} limit for model ${modelName} exceeded for anonymous IP ${ip}. Daily: ${currentUsage.daily}/${modelLimits.dailyLimit}, tokens: ${currentUsage.dailyTokens}/${modelLimits.dailyTokenLimit}`);
       return res.status(429).json({
-        error: { message, code: 'DAILY_API_LIMIT_EXCEEDED' },
+        error: { message, code: exhaustedBudget === 'tokens' ? 'DAILY_TOKEN_LIMIT_EXCEEDED' : 'DAILY_API_LIMIT_EXCEEDED' },
       });
     }
-    req.incrementUsage = async () => {
+    req.fallbackModels = _availableFallbackModels(tierConfig, modelName, ipRecord, twentyFourHoursAgo);
+    req.incrementUsage = async (usedModelName = modelName, tokens = 0) => {
       const recordToUpdate = anonymousUsage.get(ip) || {};
-      const usageForModel = recordToUpdate[modelName] || { daily: 0, lastDailyReset: new Date(0) };
-      const newDailyCount = new Date(usageForModel.lastDailyReset) < twentyFourHoursAgo ? 1 : usageForModel.daily + 1;
-      recordToUpdate[modelName] = {
-        daily: newDailyCount,
-        lastDailyReset: new Date(usageForModel.lastDailyReset) < twentyFourHoursAgo ? now : usageForModel.lastDailyReset,
-      };
+      recordToUpdate[usedModelName] = _addModelUsage(recordToUpdate[usedModelName], tokens, now, twentyFourHoursAgo);
       anonymousUsage.set(ip, recordToUpdate);
       // Construct a full response object for all models available to anonymous users
       const tempUserForResponse = {
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "token_usage" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "model_name" TEXT NOT NULL,
+    "theme_id" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "usage_date" DATE NOT NULL,
+    "request_count" INTEGER NOT NULL DEFAULT 0,
+    "prompt_tokens" INTEGER NOT NULL DEFAULT 0,
+    "candidate_tokens" INTEGER NOT NULL DEFAULT 0,
+    "total_tokens" INTEGER NOT NULL DEFAULT 0,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "token_usage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "token_usage_user_id_idx" ON "token_usage"("user_id");
+
+-- CreateIndex
+CREATE INDEX "token_usage_user_id_usage_date_idx" ON "token_usage"("user_id", "usage_date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "token_usage_user_id_model_name_theme_id_source_usage_date_key" ON "token_usage"("user_id", "model_name", "theme_id", "source", "usage_date");
+
+-- AddForeignKey
+ALTER TABLE "token_usage" ADD CONSTRAINT "token_usage_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
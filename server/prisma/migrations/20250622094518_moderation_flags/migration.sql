@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "moderation_flags" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT,
+    "theme_id" TEXT NOT NULL,
+    "model_name" TEXT NOT NULL,
+    "player_action" TEXT NOT NULL,
+    "reasons" JSONB NOT NULL DEFAULT '[]',
+    "adjustments" JSONB NOT NULL DEFAULT '[]',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "moderation_flags_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "moderation_flags_user_id_idx" ON "moderation_flags"("user_id");
+
+-- CreateIndex
+CREATE INDEX "moderation_flags_created_at_idx" ON "moderation_flags"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "moderation_flags" ADD CONSTRAINT "moderation_flags_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "roll_seeds" (
+    "id" TEXT NOT NULL,
+    "game_state_id" TEXT NOT NULL,
+    "commitment" TEXT NOT NULL,
+    "seed" TEXT NOT NULL,
+    "next_sequence" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revealed_at" TIMESTAMP(3),
+
+    CONSTRAINT "roll_seeds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "roll_ledger_entries" (
+    "id" TEXT NOT NULL,
+    "game_state_id" TEXT NOT NULL,
+    "seed_id" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "roll_configs" JSONB NOT NULL,
+    "results" JSONB NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "roll_ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "roll_seeds_game_state_id_idx" ON "roll_seeds"("game_state_id");
+
+-- CreateIndex
+CREATE INDEX "roll_ledger_entries_game_state_id_idx" ON "roll_ledger_entries"("game_state_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "roll_ledger_entries_seed_id_sequence_key" ON "roll_ledger_entries"("seed_id", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "roll_seeds" ADD CONSTRAINT "roll_seeds_game_state_id_fkey" FOREIGN KEY ("game_state_id") REFERENCES "GameState"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "roll_ledger_entries" ADD CONSTRAINT "roll_ledger_entries_game_state_id_fkey" FOREIGN KEY ("game_state_id") REFERENCES "GameState"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "roll_ledger_entries" ADD CONSTRAINT "roll_ledger_entries_seed_id_fkey" FOREIGN KEY ("seed_id") REFERENCES "roll_seeds"("id") ON DELETE CASCADE ON UPDATE CASCADE;
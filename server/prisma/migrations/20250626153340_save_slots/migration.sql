@@ -0,0 +1,12 @@
+-- DropIndex
+DROP INDEX "GameState_user_id_theme_id_key";
+
+-- AlterTable
+ALTER TABLE "GameState" ADD COLUMN     "last_played_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "slot_name" TEXT NOT NULL DEFAULT 'Slot 1';
+
+-- Existing runs were last played when they were last saved.
+UPDATE "GameState" SET "last_played_at" = "updated_at";
+
+-- CreateIndex
+CREATE INDEX "GameState_user_id_theme_id_idx" ON "GameState"("user_id", "theme_id");
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "GameState" ADD COLUMN     "head_checkpoint_id" TEXT,
+ADD COLUMN     "run_stats" JSONB;
+
+-- CreateTable
+CREATE TABLE "game_checkpoints" (
+    "id" TEXT NOT NULL,
+    "game_state_id" TEXT NOT NULL,
+    "parent_id" TEXT,
+    "turn_number" INTEGER NOT NULL,
+    "label" TEXT,
+    "history_length" INTEGER NOT NULL,
+    "summarized_length" INTEGER NOT NULL,
+    "history_delta" JSONB NOT NULL,
+    "chronicle_summary" TEXT,
+    "chronicle_lore" TEXT,
+    "dashboard_updates" JSONB NOT NULL,
+    "game_state_indicators" JSONB NOT NULL,
+    "prompt_type" TEXT NOT NULL,
+    "suggested_actions" JSONB NOT NULL,
+    "session_inventory" JSONB,
+    "equipped_items" JSONB,
+    "run_stats" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "game_checkpoints_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "game_checkpoints_game_state_id_idx" ON "game_checkpoints"("game_state_id");
+
+-- AddForeignKey
+ALTER TABLE "game_checkpoints" ADD CONSTRAINT "game_checkpoints_game_state_id_fkey" FOREIGN KEY ("game_state_id") REFERENCES "GameState"("id") ON DELETE CASCADE ON UPDATE CASCADE;
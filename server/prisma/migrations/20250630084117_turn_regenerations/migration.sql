@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "GameState" ADD COLUMN     "regeneration_hint" TEXT,
+ADD COLUMN     "regeneration_pending" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "turn_regenerations" (
+    "id" TEXT NOT NULL,
+    "game_state_id" TEXT NOT NULL,
+    "turn_number" INTEGER NOT NULL,
+    "player_action" TEXT NOT NULL,
+    "hint" TEXT,
+    "discarded_xp" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "turn_regenerations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "turn_regenerations_game_state_id_idx" ON "turn_regenerations"("game_state_id");
+
+-- AddForeignKey
+ALTER TABLE "turn_regenerations" ADD CONSTRAINT "turn_regenerations_game_state_id_fkey" FOREIGN KEY ("game_state_id") REFERENCES "GameState"("id") ON DELETE CASCADE ON UPDATE CASCADE;
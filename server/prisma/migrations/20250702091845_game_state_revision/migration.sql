@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "GameState" ADD COLUMN     "revision" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "background_jobs" (
+    "id" TEXT NOT NULL,
+    "game_state_id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "payload" JSONB NOT NULL DEFAULT '{}',
+    "result" JSONB,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL,
+    "run_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "locked_at" TIMESTAMP(3),
+    "last_error" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "completed_at" TIMESTAMP(3),
+
+    CONSTRAINT "background_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "background_jobs_status_run_at_idx" ON "background_jobs"("status", "run_at");
+
+-- CreateIndex
+CREATE INDEX "background_jobs_game_state_id_idx" ON "background_jobs"("game_state_id");
+
+-- AddForeignKey
+ALTER TABLE "background_jobs" ADD CONSTRAINT "background_jobs_game_state_id_fkey" FOREIGN KEY ("game_state_id") REFERENCES "GameState"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Summaries started before the job queue have no job that would finish them.
+UPDATE "GameState" SET "summarization_in_progress" = false WHERE "summarization_in_progress" = true;
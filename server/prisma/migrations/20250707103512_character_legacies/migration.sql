@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "user_theme_progress" ADD COLUMN     "heirloom_trait_key" TEXT,
+ADD COLUMN     "prestige_rank" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "character_legacies" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "theme_id" TEXT NOT NULL,
+    "rank" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "character_name" TEXT,
+    "level" INTEGER NOT NULL,
+    "trait_keys" JSONB NOT NULL DEFAULT '[]',
+    "heirloom_trait_key" TEXT,
+    "heirloom_shard_key" TEXT,
+    "heirloom_shard_title" TEXT,
+    "retired_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "character_legacies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "character_legacies_user_id_theme_id_idx" ON "character_legacies"("user_id", "theme_id");
+
+-- AddForeignKey
+ALTER TABLE "character_legacies" ADD CONSTRAINT "character_legacies_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "GameState" ADD COLUMN     "xp_withheld_through_turn" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "GameState" ADD COLUMN     "active_conditions" JSONB NOT NULL DEFAULT '[]';
+
+-- AlterTable
+ALTER TABLE "game_checkpoints" ADD COLUMN     "active_conditions" JSONB;
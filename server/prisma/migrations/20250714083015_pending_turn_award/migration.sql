@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "GameState" ADD COLUMN     "pending_turn_award" JSONB;
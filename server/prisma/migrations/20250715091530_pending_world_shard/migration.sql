@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "GameState" ADD COLUMN     "pending_world_shard" JSONB;
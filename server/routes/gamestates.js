@@ -3,9 +3,17 @@ import express from 'express';
 import prisma from '../db.js';
 import logger from '../utils/logger.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { generatePlayerSummarySnippet, evolveWorldLore, integrateShardIntoLore } from '../utils/aiHelper.js';
 import { MODEL_FREE } from '../middleware/usageLimiter.js';
-import { getResolvedBaseThemeLore, getResolvedThemeName } from '../utils/themeDataManager.js';
+import { getResolvedBaseThemeLore } from '../utils/themeDataManager.js';
+import { revealActiveSeed, getVerifiedLedger } from '../utils/rollLedger.js';
+import { MAX_SAVE_SLOTS_PER_THEME, findSaveSlot, listSaveSlots, normalizeSlotName, parseSlotId } from '../utils/saveSlots.js';
+import { recordCheckpoint, restoreCheckpoint, listCheckpoints, getBranchHistory } from '../utils/checkpoints.js';
+import { normalizeRegenerationHint, discardLastTurn } from '../utils/turnRegeneration.js';
+import { listJobs, getJob, wakeJobWorker } from '../utils/jobQueue.js';
+import { enqueueSummarization, enqueueShardIntegration } from '../utils/chronicleJobs.js';
+import { checkClientProgress } from '../utils/progression.js';
+import { claimTurnAward, grantTurnAward } from '../utils/turnAwards.js';
+import { getStore, executeStoreTransaction, resolveSavedPossessions } from '../utils/themeStore.js';
 
 const router = express.Router();
 
@@ -21,7 +29,7 @@ const validateGameStatePayload = (req, res, next) => {
     last_dashboard_updates, last_game_state_indicators, current_prompt_type,
     current_narrative_language, last_suggested_actions, panel_states,
     dashboard_item_meta, user_theme_progress, is_boon_selection_pending,
-    session_inventory, equipped_items,
+    session_inventory, equipped_items, run_stats, base_revision,
   } = req.body;
   const errors = [];
   if (!theme_id || typeof theme_id !== 'string' || theme_id.trim() === '') { errors.push('theme_id is required and must be a non-empty string.'); }
@@ -34,6 +42,7 @@ const validateGameStatePayload = (req, res, next) => {
   if (!current_narrative_language || typeof current_narrative_language !== 'string' || current_narrative_language.trim() === '') { errors.push('current_narrative_language is required and must be a non-empty string.'); }
   if (typeof last_suggested_actions === 'undefined' || !Array.isArray(last_suggested_actions)) { errors.push('last_suggested_actions is required and must be an array.'); }
   if (typeof panel_states === 'undefined' || typeof panel_states !== 'object' || panel_states === null) { errors.push('panel_states is required and must be an object.'); }
+  if (req.body.slot_id !== undefined && req.body.slot_id !== null && typeof req.body.slot_id !== 'string') { errors.push('slot_id must be a string if provided.'); }
   if (req.body.dashboard_item_meta !== undefined && (typeof req.body.dashboard_item_meta !== 'object' || req.body.dashboard_item_meta === null)) { errors.push('dashboard_item_meta must be an object if provided.'); }
   if (req.body.actions_before_boon_selection !== undefined && req.body.actions_before_boon_selection !== null && !Array.isArray(req.body.actions_before_boon_selection)) {
     errors.push('actions_before_boon_selection must be an array or null if provided.');
@@ -62,6 +71,12 @@ const validateGameStatePayload = (req, res, next) => {
   if (equipped_items !== undefined && (typeof equipped_items !== 'object' || equipped_items === null || Array.isArray(equipped_items))) {
     errors.push('equipped_items must be an object if provided.');
   }
+  if (run_stats !== undefined && (typeof run_stats !== 'object' || run_stats === null || Array.isArray(run_stats))) {
+    errors.push('run_stats must be an object if provided.');
+  }
+  if (base_revision !== undefined && base_revision !== null && (!Number.isInteger(base_revision) || base_revision < 0)) {
+    errors.push('base_revision must be a non-negative integer if provided.');
+  }
   // Validate the delta's contents
   if (game_history_delta && Array.isArray(game_history_delta)) {
     for (const turn of game_history_delta) {
@@ -77,9 +92,54 @@ const validateGameStatePayload = (req, res, next) => {
   next();
 };
 
+/**
+ * Creates the error that rejects a save based on an outdated or unknown revision.
+ * @param {string} gameStateId - The game state that was continued elsewhere.
+ * @param {string} [code='GAME_STATE_CONFLICT'] - 'GAME_STATE_CONFLICT', or 'BASE_REVISION_REQUIRED' for a save
+ *   without `base_revision`.
+ * @returns {Error}
+ * @private
+ */
+function _conflictError(gameStateId, code = 'GAME_STATE_CONFLICT') {
+  const conflictError = new Error('Game state revision conflict.');
+  conflictError.code = code;
+  conflictError.gameStateId = gameStateId;
+  return conflictError;
+}
+
+/**
+ * Loads the current state of a run for a conflict response, so the client can show what was played elsewhere.
+ * @param {string} gameStateId - The game state.
+ * @returns {Promise<object|null>}
+ * @private
+ */
+async function _loadConflictState(gameStateId) {
+  const gameState = await prisma.gameState.findUnique({
+    where: { id: gameStateId },
+    select: { id: true, slot_name: true, revision: true, last_played_at: true, game_history: true },
+  });
+  if (!gameState) return null;
+  return {
+    slot_id: gameState.id,
+    slot_name: gameState.slot_name,
+    revision: gameState.revision,
+    last_played_at: gameState.last_played_at,
+    recent_history: Array.isArray(gameState.game_history) ? gameState.game_history.slice(-RECENT_INTERACTION_WINDOW_SIZE) : [],
+  };
+}
+
 /**
  * @route   POST /api/v1/gamestates
- * @desc    Create or Update a game state. Handles Living Chronicle summarization, World Shard unlocking, and XP processing.
+ * @desc    Create or Update a game state. Handles World Shard unlocking and XP processing, and queues Living Chronicle
+ *          summarization and shard lore integration as background jobs (listed in the response's `jobs`).
+ *          Saves into the save slot named by `slot_id`, or the most recently played slot; a player without a slot
+ *          for the theme gets one. Every save records a turn checkpoint. A save whose `base_revision` is behind the
+ *          slot's is rejected with `409 GAME_STATE_CONFLICT`, and a save into an existing slot without `base_revision`
+ *          with `428 BASE_REVISION_REQUIRED`.
+ *          A save that records a turn grants the XP, item and currency held for it (see turnAwards.js) and returns
+ *          the character's new progress as `user_theme_progress`.
+ *          The currency balance and the items the slot holds are kept from the stored state: a save can only move
+ *          held items between the backpack and the equipment slots (see themeStore.js).
  * @access  Private
  */
 router.post('/', protect, validateGameStatePayload, async (req, res) => {
@@ -90,9 +150,11 @@ router.post('/', protect, validateGameStatePayload, async (req, res) => {
     new_persistent_lore_unlock,
     user_theme_progress: clientUserThemeProgress,
     is_boon_selection_pending,
-    session_inventory, equipped_items,
+    session_inventory, equipped_items, run_stats,
   } = req.body;
   const userId = req.user.id;
+  const slotId = parseSlotId(req.body.slot_id);
+  const baseRevision = req.body.base_revision ?? null;
   const determinedModelName = req.user.preferred_model_name || MODEL_FREE;
   const gameStateClientPayload = {
     player_identifier, last_dashboard_updates, last_game_state_indicators,
@@ -103,18 +165,52 @@ router.post('/', protect, validateGameStatePayload, async (req, res) => {
     actions_before_boon_selection: req.body.actions_before_boon_selection || null,
     session_inventory: session_inventory || [],
     equipped_items: equipped_items || {},
+    run_stats: run_stats || null,
+    // Saving the regenerated turn ends the regeneration. A saved turn moves the head on, so an award held for the old
+    // head is either granted now or can no longer be.
+    ...(game_history_delta.length > 0 && { regeneration_pending: false, regeneration_hint: null, pending_turn_award: null }),
   };
 
   try {
     const result = await prisma.$transaction(async (tx) => {
-      let existingGameState = await tx.gameState.findUnique({
-        where: { userId_theme_id: { userId, theme_id } },
+      const existingGameState = await findSaveSlot({ userId, themeId: theme_id, slotId }, { client: tx });
+      if (slotId && !existingGameState) {
+        const slotNotFoundError = new Error('Save slot not found.');
+        slotNotFoundError.code = 'SAVE_SLOT_NOT_FOUND';
+        throw slotNotFoundError;
+      }
+      // Another tab or device has continued the run since this client loaded it. A save without a base revision comes
+      // from a client that has not loaded the slot, so it cannot be checked and could overwrite a newer history.
+      if (existingGameState && baseRevision === null) {
+        throw _conflictError(existingGameState.id, 'BASE_REVISION_REQUIRED');
+      }
+      if (existingGameState && existingGameState.revision !== baseRevision) {
+        throw _conflictError(existingGameState.id);
+      }
+      // Progression is owned by the server (see progression.js): a save may only add a new character's first trait.
+      const storedProgress = await tx.userThemeProgress.findUnique({ where: { userId_themeId: { userId: userId, themeId: theme_id } } });
+      const firstTraitKey = clientUserThemeProgress && typeof clientUserThemeProgress === 'object'
+        ? await checkClientProgress(storedProgress, clientUserThemeProgress, theme_id)
+        : null;
+      // The XP, item and currency of the turn this save records were held when the turn was played (see turnAwards.js).
+      const turnAward = claimTurnAward(existingGameState, game_history_delta);
+      const possessions = await resolveSavedPossessions({
+        themeId: theme_id,
+        storedState: existingGameState,
+        level: storedProgress?.level || 1,
+        sessionInventory: session_inventory,
+        equippedItems: equipped_items,
+        lastDashboardUpdates: last_dashboard_updates,
+        turnRewards: turnAward,
       });
+      if (possessions.ignoredItemIds.length > 0) {
+        logger.warn(`[Store] Ignored items the save slot does not hold for user ${userId}, theme ${theme_id}: ${possessions.ignoredItemIds.join(', ')}`);
+      }
 
       let combinedHistory;
       let finalCumulativePlayerSummary;
       let finalCurrentWorldLore;
-      let newlyEvolvedLore = null; // Variable to hold the new lore if it's generated
+      let stateToUpdate;
 
       if (existingGameState) {
         const existingHistory = Array.isArray(existingGameState.game_history) ? existingGameState.game_history : [];
@@ -127,54 +223,24 @@ router.post('/', protect, validateGameStatePayload, async (req, res) => {
         finalCurrentWorldLore = null;
       }
 
-      if (!finalCurrentWorldLore) {
+      const loreInitialized = !finalCurrentWorldLore;
+      if (loreInitialized) {
           finalCurrentWorldLore = await getResolvedBaseThemeLore(theme_id, current_narrative_language);
           logger.info(`[LivingChronicle] Initializing world lore for user ${userId}, theme ${theme_id}.`);
       }
 
-      // Handle World Shard Unlocking and Lore Evolution first
+      // Handle World Shard Unlocking; the shard is woven into the lore by a background job once the slot is saved.
+      let unlockedShard = null;
       if (new_persistent_lore_unlock && typeof new_persistent_lore_unlock === 'object') {
         const isPremiumOrTrial = (req.user.tier === 'pro' || req.user.tier === 'ultra' || (req.user.tier === 'free' && req.user.trial_expires_at && new Date(req.user.trial_expires_at) > new Date()));
         if (isPremiumOrTrial) {
             const { key_suggestion, title, content, unlock_condition_description } = new_persistent_lore_unlock;
             if (key_suggestion && title && content && unlock_condition_description) {
-                const SUPPORTED_LANGUAGES = ['en', 'cs']; // Scalable: Add future languages here (e.g., 'de', 'fr')
-                const currentLoreByLang = {};
-                // Attempt to parse existing lore as a bilingual object
-                if (finalCurrentWorldLore) {
-                    try {
-                        const parsedLore = JSON.parse(finalCurrentWorldLore);
-                        if (typeof parsedLore === 'object' && parsedLore !== null) {
-                            SUPPORTED_LANGUAGES.forEach(lang => {
-                                if (parsedLore[lang]) currentLoreByLang[lang] = parsedLore[lang];
-                            });
-                        }
-                    } catch (e) {
-                        // If it's not a JSON object, it's a legacy string. Assign it to the current language.
-                        currentLoreByLang[current_narrative_language] = finalCurrentWorldLore;
-                    }
-                }
-                logger.info(`[WorldShard] Evolving lore for all supported languages for user ${userId}, theme ${theme_id} with shard '${title}'`);
-                // Create an array of promises to evolve lore for each supported language
-                const loreEvolutionPromises = SUPPORTED_LANGUAGES.map(async (lang) => {
-                    const baseLoreForLang = await getResolvedBaseThemeLore(theme_id, lang);
-                    const currentLore = currentLoreByLang[lang] || baseLoreForLang;
-                    const themeNameForLang = await getResolvedThemeName(theme_id, lang);
-                    return integrateShardIntoLore(currentLore, { title, content }, themeNameForLang, lang);
-                });
-                const evolvedLores = await Promise.all(loreEvolutionPromises);
-                const newLoreObject = {};
-                SUPPORTED_LANGUAGES.forEach((lang, index) => {
-                    const baseLoreForLang = currentLoreByLang[lang] || ''; // Fallback to what we had
-                    newLoreObject[lang] = evolvedLores[index] || baseLoreForLang; // Use new lore if successful, otherwise keep old
-                });
-                finalCurrentWorldLore = JSON.stringify(newLoreObject);
-                newlyEvolvedLore = newLoreObject;
-                logger.info(`[WorldShard] Lore successfully evolved and structured for all languages.`);
                 try {
                   await tx.userThemePersistedLore.create({
                     data: { userId: userId, themeId: theme_id, loreFragmentKey: key_suggestion, loreFragmentTitle: title, loreFragmentContent: content, unlockConditionDescription: unlock_condition_description }
                   });
+                  unlockedShard = { title, content };
                   logger.info(`[WorldShard] Successfully created new world shard for user ${userId}, theme ${theme_id}, key '${key_suggestion}'`);
                 } catch (shardError) {
                   if (shardError.code === 'P2002') {
@@ -192,76 +258,79 @@ router.post('/', protect, validateGameStatePayload, async (req, res) => {
         }
       }
 
+      // Saves into an existing slot, or creates the theme's first one. The revision check is repeated in the
+      // update so that a concurrent save of the same revision fails.
+      const saveSlot = async (data) => {
+        if (!existingGameState) {
+          return tx.gameState.create({ data: { userId, theme_id, ...data, revision: 1, game_history_summary: finalCumulativePlayerSummary } });
+        }
+        try {
+          return await tx.gameState.update({ where: { id: existingGameState.id, revision: existingGameState.revision }, data: { ...data, revision: { increment: 1 } } });
+        } catch (error) {
+          throw error.code === 'P2025' ? _conflictError(existingGameState.id) : error;
+        }
+      };
+      const lastPlayedAt = new Date();
+
+      // The lore is only written here when it is first initialized; afterwards background jobs change it.
+      const slotData = {
+        ...gameStateClientPayload,
+        last_dashboard_updates: possessions.lastDashboardUpdates,
+        session_inventory: possessions.sessionInventory,
+        equipped_items: possessions.equippedItems,
+        game_history: combinedHistory,
+        last_played_at: lastPlayedAt,
+        ...(loreInitialized && { game_history_lore: finalCurrentWorldLore }),
+      };
+      const queuedJobs = [];
       if (
         combinedHistory.length >= RAW_HISTORY_BUFFER_MAX_SIZE &&
         (!existingGameState || !existingGameState.summarization_in_progress)
       ) {
-        logger.info(`[LivingChronicle] History buffer full (${combinedHistory.length} turns). Starting summarization for user ${userId}, theme ${theme_id}.`);
-        const stateToUpdate = await tx.gameState.upsert({
-            where: { userId_theme_id: { userId, theme_id } },
-            update: { ...gameStateClientPayload, game_history: combinedHistory, summarization_in_progress: true, game_history_lore: finalCurrentWorldLore },
-            create: { userId, theme_id, ...gameStateClientPayload, game_history: combinedHistory, summarization_in_progress: true, game_history_summary: finalCumulativePlayerSummary, game_history_lore: finalCurrentWorldLore },
-        });
-
-        const baseLoreForSummarization = await getResolvedBaseThemeLore(theme_id, current_narrative_language);
-        const themeNameForSummarization = await getResolvedThemeName(theme_id, current_narrative_language);
-
-        processSummarization(
-            stateToUpdate.id, userId, theme_id,
-            [...combinedHistory],
-            finalCumulativePlayerSummary,
-            finalCurrentWorldLore,
-            current_narrative_language,
-            baseLoreForSummarization,
-            themeNameForSummarization
-        ).catch(err => {
-            logger.error(`[LivingChronicle] Background summarization process failed catastrophically for gsID ${stateToUpdate.id}:`, err);
-            prisma.gameState.update({
-                where: { id: stateToUpdate.id }, data: { summarization_in_progress: false }
-            }).catch(resetErr => logger.error(`[LivingChronicle] CRITICAL FALLBACK: Failed to reset summarization_in_progress for gsID ${stateToUpdate.id}:`, resetErr));
-        });
+        logger.info(`[LivingChronicle] History buffer full (${combinedHistory.length} turns). Queuing summarization for user ${userId}, theme ${theme_id}.`);
+        stateToUpdate = await saveSlot({ ...slotData, summarization_in_progress: true });
+        queuedJobs.push(...await enqueueSummarization(tx, stateToUpdate.id, combinedHistory.slice(0, SUMMARIZATION_CHUNK_SIZE), current_narrative_language));
       } else {
-         await tx.gameState.upsert({
-            where: { userId_theme_id: { userId, theme_id } },
-            update: { ...gameStateClientPayload, game_history: combinedHistory, game_history_lore: finalCurrentWorldLore },
-            create: { userId, theme_id, ...gameStateClientPayload, game_history: combinedHistory, game_history_summary: finalCumulativePlayerSummary, game_history_lore: finalCurrentWorldLore, summarization_in_progress: false },
-         });
+         stateToUpdate = await saveSlot(slotData);
+      }
+      if (unlockedShard) {
+        queuedJobs.push(await enqueueShardIntegration(tx, stateToUpdate.id, unlockedShard, current_narrative_language));
       }
 
-      if (clientUserThemeProgress && typeof clientUserThemeProgress === 'object') {
-        const acquiredTraitKeysForDB = Array.isArray(clientUserThemeProgress.acquiredTraitKeys)
-                                         ? clientUserThemeProgress.acquiredTraitKeys
-                                         : [];
-        await tx.userThemeProgress.upsert({
+      const checkpointId = await recordCheckpoint(tx, {
+        gameStateId: stateToUpdate.id,
+        previousHeadId: existingGameState?.head_checkpoint_id || null,
+        historyDelta: game_history_delta,
+        rawHistory: combinedHistory,
+        summary: finalCumulativePlayerSummary,
+        lore: finalCurrentWorldLore,
+        snapshot: {
+          dashboardUpdates: possessions.lastDashboardUpdates,
+          gameStateIndicators: last_game_state_indicators,
+          promptType: current_prompt_type,
+          suggestedActions: last_suggested_actions,
+          sessionInventory: possessions.sessionInventory,
+          equippedItems: possessions.equippedItems,
+          runStats: gameStateClientPayload.run_stats,
+          activeConditions: stateToUpdate.active_conditions,
+        },
+      });
+
+      if (!storedProgress) {
+        await tx.userThemeProgress.create({
+          data: { userId: userId, themeId: theme_id, characterName: player_identifier, acquiredTraitKeys: firstTraitKey ? [firstTraitKey] : [] }
+        });
+        logger.info(`[UserThemeProgress] Initialized default progress for user ${userId}, theme ${theme_id}.`);
+      } else if (firstTraitKey) {
+        await tx.userThemeProgress.update({
           where: { userId_themeId: { userId: userId, themeId: theme_id } },
-          create: {
-            userId: userId,
-            themeId: theme_id,
-            characterName: player_identifier,
-            level: clientUserThemeProgress.level || 1,
-            currentXP: clientUserThemeProgress.currentXP || 0,
-            maxIntegrityBonus: clientUserThemeProgress.maxIntegrityBonus || 0,
-            maxWillpowerBonus: clientUserThemeProgress.maxWillpowerBonus || 0,
-            aptitudeBonus: clientUserThemeProgress.aptitudeBonus || 0,
-            resilienceBonus: clientUserThemeProgress.resilienceBonus || 0,
-            acquiredTraitKeys: acquiredTraitKeysForDB,
-          },
-          update: {
-            level: clientUserThemeProgress.level,
-            currentXP: clientUserThemeProgress.currentXP,
-            acquiredTraitKeys: acquiredTraitKeysForDB,
-          },
+          data: { acquiredTraitKeys: [firstTraitKey] }
         });
-        logger.info(`[UserThemeProgress] Upserted for user ${userId}, theme ${theme_id} using full client payload: Level ${clientUserThemeProgress.level}, XP ${clientUserThemeProgress.currentXP}.`);
-      } else {
-        const existingProgress = await tx.userThemeProgress.findUnique({ where: { userId_themeId: { userId: userId, themeId: theme_id } } });
-        if (!existingProgress) {
-          await tx.userThemeProgress.create({
-            data: { userId: userId, themeId: theme_id, characterName: player_identifier, level: 1, currentXP: 0, maxIntegrityBonus: 0, maxWillpowerBonus: 0, aptitudeBonus: 0, resilienceBonus: 0, acquiredTraitKeys: [] }
-          });
-          logger.info(`[UserThemeProgress] Initialized default progress for user ${userId}, theme ${theme_id}.`);
-        }
       }
+      if (firstTraitKey) {
+        logger.info(`[UserThemeProgress] Stored first trait '${firstTraitKey}' for user ${userId}, theme ${theme_id}.`);
+      }
+      const awardedProgress = await grantTurnAward(tx, userId, theme_id, turnAward);
 
       const finalProgressCheck = await tx.userThemeProgress.findUnique({ where: { userId_themeId: { userId: userId, themeId: theme_id } } });
       if (finalProgressCheck && !finalProgressCheck.characterName) {
@@ -278,81 +347,57 @@ router.post('/', protect, validateGameStatePayload, async (req, res) => {
         update: { is_playing: true, last_played_at: new Date() },
       });
 
-      return { interaction: upsertedInteraction, evolved_lore: newlyEvolvedLore };
+      return { interaction: upsertedInteraction, slot: stateToUpdate, checkpoint_id: checkpointId, jobs: queuedJobs, progress: awardedProgress };
     });
 
     logger.info(`GameState & UserThemeInteraction for user ${userId}, theme ${theme_id} saved/updated.`);
-    const responsePayload = { message: 'Game state saved.', interaction: result.interaction };
-    if (result.evolved_lore) {
-      responsePayload.evolved_lore = result.evolved_lore;
+    if (result.jobs.length > 0) {
+      wakeJobWorker();
     }
-    res.status(200).json(responsePayload);
+    res.status(200).json({
+      message: 'Game state saved.',
+      interaction: result.interaction,
+      slot_id: result.slot.id,
+      slot_name: result.slot.slot_name,
+      revision: result.slot.revision,
+      checkpoint_id: result.checkpoint_id,
+      jobs: result.jobs,
+      ...(result.progress && { user_theme_progress: result.progress }),
+    });
   } catch (error) {
+    if (error.code === 'GAME_STATE_CONFLICT') {
+      logger.warn(`Rejected stale save for user ${userId}, theme ${theme_id} (base revision ${baseRevision}).`);
+      return res.status(409).json({
+        error: { message: 'This run was continued elsewhere.', code: 'GAME_STATE_CONFLICT' },
+        server_state: await _loadConflictState(error.gameStateId),
+      });
+    }
+    if (error.code === 'BASE_REVISION_REQUIRED') {
+      logger.warn(`Rejected save without a base revision for user ${userId}, theme ${theme_id}.`);
+      return res.status(428).json({
+        error: { message: 'Load the latest state of this run before saving it.', code: 'BASE_REVISION_REQUIRED' },
+        server_state: await _loadConflictState(error.gameStateId),
+      });
+    }
+    if (error.code === 'USER_THEME_PROGRESS_MISMATCH') {
+      logger.warn(`Rejected save with forged progress for user ${userId}, theme ${theme_id}: ${error.message}`);
+      return res.status(409).json({ error: { message: error.message, code: error.code } });
+    }
     logger.error(`Transaction error saving game state for user ${userId}, theme ${theme_id}:`, error);
     if (error.message.startsWith('Failed to create world shard:')) {
         return res.status(500).json({ error: { message: error.message, code: 'WORLD_SHARD_CREATION_FAILED_IN_TX' } });
     }
-    if (error.code === 'P2002' && error.meta?.target?.includes('userId_theme_id')) {
-        return res.status(409).json({ error: { message: 'Conflict saving game state, likely a concurrent update. Please try again.', code: 'GAME_STATE_SAVE_CONFLICT' } });
+    if (error.code === 'SAVE_SLOT_NOT_FOUND') {
+        return res.status(404).json({ error: { message: 'Save slot not found for this theme.', code: 'SAVE_SLOT_NOT_FOUND' } });
     }
     res.status(500).json({ error: { message: 'Failed to save game state due to a server error.', code: 'GAME_STATE_SAVE_TRANSACTION_ERROR' } });
   }
 });
 
-/**
- * Asynchronous function to process summarization and lore evolution.
- * This runs in the background and updates the database directly.
- */
-async function processSummarization(gameStateId, userIdForLog, theme_id, rawHistoryForSummarization, currentSummary, currentDbLore, narrativeLanguage, baseThemeLore, themeNameForPrompt) {
-    logger.info(`[LivingChronicle] Starting summarization for gsID ${gameStateId}, user ${userIdForLog}, theme ${theme_id}. History chunk size: ${SUMMARIZATION_CHUNK_SIZE}`);
-    const historyChunkToProcess = rawHistoryForSummarization.slice(0, SUMMARIZATION_CHUNK_SIZE);
-    const remainingRawHistoryForDB = rawHistoryForSummarization.slice(SUMMARIZATION_CHUNK_SIZE);
-
-    let newPlayerSummarySnippet = null;
-    let newEvolvedLoreText = null;
-
-    try {
-        newPlayerSummarySnippet = await generatePlayerSummarySnippet(historyChunkToProcess, narrativeLanguage);
-        if (!newPlayerSummarySnippet) {
-            logger.warn(`[LivingChronicle/PlayerSummary] Failed to generate snippet for gsID ${gameStateId}. Will use existing summary.`);
-        }
-
-        const validBaseThemeLore = (typeof baseThemeLore === 'string' && baseThemeLore.trim() !== '') ? baseThemeLore : `Default base lore for ${themeNameForPrompt}.`;
-        const loreInputForEvolution = (typeof currentDbLore === 'string' && currentDbLore.trim() !== '') ? currentDbLore : validBaseThemeLore;
-
-        newEvolvedLoreText = await evolveWorldLore(historyChunkToProcess, loreInputForEvolution, validBaseThemeLore, themeNameForPrompt, narrativeLanguage);
-        if (!newEvolvedLoreText) {
-            logger.warn(`[LivingChronicle/LoreEvolution] Failed to evolve lore for gsID ${gameStateId}. Will use existing/base lore.`);
-        }
-
-        const finalCumulativeSummaryToSave = newPlayerSummarySnippet
-            ? (currentSummary ? `${currentSummary}\n\n---\n\n${newPlayerSummarySnippet}` : newPlayerSummarySnippet)
-            : currentSummary;
-
-        const finalLoreToSave = newEvolvedLoreText || currentDbLore || validBaseThemeLore;
-
-        await prisma.gameState.update({
-            where: { id: gameStateId },
-            data: {
-                game_history: remainingRawHistoryForDB,
-                game_history_summary: finalCumulativeSummaryToSave,
-                game_history_lore: finalLoreToSave,
-                summarization_in_progress: false,
-            },
-        });
-        logger.info(`[LivingChronicle] Successfully completed summarization processing for gsID ${gameStateId}. New raw history length: ${remainingRawHistoryForDB.length}`);
-    } catch (error) {
-        logger.error(`[LivingChronicle] Critical error during summarization DB update or AI calls for gsID ${gameStateId}:`, error);
-        await prisma.gameState.update({
-            where: { id: gameStateId },
-            data: { summarization_in_progress: false },
-        }).catch(e => logger.error(`[LivingChronicle] CRITICAL: Failed to reset summarization_in_progress for gsID ${gameStateId} after error:`, e));
-    }
-}
-
 /**
  * @route   POST /api/v1/gamestates/:themeId/new-session
- * @desc    Starts a new game session, clearing session-specific data but preserving persistent lore.
+ * @desc    Starts a new game session in a save slot (`slot_id` in the body, or the most recently played slot), clearing
+ *          session-specific data and the session's checkpoints but preserving persistent lore.
  * @access  Private
  */
 router.post('/:themeId/new-session', protect, async (req, res) => {
@@ -363,9 +408,11 @@ router.post('/:themeId/new-session', protect, async (req, res) => {
     }
     logger.info(`Starting new session for user ${userId}, theme ${themeId}.`);
     try {
-        const existingState = await prisma.gameState.findUnique({
-            where: { userId_theme_id: { userId, theme_id: themeId } }
-        });
+        const slotId = parseSlotId(req.body?.slot_id);
+        const existingState = await findSaveSlot({ userId, themeId, slotId });
+        if (slotId && !existingState) {
+            return res.status(404).json({ error: { message: 'Save slot not found for this theme.', code: 'SAVE_SLOT_NOT_FOUND' } });
+        }
 
         if (existingState) {
             const updatedState = await prisma.gameState.update({
@@ -381,11 +428,26 @@ router.post('/:themeId/new-session', protect, async (req, res) => {
                     dashboard_item_meta: {},
                     is_boon_selection_pending: false,
                     actions_before_boon_selection: null,
+                    run_stats: null,
+                    active_conditions: [],
+                    head_checkpoint_id: null,
+                    xp_withheld_through_turn: 0,
+                    pending_turn_award: null,
+                    pending_world_shard: null,
+                    regeneration_pending: false,
+                    regeneration_hint: null,
+                    revision: { increment: 1 },
+                    last_played_at: new Date(),
                 }
             });
+            await prisma.gameCheckpoint.deleteMany({ where: { gameStateId: existingState.id } });
+            // The finished session's rolls become verifiable; the new session commits a fresh seed.
+            await revealActiveSeed(existingState.id);
             logger.info(`Session reset for user ${userId}, theme ${themeId}. Preserving evolved lore and summary.`);
             res.status(200).json({
                 message: 'New session started, existing chronicle preserved.',
+                slot_id: updatedState.id,
+                revision: updatedState.revision,
                 game_history_lore: updatedState.game_history_lore,
                 game_history_summary: updatedState.game_history_summary,
             });
@@ -403,9 +465,152 @@ router.post('/:themeId/new-session', protect, async (req, res) => {
     }
 });
 
+/**
+ * Deletes a save slot. The theme stays marked as being played while other slots remain.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} userId - The player's user ID.
+ * @param {string} themeId - The theme ID.
+ * @param {string|null} slotId - The slot to delete; without one, the most recently played slot.
+ * @returns {Promise<boolean>} False if the player has no such slot.
+ * @private
+ */
+async function _deleteSaveSlot(tx, userId, themeId, slotId) {
+  const existingGameState = await findSaveSlot({ userId, themeId, slotId }, { client: tx, select: { id: true } });
+  if (!existingGameState) return false;
+  await tx.gameState.delete({ where: { id: existingGameState.id } });
+  const remainingSlots = await tx.gameState.count({ where: { userId, theme_id: themeId } });
+  if (remainingSlots === 0) {
+    await tx.userThemeInteraction.updateMany({
+      where: { userId, theme_id: themeId },
+      data: { is_playing: false }, // Mark as not currently playing
+    });
+  }
+  return true;
+}
+
+/**
+ * @route   GET /api/v1/gamestates/:themeId/slots
+ * @desc    List the player's save slots for a theme, most recently played first.
+ * @access  Private
+ */
+router.get('/:themeId/slots', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  try {
+    const slots = await listSaveSlots(userId, themeId);
+    res.status(200).json({ slots, max_slots: MAX_SAVE_SLOTS_PER_THEME });
+  } catch (error) {
+    logger.error(`Error listing save slots for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to list save slots.', code: 'SAVE_SLOT_LIST_ERROR' } });
+  }
+});
+
+/**
+ * @route   POST /api/v1/gamestates/:themeId/slots
+ * @desc    Create an empty save slot for a new run of a theme. The run's character progression is the theme's shared
+ *          `UserThemeProgress`.
+ * @access  Private
+ */
+router.post('/:themeId/slots', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  const requestedName = req.body?.slot_name;
+  if (requestedName !== undefined && requestedName !== null && !normalizeSlotName(requestedName)) {
+    return res.status(400).json({ error: { message: 'slot_name must be a non-empty string if provided.', code: 'INVALID_SLOT_NAME' } });
+  }
+  try {
+    const slot = await prisma.$transaction(async (tx) => {
+      const slotCount = await tx.gameState.count({ where: { userId, theme_id: themeId } });
+      if (slotCount >= MAX_SAVE_SLOTS_PER_THEME) return null;
+      const progress = await tx.userThemeProgress.findUnique({
+        where: { userId_themeId: { userId, themeId } },
+        select: { characterName: true },
+      });
+      return tx.gameState.create({
+        data: {
+          userId,
+          theme_id: themeId,
+          slot_name: normalizeSlotName(requestedName) || `Slot ${slotCount + 1}`,
+          player_identifier: progress?.characterName || '',
+          game_history: [],
+          last_dashboard_updates: {},
+          last_game_state_indicators: {},
+          current_prompt_type: 'initial',
+          current_narrative_language: req.user.preferred_narrative_language || 'en',
+          last_suggested_actions: [],
+          panel_states: {},
+          dashboard_item_meta: {},
+          session_inventory: [],
+          equipped_items: {},
+        },
+        select: { id: true, slot_name: true, player_identifier: true, last_played_at: true, created_at: true, revision: true },
+      });
+    });
+    if (!slot) {
+      return res.status(409).json({ error: { message: `A theme can have at most ${MAX_SAVE_SLOTS_PER_THEME} save slots.`, code: 'SAVE_SLOT_LIMIT_REACHED' } });
+    }
+    logger.info(`Save slot ${slot.id} ('${slot.slot_name}') created for user ${userId}, theme ${themeId}.`);
+    res.status(201).json({ slot });
+  } catch (error) {
+    logger.error(`Error creating save slot for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to create save slot.', code: 'SAVE_SLOT_CREATE_ERROR' } });
+  }
+});
+
+/**
+ * @route   PUT /api/v1/gamestates/:themeId/slots/:slotId
+ * @desc    Rename a save slot.
+ * @access  Private
+ */
+router.put('/:themeId/slots/:slotId', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId, slotId } = req.params;
+  const slotName = normalizeSlotName(req.body?.slot_name);
+  if (!slotName) {
+    return res.status(400).json({ error: { message: 'slot_name is required and must be a non-empty string.', code: 'INVALID_SLOT_NAME' } });
+  }
+  try {
+    const existingSlot = await findSaveSlot({ userId, themeId, slotId }, { select: { id: true } });
+    if (!existingSlot) {
+      return res.status(404).json({ error: { message: 'Save slot not found for this theme.', code: 'SAVE_SLOT_NOT_FOUND' } });
+    }
+    const slot = await prisma.gameState.update({
+      where: { id: existingSlot.id },
+      data: { slot_name: slotName },
+      select: { id: true, slot_name: true, player_identifier: true, last_played_at: true, created_at: true },
+    });
+    res.status(200).json({ slot });
+  } catch (error) {
+    logger.error(`Error renaming save slot ${slotId} for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to rename save slot.', code: 'SAVE_SLOT_RENAME_ERROR' } });
+  }
+});
+
+/**
+ * @route   DELETE /api/v1/gamestates/:themeId/slots/:slotId
+ * @desc    Delete a save slot. Character progression and World Shards are kept.
+ * @access  Private
+ */
+router.delete('/:themeId/slots/:slotId', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId, slotId } = req.params;
+  try {
+    const deleted = await prisma.$transaction(tx => _deleteSaveSlot(tx, userId, themeId, slotId));
+    if (!deleted) {
+      return res.status(404).json({ error: { message: 'Save slot not found for this theme.', code: 'SAVE_SLOT_NOT_FOUND' } });
+    }
+    logger.info(`Save slot ${slotId} deleted for user ${userId}, theme ${themeId}.`);
+    res.status(200).json({ message: 'Save slot deleted successfully.' });
+  } catch (error) {
+    logger.error(`Error deleting save slot ${slotId} for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to delete save slot.', code: 'SAVE_SLOT_DELETE_ERROR' } });
+  }
+});
+
 /**
  * @route   GET /api/v1/gamestates/:themeId
- * @desc    Get the game state, including evolved lore, summary, and user theme progress.
+ * @desc    Get the game state, including evolved lore, summary, and user theme progress. `?slot_id=` picks the save
+ *          slot; without it, the most recently played slot is returned.
  * @access  Private
  */
 router.get('/:themeId', protect, async (req, res) => {
@@ -415,9 +620,7 @@ router.get('/:themeId', protect, async (req, res) => {
     return res.status(400).json({ error: { message: 'Valid themeId parameter is required.', code: 'INVALID_THEMEID_PARAM' } });
   }
   try {
-    const gameState = await prisma.gameState.findUnique({
-      where: { userId_theme_id: { userId: userId, theme_id: themeId } },
-    });
+    const gameState = await findSaveSlot({ userId, themeId, slotId: parseSlotId(req.query.slot_id) });
     let userThemeProgress = await prisma.userThemeProgress.findUnique({
         where: {
             userId_themeId: {
@@ -461,8 +664,288 @@ router.get('/:themeId', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/v1/gamestates/:themeId/rolls
+ * @desc    Get the game state's roll ledger: seed commitments (with revealed seeds) and every roll, each verified
+ *          against its seed once the seed has been revealed. `?slot_id=` picks the save slot.
+ * @access  Private
+ */
+router.get('/:themeId/rolls', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  try {
+    const gameState = await findSaveSlot({ userId, themeId, slotId: parseSlotId(req.query.slot_id) }, { select: { id: true } });
+    if (!gameState) {
+      return res.status(404).json({ error: { message: 'Game state not found for this theme.', code: 'GAME_STATE_NOT_FOUND' } });
+    }
+    const ledger = await getVerifiedLedger(gameState.id);
+    res.status(200).json(ledger);
+  } catch (error) {
+    logger.error(`Error retrieving roll ledger for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to retrieve roll ledger.', code: 'ROLL_LEDGER_RETRIEVAL_ERROR' } });
+  }
+});
 
-// --- DELETE route  ---
+/**
+ * @route   POST /api/v1/gamestates/:themeId/rolls/reveal
+ * @desc    Reveals the current roll seed so the rolls made with it can be verified. Later rolls use a newly
+ *          committed seed. `slot_id` in the body picks the save slot.
+ * @access  Private
+ */
+router.post('/:themeId/rolls/reveal', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  try {
+    const gameState = await findSaveSlot({ userId, themeId, slotId: parseSlotId(req.body?.slot_id) }, { select: { id: true } });
+    if (!gameState) {
+      return res.status(404).json({ error: { message: 'Game state not found for this theme.', code: 'GAME_STATE_NOT_FOUND' } });
+    }
+    const revealedCount = await revealActiveSeed(gameState.id);
+    res.status(200).json({ message: revealedCount > 0 ? 'Roll seed revealed.' : 'No unrevealed roll seed.', revealed: revealedCount });
+  } catch (error) {
+    logger.error(`Error revealing roll seed for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to reveal roll seed.', code: 'ROLL_SEED_REVEAL_ERROR' } });
+  }
+});
+
+/**
+ * Finds a checkpoint of one of the player's game states for a theme.
+ * @param {string} userId - The player's user ID.
+ * @param {string} themeId - The theme ID.
+ * @param {string} checkpointId - The checkpoint ID.
+ * @returns {Promise<object|null>} The checkpoint's `{ gameStateId, gameState }`, or null.
+ * @private
+ */
+async function _findOwnCheckpoint(userId, themeId, checkpointId) {
+  const checkpoint = await prisma.gameCheckpoint.findUnique({
+    where: { id: checkpointId },
+    select: { gameStateId: true, gameState: { select: { userId: true, theme_id: true, summarization_in_progress: true } } },
+  });
+  return checkpoint && checkpoint.gameState.userId === userId && checkpoint.gameState.theme_id === themeId ? checkpoint : null;
+}
+
+/**
+ * @route   GET /api/v1/gamestates/:themeId/checkpoints
+ * @desc    List the turn checkpoints of a save slot (`?slot_id=`, or the most recently played slot), marking the
+ *          active branch and where abandoned branches end.
+ * @access  Private
+ */
+router.get('/:themeId/checkpoints', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  try {
+    const gameState = await findSaveSlot({ userId, themeId, slotId: parseSlotId(req.query.slot_id) }, { select: { id: true, head_checkpoint_id: true } });
+    if (!gameState) {
+      return res.status(404).json({ error: { message: 'Game state not found for this theme.', code: 'GAME_STATE_NOT_FOUND' } });
+    }
+    const checkpoints = await listCheckpoints(gameState.id, gameState.head_checkpoint_id);
+    res.status(200).json({ slot_id: gameState.id, head_checkpoint_id: gameState.head_checkpoint_id, checkpoints });
+  } catch (error) {
+    logger.error(`Error listing checkpoints for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to list checkpoints.', code: 'CHECKPOINT_LIST_ERROR' } });
+  }
+});
+
+/**
+ * @route   GET /api/v1/gamestates/:themeId/checkpoints/:checkpointId/history
+ * @desc    Get the full session history of the branch ending at a checkpoint, e.g. to view an abandoned branch.
+ * @access  Private
+ */
+router.get('/:themeId/checkpoints/:checkpointId/history', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId, checkpointId } = req.params;
+  try {
+    const checkpoint = await _findOwnCheckpoint(userId, themeId, checkpointId);
+    if (!checkpoint) {
+      return res.status(404).json({ error: { message: 'Checkpoint not found for this theme.', code: 'CHECKPOINT_NOT_FOUND' } });
+    }
+    const history = await getBranchHistory(checkpoint.gameStateId, checkpointId);
+    res.status(200).json({ checkpoint_id: checkpointId, history: history || [] });
+  } catch (error) {
+    logger.error(`Error retrieving branch history of checkpoint ${checkpointId} for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to retrieve branch history.', code: 'CHECKPOINT_HISTORY_ERROR' } });
+  }
+});
+
+/**
+ * @route   POST /api/v1/gamestates/:themeId/checkpoints/:checkpointId/rewind
+ * @desc    Rewind a save slot to a checkpoint: its history, Living Chronicle, dashboard, inventory, equipment and
+ *          run stats are restored and the next save branches from it. Character progression is not rewound;
+ *          instead, turns played again up to the furthest turn reached before award no XP.
+ * @access  Private
+ */
+router.post('/:themeId/checkpoints/:checkpointId/rewind', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId, checkpointId } = req.params;
+  try {
+    const checkpoint = await _findOwnCheckpoint(userId, themeId, checkpointId);
+    if (!checkpoint) {
+      return res.status(404).json({ error: { message: 'Checkpoint not found for this theme.', code: 'CHECKPOINT_NOT_FOUND' } });
+    }
+    // A pending summary is made of the history that the rewind replaces.
+    if (checkpoint.gameState.summarization_in_progress) {
+      return res.status(409).json({ error: { message: 'The chronicle is being summarized. Please try again in a moment.', code: 'SUMMARIZATION_IN_PROGRESS' } });
+    }
+    const restored = await prisma.$transaction(tx => restoreCheckpoint(tx, checkpoint.gameStateId, checkpointId));
+    logger.info(`Game state ${checkpoint.gameStateId} of user ${userId}, theme ${themeId} rewound to checkpoint ${checkpointId} (turn ${restored.turnNumber}).`);
+    res.status(200).json({ message: 'Game state rewound.', slot_id: checkpoint.gameStateId, checkpoint_id: restored.id, turn_number: restored.turnNumber });
+  } catch (error) {
+    logger.error(`Error rewinding to checkpoint ${checkpointId} for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to rewind game state.', code: 'CHECKPOINT_REWIND_ERROR' } });
+  }
+});
+
+/**
+ * @route   POST /api/v1/gamestates/:themeId/regenerate
+ * @desc    Discard the last turn of a save slot (`slot_id` in the body, or the most recently played slot) so its
+ *          player action can be resent, optionally with a steering `hint`. The resent turn is charged like any
+ *          other turn and awards no XP.
+ * @access  Private
+ */
+router.post('/:themeId/regenerate', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  try {
+    const hint = normalizeRegenerationHint(req.body?.hint);
+    const discarded = await discardLastTurn({ userId, themeId, slotId: parseSlotId(req.body?.slot_id), hint });
+    logger.info(`Discarded turn for regeneration for user ${userId}, theme ${themeId}; game state ${discarded.slotId} is back at turn ${discarded.turnNumber}.`);
+    res.status(200).json({
+      message: 'Last turn discarded.',
+      slot_id: discarded.slotId,
+      checkpoint_id: discarded.checkpointId,
+      turn_number: discarded.turnNumber,
+      player_action: discarded.playerAction,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: { message: error.message, code: error.code } });
+    }
+    logger.error(`Error discarding the last turn for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to regenerate the turn.', code: 'REGENERATION_ERROR' } });
+  }
+});
+
+/**
+ * @route   GET /api/v1/gamestates/:themeId/jobs
+ * @desc    List the most recent background jobs (Living Chronicle summaries, lore evolution, shard integration) of a
+ *          save slot (`?slot_id=`, or the most recently played slot).
+ * @access  Private
+ */
+router.get('/:themeId/jobs', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  try {
+    const gameState = await findSaveSlot({ userId, themeId, slotId: parseSlotId(req.query.slot_id) }, { select: { id: true } });
+    if (!gameState) {
+      return res.status(404).json({ error: { message: 'Game state not found for this theme.', code: 'GAME_STATE_NOT_FOUND' } });
+    }
+    res.status(200).json({ slot_id: gameState.id, jobs: await listJobs(gameState.id) });
+  } catch (error) {
+    logger.error(`Error listing background jobs for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to list background jobs.', code: 'JOB_LIST_ERROR' } });
+  }
+});
+
+/**
+ * @route   GET /api/v1/gamestates/:themeId/jobs/:jobId
+ * @desc    Get the status of a background job, including its result once it has succeeded.
+ * @access  Private
+ */
+router.get('/:themeId/jobs/:jobId', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId, jobId } = req.params;
+  try {
+    const job = await prisma.backgroundJob.findUnique({
+      where: { id: jobId },
+      select: { gameStateId: true, gameState: { select: { userId: true, theme_id: true } } },
+    });
+    if (!job || job.gameState.userId !== userId || job.gameState.theme_id !== themeId) {
+      return res.status(404).json({ error: { message: 'Background job not found for this theme.', code: 'JOB_NOT_FOUND' } });
+    }
+    res.status(200).json({ job: await getJob(job.gameStateId, jobId) });
+  } catch (error) {
+    logger.error(`Error fetching background job ${jobId} for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to fetch the background job.', code: 'JOB_FETCH_ERROR' } });
+  }
+});
+
+/**
+ * Shapes a store currency for a response.
+ * @param {{dashboardId: string, balance: number}} currency - From themeStore.js.
+ * @returns {{dashboard_id: string, balance: number}}
+ * @private
+ */
+function _currencyResponse(currency) {
+  return { dashboard_id: currency.dashboardId, balance: currency.balance };
+}
+
+/**
+ * @route   GET /api/v1/gamestates/:themeId/store
+ * @desc    Get the theme store of a save slot (`?slot_id=`, or the most recently played slot): the items on sale up
+ *          to the character's level, the backpack and the currency balance. Requires level 3.
+ * @access  Private
+ */
+router.get('/:themeId/store', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  try {
+    const store = await getStore({ userId, themeId, slotId: parseSlotId(req.query.slot_id) });
+    res.status(200).json({
+      slot_id: store.slotId,
+      revision: store.revision,
+      level: store.level,
+      currency: _currencyResponse(store.currency),
+      stock: store.stock,
+      inventory: store.inventory,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: { message: error.message, code: error.code } });
+    }
+    logger.error(`Error loading the store for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to load the store.', code: 'STORE_FETCH_ERROR' } });
+  }
+});
+
+/**
+ * @route   POST /api/v1/gamestates/:themeId/store/transactions
+ * @desc    Buy (`action: 'buy'`) an item from the theme store into a save slot's backpack, or sell (`action: 'sell'`)
+ *          one from it, at the catalog price. Body: `item_id`, optional `slot_id` and `base_revision`; a transaction
+ *          on a slot changed since `base_revision` is rejected with `409 GAME_STATE_CONFLICT`.
+ * @access  Private
+ */
+router.post('/:themeId/store/transactions', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  const { action, item_id: itemId, base_revision: baseRevision = null } = req.body || {};
+  if (baseRevision !== null && (!Number.isInteger(baseRevision) || baseRevision < 0)) {
+    return res.status(400).json({ error: { message: 'base_revision must be a non-negative integer if provided.', code: 'INVALID_BASE_REVISION' } });
+  }
+  try {
+    const result = await executeStoreTransaction({ userId, themeId, slotId: parseSlotId(req.body?.slot_id), action, itemId, baseRevision });
+    res.status(200).json({
+      message: action === 'buy' ? 'Item bought.' : 'Item sold.',
+      slot_id: result.slotId,
+      revision: result.revision,
+      item: result.item,
+      price: result.price,
+      currency: _currencyResponse(result.currency),
+      inventory: result.inventory,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: { message: error.message, code: error.code } });
+    }
+    logger.error(`Error in store transaction for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to complete the transaction.', code: 'STORE_TRANSACTION_ERROR' } });
+  }
+});
+
+/**
+ * @route   DELETE /api/v1/gamestates/:themeId
+ * @desc    Delete a save slot (`?slot_id=`, or the most recently played slot).
+ * @access  Private
+ */
 router.delete('/:themeId', protect, async (req, res) => {
   const userId = req.user.id;
   const { themeId } = req.params;
@@ -471,26 +954,12 @@ router.delete('/:themeId', protect, async (req, res) => {
   }
   try {
     const result = await prisma.$transaction(async (tx) => {
-      const existingGameState = await tx.gameState.findUnique({
-        where: { userId_theme_id: { userId, theme_id: themeId } },
-        select: { id: true }
-      });
-
-      if (!existingGameState) {
+      const deleted = await _deleteSaveSlot(tx, userId, themeId, parseSlotId(req.query.slot_id));
+      if (!deleted) {
         const notFoundError = new Error('GameState not found for deletion.');
         notFoundError.code = 'P2025'; // Prisma error code for record not found
         throw notFoundError;
       }
-
-      await tx.gameState.delete({
-        where: { userId_theme_id: { userId: userId, theme_id: themeId } },
-      });
-
-      await tx.userThemeInteraction.updateMany({
-        where: { userId: userId, theme_id: themeId },
-        data: { is_playing: false }, // Mark as not currently playing
-      });
-
       return { success: true };
     });
 
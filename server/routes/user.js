@@ -7,8 +7,11 @@ import crypto from 'crypto';
 import { generateTokenExpiry } from '../utils/tokenUtils.js';
 import { protect, checkPaidTier } from '../middleware/authMiddleware.js';
 import { USER_TIERS, constructApiUsageResponse } from '../middleware/usageLimiter.js';
+import { applyBoon, NEW_TRAIT_BOON, retireCharacter, listLegacies } from '../utils/progression.js';
 const router = express.Router();
 const SALT_ROUNDS = 10;
+const DEFAULT_USAGE_HISTORY_DAYS = 30;
+const MAX_USAGE_HISTORY_DAYS = 90;
 // --- Preference Endpoints ---
 /**
  * @route   GET /api/v1/users/me/preferences
@@ -107,6 +110,37 @@ router.put('/me/preferences', protect, async (req, res) => {
     res.status(500).json({ error: { message: 'Server error updating preferences.', code: 'PREFERENCES_UPDATE_ERROR' } });
   }
 });
+/**
+ * @route   GET /api/v1/users/me/usage
+ * @desc    Fetch the user's AI usage: call and token counts against the tier's daily budgets per model,
+ *          plus daily token totals per model, theme and source for the last `days` days (default 30, max 90).
+ * @access  Private
+ */
+router.get('/me/usage', protect, async (req, res) => {
+  const userId = req.user.id;
+  const days = Math.min(MAX_USAGE_HISTORY_DAYS, Math.max(1, parseInt(req.query.days, 10) || DEFAULT_USAGE_HISTORY_DAYS));
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+  try {
+    const tokenUsage = await prisma.tokenUsage.findMany({
+      where: { userId, usageDate: { gte: since } },
+      orderBy: [{ usageDate: 'desc' }, { modelName: 'asc' }, { themeId: 'asc' }],
+      select: {
+        usageDate: true, modelName: true, themeId: true, source: true,
+        requestCount: true, promptTokens: true, candidateTokens: true, totalTokens: true,
+      },
+    });
+    res.status(200).json({
+      message: 'Usage fetched successfully.',
+      api_usage: constructApiUsageResponse(req.user),
+      token_usage: tokenUsage.map(row => ({ ...row, usageDate: row.usageDate.toISOString().slice(0, 10) })),
+    });
+  } catch (error) {
+    logger.error(`Error fetching usage for user ${userId}:`, error);
+    res.status(500).json({ error: { message: 'Server error fetching usage.', code: 'USAGE_FETCH_ERROR' } });
+  }
+});
 /**
  * @route   PUT /api/v1/users/me/password
  * @desc    Change current user's password
@@ -407,6 +441,8 @@ router.get('/me/themes/:themeId/progress', protect, async (req, res) => {
           aptitudeBonus: 0,
           resilienceBonus: 0,
           acquiredTraitKeys: [], // Ensure it's an array
+          prestigeRank: 0,
+          heirloomTraitKey: null,
         }
       });
     }
@@ -421,7 +457,8 @@ router.get('/me/themes/:themeId/progress', protect, async (req, res) => {
 });
 /**
  * @route   POST /api/v1/users/me/themes/:themeId/boon
- * @desc    Apply a selected Boon to the user's theme progress.
+ * @desc    Apply a selected Boon to the user's theme progress. Only allowed while the character's XP has reached its
+ *          next level; the Boon's value comes from the server's definitions and a trait must exist in the theme.
  * @access  Private
  */
 router.post('/me/themes/:themeId/boon', protect, async (req, res) => {
@@ -432,85 +469,78 @@ router.post('/me/themes/:themeId/boon', protect, async (req, res) => {
   if (!themeId) {
     return res.status(400).json({ error: { message: 'Theme ID is required.', code: 'MISSING_THEME_ID_BOON' } });
   }
-  if (!boonType || !value) {
+  if (!boonType || (boonType === NEW_TRAIT_BOON && !value)) {
     return res.status(400).json({ error: { message: 'Boon type and value are required.', code: 'MISSING_BOON_PAYLOAD' } });
   }
   try {
-    const userThemeProgress = await prisma.userThemeProgress.findUnique({
-      where: {
-        userId_themeId: { // Prisma's default naming for compound unique constraint index
-          userId: userId,
-          themeId: themeId,
-        },
-      },
-    });
-    if (!userThemeProgress) {
-      logger.warn(`UserThemeProgress not found for user ${userId}, theme ${themeId} during Boon application.`);
-      return res.status(404).json({ error: { message: 'User theme progress not found.', code: 'USER_THEME_PROGRESS_NOT_FOUND_BOON' } });
-    }
-    const updateData = {};
-    let validBoon = false;
-    if (boonType === "MAX_ATTRIBUTE_INCREASE") {
-      const allowedTargets = ["maxIntegrityBonus", "maxWillpowerBonus"];
-      if (allowedTargets.includes(targetAttribute) && typeof value === 'number' && value > 0) {
-        updateData[targetAttribute] = (userThemeProgress[targetAttribute] || 0) + value;
-        validBoon = true;
-      } else {
-        logger.warn(`Invalid targetAttribute or value for MAX_ATTRIBUTE_INCREASE: ${targetAttribute}, ${value}`);
-      }
-    } else if (boonType === "ATTRIBUTE_ENHANCEMENT") {
-        const allowedTargets = ["aptitudeBonus", "resilienceBonus"];
-        if(allowedTargets.includes(targetAttribute) && typeof value === 'number' && value > 0) {
-            updateData[targetAttribute] = (userThemeProgress[targetAttribute] || 0) + value;
-            validBoon = true;
-        } else {
-            logger.warn(`Invalid targetAttribute or value for ATTRIBUTE_ENHANCEMENT: ${targetAttribute}, ${value}`);
-        }
-    } else if (boonType === "NEW_TRAIT") {
-        if(typeof value === 'string' && value.trim() !== '') {
-            // Ensure acquiredTraitKeys is an array before pushing
-            const currentTraits = Array.isArray(userThemeProgress.acquiredTraitKeys) ? userThemeProgress.acquiredTraitKeys : [];
-            // Add the new trait, ensuring no duplicates
-            const newTraits = [...new Set([...currentTraits, value])];
-            updateData.acquiredTraitKeys = newTraits;
-            validBoon = true;
-        } else {
-            logger.warn(`Invalid value for NEW_TRAIT: must be a non-empty string. Received: ${value}`);
-        }
-    }
-    if (!validBoon) {
-      return res.status(400).json({ error: { message: 'Invalid Boon details provided.', code: 'INVALID_BOON_DETAILS' } });
-    }
-    const updatePayload = {
-      ...updateData,
-      level: {
-        increment: 1,
-      },
-    };
-    const updatedProgress = await prisma.userThemeProgress.update({
-      where: {
-        userId_themeId: {
-          userId: userId,
-          themeId: themeId,
-        },
-      },
-      data: updatePayload,
-    });
+    const updatedProgress = await applyBoon(userId, themeId, { boonType, targetAttribute, value });
     logger.info(`Boon applied successfully for user ${userId}, theme ${themeId}. Updated progress:`, updatedProgress);
     res.status(200).json({
       message: 'Boon applied successfully.',
       userThemeProgress: updatedProgress,
     });
   } catch (error) {
+    if (error.status) {
+      logger.warn(`Rejected Boon for user ${userId}, theme ${themeId}: ${error.message}`);
+      return res.status(error.status).json({ error: { message: error.message, code: error.code } });
+    }
     logger.error(`Error applying Boon for user ${userId}, theme ${themeId}:`, error);
     res.status(500).json({ error: { message: 'Failed to apply Boon due to a server error.', code: 'BOON_APPLICATION_ERROR' } });
   }
 });
+/**
+ * @route   POST /api/v1/users/me/themes/:themeId/prestige
+ * @desc    Retires a level-capped character into a named legacy (`legacy_name`, defaulting to the character name).
+ *          The character keeps one heirloom, `heirloom_trait_key` or `heirloom_shard_id`; the theme's progress
+ *          restarts at level 1 with the next prestige rank's bonus, and its save slots and other World Shards are
+ *          removed.
+ * @access  Private
+ */
+router.post('/me/themes/:themeId/prestige', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  const { legacy_name, heirloom_trait_key, heirloom_shard_id } = req.body;
+  logger.info(`Retiring character for user ${userId}, theme ${themeId}. Payload:`, req.body);
+  try {
+    const { legacy, progress } = await retireCharacter(userId, themeId, {
+      legacyName: legacy_name,
+      heirloomTraitKey: heirloom_trait_key,
+      heirloomShardId: heirloom_shard_id,
+    });
+    res.status(200).json({
+      message: 'Character retired into a legacy.',
+      legacy,
+      userThemeProgress: progress,
+    });
+  } catch (error) {
+    if (error.status) {
+      logger.warn(`Rejected retirement for user ${userId}, theme ${themeId}: ${error.message}`);
+      return res.status(error.status).json({ error: { message: error.message, code: error.code } });
+    }
+    logger.error(`Error retiring character for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to retire the character due to a server error.', code: 'PRESTIGE_ERROR' } });
+  }
+});
+/**
+ * @route   GET /api/v1/users/me/themes/:themeId/legacies
+ * @desc    Lists the user's retired characters (legacies) of a theme, newest first.
+ * @access  Private
+ */
+router.get('/me/themes/:themeId/legacies', protect, async (req, res) => {
+  const userId = req.user.id;
+  const { themeId } = req.params;
+  try {
+    res.status(200).json({ legacies: await listLegacies(userId, themeId) });
+  } catch (error) {
+    logger.error(`Error fetching legacies for user ${userId}, theme ${themeId}:`, error);
+    res.status(500).json({ error: { message: 'Failed to fetch legacies.', code: 'LEGACIES_FETCH_ERROR' } });
+  }
+});
 /**
  * @route   DELETE /api/v1/users/me/themes/:themeId/character-reset
  * @desc    Completely resets a character's progress for a specific theme.
  *          This includes deleting UserThemeProgress, all World Shards (UserThemePersistedLore),
- *          and the GameState. It also marks the theme as not currently playing.
+ *          the legacies (CharacterLegacy) and the GameState. It also marks the theme as not currently playing.
  * @access  Private
  */
 router.delete('/me/themes/:themeId/character-reset', protect, async (req, res) => {
@@ -528,6 +558,10 @@ router.delete('/me/themes/:themeId/character-reset', protect, async (req, res) =
         where: { userId: userId, themeId: themeId },
       });
       logger.debug(`[TX] Deleted UserThemeProgress for user ${userId}, theme ${themeId}`);
+      await tx.characterLegacy.deleteMany({
+        where: { userId: userId, themeId: themeId },
+      });
+      logger.debug(`[TX] Deleted CharacterLegacy records for user ${userId}, theme ${themeId}`);
       // 2. Delete all World Shards (UserThemePersistedLore)
       await tx.userThemePersistedLore.deleteMany({
         where: { userId: userId, themeId: themeId },
@@ -546,7 +580,7 @@ router.delete('/me/themes/:themeId/character-reset', protect, async (req, res) =
       logger.debug(`[TX] Updated UserThemeInteraction for user ${userId}, theme ${themeId}`);
     });
     logger.info(`Character reset successful for user ${userId}, theme ${themeId}.`);
-    res.status(200).json({ message: 'Character reset successfully. All progress, fragments, and saved games for this theme have been removed.' });
+    res.status(200).json({ message: 'Character reset successfully. All progress, fragments, legacies, and saved games for this theme have been removed.' });
   } catch (error) {
     logger.error(`Transaction error during character reset for user ${userId}, theme ${themeId}:`, error);
     res.status(500).json({ error: { message: 'Failed to reset character due to a server error.', code: 'CHARACTER_RESET_TRANSACTION_ERROR' } });
@@ -2,8 +2,6 @@ import express from 'express';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { promises as fs } from 'fs';
-import fetch from 'node-fetch';
 import cors from 'cors';
 import morgan from 'morgan';
 import helmet from 'helmet';
@@ -13,37 +11,19 @@ import userRoutes from './routes/user.js';
 import gameStateRoutes from './routes/gamestates.js';
 import themeInteractionRoutes from './routes/themeInteractions.js';
 import worldShardRoutes from './routes/worldShards.js';
-import { executeRolls } from './utils/diceRoller.js';
-import { MODEL_FREE, MODEL_PRO, MODEL_ULTRA, getTierCharacterLimit } from './middleware/usageLimiter.js';
+import { runAiTurn } from './utils/aiTurnRunner.js';
+import { loadRecording, listRecordings, createReplaySource, isReplayable, redactSecrets } from './utils/aiRecorder.js';
+import { createNarrativeExtractor } from './utils/narrativeStreamExtractor.js';
+import { MODEL_FREE, MODEL_PRO, MODEL_ULTRA } from './middleware/usageLimiter.js';
 import { protect, authenticateOptionally } from './middleware/authMiddleware.js';
 import { limitApiUsage } from './middleware/usageLimiter.js';
+import { startJobWorker, stopJobWorker } from './utils/jobQueue.js';
+import { registerChronicleJobs } from './utils/chronicleJobs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 dotenv.config();
 
-const DEBUG_DIR = path.join(__dirname, 'debug');
-
-/**
- * Saves data to a debug file if debug mode is enabled.
- * @param {string} fileName - The name of the file to save.
- * @param {string | object} data - The data to write.
- */
-async function saveDebugFile(fileName, data) {
-  if (process.env.DEBUG_SAVE_PROMPT !== 'true') {
-    return;
-  }
-  try {
-    await fs.mkdir(DEBUG_DIR, { recursive: true });
-    const filePath = path.join(DEBUG_DIR, fileName);
-    const content = typeof data === 'object' ? JSON.stringify(data, null, 2) : String(data);
-    await fs.writeFile(filePath, content, 'utf-8');
-    logger.debug(`[Debug] Saved ${fileName}`);
-  } catch (err) {
-    logger.error(`[Debug] Failed to save debug file ${fileName}:`, err);
-  }
-}
-
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -143,13 +123,20 @@ app.get('/api/test', (req, res) => {
 
 /**
  * Validates the request body for the Gemini API proxy endpoint.
- * Ensures 'contents' field is present and is an array.
+ * Ensures 'contents' is an array of plain user/model text turns and that no system instruction is supplied;
+ * prompts are assembled server-side from the theme files (see utils/promptBuilder.js).
  * @param {import('express').Request} req - The Express request object.
  * @param {import('express').Response} res - The Express response object.
  * @param {import('express').NextFunction} next - The Express next middleware function.
  */
 const validateGeminiRequest = (req, res, next) => {
-  const { contents, modelName, force_dice_roll, suppress_ai_dice_roll, is_initial_turn } = req.body;
+  const { contents, modelName, force_dice_roll, suppress_ai_dice_roll, is_initial_turn, theme_id, slot_id, narrative_language, systemInstruction, prompt_kind, prompt_context, shard } = req.body;
+  if (systemInstruction !== undefined) {
+    logger.warn('Rejected client-supplied "systemInstruction" for /api/v1/gemini/generate');
+    return res.status(400).json({
+      error: { message: 'System instructions are assembled by the server and cannot be supplied by the client.', code: 'SYSTEM_INSTRUCTION_NOT_ALLOWED' },
+    });
+  }
   if (!contents) {
     logger.warn('Missing "contents" in request body for /api/v1/gemini/generate');
     return res.status(400).json({
@@ -162,6 +149,15 @@ const validateGeminiRequest = (req, res, next) => {
       error: { message: '"contents" must be an array', code: 'INVALID_CONTENTS_FORMAT' },
     });
   }
+  const isValidTurn = (turn) => turn && (turn.role === 'user' || turn.role === 'model')
+    && Array.isArray(turn.parts) && turn.parts.length > 0
+    && turn.parts.every(part => part && typeof part.text === 'string' && Object.keys(part).length === 1);
+  if (!contents.every(isValidTurn)) {
+    logger.warn('Invalid "contents" entry - only user/model turns with text parts are accepted');
+    return res.status(400).json({
+      error: { message: '"contents" may only contain user/model turns with text parts.', code: 'INVALID_CONTENTS_FORMAT' },
+    });
+  }
   if (!modelName || typeof modelName !== 'string') {
     logger.warn('Missing or invalid "modelName" in request body');
     return res.status(400).json({
@@ -186,229 +182,147 @@ const validateGeminiRequest = (req, res, next) => {
           error: { message: '"is_initial_turn" must be a boolean.', code: 'INVALID_IS_INITIAL_TURN_FORMAT' },
       });
   }
+  if (!theme_id || typeof theme_id !== 'string') {
+      logger.warn('Missing or invalid "theme_id" in request body');
+      return res.status(400).json({
+          error: { message: '"theme_id" is required and must be a string.', code: 'INVALID_THEME_ID_FORMAT' },
+      });
+  }
+  if (slot_id !== undefined && slot_id !== null && (typeof slot_id !== 'string' || slot_id.length > 64)) {
+      logger.warn('Invalid "slot_id" in request body');
+      return res.status(400).json({
+          error: { message: '"slot_id" must be a save slot ID string if provided.', code: 'INVALID_SLOT_ID' },
+      });
+  }
+  if (narrative_language !== undefined && (typeof narrative_language !== 'string' || !/^[a-z]{2}$/.test(narrative_language))) {
+      logger.warn('Invalid "narrative_language" format - must be a two-letter language code');
+      return res.status(400).json({
+          error: { message: '"narrative_language" must be a two-letter language code.', code: 'INVALID_NARRATIVE_LANGUAGE_FORMAT' },
+      });
+  }
+  if (prompt_kind !== undefined && prompt_kind !== 'turn' && prompt_kind !== 'deep_dive') {
+      logger.warn(`Invalid "prompt_kind": ${prompt_kind}`);
+      return res.status(400).json({
+          error: { message: '"prompt_kind" must be "turn" or "deep_dive".', code: 'INVALID_PROMPT_KIND' },
+      });
+  }
+  if (prompt_context !== undefined && (typeof prompt_context !== 'object' || prompt_context === null || Array.isArray(prompt_context))) {
+      logger.warn('Invalid "prompt_context" format - must be an object');
+      return res.status(400).json({
+          error: { message: '"prompt_context" must be an object.', code: 'INVALID_PROMPT_CONTEXT_FORMAT' },
+      });
+  }
+  if (prompt_kind === 'deep_dive' && (typeof shard?.title !== 'string' || typeof shard?.content !== 'string')) {
+      logger.warn('Missing or invalid "shard" for a deep dive request');
+      return res.status(400).json({
+          error: { message: 'A deep dive requires a "shard" with string "title" and "content".', code: 'INVALID_SHARD_FORMAT' },
+      });
+  }
   next();
 };
 
+app.post('/api/v1/gemini/generate', authenticateOptionally, limitApiUsage, validateGeminiRequest, async (req, res) => {
+    logger.info(`POST /api/v1/gemini/generate - Request from User ID: ${req.user?.id || 'Anonymous'}, IP: ${req.ip}`);
+    const { status, body } = await runAiTurn(req);
+    res.status(status).json(body);
+});
+
 /**
- * Maps Gemini API error status codes and messages to more user-friendly messages.
- * @param {number} status - The HTTP status code from Gemini API.
- * @param {string} message - The error message from Gemini API.
- * @returns {string} A user-friendly error message.
+ * Streaming variant of the AI proxy, using Server-Sent Events.
+ * The rollDice tool loop completes first; then the following events are emitted:
+ * - `dice`: the dice roll results, as soon as they are known.
+ * - `narrative`: `{ delta }` chunks of the decoded 'narrative' field while the model is writing.
+ * - `complete`: the full response body, identical to the buffered endpoint's 200 response.
+ * - `error`: `{ error: { message, code } }` if the turn fails after the stream has started.
+ * Errors raised before the first event are sent as regular JSON responses.
  */
-function mapGeminiError(status, message) {
-  const errorMappings = {
-    400: 'Invalid request format or parameters sent to AI service.',
-    401: 'Authentication failed with the AI service. Please check server API key.',
-    403: 'Access denied by AI service or API quota exceeded.',
-    429: 'Too many requests sent to the AI service. Please try again later.',
-    500: 'The AI service is temporarily unavailable. Please try again later.',
-    503: 'The AI service is currently under maintenance or overloaded.',
-  };
-  return errorMappings[status] || message || 'An unknown error occurred with the AI service.';
-}
+app.post('/api/v1/gemini/generate-stream', authenticateOptionally, limitApiUsage, validateGeminiRequest, async (req, res) => {
+    logger.info(`POST /api/v1/gemini/generate-stream - Request from User ID: ${req.user?.id || 'Anonymous'}, IP: ${req.ip}`);
+    const clientAbort = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) clientAbort.abort();
+    });
+    const sendEvent = (event, data) => {
+        if (!res.headersSent) {
+            res.status(200).set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no',
+            });
+            res.flushHeaders();
+        }
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const narrativeExtractor = createNarrativeExtractor();
+    const { status, body } = await runAiTurn(req, {
+        signal: clientAbort.signal,
+        onDiceResults: (results) => sendEvent('dice', results),
+        onTextDelta: (delta) => {
+            const narrativeDelta = narrativeExtractor.push(delta);
+            if (narrativeDelta) sendEvent('narrative', { delta: narrativeDelta });
+        },
+    });
+    if (clientAbort.signal.aborted) {
+        logger.info(`Client disconnected from AI stream before completion. User ID: ${req.user?.id || 'Anonymous'}`);
+        return;
+    }
+    if (status !== 200 && !res.headersSent) {
+        return res.status(status).json(body);
+    }
+    sendEvent(status === 200 ? 'complete' : 'error', status === 200 ? body : { error: { ...body.error, status } });
+    res.end();
+});
 
-app.post('/api/v1/gemini/generate', authenticateOptionally, limitApiUsage, validateGeminiRequest, async (req, res) => {
-    logger.info(`POST /api/v1/gemini/generate - Request from User ID: ${req.user?.id || 'Anonymous'}, IP: ${req.ip}`);
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    if (!geminiApiKey) {
-        logger.error('GEMINI_API_KEY is not set in environment variables.');
-        return res.status(500).json({ error: { message: 'API key not configured on server.', code: 'MISSING_API_KEY' } });
+/**
+ * Lists the signed-in user's recorded turns for a theme (see utils/aiRecorder.js), newest first.
+ */
+app.get('/api/v1/gemini/recordings', protect, async (req, res) => {
+    const { theme_id } = req.query;
+    if (!theme_id || typeof theme_id !== 'string') {
+        return res.status(400).json({ error: { message: 'The "theme_id" query parameter is required.', code: 'MISSING_THEME_ID' } });
     }
-    const { contents, generationConfig: originalGenerationConfig, safetySettings, systemInstruction, modelName, dice_roll_request, force_dice_roll, suppress_ai_dice_roll, is_initial_turn } = req.body;
-    const charLimit = getTierCharacterLimit(req.user);
-    if (systemInstruction?.parts?.[0]?.text) {
-        const lengthInstruction = `\n\n**CRITICAL NARRATIVE LENGTH INSTRUCTION:** The 'narrative' field in your JSON response MUST be concise and strictly adhere to a maximum character limit of ${charLimit} characters. This is a hard limit. Be brief, evocative, and impactful within this constraint. Do not waste characters on filler. This rule is absolute.`;
-        systemInstruction.parts[0].text += lengthInstruction;
-        logger.info(`Applied narrative character limit of ${charLimit} for user ${req.user?.id || 'Anonymous'}.`);
+    res.status(200).json({ recordings: await listRecordings(req.user.id, theme_id) });
+});
+
+// Outcome fields that are not part of a turn's content: usage figures, the progress a save awards, the recording's
+// ID, and the conditions, which follow the slot's stored state.
+const REPLAY_IGNORED_FIELDS = ['api_usage', 'user_theme_progress', 'recording_id', 'active_conditions'];
+
+/**
+ * Replays a recorded turn through the turn runner, with the recorded (redacted) request and prompt and answering
+ * AI and tool calls from the recording, and reports whether the outcome matches the recorded one in the fields the
+ * recording captured. Nothing is charged. Enabled with AI_REPLAY_ENABLED=true.
+ * Users can replay their own recordings and anonymous ones.
+ */
+app.post('/api/v1/gemini/replay/:recordingId', protect, async (req, res) => {
+    if (process.env.AI_REPLAY_ENABLED !== 'true') {
+        return res.status(404).json({ error: { message: 'Turn replay is not enabled on this server.', code: 'REPLAY_DISABLED' } });
     }
-    const generationConfig = { ...(originalGenerationConfig || {}) };
-    generationConfig.thinkingConfig = { thinkingBudget: 0 };
-    if (generationConfig.responseMimeType) {
-      delete generationConfig.responseMimeType;
+    const recording = await loadRecording(req.params.recordingId);
+    if (!recording || (recording.userId && recording.userId !== req.user.id)) {
+        return res.status(404).json({ error: { message: 'Recording not found.', code: 'RECORDING_NOT_FOUND' } });
     }
-    const effectiveModelName = modelName || MODEL_FREE;
-    const GOOGLE_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${effectiveModelName}:generateContent?key=${geminiApiKey}`;
-    const fullTools = [{
-        functionDeclarations: [{
-            name: "rollDice",
-            description: "Rolls one or more dice based on standard D&D notation and checks for success against a target number. Returns the individual rolls, the final result, and a success boolean for each roll.",
-            parameters: {
-                type: "OBJECT",
-                properties: {
-                    rollConfigs: {
-                        type: "ARRAY",
-                        description: "An array of dice roll configuration objects.",
-                        items: {
-                            type: "OBJECT",
-                            properties: {
-                                notation: {
-                                    type: "STRING",
-                                    description: "Standard dice notation (e.g., '1d20+2', 'a2d20')."
-                                },
-                                target: {
-                                    type: "NUMBER",
-                                    description: "The target number for the roll to succeed."
-                                },
-                                comparison: {
-                                    type: "STRING",
-                                    description: "Optional. The comparison operator (e.g., '>=', '<='). Defaults to '>='."
-                                }
-                            },
-                            required: ["notation", "target"]
-                        }
-                    }
-                },
-                required: ["rollConfigs"]
-            }
-        }]
-    }];
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), process.env.GEMINI_TIMEOUT || 45000);
-    try {
-        let conversationHistory = [...contents];
-        let userInitiatedDiceResults = null;
-        if (dice_roll_request && Array.isArray(dice_roll_request) && dice_roll_request.length > 0) {
-            logger.info(`User-initiated dice roll request received:`, dice_roll_request);
-            const diceResults = executeRolls(dice_roll_request);
-            userInitiatedDiceResults = diceResults;
-            conversationHistory.push({
-                role: "model",
-                parts: [{
-                    functionCall: {
-                        name: "rollDice",
-                        args: {
-                            rollConfigs: dice_roll_request
-                        }
-                    }
-                }]
-            });
-            conversationHistory.push({
-                role: "tool",
-                parts: [{
-                    functionResponse: {
-                        name: "rollDice",
-                        response: {
-                            content: JSON.stringify(diceResults),
-                        }
-                    }
-                }]
-            });
-            logger.debug(`Added simulated function call and response for user-initiated dice roll to conversation history.`);
-        }
-        else if (force_dice_roll) {
-            if (systemInstruction?.parts?.[0]?.text) {
-                systemInstruction.parts[0].text += `\n\n**MANDATORY ACTION FOR THIS TURN:** The player has manually forced a dice roll. You MUST call the 'rollDice' function tool. Analyze the player's action and the current narrative context to determine an appropriate roll (e.g., '1d20', 'a2d20+2') and a challenging but fair Difficulty Class (DC) based on the provided gameplay mechanics. Your narrative must then be based on the outcome of this roll.`;
-                logger.info(`[DiceRoll] Instructing AI to perform a mandatory dice roll for user ${req.user?.id || 'Anonymous'}.`);
-            }
-        }
-        let finalResponseData = null;
-        let lastAiDiceRollResults = null;
-        const MAX_TURNS = 5;
-        // Correctly determine if tools should be included.
-        // Tools are disabled ONLY if it's the initial turn or if explicitly suppressed.
-        const useTools = (is_initial_turn !== true) && !suppress_ai_dice_roll;
-        const initialPayloadForDebug = {
-            contents: conversationHistory,
-            tools: useTools ? fullTools : [],
-            ...(generationConfig && { generationConfig }),
-            ...(safetySettings && { safetySettings }),
-            ...(systemInstruction && { systemInstruction }),
-        };
-        await saveDebugFile('latest_ai_prompt.json', initialPayloadForDebug);
-        for (let turn = 0; turn < MAX_TURNS; turn++) {
-            const payload = {
-                contents: conversationHistory,
-                tools: useTools ? fullTools : [],
-                ...(generationConfig && { generationConfig }),
-                ...(safetySettings && { safetySettings }),
-                ...(systemInstruction && { systemInstruction }),
-            };
-            logger.debug(`[Turn ${turn + 1}] Proxying request to Gemini. Model: ${effectiveModelName}, User: ${req.user?.id || 'Anonymous'}`);
-            const fetchOptions = {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'User-Agent': `Lorelic-Server/${process.env.npm_package_version || '1.0.0'}` },
-                body: JSON.stringify(payload),
-                signal: controller.signal,
-            };
-            const googleResponse = await fetch(GOOGLE_API_URL, fetchOptions);
-            const responseText = await googleResponse.text();
-            await saveDebugFile('latest_ai_response.json', responseText);
-            let currentTurnResponseData;
-            try {
-                currentTurnResponseData = JSON.parse(responseText);
-            } catch (parseError) {
-                logger.error('Failed to parse Gemini JSON response:', { rawTextSnippet: responseText.substring(0, 500) });
-                return res.status(502).json({ error: { message: 'Invalid JSON response from AI service.', code: 'INVALID_AI_RESPONSE_FORMAT' } });
-            }
-            if (!googleResponse.ok) {
-                logger.error(`Error from Gemini API (Status: ${googleResponse.status})`, currentTurnResponseData);
-                const mappedErrorMessage = mapGeminiError(googleResponse.status, currentTurnResponseData?.error?.message);
-                return res.status(googleResponse.status).json({ error: { message: mappedErrorMessage, code: currentTurnResponseData?.error?.code || `EXTERNAL_API_ERROR_${googleResponse.status}` } });
-            }
-            const candidate = currentTurnResponseData.candidates?.[0];
-            if (!candidate) {
-                logger.warn('Unexpected Gemini response structure (no candidates)', currentTurnResponseData);
-                return res.status(502).json({ error: { message: 'Unexpected response format from AI service (no candidates).', code: 'INVALID_AI_RESPONSE_STRUCTURE' } });
-            }
-            if (candidate.content?.parts?.[0]?.text) {
-                logger.info(`[Turn ${turn + 1}] Received final text response from AI.`);
-                finalResponseData = currentTurnResponseData;
-                break;
-            }
-            if (candidate.content?.parts?.[0]?.functionCall) {
-                logger.info(`[Turn ${turn + 1}] Received function call from AI.`);
-                const functionCall = candidate.content.parts[0].functionCall;
-                conversationHistory.push(candidate.content);
-                if (functionCall.name === 'rollDice') {
-                    const rollConfigs = functionCall.args?.rollConfigs || [];
-                    const diceResults = executeRolls(rollConfigs);
-                    lastAiDiceRollResults = diceResults;
-                    conversationHistory.push({
-                        role: "tool",
-                        parts: [{
-                            functionResponse: {
-                                name: "rollDice",
-                                response: {
-                                    content: JSON.stringify(diceResults),
-                                }
-                            }
-                        }]
-                    });
-                    logger.debug(`[Turn ${turn + 1}] Executed AI-initiated rollDice function. Results:`, diceResults);
-                } else {
-                    logger.warn(`[Turn ${turn + 1}] AI called an unknown function: ${functionCall.name}`);
-                    return res.status(501).json({ error: { message: `AI requested an unsupported function: ${functionCall.name}`, code: 'UNSUPPORTED_FUNCTION_CALL' } });
-                }
-                continue;
-            }
-            logger.warn(`[Turn ${turn + 1}] AI response was valid but contained no actionable content. Breaking loop.`);
-            finalResponseData = currentTurnResponseData;
-            break;
-        }
-        clearTimeout(timeoutId);
-        if (!finalResponseData) {
-            logger.error('AI conversation loop finished without a final response.');
-            return res.status(500).json({ error: { message: 'AI failed to produce a final response after function calls.', code: 'AI_CONVERSATION_TIMEOUT' } });
-        }
-        const resultsToSend = userInitiatedDiceResults || lastAiDiceRollResults;
-        if (resultsToSend) {
-            finalResponseData.dice_roll_results = resultsToSend;
-            logger.debug('Attaching dice roll results to the final response.');
-        }
-        if (req.incrementUsage) {
-            const updatedUsage = await req.incrementUsage();
-            finalResponseData.api_usage = updatedUsage;
-        }
-        logger.info(`Successfully processed Gemini request for model ${effectiveModelName}, User ID: ${req.user?.id || 'Anonymous'}`);
-        res.status(200).json(finalResponseData);
-    } catch (error) {
-        clearTimeout(timeoutId);
-        logger.error('Error in multi-turn Gemini API call:', { message: error.message, name: error.name });
-        if (error.name === 'AbortError') {
-            return res.status(504).json({ error: { message: 'Request to AI service timed out.', code: 'AI_REQUEST_TIMEOUT' } });
-        }
-        res.status(500).json({ error: { message: 'Failed to communicate with external AI service.', code: 'EXTERNAL_API_COMMUNICATION_ERROR' } });
+    if (!isReplayable(recording)) {
+        return res.status(422).json({ error: { message: 'This recording predates prompt recording and cannot be replayed.', code: 'RECORDING_NOT_REPLAYABLE' } });
     }
+    logger.info(`POST /api/v1/gemini/replay - Replaying ${recording.id} for User ID: ${req.user.id}`);
+    const replayRequest = {
+        body: structuredClone(recording.requestBody),
+        user: recording.userId ? { id: recording.userId, tier: recording.tier } : null,
+    };
+    const { status, body } = await runAiTurn(replayRequest, null, { replay: createReplaySource(recording) });
+    // The recording holds the redacted outcome, so the replay's is redacted too before the captured fields are compared.
+    const capturedFields = Object.keys(recording.outcome?.body || {}).filter(field => !REPLAY_IGNORED_FIELDS.includes(field));
+    const comparable = (outcomeBody) => JSON.stringify(capturedFields.map(field => redactSecrets(outcomeBody?.[field]) ?? null));
+    res.status(200).json({
+        recording_id: recording.id,
+        status,
+        body,
+        recorded_status: recording.outcome?.status,
+        recorded_body: recording.outcome?.body,
+        identical: status === recording.outcome?.status && comparable(body) === comparable(recording.outcome?.body),
+    });
 });
 
 app.use('/api/v1/auth', authRoutes);
@@ -463,6 +377,7 @@ app.use((err, req, res, next) => {
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  stopJobWorker();
   server.close(() => {
     logger.info('HTTP server closed.');
     process.exit(0);
@@ -471,6 +386,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  stopJobWorker();
   server.close(() => {
     logger.info('HTTP server closed.');
     process.exit(0);
@@ -494,6 +410,8 @@ const server = app.listen(PORT, () => {
   if (process.env.NODE_ENV !== 'production') {
     logger.warn('⚠️  Server is running in development mode. Rate limits are more permissive.');
   }
+  registerChronicleJobs();
+  startJobWorker();
 });
 
 server.on('error', (error) => {
@@ -1,87 +1,86 @@
 // server/utils/aiHelper.js
-import fetch from 'node-fetch';
 import logger from './logger.js';
+import { getAIProvider } from './aiProviders.js';
+import { createTokenTally, addResponseTokens, recordTokenUsage } from './tokenMeter.js';
 
 const SUMMARIZATION_MODEL_NAME = process.env.SUMMARIZATION_MODEL_NAME || (process.env.MODEL_NAME_FREE || 'gemini-2.5-flash-lite-preview-06-17');
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const NPM_PACKAGE_VERSION = process.env.npm_package_version || '1.0.0';
 
 const MAX_RETRIES_SILENT_AI = 1;
 const RETRY_DELAY_MS_SILENT_AI = 5000;
 
 /**
- * Makes a generation request to the Gemini API.
+ * Makes a generation request to the AI provider configured for the given model.
  * This is a generalized version of the proxy logic in server.js,
  * designed for internal backend use (silent calls).
  * @param {Array<Object>} contents - The history/content for the AI.
  * @param {Object} systemInstruction - The system prompt.
- * @param {string} modelName - The specific Gemini model to use.
+ * @param {string} modelName - The specific model to use.
  * @param {string} taskDescription - For logging purposes (e.g., "Player Summary", "Lore Evolution").
+ * @param {{userId: string, themeId: string}|null} [usageContext=null] - Whose token usage the call is recorded for.
  * @returns {Promise<string|null>} The AI-generated text content, or null on failure.
  */
-async function callSilentGeminiAPI(contents, systemInstruction, modelName, taskDescription) {
-  if (!GEMINI_API_KEY) {
-    logger.error(`[SilentAI/${taskDescription}] GEMINI_API_KEY is not set. Cannot perform task.`);
+async function callSilentAI(contents, systemInstruction, modelName, taskDescription, usageContext = null) {
+  const aiProvider = getAIProvider(modelName);
+  if (!aiProvider) {
+    return null;
+  }
+  if (!aiProvider.isConfigured) {
+    logger.error(`[SilentAI/${taskDescription}] API key for AI provider '${aiProvider.id}' is not set. Cannot perform task.`);
     return null;
   }
 
-  const GOOGLE_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${GEMINI_API_KEY}`;
-  const payload = {
-    contents,
-    systemInstruction,
-    generationConfig: {
-      temperature: 0.5,
-      topP: 0.95,
-      maxOutputTokens: 4096,
-      responseMimeType: "text/plain",
-      thinkingConfig: {
-        thinkingBudget: 0,
-      },
+  const generationConfig = {
+    temperature: 0.5,
+    topP: 0.95,
+    maxOutputTokens: 4096,
+    responseMimeType: "text/plain",
+    thinkingConfig: {
+      thinkingBudget: 0,
     },
-    safetySettings: [
-      { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
-    ],
   };
-
-  logger.info(`[SilentAI/${taskDescription}] Initiating call to model ${modelName}.`);
+  const safetySettings = [
+    { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+    { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+    { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+    { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
+  ];
+
+  logger.info(`[SilentAI/${taskDescription}] Initiating call to model ${modelName} via '${aiProvider.id}'.`);
   logger.debug(`[SilentAI/${taskDescription}] Payload (system instruction snippet):`, systemInstruction.parts[0].text.substring(0, 200) + "...");
 
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), process.env.SILENT_GEMINI_TIMEOUT || 60000);
 
   try {
-    const fetchOptions = {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': `Lorelic-Server-SilentAI/${NPM_PACKAGE_VERSION}`,
-      },
-      body: JSON.stringify(payload),
+    const providerResult = await aiProvider.generateContent({
+      modelName,
+      contents,
+      systemInstruction,
+      generationConfig,
+      safetySettings,
       signal: controller.signal,
-    };
-
-    const response = await fetch(GOOGLE_API_URL, fetchOptions);
+      userAgent: `Lorelic-Server-SilentAI/${NPM_PACKAGE_VERSION}`,
+      task: taskDescription,
+    });
     clearTimeout(timeoutId);
-    const responseText = await response.text();
 
-    if (!response.ok) {
-      let errorData;
-      try { errorData = JSON.parse(responseText); } catch (e) { errorData = { error: { message: responseText } }; }
-      logger.error(`[SilentAI/${taskDescription}] Error from Gemini API (Status: ${response.status}):`, errorData?.error?.message || responseText);
+    if (!providerResult.ok) {
+      logger.error(`[SilentAI/${taskDescription}] Error from AI provider '${aiProvider.id}' (Status: ${providerResult.status}):`, providerResult.data?.error?.message || providerResult.rawText);
       return null;
     }
-
-    let extractedText = responseText;
-    try {
-        const jsonData = JSON.parse(responseText);
-        if (jsonData.candidates && jsonData.candidates[0]?.content?.parts?.[0]?.text) {
-            extractedText = jsonData.candidates[0].content.parts[0].text;
-        }
-    } catch (e) {
-        logger.debug(`[SilentAI/${taskDescription}] Response was not JSON, assuming plain text.`);
+    await recordTokenUsage(usageContext?.userId, {
+      modelName,
+      themeId: usageContext?.themeId,
+      source: 'helper',
+      tokens: addResponseTokens(createTokenTally(), providerResult.data),
+    });
+
+    let extractedText = providerResult.rawText;
+    if (providerResult.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
+      extractedText = providerResult.data.candidates[0].content.parts[0].text;
+    } else if (!providerResult.data) {
+      logger.debug(`[SilentAI/${taskDescription}] Response was not JSON, assuming plain text.`);
     }
 
     if (!extractedText || extractedText.trim() === "") {
@@ -94,7 +93,7 @@ async function callSilentGeminiAPI(contents, systemInstruction, modelName, taskD
 
   } catch (error) {
     clearTimeout(timeoutId);
-    logger.error(`[SilentAI/${taskDescription}] Error calling Gemini API:`, { message: error.message, name: error.name });
+    logger.error(`[SilentAI/${taskDescription}] Error calling AI provider:`, { message: error.message, name: error.name });
     if (error.name === 'AbortError') {
       logger.warn(`[SilentAI/${taskDescription}] Request to AI service timed out.`);
     }
@@ -109,9 +108,10 @@ async function callSilentGeminiAPI(contents, systemInstruction, modelName, taskD
  * @param {{title: string, content: string}} shardData - The title and content of the new shard.
  * @param {string} themeName - The name of the theme for the prompt context.
  * @param {string} currentNarrativeLanguage - The language for the lore.
+ * @param {{userId: string, themeId: string}|null} [usageContext=null] - Whose token usage the call is recorded for.
  * @returns {Promise<string|null>} The new, complete evolved lore with special tags, or null.
  */
-export async function integrateShardIntoLore(currentLore, shardData, themeName, currentNarrativeLanguage) {
+export async function integrateShardIntoLore(currentLore, shardData, themeName, currentNarrativeLanguage, usageContext = null) {
   const contentForAI = [{
     role: "user",
     parts: [{
@@ -139,7 +139,7 @@ Your task is to **meaningfully evolve** the 'Current World Lore' by weaving in t
   let attempt = 0;
   while (attempt <= MAX_RETRIES_SILENT_AI) {
     // Note: This helper uses a slightly different call signature than the main proxy, as it's a text-only response.
-    const newLore = await callSilentGeminiAPI(contentForAI, { parts: [{ text: systemPrompt }] }, modelToUse, "ShardIntegration");
+    const newLore = await callSilentAI(contentForAI, { parts: [{ text: systemPrompt }] }, modelToUse, "ShardIntegration", usageContext);
     if (newLore) return newLore;
     attempt++;
     if (attempt <= MAX_RETRIES_SILENT_AI) {
@@ -155,9 +155,10 @@ Your task is to **meaningfully evolve** the 'Current World Lore' by weaving in t
  * Generates a player-centric summary from a chunk of game history.
  * @param {Array<Object>} historyChunk - The segment of game history to summarize.
  * @param {string} currentNarrativeLanguage - The language for the summary.
+ * @param {{userId: string, themeId: string}|null} [usageContext=null] - Whose token usage the call is recorded for.
  * @returns {Promise<string|null>} The summary snippet or null.
  */
-export async function generatePlayerSummarySnippet(historyChunk, currentNarrativeLanguage) {
+export async function generatePlayerSummarySnippet(historyChunk, currentNarrativeLanguage, usageContext = null) {
   const contentForAI = [{ role: "user", parts: [{ text: JSON.stringify(historyChunk) }] }];
   const systemPrompt = `You are a concise summarizer for a text-based RPG. Analyze the provided game history chunk, which is an array of turns with "role" ('user' for player, 'model' for game master) and "parts" (text content).
 
@@ -181,7 +182,7 @@ ${JSON.stringify(historyChunk, null, 2)}`;
 
   let attempt = 0;
   while (attempt <= MAX_RETRIES_SILENT_AI) {
-    const summary = await callSilentGeminiAPI(contentForAI, { parts: [{ text: systemPrompt }] }, SUMMARIZATION_MODEL_NAME, "PlayerSummary");
+    const summary = await callSilentAI(contentForAI, { parts: [{ text: systemPrompt }] }, SUMMARIZATION_MODEL_NAME, "PlayerSummary", usageContext);
     if (summary) return summary;
     attempt++;
     if (attempt <= MAX_RETRIES_SILENT_AI) {
@@ -200,9 +201,10 @@ ${JSON.stringify(historyChunk, null, 2)}`;
  * @param {string} baseThemeLore - The original, static lore for the theme.
  * @param {string} themeName - The name of the theme.
  * @param {string} currentNarrativeLanguage - The language for the lore.
+ * @param {{userId: string, themeId: string}|null} [usageContext=null] - Whose token usage the call is recorded for.
  * @returns {Promise<string|null>} The new, complete evolved lore or null.
  */
-export async function evolveWorldLore(historyChunk, currentEvolvedLore, baseThemeLore, themeName, currentNarrativeLanguage) {
+export async function evolveWorldLore(historyChunk, currentEvolvedLore, baseThemeLore, themeName, currentNarrativeLanguage, usageContext = null) {
   const contentForAI = [{ role: "user", parts: [{ text: `Base Theme Lore for ${themeName}: ${baseThemeLore}\n\nCurrent Evolved Lore: ${currentEvolvedLore}\n\nRecent Game Events: ${JSON.stringify(historyChunk)}` }] }];
   const systemPrompt = `You are a world-building assistant for the text-based RPG "${themeName}".
   Your role is to evolve the game world's lore in response to recent player-driven events, ensuring their actions have meaningful, lasting effects.
@@ -225,7 +227,7 @@ export async function evolveWorldLore(historyChunk, currentEvolvedLore, baseThem
 
   let attempt = 0;
   while (attempt <= MAX_RETRIES_SILENT_AI) {
-    const newLore = await callSilentGeminiAPI(contentForAI, { parts: [{ text: systemPrompt }] }, SUMMARIZATION_MODEL_NAME, "LoreEvolution");
+    const newLore = await callSilentAI(contentForAI, { parts: [{ text: systemPrompt }] }, SUMMARIZATION_MODEL_NAME, "LoreEvolution", usageContext);
     if (newLore) return newLore;
     attempt++;
     if (attempt <= MAX_RETRIES_SILENT_AI) {
@@ -0,0 +1,575 @@
+/**
+ * @file Provider abstraction for AI text generation.
+ * The game loop speaks the Gemini `generateContent` dialect (contents/parts, functionCall/functionResponse,
+ * candidates). Every adapter accepts a request in that shape and returns a response in that shape,
+ * so callers never need to know which backend actually answered.
+ */
+import fetch from 'node-fetch';
+import logger from './logger.js';
+import { AI_PROVIDERS, DEFAULT_AI_PROVIDER, AI_PROVIDER_BY_MODEL, AI_PROVIDER_BY_TIER } from '../config.js';
+import { generateMockContent } from './mockAiProvider.js';
+
+/**
+ * Normalized result of a provider call.
+ * @typedef {object} ProviderResult
+ * @property {boolean} ok - Whether the upstream call succeeded.
+ * @property {number} status - HTTP status returned by the upstream service.
+ * @property {object|null} data - Gemini-shaped response body, or null if the body was not valid JSON.
+ * @property {string} rawText - The raw upstream response body (for debugging).
+ */
+
+/**
+ * Extracts the concatenated text of a Gemini-style system instruction.
+ * @param {object|undefined} systemInstruction - `{ parts: [{ text }] }`.
+ * @returns {string} The instruction text, or an empty string.
+ * @private
+ */
+function _systemInstructionText(systemInstruction) {
+  return (systemInstruction?.parts || []).map(part => part.text || '').join('\n').trim();
+}
+
+/**
+ * Converts a Gemini OpenAPI-subset schema (upper-case types) into JSON Schema.
+ * @param {object} schema - The Gemini parameter schema.
+ * @returns {object} An equivalent JSON Schema object.
+ * @private
+ */
+function _toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type' && typeof value === 'string') {
+      converted.type = value.toLowerCase();
+    } else if (key === 'properties' && value && typeof value === 'object') {
+      converted.properties = Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, _toJsonSchema(prop)]));
+    } else if (key === 'items') {
+      converted.items = _toJsonSchema(value);
+    } else {
+      converted[key] = value;
+    }
+  }
+  return converted;
+}
+
+/**
+ * Translates Gemini `tools[].functionDeclarations` into the OpenAI `tools` format (also used by Ollama).
+ * @param {Array<object>|undefined} tools - Gemini tool definitions.
+ * @returns {Array<object>} Chat-completion style tool definitions.
+ * @private
+ */
+function _toChatTools(tools) {
+  return (tools || [])
+    .flatMap(tool => tool.functionDeclarations || [])
+    .map(decl => ({
+      type: 'function',
+      function: {
+        name: decl.name,
+        description: decl.description,
+        parameters: _toJsonSchema(decl.parameters),
+      },
+    }));
+}
+
+/**
+ * Translates Gemini `contents` plus system instruction into chat-completion `messages`.
+ * Function calls are given synthetic ids so their responses can be paired with them.
+ * @param {Array<object>} contents - Gemini conversation contents.
+ * @param {object|undefined} systemInstruction - Gemini system instruction.
+ * @param {boolean} stringifyArguments - OpenAI expects tool call arguments as a JSON string, Ollama as an object.
+ * @returns {Array<object>} Chat messages.
+ * @private
+ */
+function _toChatMessages(contents, systemInstruction, stringifyArguments) {
+  const messages = [];
+  const systemText = _systemInstructionText(systemInstruction);
+  if (systemText) {
+    messages.push({ role: 'system', content: systemText });
+  }
+  // The IDs of unanswered calls per tool name, in call order, so repeated calls of a tool pair with their responses.
+  const pendingCallIds = new Map();
+  let callCounter = 0;
+  for (const content of contents || []) {
+    const parts = content.parts || [];
+    const text = parts.filter(part => typeof part.text === 'string').map(part => part.text).join('\n');
+    const functionCalls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+    const functionResponses = parts.filter(part => part.functionResponse).map(part => part.functionResponse);
+
+    if (functionCalls.length > 0) {
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        tool_calls: functionCalls.map((call) => {
+          const id = `call_${callCounter++}`;
+          pendingCallIds.set(call.name, [...(pendingCallIds.get(call.name) || []), id]);
+          return {
+            id,
+            type: 'function',
+            function: {
+              name: call.name,
+              arguments: stringifyArguments ? JSON.stringify(call.args || {}) : (call.args || {}),
+            },
+          };
+        }),
+      });
+      continue;
+    }
+    if (functionResponses.length > 0) {
+      for (const response of functionResponses) {
+        const payload = response.response?.content ?? response.response;
+        messages.push({
+          role: 'tool',
+          tool_call_id: pendingCallIds.get(response.name)?.shift(),
+          name: response.name,
+          content: typeof payload === 'string' ? payload : JSON.stringify(payload),
+        });
+      }
+      continue;
+    }
+    messages.push({ role: content.role === 'model' ? 'assistant' : 'user', content: text });
+  }
+  return messages;
+}
+
+/**
+ * Builds a Gemini-shaped response body from a chat-completion style assistant message.
+ * @param {object|undefined} message - `{ content, tool_calls }`.
+ * @param {string} finishReason - Upstream finish reason.
+ * @param {object|null} usage - `{ promptTokens, completionTokens }` or null.
+ * @returns {object} Gemini-shaped response body.
+ * @private
+ */
+function _toGeminiResponse(message, finishReason, usage) {
+  const parts = [];
+  for (const call of message?.tool_calls || []) {
+    let args = call.function?.arguments ?? {};
+    if (typeof args === 'string') {
+      try {
+        args = JSON.parse(args || '{}');
+      } catch (e) {
+        logger.warn(`[AIProvider] Could not parse tool call arguments for '${call.function?.name}'. Using empty args.`);
+        args = {};
+      }
+    }
+    parts.push({ functionCall: { name: call.function?.name, args } });
+  }
+  if (parts.length === 0) {
+    parts.push({ text: message?.content || '' });
+  }
+  const response = {
+    candidates: [{
+      content: { role: 'model', parts },
+      finishReason: finishReason === 'length' ? 'MAX_TOKENS' : 'STOP',
+    }],
+  };
+  if (usage) {
+    response.usageMetadata = {
+      promptTokenCount: usage.promptTokens || 0,
+      candidatesTokenCount: usage.completionTokens || 0,
+      totalTokenCount: (usage.promptTokens || 0) + (usage.completionTokens || 0),
+    };
+  }
+  return response;
+}
+
+/**
+ * Performs the HTTP call and parses the JSON body, never throwing on a non-JSON body.
+ * Network errors (including AbortError) are propagated to the caller.
+ * @param {string} url - Target URL.
+ * @param {object} headers - Request headers.
+ * @param {object} body - Request body, serialized to JSON.
+ * @param {AbortSignal} [signal] - Abort signal for timeouts.
+ * @returns {Promise<{response: object, rawText: string, json: object|null}>}
+ * @private
+ */
+async function _postJson(url, headers, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  const rawText = await response.text();
+  let json = null;
+  try {
+    json = JSON.parse(rawText);
+  } catch (e) {
+    json = null;
+  }
+  return { response, rawText, json };
+}
+
+/**
+ * Opens a streaming POST request. A non-OK response is read in full and parsed as a JSON error body.
+ * @param {string} url - Target URL.
+ * @param {object} headers - Request headers.
+ * @param {object} body - Request body, serialized to JSON.
+ * @param {AbortSignal} [signal] - Abort signal for timeouts.
+ * @returns {Promise<{response: object, errorResult: ProviderResult|null}>}
+ * @private
+ */
+async function _openStream(url, headers, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (response.ok) return { response, errorResult: null };
+  const rawText = await response.text();
+  let json = null;
+  try {
+    json = JSON.parse(rawText);
+  } catch (e) {
+    json = null;
+  }
+  const message = typeof json?.error === 'string' ? json.error : (json?.error?.message || rawText);
+  return { response, errorResult: { ok: false, status: response.status, data: json ? { error: { message, code: json.error?.code } } : null, rawText } };
+}
+
+/**
+ * Splits a streamed response body into lines, decoding UTF-8 across chunk boundaries.
+ * @param {AsyncIterable<Buffer>} body - The response body stream.
+ * @yields {string} Each non-empty line, without the trailing newline.
+ * @private
+ */
+async function* _readLines(body) {
+  const decoder = new TextDecoder();
+  let pending = '';
+  for await (const chunk of body) {
+    pending += decoder.decode(chunk, { stream: true });
+    let newlineIndex;
+    while ((newlineIndex = pending.indexOf('\n')) !== -1) {
+      const line = pending.slice(0, newlineIndex).replace(/\r$/, '');
+      pending = pending.slice(newlineIndex + 1);
+      if (line.trim()) yield line;
+    }
+  }
+  pending += decoder.decode();
+  if (pending.trim()) yield pending;
+}
+
+/**
+ * Yields the parsed JSON payload of each `data:` line of a Server-Sent Events body.
+ * The OpenAI `[DONE]` sentinel ends the iteration.
+ * @param {AsyncIterable<Buffer>} body - The response body stream.
+ * @yields {object} Each event payload.
+ * @private
+ */
+async function* _readSseJson(body) {
+  for await (const line of _readLines(body)) {
+    if (!line.startsWith('data:')) continue;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+    try {
+      yield JSON.parse(data);
+    } catch (e) {
+      logger.warn('[AIProvider] Skipping unparseable stream event:', data.substring(0, 200));
+    }
+  }
+}
+
+/**
+ * Builds the Gemini request body.
+ * @param {object} request - Gemini-shaped request.
+ * @returns {object} The Gemini payload.
+ * @private
+ */
+function _buildGeminiPayload({ contents, systemInstruction, generationConfig, safetySettings, tools }) {
+  return {
+    contents,
+    ...(tools && { tools }),
+    ...(generationConfig && { generationConfig }),
+    ...(safetySettings && { safetySettings }),
+    ...(systemInstruction && { systemInstruction }),
+  };
+}
+
+/**
+ * Adapter for Google's Gemini REST API. Requests and responses are passed through unchanged.
+ * @param {object} config - Provider settings from AI_PROVIDERS.
+ * @param {object} request - Gemini-shaped request.
+ * @returns {Promise<ProviderResult>}
+ * @private
+ */
+async function _callGemini(config, request) {
+  const url = `${config.baseUrl}/models/${request.modelName}:generateContent?key=${config.apiKey}`;
+  const { response, rawText, json } = await _postJson(url, { 'User-Agent': request.userAgent }, _buildGeminiPayload(request), request.signal);
+  return { ok: response.ok, status: response.status, data: json, rawText };
+}
+
+/**
+ * Streaming adapter for Gemini (`streamGenerateContent` with `alt=sse`).
+ * Text deltas are forwarded as they arrive; the aggregated response is returned at the end.
+ * @param {object} config - Provider settings from AI_PROVIDERS.
+ * @param {object} request - Gemini-shaped request.
+ * @param {function(string): void} onTextDelta - Receives each text delta.
+ * @returns {Promise<ProviderResult>}
+ * @private
+ */
+async function _streamGemini(config, request, onTextDelta) {
+  const url = `${config.baseUrl}/models/${request.modelName}:streamGenerateContent?alt=sse&key=${config.apiKey}`;
+  const { response, errorResult } = await _openStream(url, { 'User-Agent': request.userAgent }, _buildGeminiPayload(request), request.signal);
+  if (errorResult) return errorResult;
+  const parts = [];
+  let finishReason;
+  let usageMetadata;
+  let promptFeedback;
+  for await (const event of _readSseJson(response.body)) {
+    if (event.error) {
+      return { ok: false, status: event.error.code || 500, data: { error: event.error }, rawText: JSON.stringify(event) };
+    }
+    const candidate = event.candidates?.[0];
+    for (const part of candidate?.content?.parts || []) {
+      if (typeof part.text === 'string') {
+        const lastPart = parts[parts.length - 1];
+        if (lastPart && typeof lastPart.text === 'string') lastPart.text += part.text;
+        else parts.push({ text: part.text });
+        onTextDelta(part.text);
+      } else {
+        parts.push(part);
+      }
+    }
+    finishReason = candidate?.finishReason || finishReason;
+    usageMetadata = event.usageMetadata || usageMetadata;
+    promptFeedback = event.promptFeedback || promptFeedback;
+  }
+  const data = {
+    candidates: parts.length > 0 || finishReason ? [{ content: { role: 'model', parts }, finishReason }] : [],
+    ...(usageMetadata && { usageMetadata }),
+    ...(promptFeedback && { promptFeedback }),
+  };
+  return { ok: true, status: response.status, data, rawText: JSON.stringify(data) };
+}
+
+/**
+ * Builds the request body for an OpenAI-compatible `/chat/completions` endpoint.
+ * @param {object} request - Gemini-shaped request.
+ * @returns {object} The chat completion payload.
+ * @private
+ */
+function _buildOpenAIPayload({ modelName, contents, systemInstruction, generationConfig, tools }) {
+  const chatTools = _toChatTools(tools);
+  return {
+    model: modelName,
+    messages: _toChatMessages(contents, systemInstruction, true),
+    ...(chatTools.length > 0 && { tools: chatTools }),
+    ...(generationConfig?.temperature !== undefined && { temperature: generationConfig.temperature }),
+    ...(generationConfig?.topP !== undefined && { top_p: generationConfig.topP }),
+    ...(generationConfig?.maxOutputTokens !== undefined && { max_tokens: generationConfig.maxOutputTokens }),
+    ...(generationConfig?.responseMimeType === 'application/json' && { response_format: { type: 'json_object' } }),
+  };
+}
+
+/**
+ * Builds request headers for an OpenAI-compatible endpoint.
+ * @param {object} config - Provider settings from AI_PROVIDERS.
+ * @param {string} userAgent - The User-Agent header value.
+ * @returns {object} Request headers.
+ * @private
+ */
+function _openAIHeaders(config, userAgent) {
+  const headers = { 'User-Agent': userAgent };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+  return headers;
+}
+
+/**
+ * Adapter for any OpenAI-compatible `/chat/completions` endpoint (OpenAI, llama.cpp server, vLLM, ...).
+ * @param {object} config - Provider settings from AI_PROVIDERS.
+ * @param {object} request - Gemini-shaped request.
+ * @returns {Promise<ProviderResult>}
+ * @private
+ */
+async function _callOpenAICompatible(config, request) {
+  const { response, rawText, json } = await _postJson(`${config.baseUrl}/chat/completions`, _openAIHeaders(config, request.userAgent), _buildOpenAIPayload(request), request.signal);
+  if (!json) return { ok: response.ok, status: response.status, data: null, rawText };
+  if (!response.ok) {
+    return { ok: false, status: response.status, data: { error: { message: json.error?.message || rawText, code: json.error?.code } }, rawText };
+  }
+  const choice = json.choices?.[0];
+  const data = choice
+    ? _toGeminiResponse(choice.message, choice.finish_reason, json.usage ? { promptTokens: json.usage.prompt_tokens, completionTokens: json.usage.completion_tokens } : null)
+    : {};
+  return { ok: true, status: response.status, data, rawText };
+}
+
+/**
+ * Streaming adapter for OpenAI-compatible endpoints. Tool call fragments are accumulated by index.
+ * @param {object} config - Provider settings from AI_PROVIDERS.
+ * @param {object} request - Gemini-shaped request.
+ * @param {function(string): void} onTextDelta - Receives each text delta.
+ * @returns {Promise<ProviderResult>}
+ * @private
+ */
+async function _streamOpenAICompatible(config, request, onTextDelta) {
+  const payload = { ..._buildOpenAIPayload(request), stream: true, stream_options: { include_usage: true } };
+  const { response, errorResult } = await _openStream(`${config.baseUrl}/chat/completions`, _openAIHeaders(config, request.userAgent), payload, request.signal);
+  if (errorResult) return errorResult;
+  let content = '';
+  const toolCalls = [];
+  let finishReason;
+  let usage = null;
+  for await (const event of _readSseJson(response.body)) {
+    const choice = event.choices?.[0];
+    if (choice?.delta?.content) {
+      content += choice.delta.content;
+      onTextDelta(choice.delta.content);
+    }
+    for (const fragment of choice?.delta?.tool_calls || []) {
+      const index = fragment.index ?? toolCalls.length;
+      toolCalls[index] = toolCalls[index] || { function: { name: '', arguments: '' } };
+      if (fragment.function?.name) toolCalls[index].function.name += fragment.function.name;
+      if (fragment.function?.arguments) toolCalls[index].function.arguments += fragment.function.arguments;
+    }
+    finishReason = choice?.finish_reason || finishReason;
+    if (event.usage) usage = { promptTokens: event.usage.prompt_tokens, completionTokens: event.usage.completion_tokens };
+  }
+  const data = _toGeminiResponse({ content, tool_calls: toolCalls.filter(Boolean) }, finishReason, usage);
+  return { ok: true, status: response.status, data, rawText: JSON.stringify(data) };
+}
+
+/**
+ * Builds the request body for Ollama's native `/api/chat` endpoint.
+ * @param {object} request - Gemini-shaped request.
+ * @param {boolean} stream - Whether to request a streamed response.
+ * @returns {object} The Ollama chat payload.
+ * @private
+ */
+function _buildOllamaPayload({ modelName, contents, systemInstruction, generationConfig, tools }, stream) {
+  const chatTools = _toChatTools(tools);
+  const options = {};
+  if (generationConfig?.temperature !== undefined) options.temperature = generationConfig.temperature;
+  if (generationConfig?.topP !== undefined) options.top_p = generationConfig.topP;
+  if (generationConfig?.maxOutputTokens !== undefined) options.num_predict = generationConfig.maxOutputTokens;
+  return {
+    model: modelName,
+    messages: _toChatMessages(contents, systemInstruction, false),
+    stream,
+    options,
+    ...(chatTools.length > 0 && { tools: chatTools }),
+    ...(generationConfig?.responseMimeType === 'application/json' && { format: 'json' }),
+  };
+}
+
+/**
+ * Adapter for a local Ollama server's native `/api/chat` endpoint.
+ * @param {object} config - Provider settings from AI_PROVIDERS.
+ * @param {object} request - Gemini-shaped request.
+ * @returns {Promise<ProviderResult>}
+ * @private
+ */
+async function _callOllama(config, request) {
+  const { response, rawText, json } = await _postJson(`${config.baseUrl}/api/chat`, { 'User-Agent': request.userAgent }, _buildOllamaPayload(request, false), request.signal);
+  if (!json) return { ok: response.ok, status: response.status, data: null, rawText };
+  if (!response.ok) {
+    return { ok: false, status: response.status, data: { error: { message: typeof json.error === 'string' ? json.error : rawText } }, rawText };
+  }
+  const data = _toGeminiResponse(json.message, json.done_reason, { promptTokens: json.prompt_eval_count, completionTokens: json.eval_count });
+  return { ok: true, status: response.status, data, rawText };
+}
+
+/**
+ * Streaming adapter for Ollama, which emits one JSON object per line.
+ * @param {object} config - Provider settings from AI_PROVIDERS.
+ * @param {object} request - Gemini-shaped request.
+ * @param {function(string): void} onTextDelta - Receives each text delta.
+ * @returns {Promise<ProviderResult>}
+ * @private
+ */
+async function _streamOllama(config, request, onTextDelta) {
+  const { response, errorResult } = await _openStream(`${config.baseUrl}/api/chat`, { 'User-Agent': request.userAgent }, _buildOllamaPayload(request, true), request.signal);
+  if (errorResult) return errorResult;
+  let content = '';
+  const toolCalls = [];
+  let finalChunk = {};
+  for await (const line of _readLines(response.body)) {
+    let chunk;
+    try {
+      chunk = JSON.parse(line);
+    } catch (e) {
+      continue;
+    }
+    if (chunk.error) {
+      return { ok: false, status: 500, data: { error: { message: chunk.error } }, rawText: line };
+    }
+    if (chunk.message?.content) {
+      content += chunk.message.content;
+      onTextDelta(chunk.message.content);
+    }
+    toolCalls.push(...(chunk.message?.tool_calls || []));
+    if (chunk.done) finalChunk = chunk;
+  }
+  const data = _toGeminiResponse({ content, tool_calls: toolCalls }, finalChunk.done_reason, { promptTokens: finalChunk.prompt_eval_count, completionTokens: finalChunk.eval_count });
+  return { ok: true, status: response.status, data, rawText: JSON.stringify(data) };
+}
+
+/**
+ * Streaming wrapper for the mock adapter: generates the full response, then replays its text in small chunks.
+ * @param {object} config - Provider settings from AI_PROVIDERS.
+ * @param {object} request - Gemini-shaped request.
+ * @param {function(string): void} onTextDelta - Receives each text delta.
+ * @returns {Promise<ProviderResult>}
+ * @private
+ */
+async function _streamMock(config, request, onTextDelta) {
+  const result = await generateMockContent(config, request);
+  const text = result.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (text) {
+    for (let i = 0; i < text.length; i += 24) onTextDelta(text.slice(i, i + 24));
+  }
+  return result;
+}
+
+const ADAPTERS = {
+  gemini: { generate: _callGemini, stream: _streamGemini },
+  openai: { generate: _callOpenAICompatible, stream: _streamOpenAICompatible },
+  ollama: { generate: _callOllama, stream: _streamOllama },
+  mock: { generate: generateMockContent, stream: _streamMock },
+};
+
+/**
+ * Picks the provider for a request. An explicit model mapping wins over a tier mapping,
+ * which wins over DEFAULT_AI_PROVIDER.
+ * @param {string} modelName - The requested model name.
+ * @param {string|null} [tier=null] - The user's effective tier, if known.
+ * @returns {string} The provider id (a key of AI_PROVIDERS).
+ */
+export function resolveProviderId(modelName, tier = null) {
+  return AI_PROVIDER_BY_MODEL[modelName] || (tier && AI_PROVIDER_BY_TIER[tier]) || DEFAULT_AI_PROVIDER;
+}
+
+/**
+ * Resolves a provider and returns a client bound to it.
+ * @param {string} modelName - The requested model name.
+ * @param {string|null} [tier=null] - The user's effective tier, if known.
+ * @returns {{id: string, isConfigured: boolean, generateContent: Function, streamContent: Function}|null}
+ *   The provider client, or null if the resolved provider id is unknown.
+ */
+export function getAIProvider(modelName, tier = null) {
+  const id = resolveProviderId(modelName, tier);
+  const config = AI_PROVIDERS[id];
+  const adapter = config && ADAPTERS[config.type];
+  if (!adapter) {
+    logger.error(`[AIProvider] Unknown AI provider '${id}' resolved for model '${modelName}' (tier: ${tier || 'n/a'}).`);
+    return null;
+  }
+  return {
+    id,
+    isConfigured: !config.requiresApiKey || Boolean(config.apiKey),
+    /**
+     * @param {object} request - Gemini-shaped request: modelName, contents, systemInstruction,
+     *   generationConfig, safetySettings, tools, signal, userAgent. Optional context fields
+     *   (themeId, language, task, toolCallRequired) are only read by the mock adapter; hosted
+     *   providers are steered through the system instruction instead.
+     * @returns {Promise<ProviderResult>}
+     */
+    generateContent: (request) => adapter.generate(config, request),
+    /**
+     * Same as generateContent, but streams the response and reports text deltas as they arrive.
+     * @param {object} request - Gemini-shaped request (see generateContent).
+     * @param {function(string): void} onTextDelta - Receives each text delta.
+     * @returns {Promise<ProviderResult>} The aggregated response.
+     */
+    streamContent: (request, onTextDelta) => adapter.stream(config, request, onTextDelta),
+  };
+}
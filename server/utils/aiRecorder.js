@@ -0,0 +1,259 @@
+/**
+ * @file Opt-in recording of AI turns and deterministic replay of recorded turns.
+ * With `AI_RECORDING_ENABLED=true`, every proxied turn is written to
+ * `<AI_RECORDINGS_DIR>/<gameStateKey>/<recordingId>.json`: the validated request body, the prompt assembled for it
+ * (with the player data it was built from), each provider request/response pair (including failed attempts), the
+ * results of tool calls and the final outcome. Secrets are redacted before anything is written. A recording can be
+ * fed back through the turn runner with `createReplaySource`, which answers the prompt, provider calls and tool calls
+ * from the recording.
+ */
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { promises as fs } from 'fs';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const RECORDINGS_DIR = process.env.AI_RECORDINGS_DIR || path.join(__dirname, '..', 'recordings');
+const MAX_RECORDINGS_PER_GAME_STATE = parseInt(process.env.AI_RECORDING_MAX_PER_GAME, 10) || 50;
+const RECORDING_FORMAT_VERSION = 2; // 2: records the assembled prompt
+const RECORDING_ID_PATTERN = /^([A-Za-z0-9_-]+)\.(\d+-[a-f0-9]+)$/;
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_PATTERN = /^(api[_-]?key|key|token|access[_-]?token|refresh[_-]?token|authorization|password|password_hash|secret)$/i;
+const SECRET_VALUE_PATTERNS = [
+  /AIza[0-9A-Za-z_-]{20,}/g, // Google API keys
+  /sk-[A-Za-z0-9_-]{16,}/g, // OpenAI-style keys
+  /Bearer\s+[A-Za-z0-9._~+/-]+=*/g,
+  /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, // JWTs
+];
+
+/**
+ * Whether turns are being recorded.
+ * @returns {boolean}
+ */
+export function isRecordingEnabled() {
+  return process.env.AI_RECORDING_ENABLED === 'true';
+}
+
+/**
+ * Returns a deep copy of a value with secrets replaced by '[REDACTED]': values under secret-looking keys,
+ * and API keys, bearer tokens and JWTs inside strings. Functions and abort signals are dropped.
+ * @param {*} value - The value to redact.
+ * @returns {*}
+ */
+export function redactSecrets(value) {
+  if (typeof value === 'string') {
+    return SECRET_VALUE_PATTERNS.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value && typeof value === 'object') {
+    if (typeof AbortSignal !== 'undefined' && value instanceof AbortSignal) return undefined;
+    const redacted = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (typeof entry === 'function') continue;
+      redacted[key] = SECRET_KEY_PATTERN.test(key) && entry !== null && entry !== undefined ? REDACTED : redactSecrets(entry);
+    }
+    return redacted;
+  }
+  return value;
+}
+
+/**
+ * Builds the directory name for a game state: the user ID (or 'anonymous') and the theme.
+ * @param {string|null|undefined} userId - The user's ID.
+ * @param {string} themeId - The theme ID.
+ * @returns {string}
+ * @private
+ */
+function _gameStateKey(userId, themeId) {
+  const safeUserId = String(userId || 'anonymous').replace(/[^A-Za-z0-9_-]/g, '');
+  const safeThemeId = String(themeId || 'unknown').replace(/[^a-z0-9_]/g, '');
+  return `${safeUserId}_${safeThemeId}`;
+}
+
+/**
+ * Removes the oldest recordings of a game state beyond the retention limit.
+ * @param {string} directory - The game state's recordings directory.
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _pruneRecordings(directory) {
+  const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json')).sort();
+  const excess = files.slice(0, Math.max(0, files.length - MAX_RECORDINGS_PER_GAME_STATE));
+  await Promise.all(excess.map(file => fs.unlink(path.join(directory, file)).catch(() => {})));
+}
+
+/**
+ * Starts recording a turn, if recording is enabled.
+ * @param {import('express').Request} req - The validated proxy request.
+ * @returns {object|null} A recorder with `setPromptRequest`, `addExchange`, `addToolResult`, `setToolEffects` and
+ *   `save`, or null.
+ */
+export function createTurnRecorder(req) {
+  if (!isRecordingEnabled()) return null;
+  const gameStateKey = _gameStateKey(req.user?.id, req.body.theme_id);
+  const recording = {
+    version: RECORDING_FORMAT_VERSION,
+    id: `${gameStateKey}.${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    recordedAt: new Date().toISOString(),
+    userId: req.user?.id || null,
+    tier: req.user?.tier || null,
+    requestBody: redactSecrets(req.body),
+    promptRequest: null,
+    exchanges: [],
+    toolResults: [],
+    toolEffects: null,
+    outcome: null,
+  };
+  return {
+    id: recording.id,
+    /**
+     * Records the prompt assembled for the turn, which depends on the stored player state at the time.
+     * @param {object} assembledRequest - From promptBuilder.js `assemblePromptRequest`; the theme configuration is
+     *   not recorded.
+     */
+    setPromptRequest({ systemInstruction, contents, generationConfig, safetySettings, playerSnapshot }) {
+      recording.promptRequest = redactSecrets({ systemInstruction, contents, generationConfig, safetySettings, playerSnapshot });
+    },
+    /**
+     * Records one provider call.
+     * @param {object} providerRequest - The request sent to the provider.
+     * @param {object|null} providerResult - The provider's `{ ok, status, data, rawText }`, or null if it threw.
+     * @param {Error} [error] - The error the provider threw (e.g. a network failure).
+     */
+    addExchange(providerRequest, providerResult, error) {
+      recording.exchanges.push({
+        request: redactSecrets(providerRequest),
+        response: providerResult
+          ? redactSecrets({ ok: providerResult.ok, status: providerResult.status, data: providerResult.data, rawText: providerResult.rawText })
+          : null,
+        thrown: error ? { name: error.name, message: redactSecrets(error.message) } : undefined,
+      });
+    },
+    /**
+     * Records a tool call and its result, in call order.
+     * @param {string} name - The tool name.
+     * @param {object} args - The call arguments.
+     * @param {*} result - The tool result.
+     */
+    addToolResult(name, args, result) {
+      recording.toolResults.push(redactSecrets({ name, args, result }));
+    },
+    /**
+     * Records the authoritative changes the tools made this turn.
+     * @param {object} effects - The tool context's `effects`.
+     */
+    setToolEffects(effects) {
+      recording.toolEffects = redactSecrets(effects);
+    },
+    /**
+     * Writes the recording. Failures are logged, never thrown.
+     * @param {{status: number, body: object}} outcome - The turn's outcome.
+     * @returns {Promise<void>}
+     */
+    async save(outcome) {
+      recording.outcome = redactSecrets(outcome);
+      const directory = path.join(RECORDINGS_DIR, gameStateKey);
+      try {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(path.join(directory, `${recording.id}.json`), JSON.stringify(recording, null, 2), 'utf-8');
+        await _pruneRecordings(directory);
+        logger.debug(`[AIRecorder] Saved recording ${recording.id}`);
+      } catch (error) {
+        logger.error(`[AIRecorder] Failed to save recording ${recording.id}:`, error.message);
+      }
+    },
+  };
+}
+
+/**
+ * Loads a recording by ID.
+ * @param {string} recordingId - The ID from `createTurnRecorder` ('<gameStateKey>.<timestamp>-<hex>').
+ * @returns {Promise<object|null>} The recording, or null if the ID is malformed or unknown.
+ */
+export async function loadRecording(recordingId) {
+  const match = typeof recordingId === 'string' ? recordingId.match(RECORDING_ID_PATTERN) : null;
+  if (!match) return null;
+  try {
+    const content = await fs.readFile(path.join(RECORDINGS_DIR, match[1], `${recordingId}.json`), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`[AIRecorder] Failed to load recording ${recordingId}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Lists the recording IDs of a game state, newest first.
+ * @param {string|null|undefined} userId - The user's ID.
+ * @param {string} themeId - The theme ID.
+ * @returns {Promise<string[]>}
+ */
+export async function listRecordings(userId, themeId) {
+  try {
+    const files = await fs.readdir(path.join(RECORDINGS_DIR, _gameStateKey(userId, themeId)));
+    return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length)).sort().reverse();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Creates a replay source that answers a turn from a recording: the turn is played with the recorded prompt,
+ * provider calls get the recorded responses in order, and tool calls get the recorded results instead of running
+ * (so dice rolls repeat exactly).
+ * @param {object} recording - A recording from `loadRecording`, with a `promptRequest` (see `isReplayable`).
+ * @returns {{provider: object, nextToolResult: function(string): *, toolEffects: object|null, promptRequest: object}}
+ */
+export function createReplaySource(recording) {
+  const exchanges = [...recording.exchanges];
+  const toolResults = [...recording.toolResults];
+  const nextResponse = () => {
+    const exchange = exchanges.shift();
+    if (!exchange) {
+      return { ok: false, status: 500, data: { error: { message: 'The recording has no further AI responses.' } }, rawText: '' };
+    }
+    if (exchange.thrown) {
+      const error = new Error(exchange.thrown.message);
+      error.name = exchange.thrown.name;
+      throw error;
+    }
+    return structuredClone(exchange.response);
+  };
+  return {
+    provider: {
+      id: 'replay',
+      isConfigured: true,
+      generateContent: async () => nextResponse(),
+      streamContent: async (request, onTextDelta) => {
+        const response = nextResponse();
+        const text = (response.data?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+        if (response.ok && text) onTextDelta(text);
+        return response;
+      },
+    },
+    nextToolResult(name) {
+      const index = toolResults.findIndex(entry => entry.name === name);
+      if (index === -1) return { error: `The recording has no further results for tool '${name}'.` };
+      return structuredClone(toolResults.splice(index, 1)[0].result);
+    },
+    toolEffects: recording.toolEffects ? structuredClone(recording.toolEffects) : null,
+    promptRequest: structuredClone(recording.promptRequest),
+  };
+}
+
+/**
+ * Whether a recording can be replayed: recordings made before the assembled prompt was recorded cannot, since the
+ * prompt would have to be rebuilt from the current player state.
+ * @param {object} recording - A recording from `loadRecording`.
+ * @returns {boolean}
+ */
+export function isReplayable(recording) {
+  return Boolean(recording?.promptRequest);
+}
@@ -0,0 +1,51 @@
+/**
+ * @file Backoff helpers for retrying transient AI provider failures (see `AI_RETRY_POLICY` in config.js).
+ */
+import { AI_RETRY_POLICY } from '../config.js';
+
+/**
+ * Checks whether a failed provider response is worth retrying.
+ * @param {number} status - The provider's HTTP status.
+ * @param {object} [policy=AI_RETRY_POLICY] - The retry policy.
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status, policy = AI_RETRY_POLICY) {
+  return policy.retryableStatuses.includes(status);
+}
+
+/**
+ * Computes the delay before the next attempt: exponential backoff capped at `maxDelayMs`,
+ * with "equal jitter" (between half and the full backoff) so concurrent turns do not retry in lockstep.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @param {object} [policy=AI_RETRY_POLICY] - The retry policy.
+ * @returns {number} Delay in milliseconds.
+ */
+export function getRetryDelayMs(attempt, policy = AI_RETRY_POLICY) {
+  const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Waits before a retry, ending early with an AbortError when the turn is aborted.
+ * @param {number} delayMs - Delay in milliseconds.
+ * @param {AbortSignal} [signal] - The turn's abort signal.
+ * @returns {Promise<void>}
+ */
+export function waitForRetry(delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delayMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
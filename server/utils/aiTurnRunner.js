@@ -0,0 +1,605 @@
+/**
+ * @file Runs a single AI game turn: prompt assembly, the provider call, the GM tool loop and
+ * validation of the final turn response.
+ * Shared by the buffered (`/api/v1/gemini/generate`) and streaming (`/api/v1/gemini/generate-stream`) routes.
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promises as fs } from 'fs';
+import logger from './logger.js';
+import { createTurnDiceRoller } from './rollLedger.js';
+import { ROLL_ATTRIBUTES, buildRollProfile, applyRollModifiers } from './rollModifiers.js';
+import { getAIProvider } from './aiProviders.js';
+import { AI_RETRY_POLICY } from '../config.js';
+import { isRetryableStatus, getRetryDelayMs, waitForRetry } from './aiRetryPolicy.js';
+import { assemblePromptRequest, savePendingShard } from './promptBuilder.js';
+import { getGmToolNamesForTheme, buildGmToolDeclarations, executeGmTool } from './gmToolRegistry.js';
+import { buildTurnResponseSchema, validateTurnResponse } from './turnResponseSchema.js';
+import { createTokenTally, addResponseTokens, recordTokenUsage } from './tokenMeter.js';
+import { createTurnRecorder } from './aiRecorder.js';
+import { inspectPlayerAction, buildGuardInstruction, clampTurnOutcome, flagTurn } from './turnGuard.js';
+import { holdTurnAward } from './turnAwards.js';
+import { loadConditionCatalogue, advanceConditions, describeConditions, saveActiveConditions } from './conditions.js';
+import { getCurrencySlot, collectTurnRewards } from './themeStore.js';
+import { getThemeConfig } from './themeDataManager.js';
+import { MODEL_FREE, getTierCharacterLimit, getEffectiveTier } from '../middleware/usageLimiter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEBUG_DIR = path.join(__dirname, '..', 'debug');
+const MAX_TURNS = 5;
+// The fields a player's roll request may set. Character modifiers, opting out of them and the critical and partial
+// ranges are left to the server and the AI's rollDice calls.
+const PLAYER_ROLL_FIELDS = ['notation', 'target', 'comparison', 'skill', 'attribute'];
+
+/**
+ * Saves data to a debug file if debug mode is enabled.
+ * @param {string} fileName - The name of the file to save.
+ * @param {string | object} data - The data to write.
+ */
+async function saveDebugFile(fileName, data) {
+  if (process.env.DEBUG_SAVE_PROMPT !== 'true') {
+    return;
+  }
+  try {
+    await fs.mkdir(DEBUG_DIR, { recursive: true });
+    const filePath = path.join(DEBUG_DIR, fileName);
+    const content = typeof data === 'object' ? JSON.stringify(data, null, 2) : String(data);
+    await fs.writeFile(filePath, content, 'utf-8');
+    logger.debug(`[Debug] Saved ${fileName}`);
+  } catch (err) {
+    logger.error(`[Debug] Failed to save debug file ${fileName}:`, err);
+  }
+}
+
+/**
+ * Maps AI provider error status codes and messages to more user-friendly messages.
+ * @param {number} status - The HTTP status code from the AI provider.
+ * @param {string} message - The error message from the AI provider.
+ * @returns {string} A user-friendly error message.
+ */
+function mapGeminiError(status, message) {
+  const errorMappings = {
+    400: 'Invalid request format or parameters sent to AI service.',
+    401: 'Authentication failed with the AI service. Please check server API key.',
+    403: 'Access denied by AI service or API quota exceeded.',
+    429: 'Too many requests sent to the AI service. Please try again later.',
+    500: 'The AI service is temporarily unavailable. Please try again later.',
+    503: 'The AI service is currently under maintenance or overloaded.',
+  };
+  return errorMappings[status] || message || 'An unknown error occurred with the AI service.';
+}
+
+/**
+ * Builds an error outcome in the API's standard error shape.
+ * @param {number} status - HTTP status code.
+ * @param {string} message - Error message.
+ * @param {string} code - Machine-readable error code.
+ * @param {*} [details] - Optional extra information for the client.
+ * @returns {{status: number, body: object}}
+ * @private
+ */
+function _errorOutcome(status, message, code, details = undefined) {
+  return { status, body: { error: { message, code, ...(details !== undefined && { details }) } } };
+}
+
+/**
+ * Prepares the roll configs of a player's `dice_roll_request`, which come from the client: only `PLAYER_ROLL_FIELDS`
+ * are kept and an attribute other than Aptitude or Resilience is dropped, so every player roll takes the character's
+ * modifiers and is graded with the default ranges.
+ * @param {Array<object>} rollConfigs - The requested roll configs.
+ * @returns {Array<object>}
+ * @private
+ */
+function _playerRollConfigs(rollConfigs) {
+  return rollConfigs.map((rollConfig) => {
+    if (!rollConfig || typeof rollConfig !== 'object') return rollConfig;
+    const playerRollConfig = Object.fromEntries(Object.entries(rollConfig).filter(([field]) => PLAYER_ROLL_FIELDS.includes(field)));
+    if (!ROLL_ATTRIBUTES.includes(playerRollConfig.attribute)) delete playerRollConfig.attribute;
+    return playerRollConfig;
+  });
+}
+
+/**
+ * Joins the text parts of a Gemini-shaped response's first candidate.
+ * @param {object} responseData - The provider response.
+ * @returns {string}
+ * @private
+ */
+function _candidateText(responseData) {
+  return (responseData.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+}
+
+/**
+ * Enforces the theme's turn-response schema on the final AI response.
+ * Values are coerced where safe; if the response still does not conform, the model is re-asked once
+ * (without streaming or tools) with the validation errors before the turn fails.
+ * @param {object} aiProvider - The provider from `getAIProvider`.
+ * @param {object} providerRequest - The request that produced `responseData`.
+ * @param {object} responseData - The final Gemini-shaped response.
+ * @param {object} themeConfig - The theme configuration whose dashboard defines the schema.
+ * @param {object} toolDashboardUpdates - Dashboard values set by GM tools this turn; they override the model's. The
+ *   model cannot set the currency itself, so it only changes through the grantCurrency tool.
+ * @param {object} turnTokens - The turn's token tally (see tokenMeter.js); the re-ask's tokens are added to it.
+ * @param {object|null} recorder - The turn recorder (see aiRecorder.js), if recording.
+ * @returns {Promise<{ok: boolean, responseData?: object, errors?: string[]}>} On success, the response with its
+ *   candidate text replaced by the normalized JSON.
+ * @private
+ */
+async function _enforceTurnSchema(aiProvider, providerRequest, responseData, themeConfig, toolDashboardUpdates, turnTokens, recorder) {
+  const schema = buildTurnResponseSchema(themeConfig);
+  let validation = validateTurnResponse(_candidateText(responseData), schema);
+  if (!validation.valid) {
+    logger.warn(`[TurnSchema] AI turn response failed validation, re-asking once: ${validation.errors.join(' ')}`);
+    const repairInstruction = `Your previous response could not be used because it does not match the required RESPONSE FORMAT:\n- ${validation.errors.join('\n- ')}\n\nRespond again with the complete turn as a single valid JSON object that follows the RESPONSE FORMAT exactly. Do not add any text outside the JSON object.`;
+    const repairRequest = {
+      ...providerRequest,
+      contents: [
+        ...providerRequest.contents,
+        { role: 'model', parts: [{ text: _candidateText(responseData) }] },
+        { role: 'user', parts: [{ text: repairInstruction }] },
+      ],
+      tools: [],
+      toolCallRequired: false,
+    };
+    const repairResult = await aiProvider.generateContent(repairRequest);
+    recorder?.addExchange(repairRequest, repairResult);
+    await saveDebugFile('latest_ai_repair_response.json', repairResult.rawText);
+    if (repairResult.ok) addResponseTokens(turnTokens, repairResult.data);
+    if (repairResult.ok && repairResult.data?.candidates?.[0]) {
+      responseData = repairResult.data;
+      validation = validateTurnResponse(_candidateText(responseData), schema);
+    }
+  }
+  if (!validation.valid) {
+    return { ok: false, errors: validation.errors };
+  }
+  if (validation.coercions.length > 0) {
+    logger.info(`[TurnSchema] Coerced AI turn response: ${validation.coercions.join(' ')}`);
+  }
+  const currencySlot = getCurrencySlot(themeConfig);
+  if (currencySlot && validation.value.dashboard_updates[currencySlot.id] !== undefined && toolDashboardUpdates[currencySlot.id] === undefined) {
+    logger.warn(`[TurnSchema] Dropped the model's own update of the currency '${currencySlot.id}'.`);
+    delete validation.value.dashboard_updates[currencySlot.id];
+  }
+  Object.assign(validation.value.dashboard_updates, toolDashboardUpdates);
+  responseData.candidates[0].content = { role: 'model', parts: [{ text: JSON.stringify(validation.value) }] };
+  return { ok: true, responseData };
+}
+
+/**
+ * Applies the turn guard's outcome limits to a schema-validated final response, in place.
+ * @param {object} responseData - The final response; its candidate text is the normalized turn JSON.
+ * @param {number} level - The character's level.
+ * @returns {Promise<string[]>} The adjustments made (see turnGuard.js).
+ * @private
+ */
+async function _clampFinalResponse(responseData, level) {
+  const turnResponse = JSON.parse(_candidateText(responseData));
+  const adjustments = await clampTurnOutcome(turnResponse, level);
+  if (adjustments.length > 0) {
+    responseData.candidates[0].content = { role: 'model', parts: [{ text: JSON.stringify(turnResponse) }] };
+  }
+  return adjustments;
+}
+
+/**
+ * Sets a final response's XP award to zero, in place. Used for regenerated turns (see turnRegeneration.js), whose
+ * discarded reply has already awarded the turn's XP, and for turns played again after a rewind (see checkpoints.js).
+ * @param {object} responseData - The final response; its candidate text is the normalized turn JSON.
+ * @param {string} reason - Why the XP is withheld, for the log.
+ * @private
+ */
+function _withholdXp(responseData, reason) {
+  const turnResponse = JSON.parse(_candidateText(responseData));
+  if (!(turnResponse.xp_awarded > 0)) return;
+  logger.info(`[Progression] Withheld ${turnResponse.xp_awarded} XP from ${reason}.`);
+  turnResponse.xp_awarded = 0;
+  responseData.candidates[0].content = { role: 'model', parts: [{ text: JSON.stringify(turnResponse) }] };
+}
+
+/**
+ * Removes a final response's generated item and currency change, in place. Used for regenerated turns, so that
+ * regenerating a turn again and again cannot be used to pick its best loot; the regeneration has already restored
+ * the possessions from before the discarded reply (see turnRegeneration.js).
+ * @param {object} responseData - The final response; its candidate text is the normalized turn JSON.
+ * @param {object} themeConfig - The theme's config.json.
+ * @param {{dashboardUpdates: object}} toolEffects - The GM tools' effects this turn; the currency change is dropped.
+ * @private
+ */
+function _withholdRewards(responseData, themeConfig, toolEffects) {
+  const turnResponse = JSON.parse(_candidateText(responseData));
+  const currencySlot = getCurrencySlot(themeConfig);
+  const grantsCurrency = Boolean(currencySlot) && toolEffects.dashboardUpdates[currencySlot.id] !== undefined;
+  if (!turnResponse.new_item_generated && !grantsCurrency) return;
+  logger.info('[Store] Withheld the generated item and currency change of a regenerated turn.');
+  delete turnResponse.new_item_generated;
+  if (grantsCurrency) {
+    delete toolEffects.dashboardUpdates[currencySlot.id];
+    delete turnResponse.dashboard_updates[currencySlot.id];
+  }
+  responseData.candidates[0].content = { role: 'model', parts: [{ text: JSON.stringify(turnResponse) }] };
+}
+
+/**
+ * Sends a provider request, retrying transient failures with backoff and then falling back along the model chain.
+ * A streamed attempt that has already emitted text is never retried, since the client has shown it.
+ * @param {string[]} modelChain - The requested model followed by its available fallback models.
+ * @param {number} startIndex - Index in `modelChain` of the model to try first.
+ * @param {function(string): (object|null)} resolveProvider - Returns the AI provider for a model name.
+ * @param {object} providerRequest - The provider request; its `modelName` is replaced per model.
+ * @param {object|null} streamHandlers - Streaming hooks from `runAiTurn`, if streaming.
+ * @param {object|null} recorder - The turn recorder, if recording; every attempt is recorded.
+ * @returns {Promise<{providerResult: object, modelIndex: number, aiProvider: object, providerRequest: object}>}
+ *   The last result obtained, with the model and request that produced it.
+ * @throws {Error} AbortError when the turn is aborted, or the last network error if no model answered.
+ * @private
+ */
+async function _callProviderWithRetry(modelChain, startIndex, resolveProvider, providerRequest, streamHandlers, recorder) {
+  let lastOutcome = null;
+  let lastError = null;
+  for (let modelIndex = startIndex; modelIndex < modelChain.length; modelIndex++) {
+    const modelName = modelChain[modelIndex];
+    const aiProvider = resolveProvider(modelName);
+    if (!aiProvider?.isConfigured) {
+      logger.warn(`[AIRetry] Skipping fallback model '${modelName}': no configured AI provider.`);
+      continue;
+    }
+    const modelRequest = { ...providerRequest, modelName };
+    for (let attempt = 1; attempt <= AI_RETRY_POLICY.maxAttempts; attempt++) {
+      let emittedText = false;
+      const onTextDelta = (delta) => {
+        emittedText = true;
+        streamHandlers.onTextDelta?.(delta);
+      };
+      try {
+        const providerResult = streamHandlers
+          ? await aiProvider.streamContent(modelRequest, onTextDelta)
+          : await aiProvider.generateContent(modelRequest);
+        recorder?.addExchange(modelRequest, providerResult);
+        lastOutcome = { providerResult, modelIndex, aiProvider, providerRequest: modelRequest };
+        lastError = null;
+        if (providerResult.ok || !isRetryableStatus(providerResult.status) || emittedText) {
+          return lastOutcome;
+        }
+        logger.warn(`[AIRetry] Model '${modelName}' via '${aiProvider.id}' failed with status ${providerResult.status} (attempt ${attempt}/${AI_RETRY_POLICY.maxAttempts}).`);
+      } catch (error) {
+        recorder?.addExchange(modelRequest, null, error);
+        if (error.name === 'AbortError' || emittedText) throw error;
+        lastError = error;
+        logger.warn(`[AIRetry] Model '${modelName}' via '${aiProvider.id}' could not be reached (attempt ${attempt}/${AI_RETRY_POLICY.maxAttempts}): ${error.message}`);
+      }
+      if (attempt < AI_RETRY_POLICY.maxAttempts) {
+        await waitForRetry(getRetryDelayMs(attempt), providerRequest.signal);
+      }
+    }
+    if (modelIndex + 1 < modelChain.length) {
+      logger.warn(`[AIRetry] Falling back from model '${modelName}' to '${modelChain[modelIndex + 1]}'.`);
+    }
+  }
+  if (lastError || !lastOutcome) {
+    throw lastError || new Error('No configured AI provider is available for the fallback chain.');
+  }
+  return lastOutcome;
+}
+
+/**
+ * Runs one AI turn for a validated `/api/v1/gemini/generate` request body.
+ * When recording is enabled (see aiRecorder.js) the turn is recorded and the response carries its `recording_id`.
+ * @param {import('express').Request} req - The Express request (body validated, usage limiter applied).
+ * @param {object} [streamHandlers=null] - Optional streaming hooks. When provided, provider calls are streamed.
+ * @param {function(Array<object>): void} [streamHandlers.onDiceResults] - Called as soon as dice results are known.
+ * @param {function(string): void} [streamHandlers.onTextDelta] - Called with each raw text delta from the model.
+ * @param {AbortSignal} [streamHandlers.signal] - Aborts the turn early (e.g. when the client disconnects).
+ * @param {object} [options={}]
+ * @param {object} [options.replay] - A replay source from `createReplaySource`: the turn is played with the recorded
+ *   prompt and answered from the recording instead of the AI provider and tools, nothing is charged and nothing is
+ *   recorded.
+ * @returns {Promise<{status: number, body: object}>} HTTP status and response body (final AI response or error).
+ */
+export async function runAiTurn(req, streamHandlers = null, options = {}) {
+  const replay = options.replay || null;
+  const recorder = replay ? null : createTurnRecorder(req);
+  const outcome = await _runTurn(req, streamHandlers, replay, recorder);
+  if (recorder) {
+    await recorder.save(outcome);
+    outcome.body.recording_id = recorder.id;
+  }
+  return outcome;
+}
+
+/**
+ * Runs the turn for `runAiTurn`.
+ * @param {import('express').Request} req - The Express request.
+ * @param {object|null} streamHandlers - Optional streaming hooks.
+ * @param {object|null} replay - Replay source, when replaying a recording.
+ * @param {object|null} recorder - Turn recorder, when recording.
+ * @returns {Promise<{status: number, body: object}>}
+ * @private
+ */
+async function _runTurn(req, streamHandlers, replay, recorder) {
+  const { modelName, dice_roll_request, force_dice_roll, suppress_ai_dice_roll, is_initial_turn, prompt_kind, theme_id, slot_id, narrative_language } = req.body;
+  let assembledRequest;
+  try {
+    // A replay is played with the recorded prompt, not one rebuilt from the player's current state.
+    assembledRequest = replay
+      ? { ...replay.promptRequest, themeConfig: await getThemeConfig(theme_id) }
+      : await assemblePromptRequest(req.body, req.user);
+  } catch (error) {
+    logger.error(`Failed to assemble prompt for theme '${theme_id}':`, error.message);
+    return _errorOutcome(error.status || 500, error.message, error.code || 'PROMPT_ASSEMBLY_ERROR');
+  }
+  if (!assembledRequest.themeConfig) {
+    return _errorOutcome(400, `Unknown theme '${theme_id}'.`, 'UNKNOWN_THEME');
+  }
+  recorder?.setPromptRequest(assembledRequest);
+  const { contents, systemInstruction, generationConfig: baseGenerationConfig, safetySettings, themeConfig, playerSnapshot } = assembledRequest;
+  const charLimit = getTierCharacterLimit(req.user);
+  if (prompt_kind !== 'deep_dive') {
+    const lengthInstruction = `\n\n**CRITICAL NARRATIVE LENGTH INSTRUCTION:** The 'narrative' field in your JSON response MUST be concise and strictly adhere to a maximum character limit of ${charLimit} characters. This is a hard limit. Be brief, evocative, and impactful within this constraint. Do not waste characters on filler. This rule is absolute.`;
+    systemInstruction.parts[0].text += lengthInstruction;
+    logger.info(`Applied narrative character limit of ${charLimit} for user ${req.user?.id || 'Anonymous'}.`);
+  }
+  const guardInspection = is_initial_turn === true ? { playerAction: '', reasons: [] } : inspectPlayerAction(contents);
+  if (guardInspection.reasons.length > 0) {
+    systemInstruction.parts[0].text += buildGuardInstruction(guardInspection.reasons);
+  }
+  const generationConfig = { ...baseGenerationConfig };
+  generationConfig.thinkingConfig = { thinkingBudget: 0 };
+  const effectiveModelName = modelName || MODEL_FREE;
+  const effectiveTier = getEffectiveTier(req.user);
+  const resolveProvider = (name) => (replay ? replay.provider : getAIProvider(name, effectiveTier));
+  let aiProvider = resolveProvider(effectiveModelName);
+  if (!aiProvider) {
+    return _errorOutcome(500, 'No AI provider is configured for this model.', 'AI_PROVIDER_NOT_CONFIGURED');
+  }
+  if (!aiProvider.isConfigured) {
+    logger.error(`API key for AI provider '${aiProvider.id}' is not set in environment variables.`);
+    return _errorOutcome(500, 'API key not configured on server.', 'MISSING_API_KEY');
+  }
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), process.env.GEMINI_TIMEOUT || 45000);
+  const abortOnClientSignal = () => controller.abort();
+  streamHandlers?.signal?.addEventListener('abort', abortOnClientSignal);
+  // Fallback models come from the usage limiter, which has already excluded models without remaining quota.
+  const modelChain = [effectiveModelName, ...(req.fallbackModels || []).filter(name => name !== effectiveModelName)];
+  let activeModelIndex = 0;
+  const turnTokens = createTokenTally();
+  try {
+    const diceRoller = replay ? null : await createTurnDiceRoller(req.user?.id, theme_id, slot_id);
+    // Character bonuses are applied before rolling, so the ledger records the configs that were actually rolled.
+    const rollProfile = buildRollProfile(themeConfig, playerSnapshot);
+    const rollWithModifiers = (rollConfigs, source) => diceRoller.roll(
+      Array.isArray(rollConfigs) ? rollConfigs.map(rollConfig => applyRollModifiers(rollConfig, rollProfile)) : rollConfigs,
+      source,
+    );
+    let conversationHistory = [...contents];
+    let userInitiatedDiceResults = null;
+    if (dice_roll_request && Array.isArray(dice_roll_request) && dice_roll_request.length > 0) {
+      logger.info(`User-initiated dice roll request received:`, dice_roll_request);
+      const playerRollConfigs = _playerRollConfigs(dice_roll_request);
+      const diceResults = replay ? replay.nextToolResult('rollDice') : await rollWithModifiers(playerRollConfigs, 'player');
+      recorder?.addToolResult('rollDice', { rollConfigs: playerRollConfigs }, diceResults);
+      userInitiatedDiceResults = diceResults;
+      streamHandlers?.onDiceResults?.(diceResults);
+      conversationHistory.push({
+        role: "model",
+        parts: [{
+          functionCall: {
+            name: "rollDice",
+            args: {
+              rollConfigs: playerRollConfigs
+            }
+          }
+        }]
+      });
+      conversationHistory.push({
+        role: "tool",
+        parts: [{
+          functionResponse: {
+            name: "rollDice",
+            response: {
+              content: JSON.stringify(diceResults),
+            }
+          }
+        }]
+      });
+      logger.debug(`Added simulated function call and response for user-initiated dice roll to conversation history.`);
+    }
+    else if (force_dice_roll) {
+      if (prompt_kind !== 'deep_dive') {
+        systemInstruction.parts[0].text += `\n\n**MANDATORY ACTION FOR THIS TURN:** The player has manually forced a dice roll. You MUST call the 'rollDice' function tool. Analyze the player's action and the current narrative context to determine an appropriate roll (e.g., '1d20' with the 'attribute' and 'skill' it tests; the server adds the character's bonuses) and a challenging but fair Difficulty Class (DC) based on the provided gameplay mechanics. Your narrative must then be based on the outcome of this roll.`;
+        logger.info(`[DiceRoll] Instructing AI to perform a mandatory dice roll for user ${req.user?.id || 'Anonymous'}.`);
+      }
+    }
+    let finalResponseData = null;
+    let finalProviderRequest = null;
+    let lastAiDiceRollResults = null;
+    // Tools are disabled on the initial turn and for lore deep dives; a suppressed AI roll only removes rollDice.
+    const toolNames = (is_initial_turn === true || prompt_kind === 'deep_dive')
+      ? []
+      : getGmToolNamesForTheme(themeConfig).filter(name => !(suppress_ai_dice_roll && name === 'rollDice'));
+    const tools = buildGmToolDeclarations(toolNames);
+    const toolContext = {
+      themeId: theme_id,
+      themeConfig,
+      language: narrative_language || 'en',
+      user: req.user || null,
+      level: playerSnapshot?.level || 1,
+      equippedItems: playerSnapshot?.equippedItems || {},
+      inventory: playerSnapshot?.inventory || [],
+      currencyBalance: playerSnapshot?.currencyBalance ?? 0,
+      rollDice: diceRoller ? (rollConfigs) => rollWithModifiers(rollConfigs, 'ai') : undefined,
+      // A replay does not run the tools, so it starts from the effects they had when the turn was recorded.
+      effects: replay?.toolEffects || { dashboardUpdates: {}, currencyGranted: 0 },
+    };
+    const initialPayloadForDebug = {
+      contents: conversationHistory,
+      tools,
+      generationConfig,
+      safetySettings,
+      systemInstruction,
+    };
+    await saveDebugFile('latest_ai_prompt.json', initialPayloadForDebug);
+    for (let turn = 0; turn < MAX_TURNS; turn++) {
+      logger.debug(`[Turn ${turn + 1}] Proxying request to AI provider '${aiProvider.id}'. Model: ${modelChain[activeModelIndex]}, User: ${req.user?.id || 'Anonymous'}`);
+      const baseProviderRequest = {
+        modelName: modelChain[activeModelIndex],
+        contents: conversationHistory,
+        tools,
+        generationConfig,
+        safetySettings,
+        systemInstruction,
+        signal: controller.signal,
+        userAgent: `Lorelic-Server/${process.env.npm_package_version || '1.0.0'}`,
+        themeId: theme_id,
+        language: narrative_language,
+        toolCallRequired: Boolean(force_dice_roll) && toolNames.includes('rollDice') && turn === 0,
+      };
+      // Later turns of the tool loop stay on the model that answered the earlier ones.
+      const callOutcome = await _callProviderWithRetry(modelChain, activeModelIndex, resolveProvider, baseProviderRequest, streamHandlers, recorder);
+      const { providerResult, providerRequest } = callOutcome;
+      aiProvider = callOutcome.aiProvider;
+      activeModelIndex = callOutcome.modelIndex;
+      await saveDebugFile('latest_ai_response.json', providerResult.rawText);
+      const currentTurnResponseData = providerResult.data;
+      if (providerResult.ok) addResponseTokens(turnTokens, currentTurnResponseData);
+      if (!currentTurnResponseData) {
+        logger.error(`Failed to parse JSON response from AI provider '${aiProvider.id}':`, { rawTextSnippet: providerResult.rawText.substring(0, 500) });
+        return _errorOutcome(502, 'Invalid JSON response from AI service.', 'INVALID_AI_RESPONSE_FORMAT');
+      }
+      if (!providerResult.ok) {
+        logger.error(`Error from AI provider '${aiProvider.id}' (Status: ${providerResult.status})`, currentTurnResponseData);
+        const mappedErrorMessage = mapGeminiError(providerResult.status, currentTurnResponseData?.error?.message);
+        return _errorOutcome(providerResult.status, mappedErrorMessage, currentTurnResponseData?.error?.code || `EXTERNAL_API_ERROR_${providerResult.status}`);
+      }
+      const candidate = currentTurnResponseData.candidates?.[0];
+      if (!candidate) {
+        logger.warn('Unexpected AI response structure (no candidates)', currentTurnResponseData);
+        return _errorOutcome(502, 'Unexpected response format from AI service (no candidates).', 'INVALID_AI_RESPONSE_STRUCTURE');
+      }
+      const functionCalls = (candidate.content?.parts || []).filter(part => part.functionCall).map(part => part.functionCall);
+      if (functionCalls.length > 0) {
+        logger.info(`[Turn ${turn + 1}] Received ${functionCalls.length} function call(s) from AI: ${functionCalls.map(call => call.name).join(', ')}`);
+        conversationHistory.push(candidate.content);
+        const functionResponses = [];
+        for (const functionCall of functionCalls) {
+          const toolResult = replay
+            ? replay.nextToolResult(functionCall.name)
+            : await executeGmTool(functionCall.name, functionCall.args, toolNames, toolContext);
+          recorder?.addToolResult(functionCall.name, functionCall.args, toolResult);
+          if (functionCall.name === 'rollDice' && Array.isArray(toolResult)) {
+            lastAiDiceRollResults = toolResult;
+            streamHandlers?.onDiceResults?.(toolResult);
+          }
+          functionResponses.push({
+            functionResponse: {
+              name: functionCall.name,
+              response: {
+                content: JSON.stringify(toolResult),
+              }
+            }
+          });
+          logger.debug(`[Turn ${turn + 1}] Executed AI-initiated ${functionCall.name} function. Result:`, toolResult);
+        }
+        conversationHistory.push({ role: "tool", parts: functionResponses });
+        continue;
+      }
+      if (candidate.content?.parts?.[0]?.text) {
+        logger.info(`[Turn ${turn + 1}] Received final text response from AI.`);
+        finalResponseData = currentTurnResponseData;
+        finalProviderRequest = providerRequest;
+        break;
+      }
+      logger.warn(`[Turn ${turn + 1}] AI response was valid but contained no actionable content. Breaking loop.`);
+      finalResponseData = currentTurnResponseData;
+      finalProviderRequest = providerRequest;
+      break;
+    }
+    recorder?.setToolEffects(toolContext.effects);
+    if (!finalResponseData) {
+      logger.error('AI conversation loop finished without a final response.');
+      return _errorOutcome(500, 'AI failed to produce a final response after function calls.', 'AI_CONVERSATION_TIMEOUT');
+    }
+    if (prompt_kind !== 'deep_dive') {
+      const schemaResult = await _enforceTurnSchema(aiProvider, finalProviderRequest, finalResponseData, themeConfig, toolContext.effects.dashboardUpdates, turnTokens, recorder);
+      if (!schemaResult.ok) {
+        logger.error(`AI turn response failed schema validation after re-ask: ${schemaResult.errors.join(' ')}`);
+        return _errorOutcome(502, 'The AI response did not match the expected turn format.', 'INVALID_AI_TURN_RESPONSE', schemaResult.errors);
+      }
+      finalResponseData = schemaResult.responseData;
+    }
+    const guardAdjustments = prompt_kind !== 'deep_dive' ? await _clampFinalResponse(finalResponseData, toolContext.level) : [];
+    if (playerSnapshot?.isRegeneration) {
+      _withholdXp(finalResponseData, 'a regenerated turn');
+      _withholdRewards(finalResponseData, themeConfig, toolContext.effects);
+    } else if (playerSnapshot?.isReplayedTurn) {
+      _withholdXp(finalResponseData, 'a turn played again after a rewind');
+    }
+    const resultsToSend = userInitiatedDiceResults || lastAiDiceRollResults;
+    if (resultsToSend) {
+      finalResponseData.dice_roll_results = resultsToSend;
+      logger.debug('Attaching dice roll results to the final response.');
+    }
+    const modelUsed = modelChain[activeModelIndex];
+    finalResponseData.model_used = modelUsed;
+    if (!replay) {
+      await recordTokenUsage(req.user?.id, { modelName: modelUsed, themeId: theme_id, source: 'turn', tokens: turnTokens });
+    }
+    if (req.incrementUsage && !replay) {
+      const updatedUsage = await req.incrementUsage(modelUsed, turnTokens.totalTokens);
+      finalResponseData.api_usage = updatedUsage;
+    }
+    // The verified XP, item and currency are held until the save that records this turn grants them (see
+    // turnAwards.js).
+    if (playerSnapshot?.gameStateId && !replay) {
+      const turnResponse = JSON.parse(_candidateText(finalResponseData));
+      await holdTurnAward(playerSnapshot.gameStateId, playerSnapshot.headCheckpointId, {
+        xp: turnResponse.xp_awarded,
+        ...collectTurnRewards(themeConfig, {
+          item: turnResponse.new_item_generated,
+          toolDashboardUpdates: toolContext.effects.dashboardUpdates,
+          currencyBalance: toolContext.currencyBalance,
+        }),
+      });
+      // The World Shard of a mull-over turn waits with the slot for the deep dive and the turn that finalizes it.
+      if (turnResponse.game_state_indicators?.trigger_mull_over && turnResponse.new_persistent_lore_unlock) {
+        await savePendingShard(playerSnapshot.gameStateId, turnResponse.new_persistent_lore_unlock);
+      } else if (playerSnapshot.finalizesPendingShard) {
+        await savePendingShard(playerSnapshot.gameStateId, null);
+      }
+    }
+    // Conditions tick down between turns and are stored with the save slot; the client shows the ones it is sent.
+    if (playerSnapshot) {
+      const conditionCatalogue = await loadConditionCatalogue(theme_id);
+      const conditionsUpdate = JSON.parse(_candidateText(finalResponseData)).conditions_update;
+      const activeConditions = advanceConditions(conditionCatalogue, playerSnapshot.conditions, conditionsUpdate);
+      if (playerSnapshot.gameStateId && !replay) {
+        await saveActiveConditions(playerSnapshot.gameStateId, activeConditions);
+      }
+      finalResponseData.active_conditions = describeConditions(conditionCatalogue, activeConditions);
+    }
+    if ((guardInspection.reasons.length > 0 || guardAdjustments.length > 0) && !replay) {
+      await flagTurn({
+        userId: req.user?.id,
+        themeId: theme_id,
+        modelName: modelUsed,
+        playerAction: guardInspection.playerAction,
+        reasons: guardInspection.reasons,
+        adjustments: guardAdjustments,
+      });
+    }
+    logger.info(`Successfully processed AI request for model ${modelUsed}${modelUsed !== effectiveModelName ? ` (fallback from ${effectiveModelName})` : ''} via '${aiProvider.id}', User ID: ${req.user?.id || 'Anonymous'}`);
+    return { status: 200, body: finalResponseData };
+  } catch (error) {
+    logger.error('Error in multi-turn AI provider call:', { message: error.message, name: error.name });
+    if (error.name === 'AbortError') {
+      return _errorOutcome(504, 'Request to AI service timed out.', 'AI_REQUEST_TIMEOUT');
+    }
+    return _errorOutcome(500, 'Failed to communicate with external AI service.', 'EXTERNAL_API_COMMUNICATION_ERROR');
+  } finally {
+    clearTimeout(timeoutId);
+    streamHandlers?.signal?.removeEventListener('abort', abortOnClientSignal);
+  }
+}
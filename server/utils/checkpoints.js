@@ -0,0 +1,276 @@
+/**
+ * @file Turn checkpoints and narrative branching.
+ * Every save of a game state records a checkpoint of the turn: the history entries added since the previous
+ * checkpoint, the dashboard, indicators, inventory, equipped items, run stats and active conditions. Checkpoints form a tree per game
+ * state whose current leaf is the game state's head. Rewinding restores a checkpoint and moves the head to it;
+ * later saves branch from there, and the abandoned branch stays in the tree.
+ *
+ * Each checkpoint also records how many entries of the session history had been folded into the Living Chronicle
+ * summary, and the summary and world lore whenever they changed. Restoring a checkpoint rebuilds the raw history
+ * buffer from the branch's entries after that point, so the buffer, summary and lore roll back together. The
+ * chronicle is changed by background jobs (see chronicleJobs.js), which record their change on the head checkpoint
+ * of the moment they finish.
+ *
+ * Character progression is not rewound, so XP cannot be earned twice for the same turn: a restore remembers the
+ * furthest turn the game state had reached, and turns played up to it again award no XP (see `isReplayedTurn`).
+ */
+import prisma from '../db.js';
+
+const LABEL_MAX_LENGTH = 80;
+
+/**
+ * Labels a checkpoint with the player's action of its turn.
+ * @param {Array<object>} historyEntries - The history entries added by the turn.
+ * @returns {string|null}
+ * @private
+ */
+function _checkpointLabel(historyEntries) {
+  const playerTurn = [...historyEntries].reverse().find(entry => entry?.role === 'user');
+  const text = playerTurn?.parts?.[0]?.text;
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const trimmed = text.trim();
+  return trimmed.length > LABEL_MAX_LENGTH ? `${trimmed.substring(0, LABEL_MAX_LENGTH - 3)}...` : trimmed;
+}
+
+/**
+ * Lists the checkpoints from one back to the root of its branch.
+ * @param {Map<string, object>} checkpointsById - The game state's checkpoints.
+ * @param {string} checkpointId - The checkpoint to start from.
+ * @returns {Array<object>} The branch, newest first.
+ * @private
+ */
+function _branchOf(checkpointsById, checkpointId) {
+  const branch = [];
+  for (let checkpoint = checkpointsById.get(checkpointId); checkpoint; checkpoint = checkpointsById.get(checkpoint.parentId)) {
+    branch.push(checkpoint);
+  }
+  return branch;
+}
+
+/**
+ * Loads the history entries of a branch from a given session history position on.
+ * @param {object} client - Prisma client or transaction.
+ * @param {Array<object>} branch - The branch from `_branchOf`, newest first.
+ * @param {number} fromLength - The first session history position to include.
+ * @returns {Promise<Array<object>>} The entries from `fromLength` up to the branch's newest checkpoint.
+ * @private
+ */
+async function _branchHistory(client, branch, fromLength) {
+  const needed = branch.filter(checkpoint => checkpoint.historyLength > fromLength);
+  if (needed.length === 0) return [];
+  const deltas = await client.gameCheckpoint.findMany({
+    where: { id: { in: needed.map(checkpoint => checkpoint.id) } },
+    select: { historyLength: true, historyDelta: true },
+    orderBy: { historyLength: 'asc' },
+  });
+  const entries = deltas.flatMap(checkpoint => (Array.isArray(checkpoint.historyDelta) ? checkpoint.historyDelta : []));
+  // The oldest checkpoint may start before `fromLength`.
+  const startLength = deltas[0].historyLength - (Array.isArray(deltas[0].historyDelta) ? deltas[0].historyDelta.length : 0);
+  return entries.slice(Math.max(0, fromLength - startLength));
+}
+
+/**
+ * Records the checkpoint of a save and makes it the game state's head. A save that adds no history entries (e.g.
+ * after a Boon selection) updates the head checkpoint instead.
+ * @param {object} tx - Prisma transaction client.
+ * @param {object} save
+ * @param {string} save.gameStateId - The saved game state.
+ * @param {string|null} save.previousHeadId - The game state's head before the save.
+ * @param {Array<object>} save.historyDelta - The history entries added by the save.
+ * @param {Array<object>} save.rawHistory - The game state's raw history buffer after the save.
+ * @param {string} save.summary - The Living Chronicle summary after the save.
+ * @param {string|null} save.lore - The world lore after the save.
+ * @param {object} save.snapshot - `{ dashboardUpdates, gameStateIndicators, promptType, suggestedActions,
+ *   sessionInventory, equippedItems, runStats, activeConditions }` after the save.
+ * @returns {Promise<string>} The ID of the head checkpoint.
+ */
+export async function recordCheckpoint(tx, { gameStateId, previousHeadId, historyDelta, rawHistory, summary, lore, snapshot }) {
+  const parent = previousHeadId
+    ? await tx.gameCheckpoint.findUnique({
+      where: { id: previousHeadId },
+      select: { id: true, turnNumber: true, historyLength: true, summarizedLength: true },
+    })
+    : null;
+
+  if (parent && historyDelta.length === 0) {
+    await tx.gameCheckpoint.update({ where: { id: parent.id }, data: snapshot });
+    return parent.id;
+  }
+
+  let historyLength;
+  let summarizedLength;
+  let entries;
+  if (parent) {
+    historyLength = parent.historyLength + historyDelta.length;
+    summarizedLength = Math.max(parent.summarizedLength, historyLength - rawHistory.length);
+    entries = historyDelta;
+  } else {
+    // The first checkpoint of a session holds the whole buffer; entries summarized before it only live on in
+    // the summary.
+    historyLength = rawHistory.length;
+    summarizedLength = 0;
+    entries = rawHistory;
+  }
+  const storesChronicle = !parent || summarizedLength !== parent.summarizedLength;
+  const playerTurns = historyDelta.filter(entry => entry?.role === 'user').length;
+  const checkpoint = await tx.gameCheckpoint.create({
+    data: {
+      gameStateId,
+      parentId: parent?.id || null,
+      turnNumber: (parent?.turnNumber || 0) + Math.max(1, playerTurns),
+      label: _checkpointLabel(historyDelta),
+      historyLength,
+      summarizedLength,
+      historyDelta: entries,
+      chronicleSummary: storesChronicle ? summary || '' : null,
+      chronicleLore: storesChronicle ? lore : null,
+      ...snapshot,
+    },
+    select: { id: true },
+  });
+  await tx.gameState.update({ where: { id: gameStateId }, data: { head_checkpoint_id: checkpoint.id } });
+  return checkpoint.id;
+}
+
+/**
+ * Records a change of the Living Chronicle made between saves on the game state's head checkpoint, so rewinding to
+ * that turn or a later one keeps the change and rewinding further back undoes it.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string|null} headId - The game state's head checkpoint.
+ * @param {object} chronicle
+ * @param {string|null} chronicle.summary - The Living Chronicle summary after the change.
+ * @param {string|null} chronicle.lore - The world lore after the change.
+ * @param {number} [chronicle.rawHistoryLength] - The raw history buffer's length after the change, if the change
+ *   folded entries of it into the summary.
+ * @returns {Promise<void>}
+ */
+export async function recordChronicleChange(tx, headId, { summary, lore, rawHistoryLength }) {
+  if (!headId) return;
+  const head = await tx.gameCheckpoint.findUnique({ where: { id: headId }, select: { historyLength: true, summarizedLength: true } });
+  if (!head) return;
+  await tx.gameCheckpoint.update({
+    where: { id: headId },
+    data: {
+      chronicleSummary: summary || '',
+      chronicleLore: lore,
+      ...(rawHistoryLength !== undefined && { summarizedLength: Math.max(head.summarizedLength, head.historyLength - rawHistoryLength) }),
+    },
+  });
+}
+
+/**
+ * Restores a checkpoint into its game state and makes it the head, so the next save branches from it.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} gameStateId - The game state.
+ * @param {string} checkpointId - The checkpoint to restore.
+ * @returns {Promise<object|null>} The restored checkpoint's `{ id, turnNumber }`, or null if it does not belong to
+ *   the game state.
+ */
+export async function restoreCheckpoint(tx, gameStateId, checkpointId) {
+  const [nodes, gameState] = await Promise.all([
+    tx.gameCheckpoint.findMany({
+      where: { gameStateId },
+      select: { id: true, parentId: true, turnNumber: true, historyLength: true, summarizedLength: true },
+    }),
+    tx.gameState.findUnique({ where: { id: gameStateId }, select: { head_checkpoint_id: true, xp_withheld_through_turn: true } }),
+  ]);
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const branch = _branchOf(nodesById, checkpointId);
+  if (branch.length === 0) return null;
+  const [target] = branch;
+  // The turns after the checkpoint have awarded their XP; playing up to the furthest of them again awards none.
+  const xpWithheldThroughTurn = Math.max(gameState?.xp_withheld_through_turn || 0, nodesById.get(gameState?.head_checkpoint_id)?.turnNumber || 0);
+
+  const [checkpoint, chronicle, rawHistory] = await Promise.all([
+    tx.gameCheckpoint.findUnique({ where: { id: checkpointId } }),
+    tx.gameCheckpoint.findFirst({
+      where: { id: { in: branch.map(node => node.id) }, chronicleSummary: { not: null } },
+      select: { chronicleSummary: true, chronicleLore: true },
+      orderBy: { historyLength: 'desc' },
+    }),
+    _branchHistory(tx, branch, target.summarizedLength),
+  ]);
+  await tx.gameState.update({
+    where: { id: gameStateId },
+    data: {
+      game_history: rawHistory,
+      game_history_summary: chronicle?.chronicleSummary ?? '',
+      game_history_lore: chronicle?.chronicleLore ?? null,
+      last_dashboard_updates: checkpoint.dashboardUpdates,
+      last_game_state_indicators: checkpoint.gameStateIndicators,
+      current_prompt_type: checkpoint.promptType,
+      last_suggested_actions: checkpoint.suggestedActions,
+      session_inventory: checkpoint.sessionInventory ?? [],
+      equipped_items: checkpoint.equippedItems ?? {},
+      run_stats: checkpoint.runStats ?? null,
+      active_conditions: checkpoint.activeConditions ?? [],
+      is_boon_selection_pending: false,
+      actions_before_boon_selection: null,
+      regeneration_pending: false,
+      regeneration_hint: null,
+      head_checkpoint_id: checkpoint.id,
+      xp_withheld_through_turn: xpWithheldThroughTurn,
+      pending_turn_award: null,
+      pending_world_shard: null,
+      revision: { increment: 1 },
+      last_played_at: new Date(),
+    },
+  });
+  return { id: checkpoint.id, turnNumber: checkpoint.turnNumber };
+}
+
+/**
+ * Checks whether the next turn of a game state plays a turn again that has already awarded XP before a rewind.
+ * @param {{head_checkpoint_id: string|null, xp_withheld_through_turn: number}} gameState - The game state.
+ * @returns {Promise<boolean>}
+ */
+export async function isReplayedTurn(gameState) {
+  if (!(gameState?.xp_withheld_through_turn > 0)) return false;
+  const head = gameState.head_checkpoint_id
+    ? await prisma.gameCheckpoint.findUnique({ where: { id: gameState.head_checkpoint_id }, select: { turnNumber: true } })
+    : null;
+  return (head?.turnNumber || 0) + 1 <= gameState.xp_withheld_through_turn;
+}
+
+/**
+ * Lists a game state's checkpoints, oldest first, marking the active branch (the head and its ancestors) and the
+ * leaves where abandoned branches end.
+ * @param {string} gameStateId - The game state.
+ * @param {string|null} headId - The game state's head checkpoint.
+ * @returns {Promise<Array<{id: string, parent_id: string|null, turn_number: number, label: string|null, created_at: Date, on_active_branch: boolean, is_leaf: boolean}>>}
+ */
+export async function listCheckpoints(gameStateId, headId) {
+  const checkpoints = await prisma.gameCheckpoint.findMany({
+    where: { gameStateId },
+    select: { id: true, parentId: true, turnNumber: true, label: true, createdAt: true },
+    orderBy: { createdAt: 'asc' },
+  });
+  const activeIds = new Set(headId ? _branchOf(new Map(checkpoints.map(checkpoint => [checkpoint.id, checkpoint])), headId).map(checkpoint => checkpoint.id) : []);
+  const parentIds = new Set(checkpoints.map(checkpoint => checkpoint.parentId));
+  return checkpoints.map(checkpoint => ({
+    id: checkpoint.id,
+    parent_id: checkpoint.parentId,
+    turn_number: checkpoint.turnNumber,
+    label: checkpoint.label,
+    created_at: checkpoint.createdAt,
+    on_active_branch: activeIds.has(checkpoint.id),
+    is_leaf: !parentIds.has(checkpoint.id),
+  }));
+}
+
+/**
+ * Rebuilds the session history of the branch ending at a checkpoint, e.g. to view an abandoned branch.
+ * @param {string} gameStateId - The game state.
+ * @param {string} checkpointId - The last checkpoint of the branch.
+ * @returns {Promise<Array<object>|null>} The history entries, or null if the checkpoint does not belong to the game
+ *   state.
+ */
+export async function getBranchHistory(gameStateId, checkpointId) {
+  const nodes = await prisma.gameCheckpoint.findMany({
+    where: { gameStateId },
+    select: { id: true, parentId: true, historyLength: true },
+  });
+  const branch = _branchOf(new Map(nodes.map(node => [node.id, node])), checkpointId);
+  if (branch.length === 0) return null;
+  return _branchHistory(prisma, branch, 0);
+}
@@ -0,0 +1,224 @@
+/**
+ * @file Living Chronicle background jobs, run by the job queue (see jobQueue.js).
+ * - `summarize_history` folds the oldest turns of a game state's raw history buffer into the player summary.
+ * - `evolve_lore` evolves the world lore from the same turns.
+ * - `integrate_shard` weaves an unlocked World Shard into the lore in every supported language.
+ * The jobs read the game state when they run, not when they were queued, and record their change on the head
+ * checkpoint (see `recordChronicleChange`). While a summary is pending the game state's `summarization_in_progress`
+ * flag is set; it is cleared when the summary is saved or its job fails for good.
+ */
+import prisma from '../db.js';
+import logger from './logger.js';
+import { generatePlayerSummarySnippet, evolveWorldLore, integrateShardIntoLore } from './aiHelper.js';
+import { getResolvedBaseThemeLore, getResolvedThemeName } from './themeDataManager.js';
+import { recordChronicleChange } from './checkpoints.js';
+import { registerJobHandler, enqueueJob } from './jobQueue.js';
+
+export const CHRONICLE_JOB = {
+  SUMMARIZE_HISTORY: 'summarize_history',
+  EVOLVE_LORE: 'evolve_lore',
+  INTEGRATE_SHARD: 'integrate_shard',
+};
+
+const SUPPORTED_LORE_LANGUAGES = ['en', 'cs']; // Scalable: Add future languages here (e.g., 'de', 'fr')
+const MAX_SUMMARY_WRITE_ATTEMPTS = 3;
+
+/**
+ * Checks whether a history buffer still starts with the turns a summary was made of.
+ * @param {Array<object>} history - The game state's raw history buffer.
+ * @param {Array<object>} chunk - The summarized turns.
+ * @returns {boolean}
+ * @private
+ */
+function _startsWithChunk(history, chunk) {
+  return chunk.length > 0 && history.length >= chunk.length
+    && chunk.every((entry, index) => JSON.stringify(entry) === JSON.stringify(history[index]));
+}
+
+/**
+ * Clears the flag that blocks a new summary. Does nothing if the game state was deleted.
+ * @param {string} gameStateId - The game state.
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _endSummarization(gameStateId) {
+  await prisma.gameState.updateMany({ where: { id: gameStateId }, data: { summarization_in_progress: false } });
+}
+
+/**
+ * Saves new world lore and records it on the head checkpoint.
+ * @param {string} gameStateId - The game state.
+ * @param {string} lore - The new lore.
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _saveLore(gameStateId, lore) {
+  await prisma.$transaction(async (tx) => {
+    const gameState = await tx.gameState.update({
+      where: { id: gameStateId },
+      data: { game_history_lore: lore },
+      select: { game_history_summary: true, head_checkpoint_id: true },
+    });
+    await recordChronicleChange(tx, gameState.head_checkpoint_id, { summary: gameState.game_history_summary, lore });
+  });
+}
+
+/**
+ * Loads the game state a job works on.
+ * @param {object} job - The job.
+ * @returns {Promise<object>}
+ * @throws {Error} If the game state no longer exists.
+ * @private
+ */
+async function _loadGameState(job) {
+  const gameState = await prisma.gameState.findUnique({
+    where: { id: job.gameStateId },
+    select: { userId: true, theme_id: true, game_history_lore: true },
+  });
+  if (!gameState) throw new Error(`Game state ${job.gameStateId} no longer exists.`);
+  return gameState;
+}
+
+/**
+ * Summarizes the oldest turns of the raw history buffer and removes them from it. Saves that happen meanwhile only
+ * append to the buffer, so the summarized turns are removed from the buffer's current state; if a new session has
+ * replaced them, the summary is dropped.
+ * @param {object} job - The job; its payload is `{ chunk, narrativeLanguage }`.
+ * @returns {Promise<object>}
+ * @private
+ */
+async function _summarizeHistory(job) {
+  const { chunk, narrativeLanguage } = job.payload;
+  const { userId, theme_id } = await _loadGameState(job);
+  const snippet = await generatePlayerSummarySnippet(chunk, narrativeLanguage, { userId, themeId: theme_id });
+  if (!snippet) throw new Error('The player summary could not be generated.');
+
+  for (let attempt = 1; attempt <= MAX_SUMMARY_WRITE_ATTEMPTS; attempt++) {
+    const gameState = await prisma.gameState.findUnique({
+      where: { id: job.gameStateId },
+      select: { game_history: true, game_history_summary: true, game_history_lore: true, head_checkpoint_id: true, updated_at: true },
+    });
+    const history = Array.isArray(gameState?.game_history) ? gameState.game_history : [];
+    if (!gameState || !_startsWithChunk(history, chunk)) {
+      logger.info(`[LivingChronicle] Summarized turns of gsID ${job.gameStateId} were replaced by a new session. Summary dropped.`);
+      await _endSummarization(job.gameStateId);
+      return { summarized: false };
+    }
+    const remainingHistory = history.slice(chunk.length);
+    const summary = gameState.game_history_summary ? `${gameState.game_history_summary}\n\n---\n\n${snippet}` : snippet;
+    const saved = await prisma.$transaction(async (tx) => {
+      // Only write over the state that was read; a save in between makes this match nothing.
+      const { count } = await tx.gameState.updateMany({
+        where: { id: job.gameStateId, updated_at: gameState.updated_at },
+        data: { game_history: remainingHistory, game_history_summary: summary, summarization_in_progress: false },
+      });
+      if (count === 0) return false;
+      await recordChronicleChange(tx, gameState.head_checkpoint_id, { summary, lore: gameState.game_history_lore, rawHistoryLength: remainingHistory.length });
+      return true;
+    });
+    if (saved) {
+      logger.info(`[LivingChronicle] Summarized ${chunk.length} turns of gsID ${job.gameStateId}. New raw history length: ${remainingHistory.length}`);
+      return { summarized: true, raw_history_length: remainingHistory.length };
+    }
+  }
+  throw new Error('The game state kept changing while the summary was being saved.');
+}
+
+/**
+ * Evolves the world lore from the turns being summarized.
+ * @param {object} job - The job; its payload is `{ chunk, narrativeLanguage }`.
+ * @returns {Promise<null>}
+ * @private
+ */
+async function _evolveLore(job) {
+  const { chunk, narrativeLanguage } = job.payload;
+  const { userId, theme_id, game_history_lore } = await _loadGameState(job);
+  const [baseThemeLore, themeName] = await Promise.all([
+    getResolvedBaseThemeLore(theme_id, narrativeLanguage),
+    getResolvedThemeName(theme_id, narrativeLanguage),
+  ]);
+  const validBaseThemeLore = (typeof baseThemeLore === 'string' && baseThemeLore.trim() !== '') ? baseThemeLore : `Default base lore for ${themeName}.`;
+  const currentLore = (typeof game_history_lore === 'string' && game_history_lore.trim() !== '') ? game_history_lore : validBaseThemeLore;
+  const newLore = await evolveWorldLore(chunk, currentLore, validBaseThemeLore, themeName, narrativeLanguage, { userId, themeId: theme_id });
+  if (!newLore) throw new Error('The world lore could not be evolved.');
+  await _saveLore(job.gameStateId, newLore);
+  logger.info(`[LivingChronicle] Evolved world lore of gsID ${job.gameStateId}.`);
+  return null;
+}
+
+/**
+ * Weaves a World Shard into the lore of every supported language. A language whose integration fails keeps its
+ * current lore.
+ * @param {object} job - The job; its payload is `{ title, content, narrativeLanguage }`.
+ * @returns {Promise<{lore: Object<string, string>}>} The new lore by language.
+ * @private
+ */
+async function _integrateShard(job) {
+  const { title, content, narrativeLanguage } = job.payload;
+  const { userId, theme_id, game_history_lore } = await _loadGameState(job);
+  const currentLoreByLang = {};
+  // Attempt to parse existing lore as a bilingual object
+  if (game_history_lore) {
+    try {
+      const parsedLore = JSON.parse(game_history_lore);
+      if (typeof parsedLore === 'object' && parsedLore !== null) {
+        SUPPORTED_LORE_LANGUAGES.forEach((lang) => {
+          if (parsedLore[lang]) currentLoreByLang[lang] = parsedLore[lang];
+        });
+      }
+    } catch (e) {
+      // If it's not a JSON object, it's a legacy string. Assign it to the language it was written in.
+      currentLoreByLang[narrativeLanguage] = game_history_lore;
+    }
+  }
+  logger.info(`[WorldShard] Evolving lore for all supported languages of gsID ${job.gameStateId} with shard '${title}'`);
+  const evolvedLores = await Promise.all(SUPPORTED_LORE_LANGUAGES.map(async (lang) => {
+    const baseLoreForLang = await getResolvedBaseThemeLore(theme_id, lang);
+    const themeNameForLang = await getResolvedThemeName(theme_id, lang);
+    return integrateShardIntoLore(currentLoreByLang[lang] || baseLoreForLang, { title, content }, themeNameForLang, lang, { userId, themeId: theme_id });
+  }));
+  if (evolvedLores.every(lore => !lore)) throw new Error(`Shard '${title}' could not be woven into the lore.`);
+  const newLoreObject = {};
+  SUPPORTED_LORE_LANGUAGES.forEach((lang, index) => {
+    newLoreObject[lang] = evolvedLores[index] || currentLoreByLang[lang] || '';
+  });
+  await _saveLore(job.gameStateId, JSON.stringify(newLoreObject));
+  logger.info(`[WorldShard] Lore of gsID ${job.gameStateId} evolved and structured for all languages.`);
+  return { lore: newLoreObject };
+}
+
+/**
+ * Queues the summary of the oldest turns of a game state's raw history buffer and the lore evolution from them. The
+ * caller sets `summarization_in_progress` in the same transaction.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} gameStateId - The game state.
+ * @param {Array<object>} chunk - The turns to summarize, from the start of the buffer.
+ * @param {string} narrativeLanguage - The language of the summary and lore.
+ * @returns {Promise<Array<{id: string, type: string, status: string}>>} The queued jobs.
+ */
+export async function enqueueSummarization(tx, gameStateId, chunk, narrativeLanguage) {
+  const summaryJob = await enqueueJob(tx, { type: CHRONICLE_JOB.SUMMARIZE_HISTORY, gameStateId, payload: { chunk, narrativeLanguage } });
+  const loreJob = await enqueueJob(tx, { type: CHRONICLE_JOB.EVOLVE_LORE, gameStateId, payload: { chunk, narrativeLanguage } });
+  return [summaryJob, loreJob];
+}
+
+/**
+ * Queues the integration of an unlocked World Shard into a game state's lore.
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} gameStateId - The game state.
+ * @param {{title: string, content: string}} shard - The shard.
+ * @param {string} narrativeLanguage - The language of lore written before lore was kept per language.
+ * @returns {Promise<{id: string, type: string, status: string}>} The queued job.
+ */
+export function enqueueShardIntegration(tx, gameStateId, { title, content }, narrativeLanguage) {
+  return enqueueJob(tx, { type: CHRONICLE_JOB.INTEGRATE_SHARD, gameStateId, payload: { title, content, narrativeLanguage } });
+}
+
+/**
+ * Registers the handlers of the Living Chronicle jobs with the job queue.
+ */
+export function registerChronicleJobs() {
+  registerJobHandler(CHRONICLE_JOB.SUMMARIZE_HISTORY, { run: _summarizeHistory, onFailure: job => _endSummarization(job.gameStateId) });
+  registerJobHandler(CHRONICLE_JOB.EVOLVE_LORE, { run: _evolveLore });
+  registerJobHandler(CHRONICLE_JOB.INTEGRATE_SHARD, { run: _integrateShard });
+}
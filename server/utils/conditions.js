@@ -0,0 +1,200 @@
+/**
+ * @file Conditions engine.
+ * A theme's condition catalogue (`data/conditions.json`) defines the temporary states the GM can impose on the
+ * character. Each condition has:
+ * - `id`, and localized `name` and `description`;
+ * - `duration`: how many turns it lasts;
+ * - `stacking`: what imposing it again does. 'refresh' (default) restarts its duration, 'extend' adds its duration
+ *   to the remaining turns (up to three times the duration), 'intensify' adds a stack (up to `max_stacks`) and
+ *   restarts its duration, and 'ignore' keeps it as it is;
+ * - `modifiers`: `attributes` (e.g. `{ "aptitude": -1 }`) changes the effective Aptitude and Resilience, and `rolls`
+ *   lists roll effects, `{ effect: 'advantage'|'disadvantage', subject }` or `{ value, subject }`, applied to rolls
+ *   whose skill matches the subject (see rollModifiers.js); an empty subject applies to every roll. Attribute
+ *   changes and flat values are multiplied by the stacks.
+ *
+ * A signed-in player's active conditions are stored with the save slot (`GameState.active_conditions`) as
+ * `{ id, stacks, remainingTurns }`, and checkpoints keep them with the rest of the turn. A guest's travel in the
+ * client's run stats, of which only those three fields of known conditions are trusted. After each turn one turn
+ * passes for every active condition, conditions that run out expire, and the turn response's `conditions_update`
+ * (`{ add, remove }` with catalogue IDs) is applied. The result is stored and returned with the turn as
+ * `active_conditions`.
+ */
+import prisma from '../db.js';
+import { getThemeJsonFile } from './themeDataManager.js';
+
+export const CONDITION_STACKING = {
+  REFRESH: 'refresh',
+  EXTEND: 'extend',
+  INTENSIFY: 'intensify',
+  IGNORE: 'ignore',
+};
+
+export const MAX_ACTIVE_CONDITIONS = 10;
+const MAX_CONDITION_DURATION = 20;
+const MAX_EXTEND_FACTOR = 3;
+const DEFAULT_MAX_STACKS = 3;
+const MODIFIABLE_ATTRIBUTES = ['aptitude', 'resilience'];
+
+/**
+ * Clamps a value to an integer range.
+ * @param {*} value - The value.
+ * @param {number} min - The minimum.
+ * @param {number} max - The maximum.
+ * @param {number} fallback - Used if the value is not a number.
+ * @returns {number}
+ * @private
+ */
+function _clampInt(value, min, max, fallback) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? Math.min(max, Math.max(min, Math.round(numeric))) : fallback;
+}
+
+/**
+ * Normalizes a catalogue entry, dropping modifiers the engine does not know.
+ * @param {object} entry - The entry from conditions.json.
+ * @returns {object|null} The condition, or null if the entry has no ID.
+ * @private
+ */
+function _normalizeCondition(entry) {
+  if (!entry || typeof entry.id !== 'string' || !entry.id) return null;
+  const stacking = Object.values(CONDITION_STACKING).includes(entry.stacking) ? entry.stacking : CONDITION_STACKING.REFRESH;
+  const attributes = Object.fromEntries(Object.entries(entry.modifiers?.attributes || {})
+    .filter(([attribute, value]) => MODIFIABLE_ATTRIBUTES.includes(attribute) && Number.isInteger(value)));
+  const rolls = (Array.isArray(entry.modifiers?.rolls) ? entry.modifiers.rolls : [])
+    .filter(roll => ['advantage', 'disadvantage'].includes(roll?.effect) || Number.isInteger(roll?.value))
+    .map(roll => ({ ...(roll.effect ? { effect: roll.effect } : { value: roll.value }), subject: typeof roll.subject === 'string' ? roll.subject : '' }));
+  return {
+    id: entry.id,
+    name: entry.name || { en: entry.id },
+    description: entry.description || {},
+    duration: _clampInt(entry.duration, 1, MAX_CONDITION_DURATION, 1),
+    stacking,
+    maxStacks: stacking === CONDITION_STACKING.INTENSIFY ? _clampInt(entry.max_stacks, 1, 10, DEFAULT_MAX_STACKS) : 1,
+    attributes,
+    rolls,
+  };
+}
+
+/**
+ * The most turns a condition can have left.
+ * @param {object} condition - A catalogue condition.
+ * @returns {number}
+ * @private
+ */
+function _maxRemainingTurns(condition) {
+  return condition.stacking === CONDITION_STACKING.EXTEND ? condition.duration * MAX_EXTEND_FACTOR : condition.duration;
+}
+
+/**
+ * Loads a theme's condition catalogue.
+ * @param {string} themeId - The theme ID.
+ * @returns {Promise<Map<string, object>>} The conditions by ID; empty if the theme has no catalogue.
+ */
+export async function loadConditionCatalogue(themeId) {
+  const entries = await getThemeJsonFile(themeId, 'data/conditions.json');
+  const catalogue = new Map();
+  (Array.isArray(entries) ? entries : []).map(_normalizeCondition).filter(Boolean)
+    .forEach(condition => catalogue.set(condition.id, condition));
+  return catalogue;
+}
+
+/**
+ * Validates active conditions against the catalogue, which may have changed since they were stored. Unknown
+ * conditions are dropped, and stacks and remaining turns are clamped to what the catalogue allows. Conditions saved
+ * as plain names by older versions are matched by ID or English name and start over.
+ * @param {Map<string, object>} catalogue - From `loadConditionCatalogue`.
+ * @param {*} clientConditions - `GameState.active_conditions`, or a guest's `run_stats.conditions`.
+ * @returns {Array<{id: string, stacks: number, remainingTurns: number}>}
+ */
+export function resolveActiveConditions(catalogue, clientConditions) {
+  const active = new Map();
+  (Array.isArray(clientConditions) ? clientConditions : []).forEach(entry => {
+    const key = typeof entry === 'string' ? entry.trim().toLowerCase() : entry?.id;
+    const condition = catalogue.get(key) || [...catalogue.values()].find(candidate => candidate.name?.en?.toLowerCase() === key);
+    if (!condition || active.has(condition.id) || active.size >= MAX_ACTIVE_CONDITIONS) return;
+    active.set(condition.id, {
+      id: condition.id,
+      stacks: _clampInt(entry?.stacks, 1, condition.maxStacks, 1),
+      remainingTurns: _clampInt(entry?.remainingTurns, 1, _maxRemainingTurns(condition), condition.duration),
+    });
+  });
+  return [...active.values()];
+}
+
+/**
+ * Advances the active conditions past a turn: each loses a turn and expires when none is left, then the turn's
+ * `conditions_update` removes and imposes conditions following their stacking rules.
+ * @param {Map<string, object>} catalogue - From `loadConditionCatalogue`.
+ * @param {Array<object>} activeConditions - From `resolveActiveConditions` or `describeConditions`.
+ * @param {{add?: string[], remove?: string[]}|undefined} update - The turn response's `conditions_update`.
+ * @returns {Array<{id: string, stacks: number, remainingTurns: number}>}
+ */
+export function advanceConditions(catalogue, activeConditions, update) {
+  const active = new Map(activeConditions
+    .map(({ id, stacks, remainingTurns }) => ({ id, stacks, remainingTurns: remainingTurns - 1 }))
+    .filter(condition => condition.remainingTurns > 0)
+    .map(condition => [condition.id, condition]));
+  (Array.isArray(update?.remove) ? update.remove : []).forEach(id => active.delete(id));
+  (Array.isArray(update?.add) ? update.add : []).forEach(id => {
+    const condition = catalogue.get(id);
+    if (!condition) return;
+    const current = active.get(id);
+    if (!current) {
+      if (active.size < MAX_ACTIVE_CONDITIONS) active.set(id, { id, stacks: 1, remainingTurns: condition.duration });
+      return;
+    }
+    switch (condition.stacking) {
+      case CONDITION_STACKING.EXTEND:
+        current.remainingTurns = Math.min(current.remainingTurns + condition.duration, _maxRemainingTurns(condition));
+        break;
+      case CONDITION_STACKING.INTENSIFY:
+        current.stacks = Math.min(current.stacks + 1, condition.maxStacks);
+        current.remainingTurns = condition.duration;
+        break;
+      case CONDITION_STACKING.IGNORE:
+        break;
+      default:
+        current.remainingTurns = condition.duration;
+    }
+  });
+  return [...active.values()];
+}
+
+/**
+ * Stores the active conditions of a save slot after a turn.
+ * @param {string} gameStateId - The save slot.
+ * @param {Array<{id: string, stacks: number, remainingTurns: number}>} activeConditions - From `advanceConditions`.
+ * @returns {Promise<void>}
+ */
+export async function saveActiveConditions(gameStateId, activeConditions) {
+  await prisma.gameState.update({ where: { id: gameStateId }, data: { active_conditions: activeConditions } });
+}
+
+/**
+ * Sums the attribute changes of the active conditions.
+ * @param {Map<string, object>} catalogue - From `loadConditionCatalogue`.
+ * @param {Array<object>} activeConditions - From `resolveActiveConditions`.
+ * @returns {{aptitude: number, resilience: number}}
+ */
+export function conditionAttributeModifiers(catalogue, activeConditions) {
+  const totals = Object.fromEntries(MODIFIABLE_ATTRIBUTES.map(attribute => [attribute, 0]));
+  activeConditions.forEach(({ id, stacks }) => {
+    Object.entries(catalogue.get(id)?.attributes || {}).forEach(([attribute, value]) => {
+      totals[attribute] += value * stacks;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Describes the active conditions with their catalogue data, for the prompt, the roll profile and the client.
+ * @param {Map<string, object>} catalogue - From `loadConditionCatalogue`.
+ * @param {Array<object>} activeConditions - From `resolveActiveConditions` or `advanceConditions`.
+ * @returns {Array<{id: string, stacks: number, remainingTurns: number, duration: number, name: object, description: object, attributes: object, rolls: Array<object>}>}
+ */
+export function describeConditions(catalogue, activeConditions) {
+  return activeConditions.filter(({ id }) => catalogue.has(id)).map(({ id, stacks, remainingTurns }) => {
+    const { name, description, duration, attributes, rolls } = catalogue.get(id);
+    return { id, stacks, remainingTurns, duration, name, description, attributes, rolls };
+  });
+}
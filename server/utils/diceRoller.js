@@ -1,49 +1,166 @@
 /**
  * @file Provides robust dice rolling utility for D&D style notations.
- * Supports standard rolls (e.g., '2d6'), modifiers ('1d20+5'),
- * advantage ('a2d20'), disadvantage ('d2d20'), and success checking.
+ * Supports standard rolls (e.g., '2d6'), modifiers ('1d20+5'), advantage ('a2d20'), disadvantage ('d2d20'),
+ * keep/drop ('4d6kh3', '4d6dl1'), exploding dice ('1d6!'), rerolls ('2d6r1'), success-counting pools
+ * ('6d10>=7'), multi-term expressions ('1d8+1d6+3') and success checking.
+ * Results carry a graded outcome: critical success, success, partial success (a failure within a margin),
+ * failure or critical failure, based on the natural die and the margin against the target.
+ * A roll config can also describe an opposed roll (`opposed`: the actor's total against an opponent's, with a tie
+ * rule) or a group check (`group`: several members roll against the target; the check succeeds when at least
+ * half of them pass). Both carry a `summary` for the narrative.
  */
 import logger from './logger.js';
 
+const MAX_TERMS = 10;
+const MAX_DICE_PER_TERM = 100;
+const MAX_SIDES = 1000;
+const MAX_EXPLOSIONS_PER_DIE = 20;
+const DEFAULT_PARTIAL_MARGIN = 2;
+const MAX_GROUP_MEMBERS = 12;
+const MAX_TIE_REROLLS = 5;
+const MAX_LABEL_LENGTH = 60;
+const TIE_RULES = ['opponent', 'actor', 'reroll', 'standoff'];
+
+export const ROLL_OUTCOMES = Object.freeze({
+    CRITICAL_SUCCESS: 'critical_success',
+    SUCCESS: 'success',
+    PARTIAL_SUCCESS: 'partial_success',
+    FAILURE: 'failure',
+    CRITICAL_FAILURE: 'critical_failure',
+});
+
+// One term with its sign: a dice group with optional modifiers and pool threshold, or a constant.
+const TERM_REGEX = /([+-])?(?:(\d*)d(\d+)((?:kh\d*|kl\d*|k\d*|dh\d*|dl\d*|!|r\d+)*)((?:>=|<=|>|<)\d+)?|(\d+))/y;
+const DICE_MODIFIER_REGEX = /kh\d*|kl\d*|k\d*|dh\d*|dl\d*|!|r\d+/g;
+const LEGACY_ADV_DIS_REGEX = /^(a|d)(\d*)d(\d+)([+-]\d+)?$/;
+
+/**
+ * Compares a value against a target.
+ * @private
+ * @param {number} value - The rolled value.
+ * @param {string} comparison - '>=', '<=', '>' or '<'; anything else is treated as '>='.
+ * @param {number} target - The target number.
+ * @returns {boolean}
+ */
+function _compare(value, comparison, target) {
+    switch (comparison) {
+        case '>=': return value >= target;
+        case '<=': return value <= target;
+        case '>':  return value > target;
+        case '<':  return value < target;
+        default:   return value >= target; // Default comparison
+    }
+}
+
+/**
+ * Parses the modifiers of a dice group (keep/drop, exploding, reroll) and checks them against the group.
+ * @private
+ * @param {string} modifierText - The modifiers, e.g. 'kh3', '!r1'.
+ * @param {number} count - Number of dice in the group.
+ * @param {number} sides - Number of sides.
+ * @returns {{keep: {highest: boolean, count: number}|null, explode: boolean, rerollAtOrBelow: number|null}|null}
+ *   Null if the modifiers are repeated or impossible for the group.
+ */
+function _parseDiceModifiers(modifierText, count, sides) {
+    const modifiers = { keep: null, explode: false, rerollAtOrBelow: null };
+    for (const [token] of modifierText.matchAll(DICE_MODIFIER_REGEX)) {
+        if (token === '!') {
+            if (modifiers.explode || sides < 2) return null;
+            modifiers.explode = true;
+        } else if (token.startsWith('r')) {
+            const threshold = parseInt(token.slice(1), 10);
+            if (modifiers.rerollAtOrBelow !== null || threshold < 1 || threshold >= sides) return null;
+            modifiers.rerollAtOrBelow = threshold;
+        } else {
+            if (modifiers.keep) return null;
+            // 'k3' keeps the highest 3; 'dl1' (drop lowest 1) keeps the highest count-1, and so on.
+            const amount = token.length > (token[1] === 'h' || token[1] === 'l' ? 2 : 1)
+                ? parseInt(token.replace(/^[kd][hl]?/, ''), 10)
+                : 1;
+            const isDrop = token[0] === 'd';
+            const highest = isDrop ? token[1] === 'l' : token[1] !== 'l';
+            const keepCount = isDrop ? count - amount : amount;
+            if (amount < 1 || keepCount < 1 || keepCount > count) return null;
+            modifiers.keep = { highest, count: keepCount };
+        }
+    }
+    return modifiers;
+}
+
 /**
- * Parses a dice notation string.
- * Handles notations like: d20, 1d20, 3d6+2, a2d20, d2d20-1.
+ * Parses a dice notation string into signed terms.
+ * Handles notations like: d20, 1d20, 3d6+2, a2d20, d2d20-1, 4d6kh3, 4d6dl1, 1d6!, 2d6r1, 6d10>=7, 1d8+1d6+3.
  * @private
  * @param {string} notation - The dice string to parse.
- * @returns {object|null} A parsed object or null if invalid.
+ * @returns {object|null} A parsed object ({ terms, modifier }) or null if invalid.
  */
 function _parseNotation(notation) {
     if (typeof notation !== 'string' || !notation.trim()) {
         return null;
     }
-    // Regex breakdown:
-    // ^(a|d)? - Optional 'a' (advantage) or 'd' (disadvantage) at the start.
-    // (\d*) - Optional number of dice (e.g., the '3' in '3d6').
-    // d - The literal character 'd'.
-    // (\d+) - The number of sides on the die.
-    // ([+-]\d+)?$ - Optional modifier at the end (e.g., '+5', '-2').
-    const diceRegex = /^(a|d)?(\d*)d(\d+)([+-]\d+)?$/i;
-    const match = notation.toLowerCase().match(diceRegex);
-    if (!match) {
-        logger.warn(`[DiceRoller] Invalid dice notation provided: ${notation}`);
-        return null;
+    const normalized = notation.toLowerCase().replace(/\s+/g, '');
+
+    // Advantage/disadvantage ('a2d20', 'd2d20+1') is shorthand for keeping the highest/lowest of two dice.
+    const legacyMatch = normalized.match(LEGACY_ADV_DIS_REGEX);
+    if (legacyMatch) {
+        const count = legacyMatch[2] ? parseInt(legacyMatch[2], 10) : 1;
+        if (count !== 2) {
+            logger.warn(`[DiceRoller] Advantage/Disadvantage notation requires 2 dice (e.g., a2d20). Received: ${notation}`);
+            return null;
+        }
+        const sides = parseInt(legacyMatch[3], 10);
+        const modifier = legacyMatch[4] ? parseInt(legacyMatch[4], 10) : 0;
+        const terms = [{ type: 'dice', sign: 1, notation: `2d${sides}${legacyMatch[1] === 'a' ? 'kh1' : 'kl1'}`, count: 2, sides, keep: { highest: legacyMatch[1] === 'a', count: 1 }, explode: false, rerollAtOrBelow: null, pool: null }];
+        if (modifier) terms.push({ type: 'constant', value: modifier });
+        return { terms, modifier };
     }
-    const count = match[2] ? parseInt(match[2], 10) : 1;
-    // For advantage/disadvantage, the dice count must be 2.
-    if (match[1] && count !== 2) {
-        logger.warn(`[DiceRoller] Advantage/Disadvantage notation requires 2 dice (e.g., a2d20). Received: ${notation}`);
+
+    const terms = [];
+    TERM_REGEX.lastIndex = 0;
+    while (TERM_REGEX.lastIndex < normalized.length) {
+        const match = TERM_REGEX.exec(normalized);
+        // Every term after the first needs a sign.
+        if (!match || (terms.length > 0 && !match[1]) || terms.length >= MAX_TERMS) {
+            logger.warn(`[DiceRoller] Invalid dice notation provided: ${notation}`);
+            return null;
+        }
+        const sign = match[1] === '-' ? -1 : 1;
+        if (match[6] !== undefined) {
+            terms.push({ type: 'constant', value: sign * parseInt(match[6], 10) });
+            continue;
+        }
+        const count = match[2] ? parseInt(match[2], 10) : 1;
+        const sides = parseInt(match[3], 10);
+        const modifiers = count >= 1 && count <= MAX_DICE_PER_TERM && sides >= 1 && sides <= MAX_SIDES
+            ? _parseDiceModifiers(match[4], count, sides)
+            : null;
+        if (!modifiers) {
+            logger.warn(`[DiceRoller] Unsupported dice group '${match[0]}' in notation: ${notation}`);
+            return null;
+        }
+        const poolMatch = match[5]?.match(/^(>=|<=|>|<)(\d+)$/);
+        terms.push({
+            type: 'dice',
+            sign,
+            notation: match[0].replace(/^[+-]/, ''),
+            count,
+            sides,
+            ...modifiers,
+            pool: poolMatch ? { comparison: poolMatch[1], target: parseInt(poolMatch[2], 10) } : null,
+        });
+    }
+    if (!terms.some(term => term.type === 'dice')) {
+        logger.warn(`[DiceRoller] Dice notation contains no dice: ${notation}`);
         return null;
     }
     return {
-        advDis: match[1] || null, // 'a' or 'd'
-        count: count,
-        sides: parseInt(match[3], 10),
-        modifier: match[4] ? parseInt(match[4], 10) : 0,
+        terms,
+        modifier: terms.filter(term => term.type === 'constant').reduce((sum, term) => sum + term.value, 0),
     };
 }
 
 /**
- * Rolls a single die with a given number of sides.
+ * Rolls a single die with a given number of sides. The default die roller of `executeRolls`.
  * @private
  * @param {number} sides - Number of sides.
  * @returns {number} The result of the roll.
@@ -53,65 +170,334 @@ function _rollDie(sides) {
     return Math.floor(Math.random() * sides) + 1;
 }
 
+/**
+ * Rolls one dice term and builds its breakdown.
+ * Each die reports its `value`, whether it was `kept`, whether it was added by an `exploded` die, the value it
+ * was rerolled from (`rerolledFrom`) and, in pools, whether it counted as a `success`.
+ * @private
+ * @param {object} term - A parsed dice term.
+ * @param {function(number): number} rollDie - Rolls one die with the given number of sides.
+ * @returns {{type: 'dice', notation: string, sign: number, sides: number, dice: Array<object>, subtotal: number, successes?: number}}
+ */
+function _rollDiceTerm(term, rollDie) {
+    const dice = [];
+    for (let i = 0; i < term.count; i++) {
+        const die = { value: rollDie(term.sides), kept: true, exploded: false };
+        // A reroll happens once; the second result stands.
+        if (term.rerollAtOrBelow !== null && die.value <= term.rerollAtOrBelow) {
+            die.rerolledFrom = die.value;
+            die.value = rollDie(term.sides);
+        }
+        dice.push(die);
+        let lastValue = die.value;
+        for (let explosions = 0; term.explode && lastValue === term.sides && explosions < MAX_EXPLOSIONS_PER_DIE; explosions++) {
+            lastValue = rollDie(term.sides);
+            dice.push({ value: lastValue, kept: true, exploded: true });
+        }
+    }
+    if (term.keep) {
+        const ranked = dice.map((die, index) => index)
+            .sort((a, b) => (term.keep.highest ? dice[b].value - dice[a].value : dice[a].value - dice[b].value));
+        ranked.slice(term.keep.count).forEach(index => { dice[index].kept = false; });
+    }
+    const keptDice = dice.filter(die => die.kept);
+    const breakdown = { type: 'dice', notation: term.notation, sign: term.sign, sides: term.sides, dice, subtotal: 0 };
+    if (term.pool) {
+        keptDice.forEach(die => { die.success = _compare(die.value, term.pool.comparison, term.pool.target); });
+        breakdown.successes = keptDice.filter(die => die.success).length;
+        breakdown.subtotal = breakdown.successes;
+    } else {
+        breakdown.subtotal = keptDice.reduce((sum, die) => sum + die.value, 0);
+    }
+    return breakdown;
+}
+
+/**
+ * Reads an optional whole-number roll config value within bounds.
+ * @private
+ * @param {*} value - The configured value.
+ * @param {number} min - Lowest allowed value.
+ * @param {number} max - Highest allowed value.
+ * @param {number|null} fallback - Value used when the config value is missing or out of bounds.
+ * @param {string} name - Config key, for the warning.
+ * @returns {number|null}
+ */
+function _configInteger(value, min, max, fallback, name) {
+    if (value === undefined || value === null) return fallback;
+    const parsed = parseInt(String(value), 10);
+    if (isNaN(parsed) || parsed < min || parsed > max) {
+        logger.warn(`[DiceRoller] Ignoring out-of-range ${name}: ${value}`);
+        return fallback;
+    }
+    return parsed;
+}
+
+/**
+ * Finds the natural roll: the kept die of the notation's only dice term, when that term keeps exactly one
+ * die (e.g. '1d20+5', 'a2d20', '2d20kh1'). Sums of several dice terms (e.g. '1d8+1d6+3') and pools have no
+ * natural roll.
+ * @private
+ * @param {Array<object>} terms - The rolled terms.
+ * @returns {{value: number, sides: number}|null}
+ */
+function _naturalRoll(terms) {
+    const diceTerms = terms.filter(term => term.dice);
+    if (diceTerms.length !== 1 || typeof diceTerms[0].successes === 'number') return null;
+    const keptDice = diceTerms[0].dice.filter(die => die.kept);
+    return keptDice.length === 1 ? { value: keptDice[0].value, sides: diceTerms[0].sides } : null;
+}
+
+/**
+ * Grades a roll. A natural roll in the crit range (default: the die's maximum) is a critical success and
+ * in the fumble range (default: 1) a critical failure, whatever the total. Otherwise the margin decides:
+ * meeting the target is a success, missing it by no more than `partialMargin` a partial success.
+ * @private
+ * @param {object} rollConfig - The roll configuration ({ critRange, fumbleRange, partialMargin }).
+ * @param {{value: number, sides: number}|null} natural - The natural roll.
+ * @param {number} result - The roll total.
+ * @param {string} comparison - The comparison operator.
+ * @param {number|undefined} target - The target number, if any.
+ * @returns {{outcome: string|null, margin: number|undefined, success: boolean}} `margin` is how far the total
+ *   beat (positive) or missed (negative) the target, in the direction of the comparison.
+ */
+function _gradeRoll(rollConfig, natural, result, comparison, target) {
+    const hasTarget = typeof target === 'number';
+    const rollsUnder = comparison === '<=' || comparison === '<';
+    const margin = hasTarget ? (rollsUnder ? target - result : result - target) : undefined;
+    const success = hasTarget && _compare(result, comparison, target);
+    if (natural) {
+        const critRange = _configInteger(rollConfig.critRange, 2, natural.sides, natural.sides, 'critRange');
+        const fumbleRange = _configInteger(rollConfig.fumbleRange, 1, critRange - 1, 1, 'fumbleRange');
+        if (natural.value >= critRange) return { outcome: ROLL_OUTCOMES.CRITICAL_SUCCESS, margin, success: true };
+        if (natural.value <= fumbleRange) return { outcome: ROLL_OUTCOMES.CRITICAL_FAILURE, margin, success: false };
+    }
+    if (!hasTarget) return { outcome: null, margin, success: false };
+    if (success) return { outcome: ROLL_OUTCOMES.SUCCESS, margin, success };
+    const partialMargin = _configInteger(rollConfig.partialMargin, 0, Number.MAX_SAFE_INTEGER, DEFAULT_PARTIAL_MARGIN, 'partialMargin');
+    // A strict comparison ('>', '<') fails on a margin of 0, which still counts as missing by 0.
+    return { outcome: -margin <= partialMargin ? ROLL_OUTCOMES.PARTIAL_SUCCESS : ROLL_OUTCOMES.FAILURE, margin, success };
+}
+
+/**
+ * Applies character modifiers from a roll config to parsed terms, in place: `rollMode` turns a single die in the
+ * first dice term into two, keeping the higher ('advantage') or lower ('disadvantage'), and `bonus` adds a
+ * constant term.
+ * @private
+ * @param {object} parsed - The parsed notation.
+ * @param {object} rollConfig - The roll configuration ({ rollMode, bonus }).
+ * @returns {string} The roll mode that was applied ('normal' if none was requested or the dice do not allow it).
+ */
+function _applyCharacterModifiers(parsed, rollConfig) {
+    let appliedMode = 'normal';
+    const firstDiceTerm = parsed.terms.find(term => term.type === 'dice');
+    if ((rollConfig.rollMode === 'advantage' || rollConfig.rollMode === 'disadvantage')
+        && firstDiceTerm && firstDiceTerm.count === 1 && !firstDiceTerm.keep && !firstDiceTerm.pool) {
+        const highest = rollConfig.rollMode === 'advantage';
+        Object.assign(firstDiceTerm, {
+            count: 2,
+            keep: { highest, count: 1 },
+            notation: `2${firstDiceTerm.notation.replace(/^1?/, '')}${highest ? 'kh1' : 'kl1'}`,
+        });
+        appliedMode = rollConfig.rollMode;
+    }
+    const bonus = parseInt(String(rollConfig.bonus ?? 0), 10);
+    if (bonus) {
+        parsed.terms.push({ type: 'constant', value: bonus });
+        parsed.modifier += bonus;
+    }
+    return appliedMode;
+}
+
 /**
  * Executes a single parsed dice roll instruction and checks for success.
  * @private
- * @param {object} rollConfig - The dice roll configuration object ({ notation, target, comparison }).
- * @returns {object} An object containing the individual rolls, modifier, result, and success status.
+ * @param {object} rollConfig - The dice roll configuration object
+ *   ({ notation, target, comparison, critRange, fumbleRange, partialMargin }, plus `rollMode`, `bonus` and the
+ *   itemized `modifiers` set by rollModifiers.js).
+ * @param {function(number): number} rollDie - Rolls one die with the given number of sides.
+ * @returns {object} An object containing the individual rolls, modifier, result, success status, the natural roll,
+ *   the graded `outcome` and `margin`, a per-term breakdown (`terms`) showing kept, dropped, exploded and
+ *   rerolled dice, and the applied `rollMode` and `modifiers`.
  */
-function _executeSingleRoll(rollConfig) {
+function _executeSingleRoll(rollConfig, rollDie) {
     const parsed = _parseNotation(rollConfig.notation);
     if (!parsed) {
         return { notation: rollConfig.notation, error: 'Invalid dice notation' };
     }
+    const rollMode = _applyCharacterModifiers(parsed, rollConfig);
 
-    const rolls = [];
-    for (let i = 0; i < parsed.count; i++) {
-        rolls.push(_rollDie(parsed.sides));
-    }
-
-    let result;
-    if (parsed.advDis === 'a') {
-        result = Math.max(...rolls) + parsed.modifier;
-    } else if (parsed.advDis === 'd') {
-        result = Math.min(...rolls) + parsed.modifier;
-    } else {
-        result = rolls.reduce((sum, roll) => sum + roll, 0) + parsed.modifier;
-    }
+    const terms = parsed.terms.map(term => (term.type === 'dice' ? _rollDiceTerm(term, rollDie) : { type: 'constant', value: term.value }));
+    const diceTerms = terms.filter(term => term.dice);
+    const rolls = diceTerms.flatMap(term => term.dice.map(die => die.value));
+    const result = terms.reduce((sum, term) => sum + (term.dice ? term.sign * term.subtotal : term.value), 0);
 
-    let success = false;
     const comparison = rollConfig.comparison || '>=';
     // Ensure target is always treated as a number for calculations and response.
-    const target = (rollConfig.target !== undefined && rollConfig.target !== null) ? parseInt(String(rollConfig.target), 10) : undefined;
-
-    if (typeof target === 'number' && !isNaN(target)) {
-        switch (comparison) {
-            case '>=': success = result >= target; break;
-            case '<=': success = result <= target; break;
-            case '>':  success = result > target; break;
-            case '<':  success = result < target; break;
-            default:   success = result >= target; // Default comparison
-        }
-    }
+    const parsedTarget = (rollConfig.target !== undefined && rollConfig.target !== null) ? parseInt(String(rollConfig.target), 10) : undefined;
+    const target = (typeof parsedTarget === 'number' && !isNaN(parsedTarget)) ? parsedTarget : undefined;
+    const natural = _naturalRoll(terms);
+    const { outcome, margin, success } = _gradeRoll(rollConfig, natural, result, comparison, target);
 
     return {
         notation: rollConfig.notation,
-        sides: parsed.sides,
+        sides: diceTerms[0].sides,
         rolls,
         modifier: parsed.modifier,
         result,
         success,
-        target: (typeof target === 'number' && !isNaN(target)) ? target : undefined, // Return a clean number or undefined
+        target, // A clean number or undefined
+        comparison,
+        natural: natural ? natural.value : null,
+        outcome,
+        margin,
+        terms,
+        rollMode,
+        modifiers: Array.isArray(rollConfig.modifiers) ? rollConfig.modifiers : [],
+    };
+}
+
+/**
+ * Reads a participant label from a roll config.
+ * @private
+ * @param {*} value - The configured label.
+ * @param {string} fallback - Label used when none is configured.
+ * @returns {string}
+ */
+function _label(value, fallback) {
+    return typeof value === 'string' && value.trim() ? value.trim().substring(0, MAX_LABEL_LENGTH) : fallback;
+}
+
+/**
+ * Executes an opposed roll: the actor's roll (the config's own notation, with the character's modifiers) against
+ * the opponent's (`opposed.notation`). The higher total wins. On a tie, `tieRule` decides: 'opponent' (default,
+ * the resisting side holds), 'actor', 'reroll' (both sides roll again, up to MAX_TIE_REROLLS times) or
+ * 'standoff'. Totals decide the winner; the actor's natural crit or fumble only makes a win or loss critical.
+ * @private
+ * @param {object} rollConfig - The roll configuration ({ notation, label, opposed: { notation, label, bonus }, tieRule }).
+ * @param {function(number): number} rollDie - Rolls one die with the given number of sides.
+ * @returns {object} The actor's result with the opponent's total as `target`, the graded outcome, a `contest`
+ *   breakdown ({ actor, opponent, winner, tieRule, tieRerolls }) and a `summary`.
+ */
+function _executeOpposedRoll(rollConfig, rollDie) {
+    const tieRule = TIE_RULES.includes(rollConfig.tieRule) ? rollConfig.tieRule : 'opponent';
+    const actorLabel = _label(rollConfig.label, 'Actor');
+    const opponentLabel = _label(rollConfig.opposed.label, 'Opponent');
+    let actor;
+    let opponent;
+    let tieRerolls = -1;
+    do {
+        tieRerolls += 1;
+        actor = _executeSingleRoll({ ...rollConfig, target: undefined }, rollDie);
+        opponent = _executeSingleRoll({ notation: rollConfig.opposed.notation, bonus: rollConfig.opposed.bonus }, rollDie);
+        if (actor.error || opponent.error) {
+            return { notation: rollConfig.notation, error: actor.error ? 'Invalid dice notation' : 'Invalid opponent dice notation' };
+        }
+    } while (tieRule === 'reroll' && actor.result === opponent.result && tieRerolls < MAX_TIE_REROLLS);
+
+    const comparison = tieRule === 'actor' ? '>=' : '>';
+    const graded = _gradeRoll(rollConfig, null, actor.result, comparison, opponent.result);
+    const natural = _naturalRoll(actor.terms);
+    const naturalOutcome = natural ? _gradeRoll(rollConfig, natural, actor.result, comparison, undefined).outcome : null;
+    let outcome = graded.outcome;
+    if (graded.success && naturalOutcome === ROLL_OUTCOMES.CRITICAL_SUCCESS) outcome = ROLL_OUTCOMES.CRITICAL_SUCCESS;
+    if (!graded.success && naturalOutcome === ROLL_OUTCOMES.CRITICAL_FAILURE) outcome = ROLL_OUTCOMES.CRITICAL_FAILURE;
+
+    const tied = actor.result === opponent.result;
+    const winner = graded.success ? 'actor' : (tied && tieRule !== 'opponent' ? 'tie' : 'opponent');
+    const verdict = winner === 'tie'
+        ? 'standoff'
+        : `${winner === 'actor' ? actorLabel : opponentLabel} wins ${tied ? 'the tie' : `by ${Math.abs(graded.margin)}`}`;
+    return {
+        ...actor,
+        target: opponent.result,
         comparison,
+        success: graded.success,
+        outcome,
+        margin: graded.margin,
+        contest: {
+            actor: actorLabel,
+            opponent: {
+                label: opponentLabel,
+                notation: rollConfig.opposed.notation,
+                result: opponent.result,
+                rolls: opponent.rolls,
+                natural: opponent.natural,
+                terms: opponent.terms,
+            },
+            winner,
+            tieRule,
+            tieRerolls,
+        },
+        summary: `${actorLabel} ${actor.result} vs ${opponentLabel} ${opponent.result}: ${verdict}.`,
+    };
+}
+
+/**
+ * Executes a group check: each member rolls against the target, and the check succeeds when at least
+ * `requiredPasses` members pass (default: half of the group, rounded up). Falling one member short is a partial success.
+ * Members are given as labels or as { label, notation, target }; the notation and target default to the config's.
+ * Group members are not the character, so their rolls take no character modifiers.
+ * @private
+ * @param {object} rollConfig - The roll configuration ({ notation, target, comparison, group, requiredPasses }).
+ * @param {function(number): number} rollDie - Rolls one die with the given number of sides.
+ * @returns {object} The number of passing members as `result`, `required` as `target`, the graded outcome, a
+ *   `group` breakdown ({ members, passed, required }) and a `summary`.
+ */
+function _executeGroupCheck(rollConfig, rollDie) {
+    const members = rollConfig.group.slice(0, MAX_GROUP_MEMBERS)
+        .map(member => (member && typeof member === 'object' ? member : { label: member }))
+        .map((member, index) => {
+            const memberRoll = _executeSingleRoll({
+                notation: member.notation || rollConfig.notation,
+                target: member.target ?? rollConfig.target,
+                comparison: rollConfig.comparison,
+                critRange: rollConfig.critRange,
+                fumbleRange: rollConfig.fumbleRange,
+                partialMargin: rollConfig.partialMargin,
+            }, rollDie);
+            return { label: _label(member.label, `Member ${index + 1}`), ...memberRoll };
+        });
+    if (members.length === 0 || members.some(member => member.error)) {
+        return { notation: rollConfig.notation, error: 'Invalid group check: every member needs a valid notation.' };
+    }
+    const required = _configInteger(rollConfig.requiredPasses, 1, members.length, Math.ceil(members.length / 2), 'requiredPasses');
+    const passed = members.filter(member => member.success).length;
+    const margin = passed - required;
+    let outcome = ROLL_OUTCOMES.FAILURE;
+    if (margin >= 0) outcome = ROLL_OUTCOMES.SUCCESS;
+    else if (margin === -1) outcome = ROLL_OUTCOMES.PARTIAL_SUCCESS;
+    return {
+        notation: rollConfig.notation,
+        sides: members[0].sides,
+        rolls: members.map(member => member.result),
+        modifier: 0,
+        result: passed,
+        success: margin >= 0,
+        target: required,
+        comparison: '>=',
+        natural: null,
+        outcome,
+        margin,
+        group: {
+            members: members.map(({ label, notation, result, success, outcome: memberOutcome, natural, terms }) => ({
+                label, notation, result, success, outcome: memberOutcome, natural, terms,
+            })),
+            passed,
+            required,
+        },
+        summary: `Group check: ${passed} of ${members.length} passed (${required} needed): ${margin >= 0 ? 'success' : 'failure'}.`,
     };
 }
 
 /**
  * Takes an array of dice roll configurations, executes each roll, and returns the structured results.
- * @param {Array<object>} rollConfigs - An array of objects, each like { notation, target, comparison }.
+ * @param {Array<object>} rollConfigs - An array of objects, each like { notation, target, comparison }; a config with
+ *   `opposed` is an opposed roll and one with a `group` array a group check.
+ * @param {function(number): number} [rollDie] - Rolls one die with the given number of sides, returning 1..sides.
+ *   Defaults to Math.random; the roll ledger passes a seeded roller so results can be verified.
  * @returns {object[]} An array of result objects for each configuration.
  */
-export function executeRolls(rollConfigs) {
+export function executeRolls(rollConfigs, rollDie = _rollDie) {
     if (!Array.isArray(rollConfigs)) {
         logger.error('[DiceRoller] executeRolls received a non-array input:', rollConfigs);
         return [{ error: 'Invalid input: Expected an array of dice roll configurations.' }];
@@ -119,9 +505,18 @@ export function executeRolls(rollConfigs) {
     logger.info(`[DiceRoller] Executing rolls for configs:`, rollConfigs);
 
     return rollConfigs.map(config => {
-        if (typeof config !== 'object' || !config.notation) {
+        if (!config || typeof config !== 'object' || !config.notation) {
             return { notation: config, error: 'Invalid roll configuration, must be an object with a notation property.' };
         }
-        return _executeSingleRoll(config);
+        if (config.opposed) {
+            if (typeof config.opposed.notation !== 'string') {
+                return { notation: config.notation, error: 'Invalid opposed roll: the opponent needs a notation.' };
+            }
+            return _executeOpposedRoll(config, rollDie);
+        }
+        if (Array.isArray(config.group)) {
+            return _executeGroupCheck(config, rollDie);
+        }
+        return _executeSingleRoll(config, rollDie);
     });
 }
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeRolls, ROLL_OUTCOMES } from './diceRoller.js';
+
+/**
+ * Creates a die roller that returns the given values in order.
+ * @param {number[]} values - The values to roll.
+ * @returns {function(number): number}
+ */
+function sequence(values) {
+    const remaining = [...values];
+    return () => remaining.shift();
+}
+
+test('a sum of several dice terms has no natural roll', () => {
+    const [roll] = executeRolls([{ notation: '1d8+1d6+3', target: 8 }], sequence([1, 6]));
+    assert.equal(roll.result, 10);
+    assert.equal(roll.natural, null);
+    assert.equal(roll.outcome, ROLL_OUTCOMES.SUCCESS);
+    assert.equal(roll.margin, 2);
+});
+
+test('a single die with a modifier keeps its natural roll', () => {
+    const [roll] = executeRolls([{ notation: '1d20+5', target: 8 }], sequence([1]));
+    assert.equal(roll.natural, 1);
+    assert.equal(roll.outcome, ROLL_OUTCOMES.CRITICAL_FAILURE);
+});
+
+test('a null roll configuration gets an error entry', () => {
+    const results = executeRolls([null, { notation: '1d6' }], sequence([4]));
+    assert.equal(results.length, 2);
+    assert.equal(results[0].notation, null);
+    assert.match(results[0].error, /Invalid roll configuration/);
+    assert.equal(results[1].result, 4);
+});
@@ -0,0 +1,357 @@
+/**
+ * @file Registry of Game Master tools the AI can call during a turn (function calling).
+ * Each tool has a function declaration (Gemini schema) and a server-side handler that answers from
+ * authoritative game data. Themes list the tools they offer in config.json under `gm_tools`;
+ * themes without the key only get `rollDice`.
+ */
+import prisma from '../db.js';
+import logger from './logger.js';
+import { executeRolls } from './diceRoller.js';
+import { getThemeItemCatalog, getThemePromptFile } from './themeDataManager.js';
+import { getCurrencySlot, parseCurrencyBalance } from './themeStore.js';
+
+const DEFAULT_GM_TOOLS = ['rollDice'];
+const MAX_LOOKUP_RESULTS = 5;
+const MAX_SHARD_RESULTS = 3;
+const CURRENCY_GRANT_OBJECTIVE_MULTIPLIER = 5;
+
+const gmTools = new Map();
+
+/**
+ * @typedef {object} GmToolContext
+ * @property {string} themeId - The theme of the current game.
+ * @property {object} themeConfig - The theme's config.json.
+ * @property {string} language - The narrative language.
+ * @property {object|null} user - The authenticated user, if any.
+ * @property {number} level - The character's level.
+ * @property {object} equippedItems - Equipped item objects keyed by slot.
+ * @property {Array<object>} inventory - Backpack item objects.
+ * @property {number} currencyBalance - The balance before this turn: the one stored with the save slot, or a guest's.
+ * @property {function(Array<object>): Promise<object[]>} [rollDice] - Rolls dice through the game's roll ledger;
+ *   without it, rollDice rolls unrecorded.
+ * @property {{dashboardUpdates: object, currencyGranted: number}} effects - Authoritative changes made by tools
+ *   this turn; they are applied to the final turn response.
+ */
+
+/**
+ * Registers a GM tool.
+ * @param {object} tool
+ * @param {string} tool.name - Function name exposed to the model.
+ * @param {object} tool.declaration - Function declaration without the name (description, parameters).
+ * @param {function(object, GmToolContext): (object|Promise<object>)} tool.handler - Produces the function response.
+ */
+export function registerGmTool({ name, declaration, handler }) {
+  if (gmTools.has(name)) {
+    logger.warn(`[GmTools] Tool '${name}' is already registered and will be replaced.`);
+  }
+  gmTools.set(name, { declaration: { name, ...declaration }, handler });
+}
+
+/**
+ * Lists the registered tools a theme offers to the model.
+ * @param {object|null} themeConfig - The theme's config.json.
+ * @returns {string[]} Tool names.
+ */
+export function getGmToolNamesForTheme(themeConfig) {
+  const listed = Array.isArray(themeConfig?.gm_tools) ? themeConfig.gm_tools : DEFAULT_GM_TOOLS;
+  return listed.filter(name => {
+    if (gmTools.has(name)) return true;
+    logger.warn(`[GmTools] Theme '${themeConfig?.id}' lists unknown GM tool '${name}'.`);
+    return false;
+  });
+}
+
+/**
+ * Builds the `tools` payload for a provider request.
+ * @param {string[]} toolNames - Registered tool names.
+ * @returns {Array<object>} Empty when no tools are offered.
+ */
+export function buildGmToolDeclarations(toolNames) {
+  if (toolNames.length === 0) return [];
+  return [{ functionDeclarations: toolNames.map(name => gmTools.get(name).declaration) }];
+}
+
+/**
+ * Executes a tool call from the model. Failures are returned to the model as `{ error }` so the turn can continue.
+ * @param {string} name - The called function name.
+ * @param {object} args - The call arguments.
+ * @param {string[]} allowedToolNames - Tools offered for this turn.
+ * @param {GmToolContext} context - Game data for the handler.
+ * @returns {Promise<object>} The function response.
+ */
+export async function executeGmTool(name, args, allowedToolNames, context) {
+  if (!allowedToolNames.includes(name)) {
+    logger.warn(`[GmTools] AI called a tool that is not available this turn: ${name}`);
+    return { error: `Tool '${name}' is not available. Use only the declared tools.` };
+  }
+  try {
+    return await gmTools.get(name).handler(args || {}, context);
+  } catch (error) {
+    logger.error(`[GmTools] Tool '${name}' failed:`, error.message);
+    return { error: `Tool '${name}' failed to run.` };
+  }
+}
+
+/**
+ * Picks the value for the narrative language from a bilingual field.
+ * @param {*} value - A plain value or an object keyed by language.
+ * @param {string} language - The narrative language.
+ * @returns {*}
+ * @private
+ */
+function _localized(value, language) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && (value.en !== undefined || value[language] !== undefined)) {
+    return value[language] ?? value.en;
+  }
+  return value;
+}
+
+/**
+ * Summarizes an item for the model in the narrative language.
+ * @param {object} item - An item definition.
+ * @param {string} language - The narrative language.
+ * @returns {object}
+ * @private
+ */
+function _describeItem(item, language) {
+  return {
+    id: item.id,
+    itemType: item.itemType,
+    level: item.level,
+    name: _localized(item.name, language),
+    description: _localized(item.description, language),
+    attributes: _localized(item.attributes, language),
+    abilities: _localized(item.abilities, language),
+    itemEffectDescription: _localized(item.itemEffectDescription, language),
+    buyPrice: item.buyPrice,
+    sellPrice: item.sellPrice,
+  };
+}
+
+/**
+ * Finds the theme's currency slot and its current balance.
+ * @param {GmToolContext} context - Tool context.
+ * @returns {{dashboardId: string, balance: number}|null} Null if the theme has no currency.
+ * @private
+ */
+function _currencyState(context) {
+  const moneySlot = getCurrencySlot(context.themeConfig);
+  if (!moneySlot) return null;
+  const grantedBalance = context.effects.dashboardUpdates[moneySlot.id];
+  return { dashboardId: moneySlot.id, balance: grantedBalance !== undefined ? parseCurrencyBalance(grantedBalance) : context.currencyBalance };
+}
+
+registerGmTool({
+  name: 'rollDice',
+  declaration: {
+    description: "Rolls one or more dice based on standard D&D notation and checks for success against a target number. Returns the individual rolls with a per-term breakdown, the final result, a success boolean and a graded outcome for each roll: 'critical_success', 'success', 'partial_success' (missed by no more than the partial margin), 'failure' or 'critical_failure', plus the margin against the target. The server adds the character's attribute bonus and the advantage or disadvantage from Strain, equipped gear and conditions, and lists them in each result's 'modifiers'; do not add them to the notation yourself. For a contest between the player and an NPC (a duel, a grapple, an interrogation) give 'opposed'; for several NPCs or crew members acting together (a boarding party, a search) give 'group'. Opposed rolls and group checks include a 'summary'. Narrate according to the outcome.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        rollConfigs: {
+          type: "ARRAY",
+          description: "An array of dice roll configuration objects.",
+          items: {
+            type: "OBJECT",
+            properties: {
+              notation: {
+                type: "STRING",
+                description: "Dice notation: '1d20+2', advantage/disadvantage 'a2d20'/'d2d20', keep/drop '4d6kh3'/'4d6dl1', exploding '1d6!', reroll ones '2d6r1', success pool '6d10>=7' (the result is the number of successes) or several terms '1d8+1d6+3'."
+              },
+              target: {
+                type: "NUMBER",
+                description: "The target number for the roll to succeed."
+              },
+              comparison: {
+                type: "STRING",
+                description: "Optional. The comparison operator (e.g., '>=', '<='). Defaults to '>='."
+              },
+              critRange: {
+                type: "NUMBER",
+                description: "Optional. A natural roll at or above this value is a critical success. Defaults to the die's maximum (20 on a d20)."
+              },
+              fumbleRange: {
+                type: "NUMBER",
+                description: "Optional. A natural roll at or below this value is a critical failure. Defaults to 1."
+              },
+              partialMargin: {
+                type: "NUMBER",
+                description: "Optional. A roll that misses the target by at most this much is a partial success. Defaults to 2."
+              },
+              attribute: {
+                type: "STRING",
+                description: "Optional. The attribute the roll tests: 'aptitude' for actions (the default), 'resilience' for saves against harm, or 'none' for rolls that are not the character's (damage, random tables)."
+              },
+              skill: {
+                type: "STRING",
+                description: "Optional. A short name of what is being attempted (e.g., 'Stealth', 'Persuasion', 'resist poison'), matched against the effects of gear and conditions."
+              },
+              label: {
+                type: "STRING",
+                description: "Optional. Who makes the roll, for the summary (e.g., the character's name). Defaults to 'Actor'."
+              },
+              opposed: {
+                type: "OBJECT",
+                description: "Optional. Makes this an opposed roll: the actor's total (from 'notation') against the opponent's, and the higher total wins. 'target' is ignored.",
+                properties: {
+                  notation: { type: "STRING", description: "The opponent's dice notation, including their bonus (e.g., '1d20+3')." },
+                  label: { type: "STRING", description: "The opponent's name (e.g., 'Reaver Captain')." }
+                },
+                required: ["notation"]
+              },
+              tieRule: {
+                type: "STRING",
+                description: "Optional, for opposed rolls. Who wins a tie: 'opponent' (the default; the resisting side holds), 'actor', 'reroll' (both roll again) or 'standoff' (nobody wins)."
+              },
+              group: {
+                type: "ARRAY",
+                description: "Optional. Makes this a group check: each member rolls 'notation' against 'target', and the check succeeds when at least half of them pass. Members take no character bonuses.",
+                items: {
+                  type: "OBJECT",
+                  properties: {
+                    label: { type: "STRING", description: "The member's name or role (e.g., 'Bosun')." },
+                    notation: { type: "STRING", description: "Optional. The member's own notation, if it differs." }
+                  },
+                  required: ["label"]
+                }
+              },
+              requiredPasses: {
+                type: "NUMBER",
+                description: "Optional, for group checks. How many members must pass. Defaults to half of the group, rounded up."
+              }
+            },
+            required: ["notation"]
+          }
+        }
+      },
+      required: ["rollConfigs"]
+    }
+  },
+  handler: (args, context) => (context.rollDice ? context.rollDice(args.rollConfigs || []) : executeRolls(args.rollConfigs || [])),
+});
+
+registerGmTool({
+  name: 'lookupItem',
+  declaration: {
+    description: "Looks up items in this world's item catalog by ID or (partial) name. Use it to describe or offer existing items instead of inventing their statistics.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        query: { type: "STRING", description: "An item ID or part of an item name." },
+        itemType: { type: "STRING", description: "Optional. Restrict the search to one equipment slot type (e.g., 'wardens_blade')." },
+        maxLevel: { type: "NUMBER", description: "Optional. Only return items up to this level." }
+      },
+      required: ["query"]
+    }
+  },
+  handler: async (args, context) => {
+    const query = String(args.query || '').trim().toLowerCase();
+    if (!query) return { error: "'query' is required." };
+    const slotKeys = Object.entries(context.themeConfig.equipment_slots || {})
+      .filter(([slotKey, slot]) => slot.type !== 'money' && (!args.itemType || slotKey === args.itemType))
+      .map(([slotKey]) => slotKey);
+    const matches = [];
+    for (const slotKey of slotKeys) {
+      const catalog = await getThemeItemCatalog(context.themeId, slotKey);
+      matches.push(...catalog.filter(item => {
+        if (typeof args.maxLevel === 'number' && item.level > args.maxLevel) return false;
+        if (item.id?.toLowerCase() === query) return true;
+        return Object.values(item.name || {}).some(name => typeof name === 'string' && name.toLowerCase().includes(query));
+      }));
+    }
+    return {
+      items: matches.slice(0, MAX_LOOKUP_RESULTS).map(item => _describeItem(item, context.language)),
+      totalMatches: matches.length,
+    };
+  },
+});
+
+registerGmTool({
+  name: 'consultWorldShard',
+  declaration: {
+    description: "Searches the World Shards (permanent lore fragments) this player has unlocked in this world. Use it before referring to established lore.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        query: { type: "STRING", description: "A shard key, or words from its title or content. Leave empty to list recent shards." }
+      }
+    }
+  },
+  handler: async (args, context) => {
+    if (!context.user?.id) {
+      return { shards: [], note: 'No World Shards are recorded for this player.' };
+    }
+    const shards = await prisma.userThemePersistedLore.findMany({
+      where: { userId: context.user.id, themeId: context.themeId },
+      orderBy: { unlockedAt: 'desc' },
+    });
+    const query = String(args.query || '').trim().toLowerCase();
+    const matches = query
+      ? shards.filter(shard => shard.loreFragmentKey.toLowerCase() === query
+        || shard.loreFragmentTitle.toLowerCase().includes(query)
+        || shard.loreFragmentContent.toLowerCase().includes(query))
+      : shards;
+    return {
+      shards: matches.slice(0, MAX_SHARD_RESULTS).map(shard => ({
+        key: shard.loreFragmentKey,
+        title: shard.loreFragmentTitle,
+        content: shard.loreFragmentContent,
+        unlockCondition: shard.unlockConditionDescription,
+        isActiveForNewGames: shard.isActiveForNewGames,
+      })),
+      totalMatches: matches.length,
+    };
+  },
+});
+
+registerGmTool({
+  name: 'checkInventory',
+  declaration: {
+    description: "Returns the character's equipped items, backpack contents and currency balance.",
+    parameters: { type: "OBJECT", properties: {} }
+  },
+  handler: (args, context) => {
+    const currency = _currencyState(context);
+    return {
+      equipped: Object.fromEntries(Object.entries(context.equippedItems).map(([slotKey, item]) => [slotKey, _describeItem(item, context.language)])),
+      backpack: context.inventory.map(item => _describeItem(item, context.language)),
+      currency: currency ? { dashboardId: currency.dashboardId, balance: currency.balance } : null,
+    };
+  },
+});
+
+registerGmTool({
+  name: 'grantCurrency',
+  declaration: {
+    description: "Adds currency to (or, with a negative amount, removes it from) the character's purse. The server enforces a per-turn limit based on the character's level and updates the currency on the dashboard itself.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        amount: { type: "NUMBER", description: "Whole amount to grant; negative to spend." },
+        reason: { type: "STRING", description: "Short narrative reason for the change." }
+      },
+      required: ["amount", "reason"]
+    }
+  },
+  handler: async (args, context) => {
+    const currency = _currencyState(context);
+    if (!currency) return { error: 'This world has no currency.' };
+    const amount = Math.round(Number(args.amount));
+    if (!Number.isFinite(amount) || amount === 0) return { error: "'amount' must be a non-zero whole number." };
+
+    let coreMechanics = {};
+    try {
+      coreMechanics = JSON.parse(await getThemePromptFile('master', 'core_mechanics') || '{}');
+    } catch (error) {
+      logger.error('[GmTools] Failed to parse core_mechanics for the currency limit:', error.message);
+    }
+    const rewardPerObjective = coreMechanics.levelingTable?.data?.[context.level - 1]?.rewardPerStdObj || 10;
+    const remainingGrant = Math.max(0, rewardPerObjective * CURRENCY_GRANT_OBJECTIVE_MULTIPLIER - context.effects.currencyGranted);
+    const applied = amount > 0 ? Math.min(amount, remainingGrant) : Math.max(amount, -currency.balance);
+    const newBalance = currency.balance + applied;
+    if (amount > 0) context.effects.currencyGranted += applied;
+    context.effects.dashboardUpdates[currency.dashboardId] = String(newBalance);
+    logger.info(`[GmTools] grantCurrency: ${applied} (requested ${amount}) for '${String(args.reason || '').substring(0, 80)}'. New balance ${newBalance}.`);
+    return { applied, requested: amount, limited: applied !== amount, newBalance };
+  },
+});
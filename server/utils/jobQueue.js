@@ -0,0 +1,262 @@
+/**
+ * @file Durable background jobs.
+ * Jobs are rows of `BackgroundJob`, so they outlive the request that created them and survive server restarts. The
+ * worker polls for due jobs and runs them one at a time with the handler registered for their type. A failed attempt
+ * is retried with exponential backoff (see `BACKGROUND_JOB_POLICY` in config.js); after the last attempt the job is
+ * marked failed and the handler's `onFailure` runs. Jobs left running by a stopped server are picked up again on
+ * boot, and jobs whose attempt outlives `lockTimeoutMs` while the server is up are picked up by the poll.
+ */
+import prisma from '../db.js';
+import logger from './logger.js';
+import { BACKGROUND_JOB_POLICY } from '../config.js';
+import { getRetryDelayMs } from './aiRetryPolicy.js';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+const MAX_ERROR_LENGTH = 1000;
+const CLAIM_CANDIDATES = 5;
+
+/** @type {Map<string, {run: Function, onFailure?: Function}>} */
+const handlers = new Map();
+let pollTimer = null;
+let isProcessing = false;
+
+/**
+ * Registers the handler of a job type.
+ * @param {string} type - The job type.
+ * @param {object} handler
+ * @param {function(object): Promise<object|null|undefined>} handler.run - Runs an attempt of a job and returns its
+ *   result, which is stored on the job. Throwing fails the attempt.
+ * @param {function(object, Error): Promise<void>} [handler.onFailure] - Cleans up after the job's last attempt failed.
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Adds a job to the queue. Pass the transaction that makes the change the job follows up on, so the job exists
+ * exactly when the change was committed; call `wakeJobWorker` once it is.
+ * @param {object} client - Prisma client or transaction.
+ * @param {object} job
+ * @param {string} job.type - The job type.
+ * @param {string} job.gameStateId - The game state the job works on.
+ * @param {object} [job.payload={}] - The job's input.
+ * @returns {Promise<{id: string, type: string, status: string}>}
+ */
+export async function enqueueJob(client, { type, gameStateId, payload = {} }) {
+  return client.backgroundJob.create({
+    data: { type, gameStateId, payload, maxAttempts: BACKGROUND_JOB_POLICY.maxAttempts },
+    select: { id: true, type: true, status: true },
+  });
+}
+
+/**
+ * Formats a job for an API response.
+ * @param {object} job - The `BackgroundJob` row.
+ * @param {boolean} [includeResult=false] - Whether to include the job's result.
+ * @returns {object}
+ * @private
+ */
+function _formatJob(job, includeResult = false) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    max_attempts: job.maxAttempts,
+    last_error: job.lastError,
+    next_attempt_at: job.status === JOB_STATUS.PENDING ? job.runAt : null,
+    created_at: job.createdAt,
+    completed_at: job.completedAt,
+    ...(includeResult && { result: job.result ?? null }),
+  };
+}
+
+/**
+ * Lists a game state's most recent jobs, newest first.
+ * @param {string} gameStateId - The game state.
+ * @param {number} [limit=20] - How many jobs to list.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listJobs(gameStateId, limit = 20) {
+  const jobs = await prisma.backgroundJob.findMany({
+    where: { gameStateId },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+  });
+  return jobs.map(job => _formatJob(job));
+}
+
+/**
+ * Gets a job of a game state, including its result.
+ * @param {string} gameStateId - The game state.
+ * @param {string} jobId - The job.
+ * @returns {Promise<object|null>} The job, or null if it does not belong to the game state.
+ */
+export async function getJob(gameStateId, jobId) {
+  const job = await prisma.backgroundJob.findUnique({ where: { id: jobId } });
+  return job && job.gameStateId === gameStateId ? _formatJob(job, true) : null;
+}
+
+/**
+ * Returns running jobs whose attempt started before a given time to the queue. A job that has used up its attempts
+ * is failed instead.
+ * @param {Date} lockedBefore - Jobs locked before this time are considered abandoned.
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _reclaimStaleJobs(lockedBefore) {
+  const staleJobs = await prisma.backgroundJob.findMany({
+    where: { status: JOB_STATUS.RUNNING, lockedAt: { lt: lockedBefore } },
+  });
+  for (const job of staleJobs) {
+    if (job.attempts >= job.maxAttempts) {
+      await _failJob(job, new Error('The job was abandoned by a stopped worker.'));
+      continue;
+    }
+    await prisma.backgroundJob.updateMany({
+      where: { id: job.id, status: JOB_STATUS.RUNNING, lockedAt: job.lockedAt },
+      data: { status: JOB_STATUS.PENDING, lockedAt: null, runAt: new Date() },
+    });
+  }
+  if (staleJobs.length > 0) {
+    logger.warn(`[JobQueue] Picked up ${staleJobs.length} job(s) abandoned by a stopped worker.`);
+  }
+}
+
+/**
+ * Claims the next due job. Jobs of a game state that already has a running job wait, so a game state's jobs run
+ * one after another.
+ * @returns {Promise<object|null>} The claimed job, or null if none is due.
+ * @private
+ */
+async function _claimNextJob() {
+  const now = new Date();
+  const candidates = await prisma.backgroundJob.findMany({
+    where: {
+      status: JOB_STATUS.PENDING,
+      runAt: { lte: now },
+      gameState: { backgroundJobs: { none: { status: JOB_STATUS.RUNNING } } },
+    },
+    orderBy: { runAt: 'asc' },
+    take: CLAIM_CANDIDATES,
+    select: { id: true },
+  });
+  for (const { id } of candidates) {
+    // Another worker may have claimed the job since it was listed.
+    const { count } = await prisma.backgroundJob.updateMany({
+      where: { id, status: JOB_STATUS.PENDING },
+      data: { status: JOB_STATUS.RUNNING, lockedAt: now, attempts: { increment: 1 } },
+    });
+    if (count === 1) return prisma.backgroundJob.findUnique({ where: { id } });
+  }
+  return null;
+}
+
+/**
+ * Marks a job as failed for good and runs its handler's cleanup.
+ * @param {object} job - The job.
+ * @param {Error} error - The error of the last attempt.
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _failJob(job, error) {
+  await prisma.backgroundJob.update({
+    where: { id: job.id },
+    data: { status: JOB_STATUS.FAILED, lockedAt: null, lastError: String(error?.message || error).substring(0, MAX_ERROR_LENGTH), completedAt: new Date() },
+  });
+  logger.error(`[JobQueue] Job ${job.id} (${job.type}) failed after ${job.attempts} attempt(s):`, error?.message || error);
+  try {
+    await handlers.get(job.type)?.onFailure?.(job, error);
+  } catch (cleanupError) {
+    logger.error(`[JobQueue] Cleanup after failed job ${job.id} (${job.type}) failed:`, cleanupError);
+  }
+}
+
+/**
+ * Runs an attempt of a claimed job and records its outcome.
+ * @param {object} job - The claimed job.
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _runJob(job) {
+  const handler = handlers.get(job.type);
+  try {
+    if (!handler) throw new Error(`No handler is registered for job type '${job.type}'.`);
+    const result = await handler.run(job);
+    await prisma.backgroundJob.update({
+      where: { id: job.id },
+      data: { status: JOB_STATUS.SUCCEEDED, result: result ?? undefined, lockedAt: null, lastError: null, completedAt: new Date() },
+    });
+    logger.info(`[JobQueue] Job ${job.id} (${job.type}) succeeded on attempt ${job.attempts}.`);
+  } catch (error) {
+    if (!handler || job.attempts >= job.maxAttempts) {
+      await _failJob(job, error);
+      return;
+    }
+    const delayMs = getRetryDelayMs(job.attempts, BACKGROUND_JOB_POLICY);
+    await prisma.backgroundJob.update({
+      where: { id: job.id },
+      data: { status: JOB_STATUS.PENDING, lockedAt: null, lastError: String(error?.message || error).substring(0, MAX_ERROR_LENGTH), runAt: new Date(Date.now() + delayMs) },
+    });
+    logger.warn(`[JobQueue] Job ${job.id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}; retrying in ${Math.round(delayMs / 1000)}s:`, error?.message || error);
+  }
+}
+
+/**
+ * Runs due jobs until none is left. Does nothing if the worker is already busy; the busy run picks up new jobs.
+ * @param {Date} [staleBefore] - Running jobs locked before this time are picked up again first. Defaults to
+ *   `lockTimeoutMs` ago.
+ * @returns {Promise<void>}
+ */
+export async function processDueJobs(staleBefore = new Date(Date.now() - BACKGROUND_JOB_POLICY.lockTimeoutMs)) {
+  if (isProcessing) return;
+  isProcessing = true;
+  try {
+    await _reclaimStaleJobs(staleBefore);
+    for (let job = await _claimNextJob(); job; job = await _claimNextJob()) {
+      try {
+        await _runJob(job);
+      } catch (error) {
+        // E.g. the job was deleted with its game state while it ran.
+        logger.warn(`[JobQueue] Could not record the outcome of job ${job.id} (${job.type}):`, error.message);
+      }
+    }
+  } catch (error) {
+    logger.error('[JobQueue] Error while processing background jobs:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Starts the worker. Every job still marked running was left by a stopped server (the app runs as a single
+ * process), so all of them are picked up again right away.
+ */
+export function startJobWorker() {
+  if (pollTimer) return;
+  logger.info(`[JobQueue] Worker started. Polling every ${BACKGROUND_JOB_POLICY.pollIntervalMs}ms.`);
+  processDueJobs(new Date());
+  pollTimer = setInterval(() => processDueJobs(), BACKGROUND_JOB_POLICY.pollIntervalMs);
+  pollTimer.unref();
+}
+
+/**
+ * Stops polling. An attempt in progress finishes; one cut short by the process exiting is retried on the next boot.
+ */
+export function stopJobWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Looks for due jobs right away instead of waiting for the next poll, e.g. after a request committed new jobs.
+ */
+export function wakeJobWorker() {
+  if (pollTimer) setImmediate(() => processDueJobs());
+}
@@ -0,0 +1,288 @@
+/**
+ * @file Deterministic mock AI provider for offline development.
+ * Produces Gemini-shaped responses without any network access: schema-valid turn JSON built from the
+ * theme's config.json and scripted fixtures, rollDice function calls, and plain-text answers for the
+ * silent summarization/lore helpers. The same request always yields the same response.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { getThemeConfig, getThemeTexts } from './themeDataManager.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '../fixtures/mock_ai');
+const fixtureCache = new Map();
+
+/**
+ * Computes a 32-bit FNV-1a hash of a string.
+ * @param {string} text - The text to hash.
+ * @returns {number} The unsigned 32-bit hash.
+ * @private
+ */
+function _hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32).
+ * @param {number} seed - 32-bit seed.
+ * @returns {function(): number} Generator returning floats in [0, 1).
+ * @private
+ */
+function _createRng(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks an element from an array using the given generator.
+ * @param {Array} list - Candidate values.
+ * @param {function(): number} rng - Seeded generator.
+ * @returns {*} The selected element, or undefined for an empty list.
+ * @private
+ */
+function _pick(list, rng) {
+  if (!Array.isArray(list) || list.length === 0) return undefined;
+  return list[Math.floor(rng() * list.length)];
+}
+
+/**
+ * Loads the fixture set for a theme: `default.json` overlaid with `<themeId>.json` when present.
+ * @param {string} fixturesDir - Directory holding fixture files.
+ * @param {string|undefined} themeId - The active theme, if known.
+ * @returns {Promise<object>} The merged fixture object.
+ * @private
+ */
+async function _loadFixtures(fixturesDir, themeId) {
+  const cacheKey = `${fixturesDir}:${themeId || ''}`;
+  if (fixtureCache.has(cacheKey)) return fixtureCache.get(cacheKey);
+  const readFixture = async (name) => {
+    try {
+      return JSON.parse(await fs.readFile(path.join(fixturesDir, `${name}.json`), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`[MockAI] Failed to read fixture '${name}.json':`, error.message);
+      }
+      return {};
+    }
+  };
+  const base = await readFixture('default');
+  const themed = themeId && /^[a-z0-9_]+$/.test(themeId) ? await readFixture(themeId) : {};
+  const merged = { ...base, ...themed };
+  for (const lang of ['en', 'cs']) {
+    if (base[lang] || themed[lang]) merged[lang] = { ...(base[lang] || {}), ...(themed[lang] || {}) };
+  }
+  fixtureCache.set(cacheKey, merged);
+  return merged;
+}
+
+/**
+ * Returns the text of the most recent player message in the conversation.
+ * @param {Array<object>} contents - Gemini conversation contents.
+ * @returns {string} The player's last action, or an empty string.
+ * @private
+ */
+function _lastUserText(contents) {
+  for (let i = contents.length - 1; i >= 0; i--) {
+    const text = contents[i].role === 'user' ? contents[i].parts?.find(part => typeof part.text === 'string')?.text : null;
+    if (text) return text.trim();
+  }
+  return '';
+}
+
+/**
+ * Returns the parsed rollDice results if the conversation ends with a tool response.
+ * @param {Array<object>} contents - Gemini conversation contents.
+ * @returns {Array<object>|null} Dice results, or null if the last turn is not a rollDice response.
+ * @private
+ */
+function _trailingRollResults(contents) {
+  const lastResponse = contents[contents.length - 1]?.parts?.find(part => part.functionResponse)?.functionResponse;
+  if (!lastResponse || lastResponse.name !== 'rollDice') return null;
+  const payload = lastResponse.response?.content ?? lastResponse.response;
+  try {
+    return typeof payload === 'string' ? JSON.parse(payload) : payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Builds dashboard updates for a turn. The first turn populates every item from its theme default;
+ * later turns only move the meters, nudged by the outcome of any roll.
+ * @param {object} dashboardConfig - The theme's dashboard_config.
+ * @param {object|null} texts - Theme texts for the narrative language.
+ * @param {boolean} isInitialTurn - Whether this is the opening turn.
+ * @param {boolean|null} rollSucceeded - Outcome of this turn's roll, or null when no roll happened.
+ * @param {function(): number} rng - Seeded generator.
+ * @returns {object} The dashboard_updates object.
+ * @private
+ */
+function _buildDashboardUpdates(dashboardConfig, texts, isInitialTurn, rollSucceeded, rng) {
+  const updates = {};
+  for (const item of dashboardConfig.top_panel || []) {
+    if (item.type === 'meter') {
+      if (isInitialTurn) updates[item.id] = 100;
+      else if (rollSucceeded === false) updates[item.id] = 70 + Math.floor(rng() * 20);
+    } else if (item.type === 'status_icon' && (isInitialTurn || rollSucceeded !== null)) {
+      updates[item.id] = rollSucceeded === false ? 2 : (item.default_ai_value ?? 1);
+    }
+  }
+  if (isInitialTurn) {
+    const sideItems = [...(dashboardConfig.left_panel || []), ...(dashboardConfig.right_panel || [])].flatMap(panel => panel.items || []);
+    for (const item of sideItems) {
+      if (item.default_value_key && texts?.[item.default_value_key]) {
+        updates[item.id] = texts[item.default_value_key];
+      } else if (item.default_value !== undefined && item.default_value !== null) {
+        updates[item.id] = item.default_value;
+      }
+    }
+  }
+  return updates;
+}
+
+/**
+ * Builds game state indicators from the theme defaults. Object-typed special keys are omitted.
+ * @param {object} dashboardConfig - The theme's dashboard_config.
+ * @returns {object} The game_state_indicators object.
+ * @private
+ */
+function _buildGameStateIndicators(dashboardConfig) {
+  const indicators = {};
+  for (const indicator of dashboardConfig.game_state_indicators || []) {
+    if (indicator.type === 'object' || indicator.default_value === null || indicator.default_value === undefined) continue;
+    indicators[indicator.id] = indicator.default_value;
+  }
+  return indicators;
+}
+
+/**
+ * Wraps text in a Gemini-shaped success result.
+ * @param {Array<object>} parts - Gemini content parts.
+ * @param {string} promptText - Text used to approximate prompt token usage.
+ * @returns {import('./aiProviders.js').ProviderResult}
+ * @private
+ */
+function _result(parts, promptText) {
+  const outputText = parts.map(part => part.text || JSON.stringify(part.functionCall || '')).join('');
+  const data = {
+    candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }],
+    usageMetadata: {
+      promptTokenCount: Math.ceil(promptText.length / 4),
+      candidatesTokenCount: Math.ceil(outputText.length / 4),
+      totalTokenCount: Math.ceil(promptText.length / 4) + Math.ceil(outputText.length / 4),
+    },
+    modelVersion: 'mock',
+  };
+  return { ok: true, status: 200, data, rawText: JSON.stringify(data) };
+}
+
+/**
+ * Answers a silent helper call (summaries, lore integration/evolution) with plain text.
+ * @param {string} task - The helper's task description.
+ * @param {string} inputText - The helper's user content.
+ * @param {object} langFixtures - Fixtures for the narrative language.
+ * @returns {string} The response text.
+ * @private
+ */
+function _buildSilentText(task, inputText, langFixtures) {
+  if (task === 'ShardIntegration') {
+    const match = inputText.match(/^Current World Lore:\n([\s\S]*?)\n\nNewly Unlocked Shard:\nTitle: (.*)\nContent: ([\s\S]*)$/);
+    if (match) {
+      return `${match[1].trim()}\n\n<shard-update shard-title="${match[2]}">${match[3].trim()}</shard-update>`.trim();
+    }
+  }
+  if (task === 'LoreEvolution') {
+    const match = inputText.match(/Current Evolved Lore: ([\s\S]*?)\n\nRecent Game Events:/);
+    if (match) return match[1].trim();
+  }
+  if (task === 'PlayerSummary') {
+    try {
+      const actions = JSON.parse(inputText)
+        .filter(turn => turn.role === 'user')
+        .map(turn => turn.parts?.[0]?.text)
+        .filter(Boolean);
+      return `${langFixtures.summaryPrefix || 'The player:'}\n${actions.map(action => `- ${action}`).join('\n')}`;
+    } catch (e) { /* Fall through to echo */ }
+  }
+  return inputText.substring(0, 1000);
+}
+
+/**
+ * Mock adapter entry point, called through the provider layer like any other adapter.
+ * @param {object} config - Provider settings from AI_PROVIDERS (`fixturesDir` is honoured).
+ * @param {object} request - Gemini-shaped request. Besides the common fields it reads `themeId`,
+ *   `language`, `task` (silent helper name) and `toolCallRequired`.
+ * @returns {Promise<import('./aiProviders.js').ProviderResult>}
+ */
+export async function generateMockContent(config, { modelName, contents = [], systemInstruction, generationConfig, tools, themeId, language, task, toolCallRequired }) {
+  const promptText = JSON.stringify(contents) + JSON.stringify(systemInstruction || {});
+  const rng = _createRng(_hashString(`${modelName}|${themeId || ''}|${promptText}`));
+  const fixtures = await _loadFixtures(config.fixturesDir || DEFAULT_FIXTURES_DIR, themeId);
+  const lang = fixtures[language] ? language : 'en';
+  const langFixtures = fixtures[lang] || {};
+  const systemText = (systemInstruction?.parts || []).map(part => part.text || '').join('\n');
+
+  if (task || generationConfig?.responseMimeType === 'text/plain') {
+    logger.debug(`[MockAI] Answering silent task '${task || 'unknown'}'.`);
+    return _result([{ text: _buildSilentText(task, _lastUserText(contents), langFixtures) }], promptText);
+  }
+
+  if (systemText.includes('deep_dive_narrative')) {
+    const deepDive = { deep_dive_narrative: langFixtures.deepDiveNarrative || '', implications: langFixtures.implications || [] };
+    return _result([{ text: JSON.stringify(deepDive) }], promptText);
+  }
+
+  const rollResults = _trailingRollResults(contents);
+  const toolsOffered = (tools || []).some(tool => (tool.functionDeclarations || []).some(decl => decl.name === 'rollDice'));
+  if (toolsOffered && !rollResults && (toolCallRequired || rng() < (fixtures.rollChance ?? 0))) {
+    const rollConfig = _pick(fixtures.rolls, rng) || { notation: '1d20', target: 10 };
+    logger.debug(`[MockAI] Issuing rollDice call: ${rollConfig.notation} vs ${rollConfig.target}.`);
+    return _result([{ functionCall: { name: 'rollDice', args: { rollConfigs: [rollConfig] } } }], promptText);
+  }
+
+  const themeConfig = themeId ? await getThemeConfig(themeId) : null;
+  const texts = themeId ? await getThemeTexts(themeId, lang) : null;
+  const dashboardConfig = themeConfig?.dashboard_config || {};
+  const isInitialTurn = !contents.some(content => content.role === 'model');
+  const firstRoll = Array.isArray(rollResults) ? rollResults[0] : null;
+  const rollSucceeded = firstRoll ? Boolean(firstRoll.success) : null;
+
+  let narrative = isInitialTurn
+    ? _pick(langFixtures.openings, rng) || ''
+    : (_pick(langFixtures.narratives, rng) || '{action}').replace('{action}', _lastUserText(contents));
+  if (firstRoll) {
+    const outcomeTemplate = rollSucceeded ? langFixtures.rollSuccess : langFixtures.rollFailure;
+    if (outcomeTemplate) {
+      narrative += `\n\n${outcomeTemplate.replace('{result}', firstRoll.result).replace('{target}', firstRoll.target)}`;
+    }
+  }
+
+  const suggestedActions = [...(langFixtures.suggestedActions || [])];
+  if (langFixtures.rollAction) {
+    suggestedActions.push({ text: langFixtures.rollAction, dice_roll: _pick(fixtures.rolls, rng) || { notation: '1d20', target: 10 } });
+  }
+  const [minXp, maxXp] = fixtures.xpRange || [0, 0];
+  const turnResponse = {
+    narrative,
+    dashboard_updates: _buildDashboardUpdates(dashboardConfig, texts, isInitialTurn, rollSucceeded, rng),
+    suggested_actions: suggestedActions,
+    game_state_indicators: _buildGameStateIndicators(dashboardConfig),
+    input_placeholder: langFixtures.inputPlaceholder || '',
+    xp_awarded: isInitialTurn ? 0 : minXp + Math.floor(rng() * (maxXp - minXp + 1)),
+  };
+  return _result([{ text: JSON.stringify(turnResponse) }], promptText);
+}
@@ -0,0 +1,59 @@
+/**
+ * @file Incremental extractor for the 'narrative' string of a turn response that is still being generated.
+ * The model emits the turn as one JSON object; this decodes the value of its "narrative" key chunk by chunk
+ * so it can be streamed to the player before the rest of the object (dashboard updates, actions) is complete.
+ */
+
+const NARRATIVE_KEY_PATTERN = /"narrative"\s*:\s*"/;
+const SIMPLE_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+
+/**
+ * Creates a stateful narrative extractor.
+ * @returns {{push: function(string): string}} `push(chunk)` appends raw model text and returns the newly
+ *   decoded narrative characters (an empty string if none are available yet or the narrative has ended).
+ */
+export function createNarrativeExtractor() {
+  let buffer = '';
+  let phase = 'seek';
+  let position = 0;
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      if (phase === 'seek') {
+        const match = NARRATIVE_KEY_PATTERN.exec(buffer);
+        if (!match) return '';
+        phase = 'inside';
+        position = match.index + match[0].length;
+      }
+      if (phase !== 'inside') return '';
+
+      let decoded = '';
+      while (position < buffer.length) {
+        const char = buffer[position];
+        if (char === '"') {
+          phase = 'done';
+          break;
+        }
+        if (char !== '\\') {
+          decoded += char;
+          position++;
+          continue;
+        }
+        // Escape sequences may be split across chunks; wait for the rest before decoding.
+        const escapeChar = buffer[position + 1];
+        if (escapeChar === undefined) break;
+        if (escapeChar === 'u') {
+          const hex = buffer.substring(position + 2, position + 6);
+          if (hex.length < 4) break;
+          decoded += String.fromCharCode(parseInt(hex, 16));
+          position += 6;
+        } else {
+          decoded += SIMPLE_ESCAPES[escapeChar] ?? escapeChar;
+          position += 2;
+        }
+      }
+      return decoded;
+    },
+  };
+}
@@ -0,0 +1,326 @@
+/**
+ * @file Server-owned character progression (`UserThemeProgress`).
+ * XP is only ever added from the verified outcome of an AI turn (see aiTurnRunner.js). A character whose XP has
+ * reached the next threshold of `XP_LEVELS` has a level-up pending; choosing a Boon applies it and raises the level
+ * by one. Boon values come from `BOON_DEFINITIONS` and trait Boons must name an unacquired trait of the theme's
+ * traits.json whose prerequisites the character meets (see traitRules.js). Saves may not change the level, XP or
+ * traits, except for choosing a new character's first trait.
+ *
+ * A character at the level cap can retire into a `CharacterLegacy` (prestige). The theme's progress restarts at level
+ * 1 with a permanent bonus per prestige rank, and the next character keeps one heirloom of the retired one: a trait,
+ * which it has in addition to its own, or a World Shard, which is the only shard that stays unlocked.
+ */
+import prisma from '../db.js';
+import logger from './logger.js';
+import { getThemePromptFile, getThemeConfig } from './themeDataManager.js';
+import { getTraitBlockers, getEffectiveAttributes } from './traitRules.js';
+
+// Total XP needed to reach each level; the same curve as the client's XP_LEVELS (js/core/config.js).
+export const XP_LEVELS = [0, 100, 250, 450, 700, 1000, 1350, 1750, 2200, 2700];
+export const MAX_PLAYER_LEVEL = 10;
+
+// The attribute bonus each Boon grants, by Boon type and progress field. Mirrors the client's BOON_DEFINITIONS.
+export const BOON_DEFINITIONS = {
+  MAX_ATTRIBUTE_INCREASE: { maxIntegrityBonus: 10, maxWillpowerBonus: 5 },
+  ATTRIBUTE_ENHANCEMENT: { aptitudeBonus: 1, resilienceBonus: 1 },
+};
+export const NEW_TRAIT_BOON = 'NEW_TRAIT';
+
+// The bonus a character starts with per prestige rank.
+export const PRESTIGE_BONUS_PER_RANK = { maxIntegrityBonus: 5, maxWillpowerBonus: 2 };
+const MAX_LEGACY_NAME_LENGTH = 50;
+
+/**
+ * Creates an error carrying the HTTP status and code the route should answer with.
+ * @param {number} status - HTTP status code.
+ * @param {string} message - Error message.
+ * @param {string} code - Machine-readable error code.
+ * @returns {Error}
+ * @private
+ */
+function _progressionError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Reads a progress row's trait keys.
+ * @param {object|null} progress - UserThemeProgress row.
+ * @returns {string[]}
+ * @private
+ */
+function _traitKeysOf(progress) {
+  return Array.isArray(progress?.acquiredTraitKeys) ? progress.acquiredTraitKeys : [];
+}
+
+/**
+ * Reads the traits a character has, including an heirloom trait.
+ * @param {object|null} progress - UserThemeProgress row.
+ * @returns {string[]}
+ * @private
+ */
+function _ownedTraitKeysOf(progress) {
+  const traitKeys = _traitKeysOf(progress);
+  return progress?.heirloomTraitKey && !traitKeys.includes(progress.heirloomTraitKey)
+    ? [...traitKeys, progress.heirloomTraitKey]
+    : traitKeys;
+}
+
+/**
+ * Lists what keeps a character from acquiring a trait at a given level.
+ * @param {string} themeId - The theme ID.
+ * @param {object} themeTraits - The theme's trait definitions.
+ * @param {string} traitKey - The trait.
+ * @param {object|null} progress - UserThemeProgress row.
+ * @param {number} level - The level the trait would be acquired at.
+ * @returns {Promise<string[]>} The unmet rules, described for an error message.
+ * @private
+ */
+async function _traitBlockers(themeId, themeTraits, traitKey, progress, level) {
+  const themeConfig = await getThemeConfig(themeId);
+  const blockers = getTraitBlockers(themeTraits, traitKey, {
+    level,
+    traitKeys: _ownedTraitKeysOf(progress),
+    attributes: getEffectiveAttributes(themeConfig?.base_attributes, progress),
+  });
+  return blockers.map(blocker => {
+    switch (blocker.type) {
+      case 'level': return `level ${blocker.value}`;
+      case 'trait': return `trait '${blocker.key}'`;
+      case 'attribute': return `${blocker.key} ${blocker.value}`;
+      case 'excluded': return `excluded by '${blocker.key}'`;
+      default: return blocker.type;
+    }
+  });
+}
+
+/**
+ * Checks whether a character's XP has reached its next level, so a Boon may be chosen.
+ * @param {{level: number, currentXP: number}} progress - UserThemeProgress row.
+ * @returns {boolean}
+ */
+export function isLevelUpPending(progress) {
+  return progress.level < MAX_PLAYER_LEVEL && progress.currentXP >= XP_LEVELS[progress.level];
+}
+
+/**
+ * Loads the trait definitions of a theme's traits.json.
+ * @param {string} themeId - The theme ID.
+ * @returns {Promise<object>} The traits by key, or an empty object if the theme has no traits.
+ */
+export async function loadThemeTraits(themeId) {
+  try {
+    return JSON.parse(await getThemePromptFile(themeId, 'traits') || '{}');
+  } catch (error) {
+    logger.error(`[Progression] Failed to parse traits of theme '${themeId}':`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Adds the XP of a verified turn to a character, creating its progress row on the first award.
+ * @param {string} userId - The player's user ID.
+ * @param {string} themeId - The theme ID.
+ * @param {number} xpAwarded - The turn's `xp_awarded`, after the turn guard's clamp.
+ * @param {object} [options]
+ * @param {object} [options.client] - A Prisma client or transaction; defaults to the shared client.
+ * @returns {Promise<object|null>} The updated UserThemeProgress row, or null if the turn awarded no XP.
+ */
+export async function applyTurnXp(userId, themeId, xpAwarded, { client = prisma } = {}) {
+  const xp = typeof xpAwarded === 'number' ? Math.round(xpAwarded) : 0;
+  if (!(xp > 0)) return null;
+  const progress = await client.userThemeProgress.upsert({
+    where: { userId_themeId: { userId, themeId } },
+    create: { userId, themeId, currentXP: xp },
+    update: { currentXP: { increment: xp } },
+  });
+  logger.info(`[Progression] Awarded ${xp} XP to user ${userId}, theme ${themeId}. Level ${progress.level}, XP ${progress.currentXP}.`);
+  return progress;
+}
+
+/**
+ * Applies a Boon to a character whose level-up is pending and raises its level by one.
+ * @param {string} userId - The player's user ID.
+ * @param {string} themeId - The theme ID.
+ * @param {object} boon
+ * @param {string} boon.boonType - 'MAX_ATTRIBUTE_INCREASE', 'ATTRIBUTE_ENHANCEMENT' or 'NEW_TRAIT'.
+ * @param {string} [boon.targetAttribute] - The progress field an attribute Boon raises.
+ * @param {number|string} [boon.value] - The attribute Boon's value, which must match `BOON_DEFINITIONS`, or the
+ *   trait key of a trait Boon.
+ * @returns {Promise<object>} The updated UserThemeProgress row.
+ * @throws {Error} With `status` and `code` if the Boon is invalid or no level-up is pending.
+ */
+export async function applyBoon(userId, themeId, { boonType, targetAttribute, value }) {
+  const progress = await prisma.userThemeProgress.findUnique({ where: { userId_themeId: { userId, themeId } } });
+  if (!progress) {
+    throw _progressionError(404, 'User theme progress not found.', 'USER_THEME_PROGRESS_NOT_FOUND_BOON');
+  }
+  if (!isLevelUpPending(progress)) {
+    throw _progressionError(409, 'No level-up is pending for this character.', 'NO_BOON_PENDING');
+  }
+  const updateData = {};
+  if (boonType === NEW_TRAIT_BOON) {
+    const themeTraits = await loadThemeTraits(themeId);
+    if (typeof value !== 'string' || !Object.hasOwn(themeTraits, value)) {
+      throw _progressionError(400, 'The trait does not exist in this theme.', 'INVALID_BOON_TRAIT');
+    }
+    const currentTraits = _traitKeysOf(progress);
+    if (currentTraits.includes(value) || value === progress.heirloomTraitKey) {
+      throw _progressionError(409, 'The character already has this trait.', 'TRAIT_ALREADY_ACQUIRED');
+    }
+    const blockers = await _traitBlockers(themeId, themeTraits, value, progress, progress.level + 1);
+    if (blockers.length > 0) {
+      throw _progressionError(400, `The character does not meet the requirements of this trait: ${blockers.join(', ')}.`, 'TRAIT_NOT_ELIGIBLE');
+    }
+    updateData.acquiredTraitKeys = [...currentTraits, value];
+  } else {
+    const definition = Object.hasOwn(BOON_DEFINITIONS, boonType) ? BOON_DEFINITIONS[boonType] : {};
+    const boonValue = Object.hasOwn(definition, targetAttribute) ? definition[targetAttribute] : undefined;
+    if (boonValue === undefined) {
+      throw _progressionError(400, 'Invalid Boon details provided.', 'INVALID_BOON_DETAILS');
+    }
+    if (value !== undefined && value !== boonValue) {
+      throw _progressionError(400, `This Boon grants ${boonValue}.`, 'INVALID_BOON_VALUE');
+    }
+    updateData[targetAttribute] = { increment: boonValue };
+  }
+  // A concurrent Boon for the same level-up has already raised the level, so this one matches nothing.
+  const { count } = await prisma.userThemeProgress.updateMany({
+    where: { id: progress.id, level: progress.level },
+    data: { ...updateData, level: { increment: 1 } },
+  });
+  if (count === 0) {
+    throw _progressionError(409, 'No level-up is pending for this character.', 'NO_BOON_PENDING');
+  }
+  return prisma.userThemeProgress.findUnique({ where: { id: progress.id } });
+}
+
+/**
+ * Checks the progress a client sent with a save against the stored progress. The level and XP must match, and the
+ * traits must match too, unless the character has none yet and the client chose one as its first trait that the
+ * character is eligible for.
+ * @param {object|null} storedProgress - UserThemeProgress row, if any.
+ * @param {object} clientProgress - The save's `user_theme_progress`.
+ * @param {string} themeId - The theme ID.
+ * @returns {Promise<string|null>} The first trait to store, if the client chose one.
+ * @throws {Error} With `status` and `code` if the client's progress differs from the stored one.
+ */
+export async function checkClientProgress(storedProgress, clientProgress, themeId) {
+  const level = storedProgress?.level ?? 1;
+  const currentXP = storedProgress?.currentXP ?? 0;
+  const storedTraits = _traitKeysOf(storedProgress);
+  const mismatch = (field) => _progressionError(409, `The saved ${field} does not match the character's progress.`, 'USER_THEME_PROGRESS_MISMATCH');
+  if (clientProgress.level !== undefined && clientProgress.level !== level) throw mismatch('level');
+  if (clientProgress.currentXP !== undefined && clientProgress.currentXP !== currentXP) throw mismatch('XP');
+  const clientTraits = clientProgress.acquiredTraitKeys;
+  if (clientTraits === undefined) return null;
+  if (clientTraits.length === storedTraits.length && clientTraits.every((key, index) => key === storedTraits[index])) {
+    return null;
+  }
+  const [firstTrait] = clientTraits;
+  const isFirstTraitChoice = storedTraits.length === 0 && clientTraits.length === 1 && typeof firstTrait === 'string'
+    && firstTrait !== storedProgress?.heirloomTraitKey;
+  if (!isFirstTraitChoice) throw mismatch('traits');
+  const themeTraits = await loadThemeTraits(themeId);
+  if (!Object.hasOwn(themeTraits, firstTrait) || (await _traitBlockers(themeId, themeTraits, firstTrait, storedProgress, level)).length > 0) {
+    throw mismatch('traits');
+  }
+  return firstTrait;
+}
+
+/**
+ * Retires a character at the level cap into a legacy and restarts the theme's progress at level 1 with the next
+ * prestige rank's bonus. Like a character reset, the theme's save slots and World Shards are deleted, except for a
+ * shard chosen as the heirloom.
+ * @param {string} userId - The player's user ID.
+ * @param {string} themeId - The theme ID.
+ * @param {object} retirement
+ * @param {string} [retirement.legacyName] - The legacy's name; defaults to the character name.
+ * @param {string} [retirement.heirloomTraitKey] - A trait of the character to keep.
+ * @param {string} [retirement.heirloomShardId] - A World Shard of the theme to keep.
+ * @returns {Promise<{legacy: object, progress: object}>} The legacy and the restarted UserThemeProgress row.
+ * @throws {Error} With `status` and `code` if the character is below the cap or already retired, or the heirloom is invalid.
+ */
+export async function retireCharacter(userId, themeId, { legacyName, heirloomTraitKey, heirloomShardId }) {
+  if (legacyName !== undefined && legacyName !== null
+    && (typeof legacyName !== 'string' || !legacyName.trim() || legacyName.trim().length > MAX_LEGACY_NAME_LENGTH)) {
+    throw _progressionError(400, `The legacy name must be between 1 and ${MAX_LEGACY_NAME_LENGTH} characters.`, 'INVALID_LEGACY_NAME');
+  }
+  if (Boolean(heirloomTraitKey) === Boolean(heirloomShardId)) {
+    throw _progressionError(400, 'Choose either a trait or a World Shard as the heirloom.', 'INVALID_HEIRLOOM');
+  }
+  return prisma.$transaction(async (tx) => {
+    const progress = await tx.userThemeProgress.findUnique({ where: { userId_themeId: { userId, themeId } } });
+    if (!progress) {
+      throw _progressionError(404, 'User theme progress not found.', 'USER_THEME_PROGRESS_NOT_FOUND');
+    }
+    if (progress.level < MAX_PLAYER_LEVEL) {
+      throw _progressionError(409, `Only a level ${MAX_PLAYER_LEVEL} character can retire into a legacy.`, 'PRESTIGE_LEVEL_NOT_REACHED');
+    }
+    const traitKeys = _traitKeysOf(progress);
+    if (heirloomTraitKey && !traitKeys.includes(heirloomTraitKey) && heirloomTraitKey !== progress.heirloomTraitKey) {
+      throw _progressionError(400, 'The heirloom trait is not one of the character\'s traits.', 'INVALID_HEIRLOOM');
+    }
+    const heirloomShard = heirloomShardId
+      ? await tx.userThemePersistedLore.findFirst({ where: { id: heirloomShardId, userId, themeId } })
+      : null;
+    if (heirloomShardId && !heirloomShard) {
+      throw _progressionError(400, 'The heirloom World Shard was not found for this theme.', 'INVALID_HEIRLOOM');
+    }
+
+    const rank = progress.prestigeRank + 1;
+    // A concurrent retirement of the same character has already raised the rank, so this one matches nothing.
+    const { count } = await tx.userThemeProgress.updateMany({
+      where: { id: progress.id, prestigeRank: progress.prestigeRank },
+      data: {
+        characterName: null,
+        level: 1,
+        currentXP: 0,
+        maxIntegrityBonus: rank * PRESTIGE_BONUS_PER_RANK.maxIntegrityBonus,
+        maxWillpowerBonus: rank * PRESTIGE_BONUS_PER_RANK.maxWillpowerBonus,
+        aptitudeBonus: 0,
+        resilienceBonus: 0,
+        acquiredTraitKeys: [],
+        prestigeRank: rank,
+        heirloomTraitKey: heirloomTraitKey || null,
+      },
+    });
+    if (count === 0) {
+      throw _progressionError(409, 'This character has already retired.', 'CHARACTER_ALREADY_RETIRED');
+    }
+    const legacy = await tx.characterLegacy.create({
+      data: {
+        userId,
+        themeId,
+        rank,
+        name: legacyName?.trim() || progress.characterName || `Legacy ${rank}`,
+        characterName: progress.characterName,
+        level: progress.level,
+        traitKeys: progress.heirloomTraitKey ? [progress.heirloomTraitKey, ...traitKeys] : traitKeys,
+        heirloomTraitKey: heirloomTraitKey || null,
+        heirloomShardKey: heirloomShard?.loreFragmentKey || null,
+        heirloomShardTitle: heirloomShard?.loreFragmentTitle || null,
+      },
+    });
+    await tx.userThemePersistedLore.deleteMany({
+      where: { userId, themeId, ...(heirloomShard && { id: { not: heirloomShard.id } }) },
+    });
+    await tx.gameState.deleteMany({ where: { userId, theme_id: themeId } });
+    await tx.userThemeInteraction.updateMany({ where: { userId, theme_id: themeId }, data: { is_playing: false } });
+    const restartedProgress = await tx.userThemeProgress.findUnique({ where: { id: progress.id } });
+    logger.info(`[Progression] User ${userId} retired a character of theme ${themeId} into legacy '${legacy.name}' (rank ${rank}).`);
+    return { legacy, progress: restartedProgress };
+  });
+}
+
+/**
+ * Lists a player's legacies of a theme, newest first.
+ * @param {string} userId - The player's user ID.
+ * @param {string} themeId - The theme ID.
+ * @returns {Promise<Array<object>>} The `CharacterLegacy` rows.
+ */
+export function listLegacies(userId, themeId) {
+  return prisma.characterLegacy.findMany({ where: { userId, themeId }, orderBy: { rank: 'desc' } });
+}
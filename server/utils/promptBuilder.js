@@ -0,0 +1,919 @@
+/**
+ * @file Assembles the system instruction and conversation for AI calls on the server.
+ * Prompts are built from the theme's prompt files (themes/<id>/prompts, listed in prompts-config.json) and
+ * the master mechanics (core_mechanics.json, core_texts.json). Persistent player data (progress, evolved lore,
+ * summary, equipped items, World Shards, story preference) is read from the database for signed-in players, and so
+ * are their dashboard state, the World Shard awaiting finalization and the conversation, of which only the action
+ * being sent is taken from the request. Per-turn values that only the client holds (prompt type, run stats, and a
+ * guest's state) are accepted as structured `prompt_context` references and validated here, never as free prompt text.
+ * Templates are expanded in two steps: placeholders for theme and mechanics texts are resolved first, then the
+ * player's data is inserted in one final pass that never reads the inserted values again, strings as quoted literals.
+ */
+import prisma from '../db.js';
+import logger from './logger.js';
+import { findSaveSlot } from './saveSlots.js';
+import { isReplayedTurn } from './checkpoints.js';
+import { getCurrencySlot, parseCurrencyBalance } from './themeStore.js';
+import { buildRegenerationInstruction } from './turnRegeneration.js';
+import { MAX_PLAYER_LEVEL } from './progression.js';
+import { loadConditionCatalogue, resolveActiveConditions, conditionAttributeModifiers, describeConditions } from './conditions.js';
+import {
+  getThemeConfig,
+  getThemeTexts,
+  getThemeJsonFile,
+  getThemePromptFile,
+  getThemeItemCatalog,
+} from './themeDataManager.js';
+
+const RECENT_INTERACTION_WINDOW_SIZE = 10;
+const MAX_STRAIN_LEVEL = 4;
+const MAX_STATE_STRING_LENGTH = 500;
+const MAX_IDENTIFIER_LENGTH = 50;
+const MAX_INVENTORY_ITEMS = 100;
+const MAX_REPLACEMENT_PASSES = 5;
+const DEEP_DIVE_USER_MESSAGE = 'Reflect on this new discovery and its implications.';
+
+const TURN_GENERATION_CONFIG = { temperature: 0.7, topP: 0.95, maxOutputTokens: 8192 };
+const DEEP_DIVE_GENERATION_CONFIG = { temperature: 0.7, topP: 0.95, maxOutputTokens: 1024 };
+const SAFETY_SETTINGS = [
+  { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
+  { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_NONE' },
+  { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
+  { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' },
+];
+
+// Prompts are written in English, so the story preference descriptions are too.
+const STORY_PREFERENCE_DESCRIPTIONS = {
+  explorer: 'I seek to uncover forgotten lore, chart the unknown, and understand the deep truths of a world.',
+  strategist: 'I thrive on challenge, overcoming complex obstacles through clever tactics and careful planning.',
+  weaver: 'I am drawn to character-driven stories, intricate relationships, and emotional depth.',
+  chaos: 'I enjoy absurd situations, unpredictable outcomes, and poking things just to see what happens.',
+};
+
+/**
+ * Creates an error carrying the HTTP status and code the proxy should answer with.
+ * @param {number} status - HTTP status code.
+ * @param {string} message - Error message.
+ * @param {string} code - Machine-readable error code.
+ * @returns {Error}
+ * @private
+ */
+function _promptError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Escapes a string for literal use inside a RegExp.
+ * @param {string} text - The text to escape.
+ * @returns {string}
+ * @private
+ */
+function _escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Trims a client-supplied string to a single bounded line of state data.
+ * @param {*} value - The value to clean.
+ * @param {number} [maxLength=MAX_STATE_STRING_LENGTH] - Maximum length kept.
+ * @returns {string} The cleaned string, or '' for non-strings.
+ * @private
+ */
+function _cleanString(value, maxLength = MAX_STATE_STRING_LENGTH) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/g, ' ').trim().substring(0, maxLength);
+}
+
+/**
+ * Clamps a client-supplied number to an integer range.
+ * @param {*} value - The value to clamp.
+ * @param {number} min - Lower bound.
+ * @param {number} max - Upper bound.
+ * @param {number} fallback - Used when the value is not a finite number.
+ * @returns {number}
+ * @private
+ */
+function _clampInt(value, min, max, fallback) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(value)));
+}
+
+/**
+ * Parses a JSON prompt helper file, returning an empty object if it is missing or malformed.
+ * @param {string} themeId - The theme whose prompts-config.json lists the file.
+ * @param {string} promptKey - The prompt key.
+ * @returns {Promise<object>}
+ * @private
+ */
+async function _loadJsonPrompt(themeId, promptKey) {
+  const content = await getThemePromptFile(themeId, promptKey);
+  if (!content) return {};
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    logger.error(`[PromptBuilder] Failed to parse '${promptKey}' for theme '${themeId}':`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Selects the correct language string from a potentially bilingual lore value.
+ * Evolved lore is stored either as plain text or as a JSON object keyed by language.
+ * @param {string|null} lore - The stored lore.
+ * @param {string} language - The narrative language.
+ * @returns {string} The monolingual lore string, or '' if none.
+ * @private
+ */
+function _selectLocalizedLore(lore, language) {
+  if (typeof lore !== 'string' || lore.trim() === '') return '';
+  if (lore.trim().startsWith('{')) {
+    try {
+      const parsed = JSON.parse(lore);
+      return parsed[language] || parsed.en || '';
+    } catch (error) {
+      return lore;
+    }
+  }
+  return lore;
+}
+
+/**
+ * Extracts the text of the recent user/model turns, keeping only the recent interaction window.
+ * @param {Array<object>} contents - The validated request contents.
+ * @returns {Array<{role: string, parts: Array<{text: string}>}>}
+ * @private
+ */
+function _recentHistory(contents) {
+  return contents
+    .map(turn => ({ role: turn.role, parts: [{ text: turn.parts.map(part => part.text).join('') }] }))
+    .slice(-RECENT_INTERACTION_WINDOW_SIZE);
+}
+
+/**
+ * Resolves the conversation a prompt is built on. A signed-in player's history is the one saved with the slot,
+ * followed by the action being sent now (the request's trailing user turn); a guest's comes from the request.
+ * @param {object|null} user - The authenticated user, if any.
+ * @param {object|null} gameState - The stored save slot, with `game_history`.
+ * @param {Array<object>} contents - The validated request contents.
+ * @returns {Array<{role: string, parts: Array<{text: string}>}>}
+ * @private
+ */
+function _resolveHistory(user, gameState, contents) {
+  if (!user?.id) return _recentHistory(contents);
+  const storedTurns = (Array.isArray(gameState?.game_history) ? gameState.game_history : [])
+    .filter(turn => (turn?.role === 'user' || turn?.role === 'model') && Array.isArray(turn.parts)
+      && turn.parts.every(part => typeof part?.text === 'string'));
+  const lastTurn = contents[contents.length - 1];
+  return _recentHistory([...storedTurns, ...(lastTurn?.role === 'user' ? [lastTurn] : [])]);
+}
+
+/**
+ * Derives the previous narrative beat and the latest player action from the conversation.
+ * @param {Array<object>} history - Recent history from `_recentHistory`.
+ * @returns {{lastNarrativeBeat: string, lastPlayerAction: string|null}}
+ * @private
+ */
+function _lastTurnContext(history) {
+  const lastModelTurn = history.slice().reverse().find(turn => turn.role === 'model');
+  const lastUserTurn = history.slice().reverse().find(turn => turn.role === 'user');
+  let lastNarrativeBeat = 'This is the first turn of the game.';
+  if (lastModelTurn) {
+    try {
+      const modelData = JSON.parse(lastModelTurn.parts[0].text);
+      if (modelData.narrative) lastNarrativeBeat = modelData.narrative;
+    } catch (error) {
+      lastNarrativeBeat = "Error parsing previous turn's narrative.";
+    }
+  }
+  return { lastNarrativeBeat, lastPlayerAction: lastUserTurn ? lastUserTurn.parts[0].text : null };
+}
+
+/**
+ * Loads the persistent state of a signed-in player for a theme.
+ * @param {object|null} user - The authenticated user, if any.
+ * @param {string} themeId - The theme ID.
+ * @param {string|null} slotId - The save slot being played; without one, the most recently played slot.
+ * @param {boolean} includeWorldShards - Whether to load the player's active World Shards.
+ * @returns {Promise<{gameState: object|null, progress: object|null, worldShards: Array<object>}>}
+ * @private
+ */
+async function _loadStoredPlayerState(user, themeId, slotId, includeWorldShards) {
+  if (!user?.id) return { gameState: null, progress: null, worldShards: [] };
+  const [gameState, progress, worldShards] = await Promise.all([
+    findSaveSlot({ userId: user.id, themeId, slotId }, {
+      select: {
+        id: true, game_history_lore: true, game_history_summary: true, equipped_items: true, session_inventory: true, regeneration_pending: true,
+        regeneration_hint: true, head_checkpoint_id: true, xp_withheld_through_turn: true, active_conditions: true, last_dashboard_updates: true,
+        last_game_state_indicators: true, game_history: true, pending_world_shard: true,
+      },
+    }),
+    prisma.userThemeProgress.findUnique({
+      where: { userId_themeId: { userId: user.id, themeId } },
+    }),
+    includeWorldShards
+      ? prisma.userThemePersistedLore.findMany({
+        where: { userId: user.id, themeId, isActiveForNewGames: true },
+        select: { loreFragmentKey: true, loreFragmentTitle: true, loreFragmentContent: true, unlockConditionDescription: true },
+      })
+      : Promise.resolve([]),
+  ]);
+  return { gameState, progress, worldShards };
+}
+
+/**
+ * Resolves the character's level, attribute bonuses and acquired traits.
+ * Stored progress wins for signed-in players. Trait keys must exist in the theme's traits.json and
+ * are capped at one per level; the client's keys are only used before the first trait has been saved.
+ * @param {object|null} storedProgress - UserThemeProgress row, if any.
+ * @param {object} clientProgress - `prompt_context.character_progress`.
+ * @param {object} themeTraits - The theme's trait definitions.
+ * @returns {{level: number, maxIntegrityBonus: number, maxWillpowerBonus: number, aptitudeBonus: number, resilienceBonus: number, acquiredTraitKeys: string[]}}
+ * @private
+ */
+function _resolveProgress(storedProgress, clientProgress, themeTraits) {
+  const source = storedProgress || clientProgress || {};
+  const level = _clampInt(source.level, 1, MAX_PLAYER_LEVEL, 1);
+  const storedTraitKeys = Array.isArray(storedProgress?.acquiredTraitKeys) ? storedProgress.acquiredTraitKeys : [];
+  const candidateTraitKeys = storedTraitKeys.length > 0 ? storedTraitKeys : (clientProgress?.acquiredTraitKeys || []);
+  const acquiredTraitKeys = (Array.isArray(candidateTraitKeys) ? candidateTraitKeys : [])
+    .filter(key => typeof key === 'string' && Object.prototype.hasOwnProperty.call(themeTraits, key))
+    .slice(0, level);
+  // A retired character's heirloom trait carries over on top of the level's trait slots.
+  const heirloomTraitKey = storedProgress?.heirloomTraitKey;
+  if (typeof heirloomTraitKey === 'string' && Object.prototype.hasOwnProperty.call(themeTraits, heirloomTraitKey)
+    && !acquiredTraitKeys.includes(heirloomTraitKey)) {
+    acquiredTraitKeys.push(heirloomTraitKey);
+  }
+  return {
+    level,
+    maxIntegrityBonus: _clampInt(source.maxIntegrityBonus, 0, 1000, 0),
+    maxWillpowerBonus: _clampInt(source.maxWillpowerBonus, 0, 1000, 0),
+    aptitudeBonus: _clampInt(source.aptitudeBonus, 0, 100, 0),
+    resilienceBonus: _clampInt(source.resilienceBonus, 0, 100, 0),
+    acquiredTraitKeys,
+  };
+}
+
+/**
+ * Builds the localized name/description payload for the acquired traits.
+ * @param {string[]} traitKeys - Validated trait keys.
+ * @param {object} themeTraits - The theme's trait definitions.
+ * @param {string} language - The narrative language.
+ * @returns {string} A JSON string.
+ * @private
+ */
+function _buildAcquiredTraitsPayload(traitKeys, themeTraits, language) {
+  const traitsPayload = {};
+  traitKeys.forEach(key => {
+    const localizedTraitData = themeTraits[key]?.[language] ?? themeTraits[key]?.en;
+    if (localizedTraitData) {
+      traitsPayload[key] = { name: localizedTraitData.name, description: localizedTraitData.description };
+    }
+  });
+  return JSON.stringify(traitsPayload, null, 2);
+}
+
+/**
+ * Builds the localized payload for conditions: the active ones (with stacks and remaining turns) or the
+ * theme's catalogue (with duration and stacking rule).
+ * @param {Array<object>} conditions - From `describeConditions`, or catalogue conditions.
+ * @param {string} language - The narrative language.
+ * @returns {string} A JSON string.
+ * @private
+ */
+function _buildConditionsPayload(conditions, language) {
+  return JSON.stringify(conditions.map(condition => ({
+    id: condition.id,
+    name: condition.name?.[language] ?? condition.name?.en,
+    description: condition.description?.[language] ?? condition.description?.en,
+    ...(condition.remainingTurns !== undefined
+      ? { stacks: condition.stacks, remainingTurns: condition.remainingTurns }
+      : { duration: condition.duration, stacking: condition.stacking }),
+    attributes: condition.attributes,
+    rolls: condition.rolls,
+  })), null, 2);
+}
+
+/**
+ * Resolves the equipped items. The saved game state is authoritative; when it has no equipment yet
+ * (e.g. on the first turn of a new session) the client's item IDs are looked up in the theme's item catalog.
+ * Unknown IDs are dropped, so the client can never describe an item's effects itself.
+ * @param {string} themeId - The theme ID.
+ * @param {object} themeConfig - The theme configuration.
+ * @param {object|null} storedEquippedItems - `GameState.equipped_items`, if any.
+ * @param {object} clientItemIds - `prompt_context.equipped_item_ids` ({ slotKey: itemId }).
+ * @returns {Promise<object>} Equipped item objects keyed by slot.
+ * @private
+ */
+async function _resolveEquippedItems(themeId, themeConfig, storedEquippedItems, clientItemIds) {
+  if (storedEquippedItems && typeof storedEquippedItems === 'object' && Object.keys(storedEquippedItems).length > 0) {
+    return storedEquippedItems;
+  }
+  const equippedItems = {};
+  const slots = themeConfig.equipment_slots || {};
+  for (const [slotKey, itemId] of Object.entries(clientItemIds || {})) {
+    if (!slots[slotKey] || slots[slotKey].type === 'money' || typeof itemId !== 'string') continue;
+    const catalog = await getThemeItemCatalog(themeId, slotKey);
+    const item = catalog.find(candidate => candidate.id === itemId);
+    if (item) equippedItems[slotKey] = item;
+  }
+  return equippedItems;
+}
+
+/**
+ * Resolves the backpack contents: the saved game state's inventory, which the server owns, or else (for guests
+ * and slots saved before inventories were stored) the client's item IDs looked up in the theme's item catalogs
+ * (unknown IDs are dropped).
+ * @param {string} themeId - The theme ID.
+ * @param {object} themeConfig - The theme configuration.
+ * @param {Array<object>|null} storedInventory - `GameState.session_inventory`, if any.
+ * @param {Array<string>} clientItemIds - `prompt_context.inventory_item_ids`.
+ * @returns {Promise<Array<object>>}
+ * @private
+ */
+async function _resolveInventory(themeId, themeConfig, storedInventory, clientItemIds) {
+  if (Array.isArray(storedInventory)) {
+    return storedInventory;
+  }
+  if (!Array.isArray(clientItemIds) || clientItemIds.length === 0) return [];
+  const catalogItems = [];
+  for (const [slotKey, slot] of Object.entries(themeConfig.equipment_slots || {})) {
+    if (slot.type !== 'money') catalogItems.push(...await getThemeItemCatalog(themeId, slotKey));
+  }
+  return clientItemIds
+    .filter(itemId => typeof itemId === 'string')
+    .slice(0, MAX_INVENTORY_ITEMS)
+    .map(itemId => catalogItems.find(item => item.id === itemId))
+    .filter(Boolean);
+}
+
+/**
+ * Builds the localized payload for the equipped items.
+ * @param {object} equippedItems - Equipped item objects keyed by slot.
+ * @param {string} language - The narrative language.
+ * @returns {string} A JSON string.
+ * @private
+ */
+function _buildEquippedItemsPayload(equippedItems, language) {
+  const filteredPayload = {};
+  for (const [slotKey, item] of Object.entries(equippedItems)) {
+    if (!item) continue;
+    filteredPayload[slotKey] = {
+      id: item.id,
+      name: item.name?.[language] || item.name?.en,
+      itemType: item.itemType,
+      attributes: item.attributes?.[language] || item.attributes?.en,
+      abilities: item.abilities?.[language] || item.abilities?.en,
+      itemEffectDescription: item.itemEffectDescription?.[language] || item.itemEffectDescription?.en,
+      level: item.level,
+    };
+  }
+  return JSON.stringify(filteredPayload, null, 2);
+}
+
+/**
+ * Keeps only the configured dashboard/indicator IDs with primitive values, trimming strings.
+ * @param {*} values - Client-supplied values.
+ * @param {Set<string>} allowedIds - IDs declared in the theme's dashboard configuration.
+ * @returns {object}
+ * @private
+ */
+function _sanitizeStateValues(values, allowedIds) {
+  const sanitized = {};
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return sanitized;
+  for (const [key, value] of Object.entries(values)) {
+    if (!allowedIds.has(key)) continue;
+    if (typeof value === 'string') sanitized[key] = _cleanString(value);
+    else if (typeof value === 'number' && Number.isFinite(value)) sanitized[key] = value;
+    else if (typeof value === 'boolean') sanitized[key] = value;
+  }
+  return sanitized;
+}
+
+/**
+ * Collects the IDs declared in a theme's dashboard configuration.
+ * @param {object} dashboardConfig - The theme's `dashboard_config`.
+ * @returns {{dashboardIds: Set<string>, indicatorIds: Set<string>}}
+ * @private
+ */
+function _dashboardIds(dashboardConfig = {}) {
+  const panelItems = [
+    ...(dashboardConfig.top_panel || []),
+    ...[...(dashboardConfig.left_panel || []), ...(dashboardConfig.right_panel || [])].flatMap(panel => panel.items || []),
+  ];
+  const indicatorIds = new Set((dashboardConfig.game_state_indicators || []).map(indicator => indicator.id));
+  indicatorIds.add('activity_status');
+  return { dashboardIds: new Set(panelItems.map(item => item.id)), indicatorIds };
+}
+
+/**
+ * Generates descriptive strings for dashboard panels to be used in the AI prompt.
+ * @param {object} themeConfig - The theme configuration.
+ * @param {string} language - The narrative language.
+ * @returns {{topPanel: string, sidePanels: string, indicators: string}}
+ * @private
+ */
+function _generateDashboardDescriptions(themeConfig, language) {
+  const dashboardConfig = themeConfig.dashboard_config;
+  if (!dashboardConfig) return { topPanel: '', sidePanels: '', indicators: '' };
+  const equipmentSlotIds = Object.values(themeConfig.equipment_slots || {}).map(slot => slot.id);
+
+  const createDescription = (item) => {
+    let desc = `// "${item.id}": "${item.type} (${item.short_description || 'No description available.'})"`;
+    if (item.must_translate) desc += ` This value MUST be in ${language.toUpperCase()}.`;
+    return desc;
+  };
+
+  const topPanel = (dashboardConfig.top_panel || []).map(createDescription).join(',\n');
+  const sidePanelItems = [...(dashboardConfig.left_panel || []), ...(dashboardConfig.right_panel || [])].flatMap(p => p.items || []);
+  const sidePanels = sidePanelItems.filter(item => !equipmentSlotIds.includes(item.id)).map(createDescription).join(',\n');
+
+  let indicators = (dashboardConfig.game_state_indicators || []).map(indicator =>
+    `"${indicator.id}": "boolean (${indicator.short_description || 'No description.'} Default: ${indicator.default_value})",`
+  ).join('\n');
+  if (!indicators.includes('"activity_status"')) {
+    indicators += `\n"activity_status": "string (MUST reflect the ongoing primary activity described in the narrative, IN THE NARRATIVE LANGUAGE.)",`;
+  }
+
+  return { topPanel, sidePanels, indicators: indicators.trim().replace(/,$/, '') };
+}
+
+/**
+ * Injects text values from a source object into placeholders like `${key_suffix}`.
+ * @param {string} text - The text to process.
+ * @param {string} suffix - The placeholder suffix (e.g., 'master_texts').
+ * @param {object} sourceObject - Key-value pairs of text.
+ * @returns {string}
+ * @private
+ */
+function _injectTextFromObject(text, suffix, sourceObject) {
+  const regex = new RegExp(`\\$\\{([a-zA-Z0-9_]+)_${suffix}\\}`, 'g');
+  return text.replace(regex, (match, key) => {
+    if (sourceObject[key]) return sourceObject[key];
+    logger.warn(`[PromptBuilder] Core text key '${key}' not found for suffix '${suffix}'.`);
+    return `// Core text key "${key}" not found.`;
+  });
+}
+
+/**
+ * Injects sections of a JSON helper into placeholders like `${key_mechanics_payload}`.
+ * @param {string} text - The prompt text.
+ * @param {string} placeholderKey - The key for the placeholder (e.g., 'mechanics').
+ * @param {object} jsonContent - The parsed JSON object to inject.
+ * @returns {string}
+ * @private
+ */
+function _injectJsonPayload(text, placeholderKey, jsonContent) {
+  const regex = new RegExp(`\\$\\{([a-zA-Z0-9_]+)_${placeholderKey}_payload\\}`, 'g');
+  return text.replace(regex, (match, key) => {
+    if (jsonContent[key]) return JSON.stringify(jsonContent[key], null, 2);
+    logger.warn(`[PromptBuilder] Mechanics payload key '${key}' not found in ${placeholderKey}.`);
+    return `// Mechanics key "${key}" not found.`;
+  });
+}
+
+/**
+ * Replaces `{{HELPER_RANDOM_LINE:key}}` placeholders with a random line of the named helper file.
+ * @param {string} text - The prompt text.
+ * @param {string} themeId - The theme ID (falls back to master helpers).
+ * @returns {Promise<string>}
+ * @private
+ */
+async function _injectRandomLineHelpers(text, themeId) {
+  const helperKeys = [...new Set([...text.matchAll(/{{HELPER_RANDOM_LINE:([a-zA-Z0-9_]+)}}/g)].map(match => match[1]))];
+  const helperLines = {};
+  for (const helperKey of helperKeys) {
+    const helperContent = await getThemePromptFile(themeId, helperKey) || await getThemePromptFile('master', helperKey);
+    helperLines[helperKey] = helperContent ? helperContent.split('\n').map(s => s.trim()).filter(Boolean) : [];
+    if (helperLines[helperKey].length === 0) logger.warn(`[PromptBuilder] Helper file for key '${helperKey}' not found or empty.`);
+  }
+  return text.replace(/{{HELPER_RANDOM_LINE:([a-zA-Z0-9_]+)}}/g, (match, helperKey) => {
+    const lines = helperLines[helperKey];
+    return lines.length > 0 ? lines[Math.floor(Math.random() * lines.length)] : match;
+  });
+}
+
+/**
+ * Replaces `${key}` placeholders until the text stops changing, resolving nested placeholders.
+ * Only for the theme's and the server's own texts; player data goes through `_insertDataValues`.
+ * @param {string} text - The prompt text.
+ * @param {object} replacements - Placeholder names mapped to their values.
+ * @returns {string}
+ * @private
+ */
+function _applyReplacements(text, replacements) {
+  const patterns = Object.entries(replacements).map(([key, value]) => [new RegExp(`\\$\\{${_escapeRegExp(key)}\\}`, 'g'), String(value)]);
+  let processedText = text;
+  let previousText;
+  let iterations = 0;
+  do {
+    previousText = processedText;
+    for (const [pattern, value] of patterns) {
+      processedText = processedText.replace(pattern, () => value);
+    }
+    iterations++;
+  } while (processedText !== previousText && iterations < MAX_REPLACEMENT_PASSES);
+  if (iterations === MAX_REPLACEMENT_PASSES) {
+    logger.warn('[PromptBuilder] Prompt replacement reached max iterations. Possible circular dependency.');
+  }
+  return processedText;
+}
+
+/**
+ * Renders a value for a data placeholder: strings as quoted, escaped literals, other values as they print.
+ * @param {string|number|boolean} value - The value.
+ * @returns {string}
+ * @private
+ */
+function _literal(value) {
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Inserts player data into its `${key}` placeholders in a single pass, so placeholders within the inserted values
+ * are never expanded. Placeholders without a value are left as they are.
+ * @param {string} text - The prompt text, with its template placeholders already resolved.
+ * @param {object} values - Placeholder names mapped to the text to insert (see `_literal`).
+ * @returns {string}
+ * @private
+ */
+function _insertDataValues(text, values) {
+  return text.replace(/\$\{([^}]+)\}/g, (match, key) => (Object.hasOwn(values, key) ? String(values[key]) : match));
+}
+
+/**
+ * Tells whether a prompts-config entry is a GM prompt template (as opposed to a helper file).
+ * @param {string} promptKey - The key under `PROMPT_URLS`.
+ * @param {string|undefined} promptUrl - Its path.
+ * @returns {boolean}
+ * @private
+ */
+function _isTurnPromptTemplate(promptKey, promptUrl) {
+  return typeof promptUrl === 'string' && promptUrl.endsWith('.txt') && !promptUrl.includes('/helpers/') && promptKey !== 'master_lore_deep_dive';
+}
+
+/**
+ * Lists the prompt types a client may request for a regular turn: the GM prompt templates of the theme and of the
+ * master prompts, except the initial prompt, which only starts a new game.
+ * @param {string} themeId - The theme ID.
+ * @returns {Promise<Set<string>>}
+ * @private
+ */
+async function _allowedPromptTypes(themeId) {
+  const themePromptUrls = (await getThemeJsonFile(themeId, 'prompts-config.json'))?.PROMPT_URLS || {};
+  const masterPromptUrls = (await getThemeJsonFile('master', 'prompts-config.json'))?.PROMPT_URLS || {};
+  return new Set(Object.entries({ ...masterPromptUrls, ...themePromptUrls })
+    .filter(([promptKey, promptUrl]) => promptKey !== 'master_initial' && _isTurnPromptTemplate(promptKey, promptUrl))
+    .map(([promptKey]) => promptKey));
+}
+
+/**
+ * Loads the base GM prompt template for a turn, falling back to the master prompts.
+ * @param {string} themeId - The theme ID.
+ * @param {string} requestedKey - The preferred prompt key.
+ * @returns {Promise<{basePromptKey: string, basePromptText: string}>}
+ * @throws {Error} If no usable template exists.
+ * @private
+ */
+async function _loadBasePrompt(themeId, requestedKey) {
+  const themePromptUrls = (await getThemeJsonFile(themeId, 'prompts-config.json'))?.PROMPT_URLS || {};
+  const masterPromptUrls = (await getThemeJsonFile('master', 'prompts-config.json'))?.PROMPT_URLS || {};
+  if (_isTurnPromptTemplate(requestedKey, themePromptUrls[requestedKey])) {
+    const text = await getThemePromptFile(themeId, requestedKey);
+    if (text) return { basePromptKey: requestedKey, basePromptText: text };
+  }
+  const fallbackKey = requestedKey.startsWith('master_') && _isTurnPromptTemplate(requestedKey, masterPromptUrls[requestedKey]) ? requestedKey : 'master_default';
+  const text = await getThemePromptFile('master', fallbackKey);
+  if (!text) throw _promptError(500, `Critical prompt file missing for key "${fallbackKey}".`, 'PROMPT_TEMPLATE_MISSING');
+  return { basePromptKey: fallbackKey, basePromptText: text };
+}
+
+/**
+ * Cleans the World Shard a mull-over turn proposed, as stored with the save slot or sent by a guest's client.
+ * @param {*} shard - The shard (`key_suggestion`, `title`, `content`, `unlock_condition_description`).
+ * @returns {object|null} The cleaned shard, or null if it has no title or content.
+ * @private
+ */
+function _sanitizePendingShard(shard) {
+  if (!shard || typeof shard !== 'object') return null;
+  const sanitized = {
+    key_suggestion: _cleanString(shard.key_suggestion, 100),
+    title: _cleanString(shard.title, 200),
+    content: _cleanString(shard.content, 2000),
+    unlock_condition_description: _cleanString(shard.unlock_condition_description),
+  };
+  return sanitized.title && sanitized.content ? sanitized : null;
+}
+
+/**
+ * Builds the "World Shard finalization" instruction for a turn that resolves a pending shard.
+ * The shard and the player's interpretation are data placeholders, filled in by `_insertDataValues`.
+ * @returns {string}
+ * @private
+ */
+function _buildShardFinalizationInstruction() {
+  return `
+### CRITICAL OVERRIDE: WORLD SHARD FINALIZATION
+You have previously proposed a World Shard. The player has now chosen how to interpret this discovery. Your task is to finalize this process.
+
+- **Proposed Shard Title:** \${pending_shard_title}
+- **Proposed Shard Content:** \${pending_shard_content}
+- **Player's Chosen Interpretation:** \${pending_shard_interpretation}
+
+**YOUR TASKS FOR THIS TURN:**
+1.  **Evolve the World Lore:** Your HIGHEST PRIORITY is to rewrite the 'Evolved World Lore' to integrate the player's chosen interpretation. This is a permanent change. The world has now changed based on their insight.
+2.  **Regenerate the Unlock Object:** In your JSON response, you MUST include the \`new_persistent_lore_unlock\` object again, using the EXACT same data as the original proposal: \`key_suggestion: \${pending_shard_key_suggestion}, title: \${pending_shard_title}, content: \${pending_shard_content}, unlock_condition_description: \${pending_shard_unlock_condition_description}\`. This is critical for saving.
+3.  **Continue the Narrative:** Write a new main narrative that flows from this newly established truth.
+`;
+}
+
+/**
+ * Keeps the World Shard a mull-over turn proposed with the save slot, for the deep dive and the turn that finalizes
+ * it, or clears it once that turn has been played.
+ * @param {string} gameStateId - The save slot.
+ * @param {object|null} shard - The turn's `new_persistent_lore_unlock`, or null to clear the pending shard.
+ * @returns {Promise<void>}
+ */
+export async function savePendingShard(gameStateId, shard) {
+  await prisma.gameState.update({ where: { id: gameStateId }, data: { pending_world_shard: _sanitizePendingShard(shard) } });
+}
+
+/**
+ * Picks three distinct start ideas for the initial prompt.
+ * @param {string} themeId - The theme ID.
+ * @param {string} themeName - Localized theme name, used for generic fallbacks.
+ * @returns {Promise<string[]>}
+ * @private
+ */
+async function _selectStartIdeas(themeId, themeName) {
+  const startsContent = await getThemePromptFile(themeId, 'starts') || await getThemePromptFile('master', 'starts');
+  const allStarts = startsContent ? startsContent.split('\n').map(s => s.trim()).filter(Boolean) : [];
+  const selectedStarts = allStarts.sort(() => 0.5 - Math.random()).slice(0, 3);
+  while (selectedStarts.length < 3) selectedStarts.push(`Generic ${themeName} scenario ${selectedStarts.length + 1}`);
+  return selectedStarts;
+}
+
+/**
+ * Builds the system prompt for a regular game turn.
+ * @param {object} params
+ * @param {string} params.themeId - The theme ID.
+ * @param {object} params.themeConfig - The theme configuration.
+ * @param {string} params.language - The narrative language.
+ * @param {object|null} params.user - The authenticated user, if any.
+ * @param {string|null} params.slotId - The save slot being played, if any.
+ * @param {boolean} params.isInitialTurn - Whether this turn starts a new game.
+ * @param {Array<object>} params.contents - The validated request contents.
+ * @param {object} params.promptContext - The request's `prompt_context`.
+ * @returns {Promise<{text: string, history: Array<object>, playerSnapshot: object}>} The system instruction text,
+ *   the conversation it continues, and the resolved player data it was built from (see `assemblePromptRequest`).
+ * @private
+ */
+async function _buildTurnSystemPrompt({ themeId, themeConfig, language, user, slotId, isInitialTurn, contents, promptContext }) {
+  const themeTexts = await getThemeTexts(themeId, language) || {};
+  const themeText = (key) => (key && typeof themeTexts[key] === 'string' ? themeTexts[key] : key || '');
+  const themeTraits = await _loadJsonPrompt(themeId, 'traits');
+  const stored = await _loadStoredPlayerState(user, themeId, slotId, isInitialTurn && promptContext.use_evolved_world === true);
+  // A new game starts from the player's opening message alone.
+  const history = isInitialTurn ? _recentHistory(contents).slice(-1) : _resolveHistory(user, stored.gameState, contents);
+
+  // 1. Determine the base prompt template
+  // A signed-in player's dashboard state, including the server-owned currency, and pending shard are the ones stored
+  // with the save slot; only a guest's come from the client.
+  const { dashboardIds, indicatorIds } = _dashboardIds(themeConfig.dashboard_config);
+  const isSignedIn = Boolean(user?.id);
+  const lastDashboardUpdates = _sanitizeStateValues(isSignedIn ? stored.gameState?.last_dashboard_updates : promptContext.last_dashboard_updates, dashboardIds);
+  const currencySlot = getCurrencySlot(themeConfig);
+  const lastGameStateIndicators = _sanitizeStateValues(isSignedIn ? stored.gameState?.last_game_state_indicators : promptContext.last_game_state_indicators, indicatorIds);
+  const pendingShard = isInitialTurn ? null : _sanitizePendingShard(isSignedIn ? stored.gameState?.pending_world_shard : promptContext.pending_shard);
+  const requestedPromptType = _cleanString(promptContext.prompt_type, 100);
+  let requestedPromptKey = 'master_initial';
+  if (!isInitialTurn) {
+    const allowedPromptTypes = await _allowedPromptTypes(themeId);
+    requestedPromptKey = lastGameStateIndicators.generate_item_reward ? 'master_items' : (allowedPromptTypes.has(requestedPromptType) ? requestedPromptType : 'master_default');
+  }
+  // If a shard is pending finalization, we MUST use the default prompt to handle the lore evolution.
+  if (pendingShard) requestedPromptKey = 'master_default';
+  const { basePromptKey, basePromptText } = await _loadBasePrompt(themeId, requestedPromptKey);
+
+  // 2. Inject complex templates (which may contain simple placeholders)
+  const coreMechanics = await _loadJsonPrompt('master', 'core_mechanics');
+  const masterCoreTexts = await _loadJsonPrompt('master', 'core_texts');
+  const themeCoreTexts = await _loadJsonPrompt(themeId, 'core_texts');
+  let processedPromptText = _injectJsonPayload(basePromptText, 'mechanics', coreMechanics);
+  processedPromptText = _injectTextFromObject(processedPromptText, 'master_texts', masterCoreTexts);
+  processedPromptText = _injectTextFromObject(processedPromptText, 'theme_texts', themeCoreTexts);
+  processedPromptText = await _injectRandomLineHelpers(processedPromptText, themeId);
+
+  const { lastNarrativeBeat, lastPlayerAction } = _lastTurnContext(history);
+  if (pendingShard) {
+    const instruction = _buildShardFinalizationInstruction();
+    processedPromptText = processedPromptText.replace('## MISSION', () => `## MISSION\n\n${instruction}`);
+  }
+
+  // 3. Resolve the character and define all value replacements
+  const progress = _resolveProgress(stored.progress, promptContext.character_progress, themeTraits);
+  const baseAttributes = themeConfig.base_attributes || {};
+  const effectiveMaxIntegrity = progress.maxIntegrityBonus + (baseAttributes.integrity || 100);
+  const effectiveMaxWillpower = progress.maxWillpowerBonus + (baseAttributes.willpower || 50);
+  const runStats = promptContext.run_stats || {};
+  const strainLevel = _clampInt(runStats.strainLevel, 1, MAX_STRAIN_LEVEL, 1);
+  const conditionCatalogue = await loadConditionCatalogue(themeId);
+  // A signed-in player's conditions are stored with the save slot; only a guest's come from the client. A new game
+  // starts without any.
+  const storedConditions = user?.id ? stored.gameState?.active_conditions : runStats.conditions;
+  const conditions = isInitialTurn ? [] : describeConditions(conditionCatalogue, resolveActiveConditions(conditionCatalogue, storedConditions));
+  const conditionModifiers = conditionAttributeModifiers(conditionCatalogue, conditions);
+  const effectiveAptitude = Math.max(0, progress.aptitudeBonus + (baseAttributes.aptitude || 10) + conditionModifiers.aptitude);
+  const effectiveResilience = Math.max(0, progress.resilienceBonus + (baseAttributes.resilience || 10) + conditionModifiers.resilience);
+  const equippedItems = await _resolveEquippedItems(themeId, themeConfig, stored.gameState?.equipped_items, promptContext.equipped_item_ids);
+  const levelMechanics = coreMechanics?.levelingTable?.data?.[progress.level - 1] || {};
+  const columnDefinitions = coreMechanics?.levelingTable?.columnDefinitions || {};
+  const promptsConfig = await getThemeJsonFile(themeId, 'prompts-config.json');
+  const narrativeLangParts = promptsConfig?.NARRATIVE_LANG_PROMPT_PARTS || {};
+  const themeInstructionsKey = `theme_instructions_${basePromptKey}_${themeId}`;
+  const storedName = _cleanString(stored.progress?.characterName, MAX_IDENTIFIER_LENGTH);
+  const baseLore = themeText(themeConfig.lore_key);
+
+  // Texts of the theme and the server, which may contain further placeholders
+  const templateReplacements = {
+    'narrativeLanguageInstruction': narrativeLangParts[language] || narrativeLangParts.en || `Narrative must be in ${language.toUpperCase()}.`,
+    'currentNarrativeLanguage.toUpperCase()': language.toUpperCase(),
+    'theme_name': themeText(themeConfig.name_key),
+    'theme_lore': baseLore,
+    'theme_category': themeText(themeConfig.category_key),
+    'theme_style': themeText(themeConfig.style_key),
+    'theme_tone': themeText(themeConfig.tone_key),
+    'theme_inspiration': themeText(themeConfig.inspiration_key),
+    'theme_concept': themeText(themeConfig.concept_key),
+    'theme_specific_instructions': themeTexts[themeInstructionsKey] || 'No specific instructions provided.',
+    'story_preference_user_description': STORY_PREFERENCE_DESCRIPTIONS[user?.story_preference] || 'User has not set a story preference.',
+  };
+  const descriptions = _generateDashboardDescriptions(themeConfig, language);
+  templateReplacements['generated_top_panel_description'] = descriptions.topPanel;
+  templateReplacements['generated_dashboard_description'] = descriptions.sidePanels;
+  templateReplacements['generated_game_state_indicators'] = descriptions.indicators;
+  if (masterCoreTexts.runtimeValues) {
+    templateReplacements['runtimeValues_master_texts'] = masterCoreTexts.runtimeValues;
+  }
+  if (basePromptKey === 'master_initial') {
+    const [startIdea1, startIdea2, startIdea3] = await _selectStartIdeas(themeId, templateReplacements.theme_name);
+    Object.assign(templateReplacements, { startIdea1, startIdea2, startIdea3 });
+  }
+
+  // The player's data, inserted as it is; text that came from a player or the AI is quoted by `_literal`
+  const dataValues = {
+    'currentNameForPrompt': _literal(storedName || _cleanString(promptContext.player_identifier, MAX_IDENTIFIER_LENGTH) || 'Unknown'),
+    'game_history_lore': _selectLocalizedLore(stored.gameState?.game_history_lore, language) || baseLore,
+    'game_history_summary': stored.gameState?.game_history_summary || 'No major long-term events have been summarized yet.',
+    'world_shards_json_payload': isInitialTurn ? JSON.stringify(stored.worldShards) : '[]',
+    'player_level_benchmarks_json': JSON.stringify(levelMechanics, null, 2),
+    'level_benchmarks_column_definitions_json': JSON.stringify(columnDefinitions, null, 2),
+    'last_dashboard_updates_json': JSON.stringify(lastDashboardUpdates, null, 2),
+    'last_game_state_indicators_json': JSON.stringify(lastGameStateIndicators, null, 2),
+    'last_narrative_beat': _literal(lastNarrativeBeat),
+    'last_player_action': _literal(lastPlayerAction || 'No previous player action.'),
+    ...Object.fromEntries(Object.entries({ ...lastDashboardUpdates, ...lastGameStateIndicators }).map(([key, value]) => [key, _literal(value)])),
+    'playerLevel': progress.level,
+    'currentIntegrity': _clampInt(runStats.currentIntegrity, 0, effectiveMaxIntegrity, effectiveMaxIntegrity),
+    'currentWillpower': _clampInt(runStats.currentWillpower, 0, effectiveMaxWillpower, effectiveMaxWillpower),
+    'effectiveMaxIntegrity': effectiveMaxIntegrity,
+    'effectiveMaxWillpower': effectiveMaxWillpower,
+    'effectiveAptitude': effectiveAptitude,
+    'effectiveResilience': effectiveResilience,
+    'acquiredTraitsJSON': _buildAcquiredTraitsPayload(progress.acquiredTraitKeys, themeTraits, language),
+    'equippedItemsPayload': _buildEquippedItemsPayload(equippedItems, language),
+    'currentStrainLevel': strainLevel,
+    'activeConditionsJSON': _buildConditionsPayload(conditions, language),
+    'conditionCatalogueJSON': _buildConditionsPayload([...conditionCatalogue.values()], language),
+  };
+  if (pendingShard) {
+    Object.assign(dataValues, {
+      'pending_shard_key_suggestion': _literal(pendingShard.key_suggestion),
+      'pending_shard_title': _literal(pendingShard.title),
+      'pending_shard_content': _literal(pendingShard.content),
+      'pending_shard_unlock_condition_description': _literal(pendingShard.unlock_condition_description),
+      'pending_shard_interpretation': _literal(lastPlayerAction || 'No specific implication provided.'),
+    });
+  }
+
+  // 4. Resolve the template placeholders over several passes, then insert the data in a single one
+  const isRegeneration = !isInitialTurn && stored.gameState?.regeneration_pending === true;
+  const regenerationInstruction = isRegeneration ? buildRegenerationInstruction(stored.gameState.regeneration_hint) : '';
+  return {
+    text: _insertDataValues(_applyReplacements(processedPromptText, templateReplacements), dataValues) + regenerationInstruction,
+    history,
+    playerSnapshot: {
+      gameStateId: stored.gameState?.id || null,
+      headCheckpointId: stored.gameState?.head_checkpoint_id || null,
+      isRegeneration,
+      isReplayedTurn: !isInitialTurn && await isReplayedTurn(stored.gameState),
+      level: progress.level,
+      aptitude: effectiveAptitude,
+      resilience: effectiveResilience,
+      strainLevel,
+      conditions,
+      equippedItems,
+      inventory: await _resolveInventory(themeId, themeConfig, stored.gameState?.session_inventory, promptContext.inventory_item_ids),
+      lastDashboardUpdates,
+      currencyBalance: currencySlot ? parseCurrencyBalance(lastDashboardUpdates[currencySlot.id]) : 0,
+      finalizesPendingShard: Boolean(pendingShard),
+    },
+  };
+}
+
+/**
+ * Builds the system prompt for a "lore deep dive" on a World Shard.
+ * @param {object} params
+ * @param {string} params.themeId - The theme ID.
+ * @param {object} params.themeConfig - The theme configuration.
+ * @param {string} params.language - The narrative language.
+ * @param {object|null} params.user - The authenticated user, if any.
+ * @param {string|null} params.slotId - The save slot being played, if any.
+ * @param {Array<object>} params.contents - The validated request contents.
+ * @param {{title: string, content: string}} params.shard - The shard to reflect on; a signed-in player reflects on
+ *   the one their last turn proposed, stored with the save slot.
+ * @returns {Promise<string>} The system instruction text.
+ * @throws {Error} With status 409 if a signed-in player's slot has no pending shard.
+ * @private
+ */
+async function _buildDeepDiveSystemPrompt({ themeId, themeConfig, language, user, slotId, contents, shard }) {
+  const basePromptText = await getThemePromptFile('master', 'master_lore_deep_dive');
+  if (!basePromptText) throw _promptError(500, 'Deep dive prompt template missing.', 'PROMPT_TEMPLATE_MISSING');
+  const themeTexts = await getThemeTexts(themeId, language) || {};
+  const baseLore = themeTexts[themeConfig.lore_key] || '';
+  const { gameState } = await _loadStoredPlayerState(user, themeId, slotId, false);
+  const pendingShard = _sanitizePendingShard(user?.id ? gameState?.pending_world_shard : shard);
+  if (!pendingShard) throw _promptError(409, 'There is no World Shard to reflect on in this run.', 'NO_PENDING_SHARD');
+  const { lastPlayerAction } = _lastTurnContext(_resolveHistory(user, gameState, contents));
+  const lastActionSnippet = lastPlayerAction
+    ? _literal(lastPlayerAction.substring(0, 150) + (lastPlayerAction.length > 150 ? '...' : ''))
+    : 'N/A';
+
+  const templateText = _applyReplacements(basePromptText, {
+    'theme_name': themeTexts[themeConfig.name_key] || themeId,
+    'currentNarrativeLanguage.toUpperCase()': language.toUpperCase(),
+  });
+  return _insertDataValues(templateText, {
+    'lore_fragment_title': _literal(pendingShard.title),
+    'lore_fragment_content': _literal(pendingShard.content),
+    'game_history_lore': _selectLocalizedLore(gameState?.game_history_lore, language) || baseLore,
+    'game_history_summary_snippet': `Prior Player Action: ${lastActionSnippet}`,
+  });
+}
+
+/**
+ * Assembles the provider request for a validated `/api/v1/gemini/generate` body.
+ * @param {object} body - The request body (`theme_id`, `slot_id`, `narrative_language`, `prompt_kind`, `contents`,
+ *   `is_initial_turn`, `prompt_context`, `shard`).
+ * @param {object|null} user - The authenticated user, if any.
+ * @returns {Promise<{systemInstruction: object, contents: Array<object>, generationConfig: object, safetySettings: Array<object>, themeConfig: object, playerSnapshot: object|null}>}
+ *   `playerSnapshot` ({ gameStateId, headCheckpointId, isRegeneration, isReplayedTurn, level, aptitude, resilience,
+ *   strainLevel, conditions, equippedItems, inventory, lastDashboardUpdates, currencyBalance, finalizesPendingShard })
+ *   is the validated player data of a regular turn, for the GM tools, roll modifiers and outcome limits; it is null
+ *   for deep dives.
+ * @throws {Error} With `status` and `code` when the theme, a prompt template or the shard of a deep dive cannot be
+ *   resolved.
+ */
+export async function assemblePromptRequest(body, user) {
+  const { theme_id: themeId, slot_id: slotId = null, narrative_language, prompt_kind, contents, is_initial_turn, prompt_context, shard } = body;
+  const themeConfig = await getThemeConfig(themeId);
+  if (!themeConfig) {
+    throw _promptError(400, `Unknown theme '${themeId}'.`, 'UNKNOWN_THEME');
+  }
+  const language = narrative_language || 'en';
+
+  if (prompt_kind === 'deep_dive') {
+    const systemPromptText = await _buildDeepDiveSystemPrompt({ themeId, themeConfig, language, user, slotId, contents, shard });
+    return {
+      systemInstruction: { parts: [{ text: systemPromptText }] },
+      contents: [{ role: 'user', parts: [{ text: DEEP_DIVE_USER_MESSAGE }] }],
+      generationConfig: { ...DEEP_DIVE_GENERATION_CONFIG },
+      safetySettings: SAFETY_SETTINGS,
+      themeConfig,
+      playerSnapshot: null,
+    };
+  }
+
+  const isInitialTurn = is_initial_turn === true;
+  const { text: systemPromptText, history, playerSnapshot } = await _buildTurnSystemPrompt({
+    themeId,
+    themeConfig,
+    language,
+    user,
+    slotId,
+    isInitialTurn,
+    contents,
+    promptContext: prompt_context || {},
+  });
+  return {
+    systemInstruction: { parts: [{ text: systemPromptText }] },
+    contents: history,
+    generationConfig: { ...TURN_GENERATION_CONFIG },
+    safetySettings: SAFETY_SETTINGS,
+    themeConfig,
+    playerSnapshot,
+  };
+}
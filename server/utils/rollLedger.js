@@ -0,0 +1,207 @@
+/**
+ * @file Seeded, auditable dice rolls for game states.
+ * Each game state rolls from a secret 256-bit seed whose SHA-256 commitment is published before its first
+ * roll. Every roll (player-initiated or the AI's rollDice calls) draws its dice from
+ * HMAC-SHA256(seed, "<sequence>:<block>") and is appended to the game state's ledger with its sequence number.
+ * Starting a new session (or an explicit reveal) reveals the seed and commits a fresh one, after which anyone
+ * can check the commitment and recompute every roll made with that seed.
+ */
+import crypto from 'crypto';
+import prisma from '../db.js';
+import logger from './logger.js';
+import { executeRolls } from './diceRoller.js';
+import { findSaveSlot } from './saveSlots.js';
+
+const SEED_BYTES = 32;
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Computes the public commitment of a seed.
+ * @param {string} seedHex - The seed, hex-encoded.
+ * @returns {string} The SHA-256 digest, hex-encoded.
+ */
+export function commitmentForSeed(seedHex) {
+  return crypto.createHash('sha256').update(Buffer.from(seedHex, 'hex')).digest('hex');
+}
+
+/**
+ * Creates the die roller for one ledger entry. Dice are drawn from 32-bit words of
+ * HMAC-SHA256(seed, "<sequence>:<block>") with rejection sampling, so every face is equally likely.
+ * @param {string} seedHex - The seed, hex-encoded.
+ * @param {number} sequence - The entry's sequence number under this seed.
+ * @returns {function(number): number} Rolls one die with the given number of sides.
+ */
+export function createSeededDieRoller(seedHex, sequence) {
+  const key = Buffer.from(seedHex, 'hex');
+  let block = 0;
+  let words = Buffer.alloc(0);
+  let offset = 0;
+  const nextWord = () => {
+    if (offset + 4 > words.length) {
+      words = crypto.createHmac('sha256', key).update(`${sequence}:${block++}`).digest();
+      offset = 0;
+    }
+    const word = words.readUInt32BE(offset);
+    offset += 4;
+    return word;
+  };
+  return (sides) => {
+    if (sides < 1) return 1;
+    const limit = Math.floor(UINT32_RANGE / sides) * sides;
+    let word = nextWord();
+    while (word >= limit) word = nextWord();
+    return (word % sides) + 1;
+  };
+}
+
+/**
+ * Serializes a value with object keys sorted, so results compare equal after a JSONB round trip
+ * (PostgreSQL does not keep key order).
+ * @param {*} value - The value.
+ * @returns {string}
+ * @private
+ */
+function _canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(_canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${_canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Returns the game state's unrevealed seed, committing a new one if there is none.
+ * @param {string} gameStateId - The game state's ID.
+ * @returns {Promise<object>} The `RollSeed` record.
+ * @private
+ */
+async function _activeSeed(gameStateId) {
+  const existing = await prisma.rollSeed.findFirst({
+    where: { gameStateId, revealedAt: null },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (existing) return existing;
+  const seed = crypto.randomBytes(SEED_BYTES).toString('hex');
+  const created = await prisma.rollSeed.create({
+    data: { gameStateId, seed, commitment: commitmentForSeed(seed) },
+  });
+  logger.info(`[RollLedger] Committed new roll seed ${created.commitment} for game state ${gameStateId}.`);
+  return created;
+}
+
+/**
+ * Rolls dice from the game state's seed and appends the roll to its ledger.
+ * @param {string} gameStateId - The game state's ID.
+ * @param {Array<object>} rollConfigs - Roll configurations for `executeRolls`.
+ * @param {string} source - 'player' for dice_roll_request rolls, 'ai' for rollDice tool calls.
+ * @returns {Promise<object[]>} The roll results, each with a `ledger` reference ({ commitment, sequence }).
+ * @private
+ */
+async function _rollWithLedger(gameStateId, rollConfigs, source) {
+  const activeSeed = await _activeSeed(gameStateId);
+  // The atomic increment hands out each sequence number once, even to concurrent turns.
+  const { nextSequence } = await prisma.rollSeed.update({
+    where: { id: activeSeed.id },
+    data: { nextSequence: { increment: 1 } },
+    select: { nextSequence: true },
+  });
+  const sequence = nextSequence - 1;
+  const results = executeRolls(rollConfigs, createSeededDieRoller(activeSeed.seed, sequence));
+  await prisma.rollLedgerEntry.create({
+    data: { gameStateId, seedId: activeSeed.id, sequence, source, rollConfigs, results },
+  });
+  return results.map(result => ({ ...result, ledger: { commitment: activeSeed.commitment, sequence } }));
+}
+
+/**
+ * Creates the dice roller for one turn. Signed-in players with a saved game state roll from the game state's
+ * seed and every roll is recorded; anyone else rolls unrecorded. Ledger failures fall back to unrecorded rolls
+ * so a database problem never blocks a turn.
+ * @param {string|null|undefined} userId - The player's user ID.
+ * @param {string} themeId - The theme of the game.
+ * @param {string|null} [slotId] - The save slot being played; without one, the most recently played slot.
+ * @returns {Promise<{roll: function(Array<object>, string): Promise<object[]>}>}
+ */
+export async function createTurnDiceRoller(userId, themeId, slotId = null) {
+  let gameStateId = null;
+  if (userId) {
+    try {
+      const gameState = await findSaveSlot({ userId, themeId, slotId }, { select: { id: true } });
+      gameStateId = gameState?.id || null;
+    } catch (error) {
+      logger.error(`[RollLedger] Failed to look up the game state of user ${userId} in '${themeId}':`, error.message);
+    }
+  }
+  return {
+    async roll(rollConfigs, source) {
+      if (!gameStateId || !Array.isArray(rollConfigs)) return executeRolls(rollConfigs);
+      try {
+        return await _rollWithLedger(gameStateId, rollConfigs, source);
+      } catch (error) {
+        logger.error(`[RollLedger] Failed to record a ${source} roll for game state ${gameStateId}; rolling unrecorded:`, error.message);
+        return executeRolls(rollConfigs);
+      }
+    },
+  };
+}
+
+/**
+ * Reveals the game state's current seed; the next roll commits a new one.
+ * @param {string} gameStateId - The game state's ID.
+ * @returns {Promise<number>} The number of seeds revealed (0 if none was active).
+ */
+export async function revealActiveSeed(gameStateId) {
+  const { count } = await prisma.rollSeed.updateMany({
+    where: { gameStateId, revealedAt: null },
+    data: { revealedAt: new Date() },
+  });
+  if (count > 0) logger.info(`[RollLedger] Revealed ${count} roll seed(s) for game state ${gameStateId}.`);
+  return count;
+}
+
+/**
+ * Loads a game state's roll ledger and verifies every roll whose seed has been revealed: the seed must match
+ * its commitment, and recomputing the roll from the seed must reproduce the recorded results.
+ * Unrevealed seeds are listed by commitment only, and their rolls are reported as 'pending'.
+ * @param {string} gameStateId - The game state's ID.
+ * @returns {Promise<{seeds: Array<object>, entries: Array<object>, summary: object}>}
+ */
+export async function getVerifiedLedger(gameStateId) {
+  const seeds = await prisma.rollSeed.findMany({ where: { gameStateId }, orderBy: { createdAt: 'asc' } });
+  const entries = await prisma.rollLedgerEntry.findMany({ where: { gameStateId }, orderBy: [{ createdAt: 'asc' }, { sequence: 'asc' }] });
+  const seedsById = new Map(seeds.map(seed => [seed.id, seed]));
+  const summary = { verified: 0, mismatch: 0, pending: 0 };
+
+  const seedViews = seeds.map(seed => ({
+    commitment: seed.commitment,
+    seed: seed.revealedAt ? seed.seed : null,
+    committedAt: seed.createdAt,
+    revealedAt: seed.revealedAt,
+    rollCount: seed.nextSequence,
+    commitmentValid: seed.revealedAt ? commitmentForSeed(seed.seed) === seed.commitment : null,
+  }));
+  const entryViews = entries.map(entry => {
+    const seed = seedsById.get(entry.seedId);
+    let status = 'pending';
+    if (seed?.revealedAt) {
+      const recomputed = executeRolls(entry.rollConfigs, createSeededDieRoller(seed.seed, entry.sequence));
+      const matches = commitmentForSeed(seed.seed) === seed.commitment
+        && _canonicalJson(recomputed) === _canonicalJson(entry.results);
+      status = matches ? 'verified' : 'mismatch';
+    }
+    summary[status] += 1;
+    return {
+      commitment: seed?.commitment || null,
+      sequence: entry.sequence,
+      source: entry.source,
+      rolledAt: entry.createdAt,
+      rollConfigs: entry.rollConfigs,
+      results: entry.results,
+      status,
+    };
+  });
+  return { seeds: seedViews, entries: entryViews, summary };
+}
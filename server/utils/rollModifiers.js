@@ -0,0 +1,150 @@
+/**
+ * @file Character-aware roll modifiers.
+ * Before a roll is made, the character's effective Aptitude or Resilience, Strain level, equipped gear and
+ * active conditions are turned into a flat bonus and advantage/disadvantage, following core_mechanics.json:
+ * +1 per 5 points of the rolled attribute over 10, Advantage at Strain level 1 and Disadvantage at levels 3-4
+ * on action rolls, "Advantage/Disadvantage on ..." effects of gear and the roll effects of active conditions
+ * (see conditions.js) whose subject matches the roll's `skill`. Advantage and disadvantage from different sources
+ * cancel out. The itemized breakdown travels
+ * with the roll config and is returned with the result.
+ */
+
+const ATTRIBUTE_BASELINE = 10;
+const ATTRIBUTE_POINTS_PER_BONUS = 5;
+export const ROLL_ATTRIBUTES = ['aptitude', 'resilience'];
+const STRAIN_ROLL_MODES = { 1: 'advantage', 3: 'disadvantage', 4: 'disadvantage' };
+const ROLL_MODE_EFFECT_PATTERN = /\b(advantage|disadvantage)\b\s*(?:on|vs\.?|versus|against|when|for|to)?\s*([^.;,()]*)/gi;
+const FLAT_EFFECT_PATTERN = /([+-]\d+)\s*(?:to|on)\s+([^.;,()]+)/gi;
+const UNIVERSAL_SUBJECT_PATTERN = /^(all|any|every|most)\b|^$/;
+const SUBJECT_STOPWORDS = new Set(['checks', 'check', 'saves', 'save', 'rolls', 'roll', 'made', 'against', 'effects', 'that', 'cause',
+  'caused', 'with', 'from', 'your', 'their', 'simple', 'minor', 'next', 'action', 'actions', 'throws', 'throw']);
+
+/**
+ * Splits an effect subject or skill into significant lower-case words.
+ * @param {string} text - The text.
+ * @returns {string[]}
+ * @private
+ */
+function _significantWords(text) {
+  return String(text || '').toLowerCase().split(/[^a-z]+/).filter(word => word.length >= 4 && !SUBJECT_STOPWORDS.has(word));
+}
+
+/**
+ * Whether an effect's subject applies to a roll.
+ * @param {string} subject - The effect's subject, e.g. 'checks to move silently'.
+ * @param {string[]} rollWords - Significant words of the roll's skill and attribute.
+ * @returns {boolean}
+ * @private
+ */
+function _subjectMatches(subject, rollWords) {
+  const normalized = subject.trim().toLowerCase();
+  if (UNIVERSAL_SUBJECT_PATTERN.test(normalized)) return true;
+  // Words match on a shared stem, so 'stealth' matches 'stealthy' and 'deceive' matches 'deception'.
+  return _significantWords(normalized).some(word => rollWords.some(rollWord => rollWord.startsWith(word.slice(0, 5)) || word.startsWith(rollWord.slice(0, 5))));
+}
+
+/**
+ * Collects the roll effects described in a text.
+ * @param {string} text - An item ability or item effect description.
+ * @returns {Array<{effect: string, subject: string}|{value: number, subject: string}>}
+ * @private
+ */
+function _describedEffects(text) {
+  if (typeof text !== 'string') return [];
+  const effects = [...text.matchAll(ROLL_MODE_EFFECT_PATTERN)].map(match => ({ effect: match[1].toLowerCase(), subject: match[2] }));
+  return effects.concat([...text.matchAll(FLAT_EFFECT_PATTERN)].map(match => ({ value: parseInt(match[1], 10), subject: match[2] })));
+}
+
+/**
+ * Builds the roll profile of a character from the turn's validated player data.
+ * Only gear in 'static' slots counts; consumables apply when they are used.
+ * @param {object} themeConfig - The theme's config.json.
+ * @param {object|null} playerSnapshot - Player data from `assemblePromptRequest`.
+ * @returns {object|null} The profile, or null without player data (deep dives).
+ */
+export function buildRollProfile(themeConfig, playerSnapshot) {
+  if (!playerSnapshot) return null;
+  const slots = themeConfig?.equipment_slots || {};
+  const gear = Object.entries(playerSnapshot.equippedItems || {})
+    .filter(([slotKey, item]) => slots[slotKey]?.type === 'static' && item)
+    .map(([, item]) => ({
+      name: item.name?.en || item.id,
+      texts: [item.itemEffectDescription?.en, ...(Array.isArray(item.abilities?.en) ? item.abilities.en : [])],
+    }));
+  return {
+    aptitude: playerSnapshot.aptitude ?? ATTRIBUTE_BASELINE,
+    resilience: playerSnapshot.resilience ?? ATTRIBUTE_BASELINE,
+    strainLevel: playerSnapshot.strainLevel ?? 1,
+    conditions: playerSnapshot.conditions || [],
+    gear,
+  };
+}
+
+/**
+ * Applies a character's roll profile to a roll configuration.
+ * The config's `attribute` ('aptitude' by default, 'resilience' for saves, 'none' to opt out, which only the AI's
+ * rolls may) picks the attribute bonus, and its `skill` (e.g. 'Stealth') is matched against gear and condition
+ * effects. Legacy advantage notation ('a2d20', 'd2d20') counts as one more advantage/disadvantage source.
+ * @param {object} rollConfig - The roll configuration from the player or the AI.
+ * @param {object|null} profile - Profile from `buildRollProfile`; without one (or with `attribute: 'none'` or a
+ *   `group`) the config is returned unchanged.
+ * @returns {object} A new roll configuration with `bonus`, `rollMode` and the itemized `modifiers`.
+ */
+export function applyRollModifiers(rollConfig, profile) {
+  if (!profile || !rollConfig || typeof rollConfig !== 'object' || typeof rollConfig.notation !== 'string') return rollConfig;
+  // Rolls that are not the character's (damage, random tables, group checks of NPCs or crew) take no character
+  // modifiers; in an opposed roll they apply to the actor's side.
+  if (rollConfig.attribute === 'none' || Array.isArray(rollConfig.group)) return rollConfig;
+  const modifiers = [];
+  let notation = rollConfig.notation;
+  const legacyMatch = notation.match(/^\s*([ad])2d(\d+)/i);
+  if (legacyMatch) {
+    notation = notation.replace(/^\s*[ad]2d/i, '1d');
+    modifiers.push({ source: 'notation', label: rollConfig.notation.trim(), effect: legacyMatch[1].toLowerCase() === 'a' ? 'advantage' : 'disadvantage' });
+  }
+
+  const attribute = ROLL_ATTRIBUTES.includes(rollConfig.attribute) ? rollConfig.attribute : 'aptitude';
+  const attributeValue = profile[attribute];
+  const attributeBonus = Math.max(0, Math.floor((attributeValue - ATTRIBUTE_BASELINE) / ATTRIBUTE_POINTS_PER_BONUS));
+  if (attributeBonus) {
+    modifiers.push({ source: 'attribute', label: `${attribute === 'aptitude' ? 'Aptitude' : 'Resilience'} ${attributeValue}`, value: attributeBonus });
+  }
+  if (attribute === 'aptitude' && STRAIN_ROLL_MODES[profile.strainLevel]) {
+    modifiers.push({ source: 'strain', label: `Strain level ${profile.strainLevel}`, effect: STRAIN_ROLL_MODES[profile.strainLevel] });
+  }
+
+  const rollWords = _significantWords(`${rollConfig.skill || ''} ${attribute}`);
+  const sources = [
+    ...profile.gear.map(item => ({ source: 'item', label: item.name, texts: item.texts })),
+    ...profile.conditions.map(condition => ({
+      source: 'condition',
+      label: condition.stacks > 1 ? `${condition.name?.en || condition.id} ×${condition.stacks}` : condition.name?.en || condition.id,
+      effects: (condition.rolls || []).map(roll => (roll.effect ? roll : { ...roll, value: roll.value * condition.stacks })),
+    })),
+  ];
+  for (const { source, label, texts, effects } of sources) {
+    const applied = new Set();
+    for (const described of effects || texts.flatMap(_describedEffects)) {
+      // Gear needs a named subject; a condition's effect without one applies to every roll.
+      if (source === 'item' && !described.subject.trim()) continue;
+      if (!_subjectMatches(described.subject, rollWords)) continue;
+      const key = described.effect || 'value';
+      if (applied.has(key)) continue;
+      applied.add(key);
+      modifiers.push(described.effect
+        ? { source, label, effect: described.effect }
+        : { source, label, value: described.value });
+    }
+  }
+
+  const advantages = modifiers.filter(modifier => modifier.effect === 'advantage').length;
+  const disadvantages = modifiers.filter(modifier => modifier.effect === 'disadvantage').length;
+  const rollMode = advantages > 0 && disadvantages > 0 ? 'normal' : advantages > 0 ? 'advantage' : disadvantages > 0 ? 'disadvantage' : 'normal';
+  return {
+    ...rollConfig,
+    notation,
+    bonus: modifiers.reduce((sum, modifier) => sum + (modifier.value || 0), 0),
+    rollMode,
+    modifiers,
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * @file Save slots: a player can keep several concurrent runs of a theme, each in its own `GameState` row.
+ * A slot is addressed by its game state ID. Requests that name no slot use the most recently played one, so
+ * clients that predate save slots keep working. Character progression (`UserThemeProgress`) is shared by all
+ * slots of a theme.
+ */
+import prisma from '../db.js';
+
+export const MAX_SAVE_SLOTS_PER_THEME = 5;
+const MAX_SLOT_NAME_LENGTH = 40;
+
+/**
+ * Finds a player's save slot for a theme.
+ * @param {object} where
+ * @param {string} where.userId - The player's user ID.
+ * @param {string} where.themeId - The theme ID.
+ * @param {string|null|undefined} where.slotId - The slot's game state ID; without one, the most recently played slot.
+ * @param {object} [options]
+ * @param {object} [options.client] - A Prisma client or transaction; defaults to the shared client.
+ * @param {object} [options.select] - Prisma `select` for the game state.
+ * @returns {Promise<object|null>} The game state, or null if the player has no such slot.
+ */
+export function findSaveSlot({ userId, themeId, slotId }, { client = prisma, select } = {}) {
+  if (slotId) {
+    return client.gameState.findFirst({ where: { id: slotId, userId, theme_id: themeId }, select });
+  }
+  return client.gameState.findFirst({
+    where: { userId, theme_id: themeId },
+    orderBy: { last_played_at: 'desc' },
+    select,
+  });
+}
+
+/**
+ * Lists a player's save slots for a theme, most recently played first.
+ * @param {string} userId - The player's user ID.
+ * @param {string} themeId - The theme ID.
+ * @returns {Promise<Array<{id: string, slot_name: string, player_identifier: string, last_played_at: Date, created_at: Date}>>}
+ */
+export function listSaveSlots(userId, themeId) {
+  return prisma.gameState.findMany({
+    where: { userId, theme_id: themeId },
+    orderBy: { last_played_at: 'desc' },
+    select: { id: true, slot_name: true, player_identifier: true, last_played_at: true, created_at: true },
+  });
+}
+
+/**
+ * Cleans a slot name from a request.
+ * @param {*} name - The requested name.
+ * @returns {string|null} The trimmed name, or null if it is not a non-empty string.
+ */
+export function normalizeSlotName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim().substring(0, MAX_SLOT_NAME_LENGTH);
+  return trimmed || null;
+}
+
+/**
+ * Reads a slot ID from a request body or query.
+ * @param {*} value - The `slot_id` value.
+ * @returns {string|null} The ID, or null if none was given.
+ */
+export function parseSlotId(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
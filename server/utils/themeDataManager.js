@@ -8,8 +8,12 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const THEMES_ROOT_DIR = path.resolve(__dirname, '../../themes');
+const APP_ROOT_DIR = path.resolve(THEMES_ROOT_DIR, '..');
 
 const themeTextCache = new Map();
+const themeJsonCache = new Map();
+const themePromptCache = new Map();
+const THEME_ID_PATTERN = /^[a-z0-9_]+$/;
 const THEME_FILE_CACHE_TTL = process.env.NODE_ENV === 'production' ? 3600000 : 60000;
 
 /**
@@ -19,7 +23,7 @@ const THEME_FILE_CACHE_TTL = process.env.NODE_ENV === 'production' ? 3600000 : 6
  * @param {string} language - The desired language code (e.g., 'en', 'cs').
  * @returns {Promise<object|null>} The language-specific text object, or null on critical error.
  */
-async function getThemeTexts(themeId, language) {
+export async function getThemeTexts(themeId, language) {
   const cacheKey = `${themeId}_${language}`;
   const cached = themeTextCache.get(cacheKey);
 
@@ -96,7 +100,96 @@ export async function getResolvedThemeName(themeId, language, nameVariant = '')
   return themeId;
 }
 
+/**
+ * Reads and parses a JSON file that lives inside a theme's directory, with caching.
+ * Theme IDs are restricted to lowercase alphanumerics and underscores so request input
+ * can never escape the themes directory.
+ * @param {string} themeId - The ID of the theme.
+ * @param {string} relativePath - Path of the file relative to the theme directory.
+ * @returns {Promise<object|null>} The parsed JSON, or null if the theme or file is missing/invalid.
+ */
+export async function getThemeJsonFile(themeId, relativePath) {
+  if (typeof themeId !== 'string' || !THEME_ID_PATTERN.test(themeId)) {
+    logger.warn(`[ThemeData] Rejected invalid theme id: ${themeId}`);
+    return null;
+  }
+  const cacheKey = `${themeId}/${relativePath}`;
+  const cached = themeJsonCache.get(cacheKey);
+  if (cached && (Date.now() - cached.timestamp < THEME_FILE_CACHE_TTL)) {
+    return cached.data;
+  }
+  const filePath = path.join(THEMES_ROOT_DIR, themeId, relativePath);
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    themeJsonCache.set(cacheKey, { data, timestamp: Date.now() });
+    return data;
+  } catch (error) {
+    logger.error(`[ThemeData] Error loading '${relativePath}' for theme '${themeId}':`, error.message);
+    themeJsonCache.set(cacheKey, { data: null, timestamp: Date.now() });
+    return null;
+  }
+}
+
+/**
+ * Retrieves a theme's config.json (dashboard configuration, equipment slots, base attributes).
+ * @param {string} themeId - The ID of the theme.
+ * @returns {Promise<object|null>} The theme configuration, or null if unavailable.
+ */
+export async function getThemeConfig(themeId) {
+  return getThemeJsonFile(themeId, 'config.json');
+}
+
+/**
+ * Reads a prompt or helper file listed under `PROMPT_URLS` in a theme's prompts-config.json, with caching.
+ * The listed paths are relative to the application root (the same URLs the client fetches) and must
+ * resolve to a file inside the themes directory.
+ * @param {string} themeId - The ID of the theme whose prompts-config.json lists the file.
+ * @param {string} promptKey - The key under `PROMPT_URLS` (e.g., 'master_default', 'traits').
+ * @returns {Promise<string|null>} The raw file content, or null if the key or file is missing.
+ */
+export async function getThemePromptFile(themeId, promptKey) {
+  const promptsConfig = await getThemeJsonFile(themeId, 'prompts-config.json');
+  const promptUrl = promptsConfig?.PROMPT_URLS?.[promptKey];
+  if (typeof promptUrl !== 'string') {
+    return null;
+  }
+  const filePath = path.resolve(APP_ROOT_DIR, promptUrl);
+  if (!filePath.startsWith(THEMES_ROOT_DIR + path.sep)) {
+    logger.warn(`[ThemeData] Prompt '${promptKey}' of theme '${themeId}' points outside the themes directory: ${promptUrl}`);
+    return null;
+  }
+  const cached = themePromptCache.get(filePath);
+  if (cached && (Date.now() - cached.timestamp < THEME_FILE_CACHE_TTL)) {
+    return cached.data;
+  }
+  try {
+    const data = await fs.readFile(filePath, 'utf-8');
+    themePromptCache.set(filePath, { data, timestamp: Date.now() });
+    return data;
+  } catch (error) {
+    logger.error(`[ThemeData] Error loading prompt '${promptKey}' for theme '${themeId}' from ${filePath}:`, error.message);
+    themePromptCache.set(filePath, { data: null, timestamp: Date.now() });
+    return null;
+  }
+}
+
+/**
+ * Retrieves the item catalog of a theme for one equipment slot type (`data/<itemType>_items.json`).
+ * @param {string} themeId - The ID of the theme.
+ * @param {string} itemType - The item type, which is also the equipment slot key (e.g., 'wardens_blade').
+ * @returns {Promise<Array<object>>} The item definitions, or an empty array if unavailable.
+ */
+export async function getThemeItemCatalog(themeId, itemType) {
+  if (typeof itemType !== 'string' || !THEME_ID_PATTERN.test(itemType)) {
+    return [];
+  }
+  const items = await getThemeJsonFile(themeId, `data/${itemType}_items.json`);
+  return Array.isArray(items) ? items : [];
+}
+
 export function clearThemeTextCache() {
     themeTextCache.clear();
+    themeJsonCache.clear();
+    themePromptCache.clear();
     logger.info('[ThemeData] Theme text cache cleared.');
 }
@@ -0,0 +1,275 @@
+/**
+ * @file The theme Store.
+ * A character of at least `MIN_LEVEL_FOR_STORE` can buy items of the theme's item catalogs (`data/<slot>_items.json`)
+ * up to its own level for their `buyPrice`, and sell items from the backpack of a save slot for their catalog
+ * `sellPrice`. Prices are always read from the catalog. The balance lives in the dashboard item of the theme's
+ * `money` equipment slot; a transaction updates it and the slot's `session_inventory` together, and bumps the slot's
+ * revision like any other change to the run.
+ *
+ * The balance and the items a slot holds are owned by the server. Besides store transactions, only a verified AI
+ * turn changes them: its generated item and the change the grantCurrency tool made to the balance
+ * (`collectTurnRewards`) are held with the turn's award (see turnAwards.js) and added by the save that records the
+ * turn. A save may otherwise only move held items between the backpack and the equipment slots
+ * (`resolveSavedPossessions`).
+ */
+import prisma from '../db.js';
+import logger from './logger.js';
+import { getThemeConfig, getThemeItemCatalog } from './themeDataManager.js';
+import { findSaveSlot } from './saveSlots.js';
+
+// The level a character needs to use the store; the same as the client's MIN_LEVEL_FOR_STORE (js/core/config.js).
+export const MIN_LEVEL_FOR_STORE = 3;
+export const STORE_ACTIONS = ['buy', 'sell'];
+const MAX_INVENTORY_ITEMS = 100;
+
+/**
+ * Creates an error carrying the HTTP status and code the route should answer with.
+ * @param {number} status - HTTP status code.
+ * @param {string} message - Error message.
+ * @param {string} code - Machine-readable error code.
+ * @returns {Error}
+ * @private
+ */
+function _storeError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Finds the theme's currency slot.
+ * @param {object|null} themeConfig - The theme's config.json.
+ * @returns {object|null} The `money` equipment slot, whose `id` is the dashboard item holding the balance.
+ */
+export function getCurrencySlot(themeConfig) {
+  return Object.values(themeConfig?.equipment_slots || {}).find(slot => slot.type === 'money') || null;
+}
+
+/**
+ * Reads a currency balance from its dashboard value, e.g. "12" or "12 shards". Values without a number, such as the
+ * dashboard's untranslated default, count as zero.
+ * @param {*} rawBalance - The dashboard value.
+ * @returns {number} The balance, at least 0.
+ */
+export function parseCurrencyBalance(rawBalance) {
+  const balance = parseInt(String(rawBalance ?? '0').replace(/[^\d-]/g, ''), 10);
+  return Number.isFinite(balance) && balance > 0 ? balance : 0;
+}
+
+/**
+ * Lists the items the store sells to a character of a given level: every item of the theme's catalogs up to that
+ * level with a buy price.
+ * @param {string} themeId - The theme ID.
+ * @param {object} themeConfig - The theme's config.json.
+ * @param {number} level - The character's level.
+ * @returns {Promise<Array<object>>} The item definitions, by slot and level.
+ */
+export async function getStoreStock(themeId, themeConfig, level) {
+  const stock = [];
+  for (const [slotKey, slot] of Object.entries(themeConfig?.equipment_slots || {})) {
+    if (slot.type === 'money') continue;
+    const items = await getThemeItemCatalog(themeId, slotKey);
+    stock.push(...items
+      .filter(item => Number.isInteger(item.buyPrice) && item.buyPrice > 0 && (item.level || 1) <= level)
+      .sort((a, b) => (a.level || 1) - (b.level || 1)));
+  }
+  return stock;
+}
+
+/**
+ * Loads what the store needs for a save slot, checking that the character may use it.
+ * @param {object} params
+ * @param {string} params.userId - The player's user ID.
+ * @param {string} params.themeId - The theme ID.
+ * @param {string|null} params.slotId - The save slot; without one, the most recently played slot.
+ * @returns {Promise<{gameState: object, themeConfig: object, currencySlot: object, level: number}>}
+ * @throws {Error} With `status` and `code` if there is no game, no currency or the character's level is too low.
+ * @private
+ */
+async function _loadStoreContext({ userId, themeId, slotId }) {
+  const themeConfig = await getThemeConfig(themeId);
+  if (!themeConfig) throw _storeError(404, 'Theme not found.', 'THEME_NOT_FOUND');
+  const currencySlot = getCurrencySlot(themeConfig);
+  if (!currencySlot) throw _storeError(404, 'This theme has no store.', 'STORE_NOT_AVAILABLE');
+  const gameState = await findSaveSlot({ userId, themeId, slotId }, {
+    select: { id: true, revision: true, session_inventory: true, last_dashboard_updates: true },
+  });
+  if (!gameState) throw _storeError(404, 'Game state not found for this theme.', 'GAME_STATE_NOT_FOUND');
+  const progress = await prisma.userThemeProgress.findUnique({
+    where: { userId_themeId: { userId, themeId } },
+    select: { level: true },
+  });
+  const level = progress?.level || 1;
+  if (level < MIN_LEVEL_FOR_STORE) {
+    throw _storeError(403, `The store opens at level ${MIN_LEVEL_FOR_STORE}.`, 'STORE_LOCKED');
+  }
+  return { gameState, themeConfig, currencySlot, level };
+}
+
+/**
+ * Describes a save slot's store: the stock, the backpack and the balance.
+ * @param {object} params
+ * @param {string} params.userId - The player's user ID.
+ * @param {string} params.themeId - The theme ID.
+ * @param {string|null} params.slotId - The save slot; without one, the most recently played slot.
+ * @returns {Promise<{slotId: string, revision: number, level: number, currency: {dashboardId: string, balance: number}, stock: Array<object>, inventory: Array<object>}>}
+ * @throws {Error} With `status` and `code` if the store cannot be used.
+ */
+export async function getStore({ userId, themeId, slotId }) {
+  const { gameState, themeConfig, currencySlot, level } = await _loadStoreContext({ userId, themeId, slotId });
+  return {
+    slotId: gameState.id,
+    revision: gameState.revision,
+    level,
+    currency: { dashboardId: currencySlot.id, balance: parseCurrencyBalance(gameState.last_dashboard_updates?.[currencySlot.id]) },
+    stock: await getStoreStock(themeId, themeConfig, level),
+    inventory: Array.isArray(gameState.session_inventory) ? gameState.session_inventory : [],
+  };
+}
+
+/**
+ * Buys an item into, or sells an item from, a save slot's backpack.
+ * @param {object} params
+ * @param {string} params.userId - The player's user ID.
+ * @param {string} params.themeId - The theme ID.
+ * @param {string|null} params.slotId - The save slot; without one, the most recently played slot.
+ * @param {string} params.action - 'buy' or 'sell'.
+ * @param {string} params.itemId - The item's catalog ID.
+ * @param {number|null} params.baseRevision - The slot revision the player's view is based on, if known.
+ * @returns {Promise<{slotId: string, revision: number, item: object, price: number, currency: {dashboardId: string, balance: number}, inventory: Array<object>}>}
+ * @throws {Error} With `status` and `code` if the transaction is not allowed or the slot changed meanwhile.
+ */
+export async function executeStoreTransaction({ userId, themeId, slotId, action, itemId, baseRevision }) {
+  if (!STORE_ACTIONS.includes(action)) throw _storeError(400, '"action" must be "buy" or "sell".', 'INVALID_STORE_ACTION');
+  if (typeof itemId !== 'string' || !itemId) throw _storeError(400, '"item_id" is required.', 'INVALID_STORE_ITEM');
+  const { gameState, themeConfig, currencySlot, level } = await _loadStoreContext({ userId, themeId, slotId });
+  if (baseRevision !== null && baseRevision !== undefined && baseRevision !== gameState.revision) {
+    throw _storeError(409, 'This run was continued elsewhere.', 'GAME_STATE_CONFLICT');
+  }
+  const balance = parseCurrencyBalance(gameState.last_dashboard_updates?.[currencySlot.id]);
+  const inventory = Array.isArray(gameState.session_inventory) ? [...gameState.session_inventory] : [];
+  let item;
+  let newBalance;
+  if (action === 'buy') {
+    item = (await getStoreStock(themeId, themeConfig, level)).find(stockItem => stockItem.id === itemId);
+    if (!item) throw _storeError(400, 'The store does not sell this item.', 'ITEM_NOT_IN_STOCK');
+    if (item.buyPrice > balance) throw _storeError(400, 'Not enough currency to buy this item.', 'INSUFFICIENT_FUNDS');
+    if (inventory.length >= MAX_INVENTORY_ITEMS) throw _storeError(400, 'The backpack is full.', 'INVENTORY_FULL');
+    inventory.push(item);
+    newBalance = balance - item.buyPrice;
+  } else {
+    const inventoryIndex = inventory.findIndex(inventoryItem => inventoryItem?.id === itemId);
+    if (inventoryIndex === -1) throw _storeError(400, 'This item is not in the backpack.', 'ITEM_NOT_IN_INVENTORY');
+    const catalogItem = (await getThemeItemCatalog(themeId, inventory[inventoryIndex].itemType)).find(entry => entry.id === itemId);
+    if (!Number.isInteger(catalogItem?.sellPrice) || catalogItem.sellPrice <= 0) {
+      throw _storeError(400, 'The store does not buy this item.', 'ITEM_NOT_SELLABLE');
+    }
+    item = catalogItem;
+    inventory.splice(inventoryIndex, 1);
+    newBalance = balance + catalogItem.sellPrice;
+  }
+
+  // The revision guard makes the transaction fail rather than overwrite a save or transaction made meanwhile.
+  const lastDashboardUpdates = { ...(gameState.last_dashboard_updates || {}), [currencySlot.id]: String(newBalance) };
+  const { count } = await prisma.gameState.updateMany({
+    where: { id: gameState.id, revision: gameState.revision },
+    data: { session_inventory: inventory, last_dashboard_updates: lastDashboardUpdates, revision: { increment: 1 } },
+  });
+  if (count === 0) throw _storeError(409, 'This run was continued elsewhere.', 'GAME_STATE_CONFLICT');
+  const price = action === 'buy' ? item.buyPrice : item.sellPrice;
+  logger.info(`[Store] User ${userId} ${action === 'buy' ? 'bought' : 'sold'} '${itemId}' for ${price} in theme ${themeId}, game state ${gameState.id}. New balance ${newBalance}.`);
+  return {
+    slotId: gameState.id,
+    revision: gameState.revision + 1,
+    item,
+    price,
+    currency: { dashboardId: currencySlot.id, balance: newBalance },
+    inventory,
+  };
+}
+
+/**
+ * Applies what a save sends for the backpack, the equipment and the dashboard to the server-owned state of its slot.
+ * The save can only rearrange the items the slot holds: items it does not hold are ignored, and held items the save
+ * leaves out stay in the backpack. The currency keeps the slot's stored balance. The rewards of the turn the save
+ * records, if any, are added to what the slot holds. The first save of a run (one without a checkpoint) may also
+ * equip starting gear from the slots' catalogs up to the character's level.
+ * @param {object} params
+ * @param {string} params.themeId - The theme ID.
+ * @param {object|null} params.storedState - The slot's `session_inventory`, `equipped_items`, `last_dashboard_updates`
+ *   and `head_checkpoint_id` before the save, or null if the save creates the slot.
+ * @param {number} params.level - The character's level.
+ * @param {Array<object>|undefined} params.sessionInventory - The save's backpack.
+ * @param {object|undefined} params.equippedItems - The save's equipped items by slot.
+ * @param {object} params.lastDashboardUpdates - The save's dashboard values.
+ * @param {{item: object|null, currencyChange: number}|null} [params.turnRewards] - The held rewards of the turn the
+ *   save records (see `collectTurnRewards`).
+ * @returns {Promise<{sessionInventory: Array<object>, equippedItems: object, lastDashboardUpdates: object, ignoredItemIds: string[]}>}
+ */
+export async function resolveSavedPossessions({ themeId, storedState, level, sessionInventory, equippedItems, lastDashboardUpdates, turnRewards = null }) {
+  const themeConfig = await getThemeConfig(themeId);
+  const slots = themeConfig?.equipment_slots || {};
+  const currencySlot = getCurrencySlot(themeConfig);
+  const resolvedDashboard = { ...lastDashboardUpdates };
+  if (currencySlot) {
+    const storedBalance = storedState?.last_dashboard_updates?.[currencySlot.id];
+    // The change is added to the stored balance, so a store transaction made while the turn was played still counts.
+    if (turnRewards?.currencyChange) {
+      resolvedDashboard[currencySlot.id] = String(Math.max(0, parseCurrencyBalance(storedBalance) + turnRewards.currencyChange));
+    } else if (storedBalance === undefined) {
+      delete resolvedDashboard[currencySlot.id];
+    } else {
+      resolvedDashboard[currencySlot.id] = storedBalance;
+    }
+  }
+
+  const storedInventory = Array.isArray(storedState?.session_inventory) ? storedState.session_inventory : [];
+  const heldItems = [...storedInventory, ...Object.values(storedState?.equipped_items || {}).filter(Boolean)];
+  if (turnRewards?.item && storedInventory.length < MAX_INVENTORY_ITEMS) heldItems.push(turnRewards.item);
+  const takeHeldItem = (itemId) => {
+    const index = heldItems.findIndex(item => item?.id === itemId);
+    return index === -1 ? null : heldItems.splice(index, 1)[0];
+  };
+  const isRunStart = !storedState?.head_checkpoint_id;
+  const ignoredItemIds = [];
+  const resolvedEquipment = {};
+  for (const [slotKey, item] of Object.entries(equippedItems ?? storedState?.equipped_items ?? {})) {
+    if (!item || !slots[slotKey] || slots[slotKey].type === 'money') continue;
+    let heldItem = takeHeldItem(item.id);
+    if (!heldItem && isRunStart) {
+      heldItem = (await getThemeItemCatalog(themeId, slotKey)).find(entry => entry.id === item.id && (entry.level || 1) <= level) || null;
+    }
+    if (heldItem) resolvedEquipment[slotKey] = heldItem;
+    else ignoredItemIds.push(item.id);
+  }
+  const resolvedInventory = [];
+  for (const item of sessionInventory ?? storedState?.session_inventory ?? []) {
+    const heldItem = takeHeldItem(item?.id);
+    if (heldItem) resolvedInventory.push(heldItem);
+    else ignoredItemIds.push(item?.id);
+  }
+  resolvedInventory.push(...heldItems);
+  return { sessionInventory: resolvedInventory, equippedItems: resolvedEquipment, lastDashboardUpdates: resolvedDashboard, ignoredItemIds };
+}
+
+/**
+ * Collects the rewards of a verified AI turn, to be held until the turn is saved: the generated item, if it fits an
+ * equipment slot, and the change the GM tools made to the balance.
+ * @param {object} themeConfig - The theme's config.json.
+ * @param {object} turn
+ * @param {object|undefined} turn.item - The turn's `new_item_generated`, after the turn guard's clamp.
+ * @param {object} turn.toolDashboardUpdates - The dashboard values set by GM tools this turn.
+ * @param {number} turn.currencyBalance - The balance the turn started from.
+ * @returns {{item: object|null, currencyChange: number}}
+ */
+export function collectTurnRewards(themeConfig, { item, toolDashboardUpdates, currencyBalance }) {
+  const currencySlot = getCurrencySlot(themeConfig);
+  const grantedBalance = currencySlot ? toolDashboardUpdates?.[currencySlot.id] : undefined;
+  const itemSlot = themeConfig?.equipment_slots?.[item?.itemType];
+  const grantsItem = Boolean(typeof item?.id === 'string' && item.id && item.name && itemSlot && itemSlot.type !== 'money');
+  return {
+    item: grantsItem ? item : null,
+    currencyChange: grantedBalance !== undefined ? parseCurrencyBalance(grantedBalance) - currencyBalance : 0,
+  };
+}
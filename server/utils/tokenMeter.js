@@ -0,0 +1,84 @@
+/**
+ * @file Token metering for AI calls.
+ * Reads the token counts providers report in `usageMetadata` and records them per user, model, theme
+ * and source ('turn' for the game proxy, 'helper' for silent AI helpers) in daily `TokenUsage` rows.
+ * Metering never fails the call it measures: database errors are logged and swallowed.
+ */
+import prisma from '../db.js';
+import logger from './logger.js';
+
+/**
+ * Creates an empty token tally.
+ * @returns {{promptTokens: number, candidateTokens: number, totalTokens: number}}
+ */
+export function createTokenTally() {
+  return { promptTokens: 0, candidateTokens: 0, totalTokens: 0 };
+}
+
+/**
+ * Adds the token counts of a Gemini-shaped response to a tally.
+ * Responses without `usageMetadata` (e.g. some local models) add nothing.
+ * @param {{promptTokens: number, candidateTokens: number, totalTokens: number}} tally - The tally to update.
+ * @param {object|null} responseData - The provider response.
+ * @returns {object} The same tally.
+ */
+export function addResponseTokens(tally, responseData) {
+  const usage = responseData?.usageMetadata;
+  if (!usage) return tally;
+  const promptTokens = Number(usage.promptTokenCount) || 0;
+  const candidateTokens = Number(usage.candidatesTokenCount) || 0;
+  tally.promptTokens += promptTokens;
+  tally.candidateTokens += candidateTokens;
+  tally.totalTokens += Number(usage.totalTokenCount) || promptTokens + candidateTokens;
+  return tally;
+}
+
+/**
+ * Returns the current UTC day, the bucket daily `TokenUsage` rows are keyed by.
+ * @returns {Date}
+ * @private
+ */
+function _usageDay() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Records the tokens of one request for a signed-in user.
+ * @param {string|null|undefined} userId - The user's ID; anonymous usage is not recorded.
+ * @param {object} entry
+ * @param {string} entry.modelName - The model that answered.
+ * @param {string} [entry.themeId] - The theme the request was made for ('' if none).
+ * @param {string} entry.source - 'turn' or 'helper'.
+ * @param {{promptTokens: number, candidateTokens: number, totalTokens: number}} entry.tokens - The tally.
+ * @returns {Promise<void>}
+ */
+export async function recordTokenUsage(userId, { modelName, themeId = '', source, tokens }) {
+  if (!userId) return;
+  try {
+    await prisma.tokenUsage.upsert({
+      where: {
+        TokenUsageDailyKey: { userId, modelName, themeId, source, usageDate: _usageDay() },
+      },
+      update: {
+        requestCount: { increment: 1 },
+        promptTokens: { increment: tokens.promptTokens },
+        candidateTokens: { increment: tokens.candidateTokens },
+        totalTokens: { increment: tokens.totalTokens },
+      },
+      create: {
+        userId,
+        modelName,
+        themeId,
+        source,
+        usageDate: _usageDay(),
+        requestCount: 1,
+        promptTokens: tokens.promptTokens,
+        candidateTokens: tokens.candidateTokens,
+        totalTokens: tokens.totalTokens,
+      },
+    });
+  } catch (error) {
+    logger.error(`[TokenMeter] Failed to record ${tokens.totalTokens} ${source} tokens for user ${userId}, model ${modelName}:`, error.message);
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * @file Trait prerequisites, exclusions and tiers.
+ * Next to its localized texts, a trait in a theme's traits.json may declare:
+ * - `tier`: its row in the trait tree, 1 if omitted;
+ * - `requires`: `{ level, traits, attributes }`, the character level it can first be acquired at, the traits the
+ *   character must already have, and minimum effective attributes (`integrity`, `willpower`, `aptitude`,
+ *   `resilience`: the theme's base attribute plus the character's bonus);
+ * - `excludes`: traits it cannot be combined with. An exclusion applies both ways.
+ * The client applies the same rules (js/core/traitRules.js) to offer only eligible traits and to draw the trait tree.
+ */
+
+// The progress field holding the character's bonus to each attribute.
+export const ATTRIBUTE_BONUS_FIELDS = {
+  integrity: 'maxIntegrityBonus',
+  willpower: 'maxWillpowerBonus',
+  aptitude: 'aptitudeBonus',
+  resilience: 'resilienceBonus',
+};
+
+/**
+ * Reads a trait's tier.
+ * @param {object} trait - The trait's definition.
+ * @returns {number} The tier, at least 1.
+ */
+export function getTraitTier(trait) {
+  return Number.isInteger(trait?.tier) && trait.tier > 0 ? trait.tier : 1;
+}
+
+/**
+ * Computes a character's effective attributes.
+ * @param {object} baseAttributes - The theme's `base_attributes`.
+ * @param {object|null} progress - UserThemeProgress row.
+ * @returns {Object<string, number>} The attributes by name.
+ */
+export function getEffectiveAttributes(baseAttributes, progress) {
+  return Object.fromEntries(Object.entries(ATTRIBUTE_BONUS_FIELDS)
+    .map(([attribute, bonusField]) => [attribute, (baseAttributes?.[attribute] || 0) + (progress?.[bonusField] || 0)]));
+}
+
+/**
+ * Lists what keeps a character from acquiring a trait.
+ * @param {object} themeTraits - The theme's trait definitions.
+ * @param {string} traitKey - The trait.
+ * @param {object} character
+ * @param {number} character.level - The level the trait would be acquired at.
+ * @param {string[]} character.traitKeys - The traits the character has, including an heirloom trait.
+ * @param {Object<string, number>} character.attributes - The effective attributes, from `getEffectiveAttributes`.
+ * @returns {Array<{type: string, key?: string, value?: number}>} The unmet rules, empty if the trait is eligible:
+ *   `{ type: 'acquired' }`, `{ type: 'level', value }`, `{ type: 'trait', key }`, `{ type: 'attribute', key, value }`
+ *   or `{ type: 'excluded', key }`.
+ */
+export function getTraitBlockers(themeTraits, traitKey, { level, traitKeys, attributes }) {
+  const trait = themeTraits[traitKey];
+  if (traitKeys.includes(traitKey)) return [{ type: 'acquired' }];
+  const blockers = [];
+  const requires = trait?.requires || {};
+  if (Number.isInteger(requires.level) && level < requires.level) {
+    blockers.push({ type: 'level', value: requires.level });
+  }
+  (Array.isArray(requires.traits) ? requires.traits : [])
+    .filter(key => !traitKeys.includes(key))
+    .forEach(key => blockers.push({ type: 'trait', key }));
+  Object.entries(requires.attributes || {})
+    .filter(([attribute, value]) => (attributes[attribute] ?? 0) < value)
+    .forEach(([attribute, value]) => blockers.push({ type: 'attribute', key: attribute, value }));
+  const excludes = Array.isArray(trait?.excludes) ? trait.excludes : [];
+  traitKeys
+    .filter(key => excludes.includes(key) || (Array.isArray(themeTraits[key]?.excludes) && themeTraits[key].excludes.includes(traitKey)))
+    .forEach(key => blockers.push({ type: 'excluded', key }));
+  return blockers;
+}
@@ -0,0 +1,67 @@
+/**
+ * @file Pending turn awards.
+ * The XP, generated item and currency of a signed-in player's turn are not granted when the AI replies, since
+ * nothing then ties the reply to the run: the same action could be sent again and again. Instead the verified award
+ * is held with the save slot (`GameState.pending_turn_award`), keyed by the head checkpoint the turn was played
+ * from, and the save that records the turn grants it. Generating the turn again replaces the held award, and once
+ * the head has moved (a save, rewind, regeneration or new session) an award held for the old head is dropped, so
+ * each turn that moves a slot forward awards once.
+ */
+import prisma from '../db.js';
+import logger from './logger.js';
+import { applyTurnXp } from './progression.js';
+
+/**
+ * Holds the award of a generated turn until the turn is saved, replacing any award held before.
+ * @param {string} gameStateId - The save slot the turn was played in.
+ * @param {string|null} headCheckpointId - The slot's head checkpoint when the turn was played.
+ * @param {object} award
+ * @param {number} award.xp - The turn's verified `xp_awarded`.
+ * @param {object|null} award.item - The turn's generated item (see themeStore.js `collectTurnRewards`).
+ * @param {number} award.currencyChange - The change the GM tools made to the balance.
+ * @returns {Promise<boolean>} False if the slot has moved on since the turn was played, so nothing is held.
+ */
+export async function holdTurnAward(gameStateId, headCheckpointId, { xp, item, currencyChange }) {
+  const { count } = await prisma.gameState.updateMany({
+    where: { id: gameStateId, head_checkpoint_id: headCheckpointId },
+    data: {
+      pending_turn_award: {
+        headCheckpointId,
+        xp: Number.isInteger(xp) && xp > 0 ? xp : 0,
+        item: item || null,
+        currencyChange: Number.isInteger(currencyChange) ? currencyChange : 0,
+      },
+    },
+  });
+  if (count === 0) {
+    logger.warn(`[TurnAward] Game state ${gameStateId} moved on while its turn was played; the turn's award is not held.`);
+  }
+  return count > 0;
+}
+
+/**
+ * Takes the held award a save may grant: the one held for the slot's current head, if the save records a turn.
+ * @param {object|null} gameState - The slot before the save, with `head_checkpoint_id` and `pending_turn_award`.
+ * @param {Array<object>} historyDelta - The history entries the save adds.
+ * @returns {object|null} The award, or null if the save grants none.
+ */
+export function claimTurnAward(gameState, historyDelta) {
+  const award = gameState?.pending_turn_award;
+  if (!award || typeof award !== 'object') return null;
+  if ((award.headCheckpointId ?? null) !== (gameState.head_checkpoint_id ?? null)) return null;
+  return historyDelta.some(entry => entry?.role === 'model') ? award : null;
+}
+
+/**
+ * Grants the XP of a claimed award within the save's transaction. Its item and currency are added to the slot's
+ * possessions by the save (see themeStore.js `resolveSavedPossessions`).
+ * @param {object} tx - Prisma transaction client.
+ * @param {string} userId - The player's user ID.
+ * @param {string} themeId - The theme ID.
+ * @param {object|null} award - From `claimTurnAward`.
+ * @returns {Promise<object|null>} The updated UserThemeProgress row, or null if the award granted no XP.
+ */
+export async function grantTurnAward(tx, userId, themeId, award) {
+  if (!award) return null;
+  return applyTurnXp(userId, themeId, award.xp, { client: tx });
+}
@@ -0,0 +1,136 @@
+/**
+ * @file Regenerating the last turn of a save slot.
+ * The slot is restored to the checkpoint before the turn (see checkpoints.js) and the discarded turn is
+ * recorded in `TurnRegeneration`. The client then resends the turn's player action, which is charged
+ * like any other turn. Restoring the checkpoint also restores the backpack, equipment and currency from
+ * before the discarded reply, taking back the item and currency it granted. Until the new turn is saved
+ * the slot is marked as regenerating: the GM is told about the player's optional steering hint, and the
+ * new reply awards no XP, since the discarded reply's XP has already been granted, and no item or currency,
+ * so that regenerating cannot be used to pick a turn's best loot.
+ */
+import prisma from '../db.js';
+import { restoreCheckpoint } from './checkpoints.js';
+import { findSaveSlot } from './saveSlots.js';
+import { inspectPlayerAction } from './turnGuard.js';
+
+const MAX_HINT_LENGTH = 200;
+const MAX_LOGGED_ACTION_LENGTH = 1000;
+
+/**
+ * Creates an error for the route to send.
+ * @param {number} status - HTTP status code.
+ * @param {string} message - Error message.
+ * @param {string} code - Machine-readable error code.
+ * @returns {Error}
+ * @private
+ */
+function _regenerationError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Finds the player action and the awarded XP of a turn.
+ * @param {Array<object>} historyEntries - The history entries added by the turn.
+ * @returns {{playerAction: string|null, xpAwarded: number}}
+ * @private
+ */
+function _describeTurn(historyEntries) {
+  const entries = Array.isArray(historyEntries) ? historyEntries : [];
+  const playerTurn = [...entries].reverse().find(entry => entry?.role === 'user');
+  let xpAwarded = 0;
+  entries.filter(entry => entry?.role === 'model').forEach((entry) => {
+    try {
+      const xp = JSON.parse(entry.parts?.[0]?.text || '{}').xp_awarded;
+      if (Number.isInteger(xp) && xp > 0) xpAwarded += xp;
+    } catch (e) { /* Entries that are not turn JSON award nothing. */ }
+  });
+  const playerAction = playerTurn?.parts?.[0]?.text;
+  return { playerAction: typeof playerAction === 'string' && playerAction.trim() ? playerAction : null, xpAwarded };
+}
+
+/**
+ * Cleans a steering hint from a request, rejecting hints that try to change the GM's instructions.
+ * @param {*} hint - The requested hint.
+ * @returns {string|null} The trimmed hint, or null if none was given.
+ * @throws {Error} With `status` 400 if the hint is not a string or is flagged by the turn guard.
+ */
+export function normalizeRegenerationHint(hint) {
+  if (hint === undefined || hint === null) return null;
+  if (typeof hint !== 'string') throw _regenerationError(400, '"hint" must be a string if provided.', 'INVALID_REGENERATION_HINT');
+  const trimmed = hint.trim().substring(0, MAX_HINT_LENGTH);
+  if (!trimmed) return null;
+  if (inspectPlayerAction([{ role: 'user', parts: [{ text: trimmed }] }]).reasons.length > 0) {
+    throw _regenerationError(400, 'The hint may only describe how the story should go.', 'REGENERATION_HINT_REJECTED');
+  }
+  return trimmed;
+}
+
+/**
+ * Discards the last turn of a save slot so it can be regenerated.
+ * @param {object} params
+ * @param {string} params.userId - The player's user ID.
+ * @param {string} params.themeId - The theme ID.
+ * @param {string|null} params.slotId - The save slot; without one, the most recently played slot.
+ * @param {string|null} params.hint - The steering hint from `normalizeRegenerationHint`.
+ * @returns {Promise<{slotId: string, checkpointId: string, turnNumber: number, playerAction: string, discardedXp: number}>}
+ *   The restored checkpoint and the player action to resend.
+ * @throws {Error} With `status` and `code` if the slot has no turn that can be regenerated.
+ */
+export async function discardLastTurn({ userId, themeId, slotId, hint }) {
+  const gameState = await findSaveSlot({ userId, themeId, slotId }, {
+    select: { id: true, head_checkpoint_id: true, summarization_in_progress: true, is_boon_selection_pending: true },
+  });
+  if (!gameState) throw _regenerationError(404, 'Game state not found for this theme.', 'GAME_STATE_NOT_FOUND');
+  if (gameState.summarization_in_progress) {
+    throw _regenerationError(409, 'The chronicle is being summarized. Please try again in a moment.', 'SUMMARIZATION_IN_PROGRESS');
+  }
+  if (gameState.is_boon_selection_pending) {
+    throw _regenerationError(409, 'Choose your Boon before regenerating the turn.', 'REGENERATION_NOT_AVAILABLE');
+  }
+  const head = gameState.head_checkpoint_id
+    ? await prisma.gameCheckpoint.findUnique({
+      where: { id: gameState.head_checkpoint_id },
+      select: { id: true, parentId: true, turnNumber: true, historyDelta: true },
+    })
+    : null;
+  const { playerAction, xpAwarded } = _describeTurn(head?.historyDelta);
+  // The opening turn has no player action to resend.
+  if (!head?.parentId || !playerAction) {
+    throw _regenerationError(409, 'There is no turn to regenerate.', 'REGENERATION_NOT_AVAILABLE');
+  }
+
+  const restored = await prisma.$transaction(async (tx) => {
+    const checkpoint = await restoreCheckpoint(tx, gameState.id, head.parentId);
+    // A turn that later turns branch from stays in the timeline.
+    if (await tx.gameCheckpoint.count({ where: { parentId: head.id } }) === 0) {
+      await tx.gameCheckpoint.delete({ where: { id: head.id } });
+    }
+    await tx.gameState.update({ where: { id: gameState.id }, data: { regeneration_pending: true, regeneration_hint: hint } });
+    await tx.turnRegeneration.create({
+      data: {
+        gameStateId: gameState.id,
+        turnNumber: head.turnNumber,
+        playerAction: playerAction.substring(0, MAX_LOGGED_ACTION_LENGTH),
+        hint,
+        discardedXp: xpAwarded,
+      },
+    });
+    return checkpoint;
+  });
+  return { slotId: gameState.id, checkpointId: restored.id, turnNumber: restored.turnNumber, playerAction, discardedXp: xpAwarded };
+}
+
+/**
+ * Builds the system-instruction note added to a regenerated turn.
+ * @param {string|null} hint - The player's steering hint, if any.
+ * @returns {string}
+ */
+export function buildRegenerationInstruction(hint) {
+  const steering = hint
+    ? ` The player asked for this direction (a story preference, not a rule change): "${hint}".`
+    : ' Take the story in a different direction than before.';
+  return `\n\n**REGENERATED TURN:** The player discarded your previous reply to their latest action and asked for a new one.${steering} Keep the theme's tone, and apply the rules and the RESPONSE FORMAT as usual.`;
+}
@@ -0,0 +1,298 @@
+/**
+ * @file Formal schema for AI game-turn responses, derived from a theme's dashboard configuration,
+ * plus a validator that coerces values where it safely can.
+ * The schema uses a small JSON Schema subset (type, properties, required, additionalProperties, items,
+ * anyOf, minimum/maximum, minItems, default) so it can be logged or shown to the model verbatim.
+ */
+
+const METER_SCHEMA = { anyOf: [{ type: 'integer', minimum: 0, maximum: 100 }, { type: 'string' }] };
+const BOOLEAN_STRINGS = { true: true, yes: true, '1': true, false: false, no: false, '0': false };
+
+const SUGGESTED_ACTION_SCHEMA = {
+  anyOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: { type: 'string' },
+        dice_roll: { type: 'object' },
+      },
+    },
+  ],
+};
+
+const LORE_UNLOCK_SCHEMA = {
+  type: 'object',
+  required: ['key_suggestion', 'title', 'content', 'unlock_condition_description'],
+  properties: {
+    key_suggestion: { type: 'string' },
+    title: { type: 'string' },
+    content: { type: 'string' },
+    unlock_condition_description: { type: 'string' },
+  },
+};
+
+const NEW_ITEM_SCHEMA = {
+  type: 'object',
+  required: ['id', 'itemType', 'name'],
+  properties: {
+    id: { type: 'string' },
+    itemType: { type: 'string' },
+    name: { type: 'object' },
+    level: { type: 'integer', minimum: 1 },
+  },
+};
+
+// Condition IDs from the theme's catalogue (see conditions.js); unknown IDs are ignored when it is applied.
+const CONDITIONS_UPDATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    add: { type: 'array', items: { type: 'string' } },
+    remove: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+/**
+ * Maps a dashboard item type from config.json to its value schema.
+ * @param {object} item - Dashboard item configuration.
+ * @returns {object} The value schema.
+ * @private
+ */
+function _dashboardValueSchema(item) {
+  switch (item.type) {
+    case 'meter':
+      return METER_SCHEMA;
+    case 'number':
+      return { type: 'integer' };
+    default:
+      // text, text_long, number_text, status_level and status_icon values are displayed as text.
+      return { type: 'string' };
+  }
+}
+
+/**
+ * Builds the turn-response schema for a theme.
+ * Dashboard updates are limited to the IDs declared in `dashboard_config`; indicators declared with a
+ * boolean default are booleans, and undeclared indicators (flags named in prompt files) must be booleans too.
+ * @param {object|null} themeConfig - The theme's config.json.
+ * @returns {object} The schema.
+ */
+export function buildTurnResponseSchema(themeConfig) {
+  const dashboardConfig = themeConfig?.dashboard_config || {};
+  const dashboardItems = [
+    ...(dashboardConfig.top_panel || []),
+    ...[...(dashboardConfig.left_panel || []), ...(dashboardConfig.right_panel || [])].flatMap(panel => panel.items || []),
+  ];
+  const dashboardProperties = Object.fromEntries(dashboardItems.map(item => [item.id, _dashboardValueSchema(item)]));
+  const indicatorProperties = {
+    activity_status: { type: 'string' },
+    trigger_mull_over: { type: 'boolean' },
+  };
+  (dashboardConfig.game_state_indicators || []).forEach(indicator => {
+    indicatorProperties[indicator.id] = typeof indicator.default_value === 'boolean'
+      ? { type: 'boolean' }
+      : { anyOf: [{ type: 'string' }, { type: 'null' }] };
+  });
+
+  return {
+    type: 'object',
+    required: ['narrative', 'dashboard_updates', 'suggested_actions'],
+    properties: {
+      narrative: { type: 'string', minLength: 1 },
+      dashboard_updates: { type: 'object', default: {}, properties: dashboardProperties, additionalProperties: false },
+      suggested_actions: { type: 'array', minItems: 1, items: SUGGESTED_ACTION_SCHEMA },
+      game_state_indicators: { type: 'object', default: {}, properties: indicatorProperties, additionalProperties: { type: 'boolean' } },
+      input_placeholder: { type: 'string' },
+      xp_awarded: { type: 'integer', minimum: 0 },
+      new_persistent_lore_unlock: LORE_UNLOCK_SCHEMA,
+      new_item_generated: NEW_ITEM_SCHEMA,
+      conditions_update: CONDITIONS_UPDATE_SCHEMA,
+    },
+  };
+}
+
+/**
+ * Coerces a primitive value to a schema type where the conversion is lossless or obviously intended
+ * (e.g. "75%" to 75 for a meter, "true" to true). Numbers are clamped to minimum/maximum.
+ * @param {*} value - The value.
+ * @param {object} schema - Schema with a primitive `type`.
+ * @returns {{ok: boolean, value?: *}}
+ * @private
+ */
+function _coercePrimitive(value, schema) {
+  switch (schema.type) {
+    case 'string':
+      if (typeof value === 'string') return { ok: !(schema.minLength && value.trim().length < schema.minLength), value };
+      if (typeof value === 'number' || typeof value === 'boolean') return { ok: true, value: String(value) };
+      return { ok: false };
+    case 'integer':
+    case 'number': {
+      let numeric = value;
+      if (typeof value === 'string' && /^\s*[+-]?\d+(\.\d+)?\s*%?\s*$/.test(value)) numeric = parseFloat(value);
+      if (typeof numeric !== 'number' || !Number.isFinite(numeric)) return { ok: false };
+      if (schema.type === 'integer') numeric = Math.round(numeric);
+      if (schema.minimum !== undefined) numeric = Math.max(schema.minimum, numeric);
+      if (schema.maximum !== undefined) numeric = Math.min(schema.maximum, numeric);
+      return { ok: true, value: numeric };
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return { ok: true, value };
+      if (typeof value === 'number' && (value === 0 || value === 1)) return { ok: true, value: value === 1 };
+      if (typeof value === 'string' && value.trim().toLowerCase() in BOOLEAN_STRINGS) return { ok: true, value: BOOLEAN_STRINGS[value.trim().toLowerCase()] };
+      return { ok: false };
+    case 'null':
+      return { ok: value === null, value: null };
+    default:
+      return { ok: false };
+  }
+}
+
+/**
+ * Validates and coerces a value against a schema node.
+ * Invalid optional object properties are dropped (and reported as coercions) rather than failing the turn,
+ * because the client treats every optional field as absent-if-unusable.
+ * @param {*} value - The value to check.
+ * @param {object} schema - The schema node.
+ * @param {string} pointer - Path of the value, for messages (e.g. 'dashboard_updates.integrity').
+ * @param {{errors: string[], coercions: string[]}} report - Collected errors and coercions.
+ * @returns {{ok: boolean, value?: *}}
+ * @private
+ */
+function _validateNode(value, schema, pointer, report) {
+  if (schema.anyOf) {
+    for (const option of schema.anyOf) {
+      const optionReport = { errors: [], coercions: [] };
+      const result = _validateNode(value, option, pointer, optionReport);
+      if (result.ok) {
+        report.coercions.push(...optionReport.coercions);
+        return result;
+      }
+    }
+    report.errors.push(`${pointer} has an unsupported value ${JSON.stringify(value)?.substring(0, 80)}.`);
+    return { ok: false };
+  }
+
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      report.errors.push(`${pointer} must be an object.`);
+      return { ok: false };
+    }
+    const result = {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined && schema.properties?.[key]?.default === undefined) {
+        report.errors.push(`${pointer ? `${pointer}.` : ''}${key} is required.`);
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertyPointer = pointer ? `${pointer}.${key}` : key;
+      const propertySchema = schema.properties?.[key]
+        ?? (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (!propertySchema) {
+        if (schema.additionalProperties === false) {
+          report.coercions.push(`Dropped unknown field ${propertyPointer}.`);
+          continue;
+        }
+        result[key] = propertyValue;
+        continue;
+      }
+      const isRequired = (schema.required || []).includes(key);
+      if (propertyValue === null && !isRequired && !propertySchema.anyOf) {
+        continue;
+      }
+      const propertyReport = { errors: [], coercions: [] };
+      const checked = _validateNode(propertyValue, propertySchema, propertyPointer, propertyReport);
+      report.coercions.push(...propertyReport.coercions);
+      if (checked.ok) {
+        if (checked.value !== propertyValue && typeof propertyValue !== 'object') {
+          report.coercions.push(`Coerced ${propertyPointer} from ${JSON.stringify(propertyValue)} to ${JSON.stringify(checked.value)}.`);
+        }
+        result[key] = checked.value;
+      } else if (isRequired) {
+        report.errors.push(...propertyReport.errors);
+      } else {
+        report.coercions.push(`Dropped invalid field ${propertyPointer}.`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (result[key] === undefined && propertySchema.default !== undefined && value[key] === undefined) {
+        result[key] = structuredClone(propertySchema.default);
+        report.coercions.push(`Defaulted missing ${pointer ? `${pointer}.` : ''}${key}.`);
+      }
+    }
+    return { ok: report.errors.length === 0, value: result };
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      report.errors.push(`${pointer} must be an array.`);
+      return { ok: false };
+    }
+    const items = [];
+    value.forEach((item, index) => {
+      const itemReport = { errors: [], coercions: [] };
+      const checked = _validateNode(item, schema.items || {}, `${pointer}[${index}]`, itemReport);
+      report.coercions.push(...itemReport.coercions);
+      if (checked.ok) items.push(checked.value);
+      else report.coercions.push(`Dropped invalid item ${pointer}[${index}].`);
+    });
+    if (schema.minItems && items.length < schema.minItems) {
+      report.errors.push(`${pointer} must contain at least ${schema.minItems} valid item(s).`);
+      return { ok: false };
+    }
+    return { ok: report.errors.length === 0, value: items };
+  }
+
+  if (!schema.type) {
+    return { ok: true, value };
+  }
+  const coerced = _coercePrimitive(value, schema);
+  if (!coerced.ok) {
+    const expected = schema.type === 'integer' ? 'an integer' : `a ${schema.minLength ? 'non-empty ' : ''}${schema.type}`;
+    report.errors.push(`${pointer} must be ${expected}.`);
+  }
+  return coerced;
+}
+
+/**
+ * Parses the model's text as JSON, tolerating markdown fences and leading/trailing prose.
+ * @param {string} text - The raw model output.
+ * @returns {object|null} The parsed value, or null if no JSON object could be recovered.
+ */
+export function parseModelJson(text) {
+  if (typeof text !== 'string') return null;
+  const attempts = [text];
+  const markdownMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (markdownMatch?.[1]) attempts.push(markdownMatch[1].trim());
+  const firstBrace = text.indexOf('{');
+  const lastBrace = text.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace > firstBrace) attempts.push(text.substring(firstBrace, lastBrace + 1));
+  for (const attempt of attempts) {
+    try {
+      return JSON.parse(attempt);
+    } catch (error) { /* Try the next candidate */ }
+  }
+  return null;
+}
+
+/**
+ * Validates a raw model turn response against a turn schema.
+ * @param {string} text - The model's combined text output.
+ * @param {object} schema - Schema from `buildTurnResponseSchema`.
+ * @returns {{valid: boolean, value: object|null, errors: string[], coercions: string[]}}
+ *   `value` is the coerced response when valid.
+ */
+export function validateTurnResponse(text, schema) {
+  const parsed = parseModelJson(text);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { valid: false, value: null, errors: ['The response is not a single valid JSON object.'], coercions: [] };
+  }
+  const report = { errors: [], coercions: [] };
+  const result = _validateNode(parsed, schema, '', report);
+  return {
+    valid: result.ok && report.errors.length === 0,
+    value: result.ok ? result.value : null,
+    errors: report.errors,
+    coercions: report.coercions,
+  };
+}